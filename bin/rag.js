@@ -0,0 +1,635 @@
+#!/usr/bin/env node
+// Command-line interface to the RAG system. Works on the same persisted
+// index as the server ($DATA_DIR), without starting it.
+//
+//   rag ingest <paths...> [--include "*.md,docs/**"] [--exclude "drafts/**"]
+//     [--tags a,b] [--chunk-strategy heading] [--chunk-size 800]
+//   rag ask "<question>" [--top-k 3] [--mode hybrid] [--filter '{"tags":"hr"}']
+//   rag stats | rag list | rag delete <docId...>
+//   rag repl
+//
+// Every command takes --collection <name> (default: default), --json for
+// machine-readable output and --verbose to show the pipeline's logging.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+// Output may be piped; every module loading .env would announce it
+process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || 'true';
+require('dotenv').config();
+const RAGSystem = require('../src/retrieval');
+const CollectionManager = require('../src/collections');
+const { validateFilter } = require('../src/filters');
+const { parseThreshold } = require('../src/grounding');
+
+const UPLOAD_DIR = 'uploads';
+// Options that take a value; anything else starting with -- is a flag
+const VALUE_OPTIONS = [
+  'collection',
+  'topK',
+  'mode',
+  'filter',
+  'rerank',
+  'mmrLambda',
+  'queryMode',
+  'provider',
+  'model',
+  'template',
+  'contextOrder',
+  'minSimilarity',
+  'minKeywordMatch',
+  'include',
+  'exclude',
+  'tags',
+  'chunkStrategy',
+  'chunkUnit',
+  'chunkSize',
+  'chunkOverlap',
+];
+const FLAGS = ['json', 'verbose', 'help'];
+
+const print = console.log;
+const printError = console.error;
+
+const USAGE = `Usage: rag <command> [options]
+
+Commands:
+  ingest <paths...>     Index files and directories (recursively)
+  ask "<question>"      Answer a question from the indexed documents
+  stats                 Show index statistics
+  list                  List indexed documents
+  delete <docId...>     Remove documents and their chunks
+  repl                  Ask questions interactively
+
+Options:
+  --collection <name>   Collection to work on (default: default)
+  --json                Print JSON instead of text
+  --verbose             Show the pipeline's log output
+  --include <globs>     ingest: only files matching these globs (comma-separated)
+  --exclude <globs>     ingest: skip files matching these globs
+  --tags <a,b>          ingest: tags for the ingested documents
+  --chunk-strategy, --chunk-unit, --chunk-size, --chunk-overlap
+                        ingest: chunking overrides
+  --top-k <n>           ask: chunks to retrieve (default: 3)
+  --mode <mode>         ask: vector, keyword or hybrid
+  --filter <json>       ask: metadata filter, e.g. '{"fileType":"pdf"}'
+  --query-mode <mode>   ask: none, multi, hyde or decompose
+  --rerank <reranker>   ask: none, lexical or cross-encoder
+  --mmr-lambda <0-1>    ask: diversify the chunks with MMR
+  --provider <name>     ask: huggingface, openai or extractive
+  --model <model>       ask: generation model of the provider
+  --template <name>     ask: prompt template
+  --context-order <order>
+                        ask: relevance or edges
+  --min-similarity <0-1>
+                        ask: don't answer below this chunk similarity
+  --min-keyword-match <0-1>
+                        ask: don't answer below this share of matched terms`;
+
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args.push(argv[i]);
+      continue;
+    }
+    const name = argv[i]
+      .replace(/^--/, '')
+      .replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${argv[i]} needs a value`);
+      }
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return { command: args.shift(), args, options };
+}
+
+// Comma-separated option values
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+}
+
+// Turn a file glob into a regular expression: "*" matches within a path
+// segment, "**" across segments, "?" one character. Globs without a "/"
+// match the file name anywhere, like .gitignore patterns.
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      pattern += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(glob.includes('/') ? `^${pattern}$` : `(^|/)${pattern}$`);
+}
+
+// Files to ingest: named files as given, directories walked recursively
+// (skipping hidden entries) for supported files that pass the globs
+function collectFiles(paths, extractors, options) {
+  const include = parseList(options.include).map(globToRegExp);
+  const exclude = parseList(options.exclude).map(globToRegExp);
+  const files = [];
+  const skipped = [];
+
+  const visit = (filePath, relativePath) => {
+    const name = path.basename(filePath);
+    if (name.startsWith('.')) {
+      return;
+    }
+    if (fs.statSync(filePath).isDirectory()) {
+      fs.readdirSync(filePath)
+        .sort()
+        .forEach((entry) =>
+          visit(
+            path.join(filePath, entry),
+            path.posix.join(relativePath, entry)
+          )
+        );
+      return;
+    }
+    if (
+      exclude.some((pattern) => pattern.test(relativePath)) ||
+      (include.length > 0 &&
+        !include.some((pattern) => pattern.test(relativePath)))
+    ) {
+      return;
+    }
+    if (!extractors.isSupported({ extension: path.extname(name) })) {
+      skipped.push({ path: filePath, error: 'Unsupported file type' });
+      return;
+    }
+    files.push(filePath);
+  };
+
+  paths.forEach((target) => {
+    if (!fs.existsSync(target)) {
+      skipped.push({ path: target, error: 'No such file or directory' });
+    } else if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target)
+        .sort()
+        .forEach((entry) => visit(path.join(target, entry), entry));
+    } else if (!extractors.isSupported({ extension: path.extname(target) })) {
+      skipped.push({ path: target, error: 'Unsupported file type' });
+    } else {
+      files.push(target);
+    }
+  });
+  return { files, skipped };
+}
+
+async function ingest(rag, paths, options) {
+  if (paths.length === 0) {
+    throw new Error('Usage: rag ingest <paths...>');
+  }
+  // Chunking overrides are stored with each document, as uploads do
+  const chunking = {};
+  if (options.chunkStrategy) {
+    chunking.strategy = options.chunkStrategy;
+  }
+  if (options.chunkUnit) {
+    chunking.unit = options.chunkUnit;
+  }
+  if (options.chunkSize) {
+    chunking.chunkSize = Number(options.chunkSize);
+  }
+  if (options.chunkOverlap) {
+    chunking.chunkOverlap = Number(options.chunkOverlap);
+  }
+  const overrides = Object.keys(chunking).length > 0 ? chunking : null;
+  rag.documentProcessor.chunkingOptions(overrides);
+  const { files, skipped } = collectFiles(
+    paths,
+    rag.documentProcessor.extractors,
+    options
+  );
+
+  const results = skipped.map((entry) => ({ ...entry, success: false }));
+  for (const filePath of files) {
+    const result = await rag.addDocument(
+      path.resolve(filePath),
+      path.extname(filePath).substring(1),
+      { tags: parseList(options.tags), chunking: overrides }
+    );
+    const entry = {
+      path: filePath,
+      success: result.success,
+      ...(result.success
+        ? {
+            documentId: result.documentId,
+            duplicate: Boolean(result.duplicate),
+            chunksAdded: result.chunksAdded,
+            chunksFailed: result.chunksFailed || 0,
+          }
+        : { error: result.error }),
+    };
+    results.push(entry);
+    if (!options.json) {
+      if (!entry.success) {
+        print(`✗ ${filePath}: ${entry.error}`);
+      } else if (entry.duplicate) {
+        print(`= ${filePath}: already indexed as ${entry.documentId}`);
+      } else {
+        const failed =
+          entry.chunksFailed > 0 ? `, ${entry.chunksFailed} failed` : '';
+        print(
+          `✓ ${filePath}: ${entry.documentId} (${entry.chunksAdded} chunks${failed})`
+        );
+      }
+    }
+  }
+
+  if (options.json) {
+    print(JSON.stringify(results, null, 2));
+  } else {
+    skipped.forEach((entry) => print(`✗ ${entry.path}: ${entry.error}`));
+    const added = results.filter(
+      (entry) => entry.success && !entry.duplicate
+    ).length;
+    print(
+      `\nIndexed ${added} of ${
+        results.length
+      } files, ${rag.vectorStore.getDocumentCount()} chunks in total`
+    );
+  }
+  return results.every((entry) => entry.success);
+}
+
+function parseQuestionOptions(options) {
+  const topK = Number(options.topK || 3);
+  if (!Number.isInteger(topK) || topK < 1) {
+    throw new Error('--top-k must be a positive integer');
+  }
+  if (options.mode && !RAGSystem.RETRIEVAL_MODES.includes(options.mode)) {
+    throw new Error(
+      `--mode must be one of: ${RAGSystem.RETRIEVAL_MODES.join(', ')}`
+    );
+  }
+  if (options.queryMode && !RAGSystem.QUERY_MODES.includes(options.queryMode)) {
+    throw new Error(
+      `--query-mode must be one of: ${RAGSystem.QUERY_MODES.join(', ')}`
+    );
+  }
+  if (options.rerank && !RAGSystem.RERANKERS.includes(options.rerank)) {
+    throw new Error(
+      `--rerank must be one of: ${RAGSystem.RERANKERS.join(', ')}`
+    );
+  }
+  if (
+    options.provider &&
+    !RAGSystem.GENERATION_PROVIDERS.includes(options.provider)
+  ) {
+    throw new Error(
+      `--provider must be one of: ${RAGSystem.GENERATION_PROVIDERS.join(', ')}`
+    );
+  }
+  if (
+    options.contextOrder &&
+    !RAGSystem.CONTEXT_ORDERS.includes(options.contextOrder)
+  ) {
+    throw new Error(
+      `--context-order must be one of: ${RAGSystem.CONTEXT_ORDERS.join(', ')}`
+    );
+  }
+  const mmrLambda = RAGSystem.parseMMRLambda(options.mmrLambda);
+  const minSimilarity = parseThreshold(options.minSimilarity, 'minSimilarity');
+  const minKeywordMatch = parseThreshold(
+    options.minKeywordMatch,
+    'minKeywordMatch'
+  );
+  let filter;
+  if (options.filter) {
+    try {
+      filter = JSON.parse(options.filter);
+    } catch (error) {
+      throw new Error(`--filter is not valid JSON: ${error.message}`);
+    }
+    validateFilter(filter);
+  }
+  return {
+    topK,
+    mode: options.mode,
+    filter,
+    rerank: options.rerank,
+    queryMode: options.queryMode,
+    provider: options.provider,
+    model: options.model,
+    template: options.template,
+    contextOrder: options.contextOrder,
+    ...(mmrLambda !== null && { mmrLambda }),
+    ...(minSimilarity !== null && { minSimilarity }),
+    ...(minKeywordMatch !== null && { minKeywordMatch }),
+  };
+}
+
+async function ask(rag, question, options) {
+  if (!question) {
+    throw new Error('Usage: rag ask "<question>"');
+  }
+  const { topK, ...askOptions } = parseQuestionOptions(options);
+  rag.textGenerator.checkModel(askOptions.provider, askOptions.model);
+  const result = await rag.askQuestion(question, topK, askOptions);
+  if (options.json) {
+    const { context, ...output } = result;
+    print(JSON.stringify(output, null, 2));
+    return result.success;
+  }
+  if (!result.success) {
+    printError(result.error);
+    return false;
+  }
+  if (result.queries) {
+    print(`\nSearched with (${result.queryMode}):`);
+    result.queries.forEach((query, index) =>
+      print(`  ${index}. [${query.type}] ${query.text}`)
+    );
+  }
+  print(`\n${result.answer}\n`);
+  print('Sources:');
+  result.relevantDocuments.forEach((doc) => {
+    const { filename, chunkIndex, documentId } = doc.metadata;
+    const before =
+      doc.retrievalScore !== undefined
+        ? ` (retrieval ${doc.retrievalScore}, rank ${doc.retrievalRank})`
+        : '';
+    print(
+      `  [${doc.marker}] ${filename} (chunk ${chunkIndex}, ${documentId}) score ${doc.score}${before}`
+    );
+  });
+  if (result.abstained) {
+    print(
+      `Not answered: the best similarity ${result.topSimilarity} is below the minimum`
+    );
+    return true;
+  }
+  const { trimmed, dropped, budget } = result.contextPacking;
+  if (trimmed.length > 0 || dropped.length > 0) {
+    print(
+      `Context budget ${budget} tokens: ${trimmed.length} chunks trimmed, ${dropped.length} dropped`
+    );
+  }
+  print(
+    `Answered by ${result.generation.provider} (${result.generation.model}) with the ${result.promptTemplate} template`
+  );
+  if (result.usedFallback) {
+    print(
+      'The model could not answer; the answer was extracted from the documents instead'
+    );
+  }
+  print(
+    `Confidence ${result.confidence}${
+      result.grounded ? ', every sentence is supported by the sources' : ''
+    }`
+  );
+  result.unsupportedSentences.forEach((sentence) =>
+    print(`  Unsupported: ${sentence}`)
+  );
+  return true;
+}
+
+function stats(rag, options) {
+  const { allDocuments, ...info } = rag.getStats();
+  if (options.json) {
+    print(JSON.stringify(info, null, 2));
+    return true;
+  }
+  const { chunking, embeddingProvider, embeddingCache, generation, storage } =
+    info;
+  print(`Documents:  ${info.totalFiles}`);
+  print(`Chunks:     ${info.totalDocuments}`);
+  print(
+    `Embeddings: ${embeddingProvider.provider}, ${embeddingProvider.model}`
+  );
+  print(`Generation: ${generation.provider}, ${generation.model}`);
+  print(
+    `Prompt:     ${info.prompt.template} template, ${info.prompt.contextOrder} order`
+  );
+  print(
+    `Chunking:   ${chunking.strategy}, ${chunking.chunkSize} ${chunking.unit}, overlap ${chunking.chunkOverlap}`
+  );
+  print(
+    `Cache:      ${embeddingCache.size} entries, ${embeddingCache.hits} hits, ${embeddingCache.misses} misses`
+  );
+  print(`Index:      ${storage.persistPath || 'in memory'}`);
+  return true;
+}
+
+function list(rag, options) {
+  const documents = rag.listDocuments();
+  if (options.json) {
+    print(JSON.stringify(documents, null, 2));
+    return true;
+  }
+  if (documents.length === 0) {
+    print('No documents indexed');
+    return true;
+  }
+  documents.forEach((doc) => {
+    const tags =
+      doc.tags && doc.tags.length > 0 ? ` [${doc.tags.join(', ')}]` : '';
+    print(
+      `${doc.id}  ${doc.originalName}  ${doc.chunkCount} chunks  ${doc.createdAt}${tags}`
+    );
+  });
+  return true;
+}
+
+// Delete documents from the index. Copies the server stored in its
+// uploads folder go too; files ingested from elsewhere are left alone.
+function remove(rag, ids, options) {
+  if (ids.length === 0) {
+    throw new Error('Usage: rag delete <docId...>');
+  }
+  const uploadRoot = path.resolve(UPLOAD_DIR) + path.sep;
+  const results = ids.map((id) => {
+    const result = rag.deleteDocument(id);
+    if (!result.success) {
+      return { documentId: id, success: false, error: result.error };
+    }
+    const filePath = result.document.filePath;
+    if (filePath && path.resolve(filePath).startsWith(uploadRoot)) {
+      fs.rmSync(filePath, { force: true });
+    }
+    return {
+      documentId: id,
+      success: true,
+      filename: result.document.originalName,
+      chunksRemoved: result.chunksRemoved,
+    };
+  });
+
+  if (options.json) {
+    print(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach((result) =>
+      print(
+        result.success
+          ? `Deleted ${result.documentId} (${result.filename}, ${result.chunksRemoved} chunks)`
+          : `✗ ${result.documentId}: ${result.error}`
+      )
+    );
+  }
+  return results.every((result) => result.success);
+}
+
+// Ask questions line by line. Lines starting with ":" are commands.
+async function repl(rag, options) {
+  const settings = { ...options };
+  const help = `Type a question, or one of:
+  :stats  :list  :delete <docId>  :top-k <n>  :mode <mode>
+  :filter <json>  :query-mode <mode>  :rerank <reranker>  :mmr-lambda <0-1>
+  :provider <name>  :model <model>  :template <name>  :min-similarity <0-1>
+  :min-keyword-match <0-1>  :json  :help  :quit`;
+  print(`RAG REPL, ${rag.vectorStore.getDocumentCount()} chunks indexed.`);
+  print(help);
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: '\nrag> ',
+  });
+  rl.prompt();
+  for await (const line of rl) {
+    const input = line.trim();
+    try {
+      if (!input) {
+        // Nothing to do
+      } else if (!input.startsWith(':')) {
+        await ask(rag, input, settings);
+      } else {
+        const [command, ...rest] = input.slice(1).split(/\s+/);
+        const value = rest.join(' ');
+        switch (command) {
+          case 'quit':
+          case 'exit':
+            rl.close();
+            return true;
+          case 'stats':
+            stats(rag, settings);
+            break;
+          case 'list':
+            list(rag, settings);
+            break;
+          case 'delete':
+            remove(rag, rest, settings);
+            break;
+          case 'top-k':
+            parseQuestionOptions({ topK: value });
+            settings.topK = value;
+            break;
+          case 'mode':
+            parseQuestionOptions({ mode: value || undefined });
+            settings.mode = value || undefined;
+            break;
+          case 'filter':
+            parseQuestionOptions({ filter: value || undefined });
+            settings.filter = value || undefined;
+            break;
+          case 'query-mode':
+            parseQuestionOptions({ queryMode: value || undefined });
+            settings.queryMode = value || undefined;
+            break;
+          case 'rerank':
+            parseQuestionOptions({ rerank: value || undefined });
+            settings.rerank = value || undefined;
+            break;
+          case 'mmr-lambda':
+            parseQuestionOptions({ mmrLambda: value || undefined });
+            settings.mmrLambda = value || undefined;
+            break;
+          case 'provider':
+            parseQuestionOptions({ provider: value || undefined });
+            settings.provider = value || undefined;
+            break;
+          case 'model':
+            settings.model = value || undefined;
+            break;
+          case 'template':
+            rag.getPromptTemplate(value || undefined);
+            settings.template = value || undefined;
+            break;
+          case 'min-similarity':
+            parseThreshold(value, 'minSimilarity');
+            settings.minSimilarity = value || undefined;
+            break;
+          case 'min-keyword-match':
+            parseThreshold(value, 'minKeywordMatch');
+            settings.minKeywordMatch = value || undefined;
+            break;
+          case 'json':
+            settings.json = !settings.json;
+            print(`JSON output ${settings.json ? 'on' : 'off'}`);
+            break;
+          default:
+            print(help);
+        }
+      }
+    } catch (error) {
+      printError(error.message);
+    }
+    rl.prompt();
+  }
+  return true;
+}
+
+async function main() {
+  const { command, args, options } = parseArgs(process.argv.slice(2));
+  if (!command || options.help) {
+    print(USAGE);
+    return true;
+  }
+  // The pipeline logs every step; keep that out of the output unless asked
+  if (!options.verbose) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  const collections = new CollectionManager();
+  const name = options.collection || CollectionManager.DEFAULT_COLLECTION;
+  const rag = collections.get(name);
+  if (!rag) {
+    throw new Error(`Collection "${name}" not found`);
+  }
+
+  switch (command) {
+    case 'ingest':
+      return ingest(rag, args, options);
+    case 'ask':
+      return ask(rag, args.join(' '), options);
+    case 'stats':
+      return stats(rag, options);
+    case 'list':
+      return list(rag, options);
+    case 'delete':
+      return remove(rag, args, options);
+    case 'repl':
+      return repl(rag, options);
+    default:
+      throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then((ok) => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch((error) => {
+    printError(error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,59 @@
+// Manage the API keys in the key file ($API_KEYS_FILE, default
+// $DATA_DIR/api-keys.json). Keys are printed once when created and only
+// their hashes are stored.
+//
+//   node scripts/api-keys.js create <name> <scope,scope>
+//   node scripts/api-keys.js list
+//   node scripts/api-keys.js revoke <name>
+//   node scripts/api-keys.js hash <key>   (for the API_KEYS variable)
+
+const path = require('path');
+require('dotenv').config();
+const { ApiKeyStore, SCOPES, hashKey } = require('../src/auth');
+
+const persistPath =
+  process.env.API_KEYS_FILE ||
+  path.join(process.env.DATA_DIR || 'data', 'api-keys.json');
+
+function main([command, ...args]) {
+  const store = new ApiKeyStore({ persistPath });
+  switch (command) {
+    case 'create': {
+      const [name, scopes = 'read'] = args;
+      if (!name) {
+        throw new Error('Usage: create <name> <scope,scope>');
+      }
+      const key = store.create(name, scopes.split(','));
+      console.log(`Created API key "${name}" (${scopes}):\n\n  ${key}\n`);
+      console.log('Store it now, it cannot be shown again.');
+      break;
+    }
+    case 'list':
+      store.list().forEach((key) => {
+        console.log(`${key.name}\t${key.scopes.join(',')}\t${key.createdAt}`);
+      });
+      break;
+    case 'revoke':
+      if (!store.revoke(args[0])) {
+        throw new Error(`No API key named "${args[0]}" in ${persistPath}`);
+      }
+      console.log(`Revoked API key "${args[0]}"`);
+      break;
+    case 'hash':
+      console.log(hashKey(args[0] || ''));
+      break;
+    default:
+      console.log(
+        `Commands: create <name> <scopes>, list, revoke <name>, hash <key>\nScopes: ${SCOPES.join(
+          ', '
+        )}`
+      );
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
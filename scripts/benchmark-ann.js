@@ -0,0 +1,168 @@
+// Compare exact and HNSW vector search on synthetic embeddings: build time,
+// query latency and recall@k (share of the exact top k the index returns).
+//
+//   node scripts/benchmark-ann.js [--count 10000] [--dimension 256]
+//     [--queries 200] [--k 10] [--m 16] [--ef-construction 100]
+//     [--ef-search 16,32,64,128] [--clusters 200] [--seed 42]
+//
+// Vectors are drawn around random cluster centres, which is closer to real
+// embeddings than uniform noise and a harder case for the graph.
+
+const SimpleVectorStore = require('../src/vectorStore');
+const { normalize } = require('../src/vectorMatrix');
+
+function parseArgs(argv) {
+  const options = {
+    count: 10000,
+    dimension: 256,
+    queries: 200,
+    k: 10,
+    m: 16,
+    efConstruction: 100,
+    efSearch: [16, 32, 64, 128],
+    clusters: 200,
+    seed: 42,
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i]
+      .replace(/^--/, '')
+      .replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+    if (!(name in options)) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    options[name] =
+      name === 'efSearch'
+        ? argv[i + 1].split(',').map(Number)
+        : Number(argv[i + 1]);
+  }
+  return options;
+}
+
+// Seeded PRNG (mulberry32) so runs are reproducible
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const uniform = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // Standard normal via Box-Muller
+  const gaussian = () =>
+    Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+  return { uniform, gaussian };
+}
+
+function createVectors(count, dimension, centres, random) {
+  return Array.from({ length: count }, () => {
+    const centre = centres[Math.floor(random.uniform() * centres.length)];
+    return centre.map((value) => value + random.gaussian());
+  });
+}
+
+function percentile(values, p) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// Run every query, returning result index lists and latency figures in ms
+function timeQueries(queries, search) {
+  const latencies = [];
+  const results = queries.map((query) => {
+    const start = process.hrtime.bigint();
+    const found = search(query);
+    latencies.push(Number(process.hrtime.bigint() - start) / 1e6);
+    return found.map((result) => result.index);
+  });
+  const mean =
+    latencies.reduce((sum, value) => sum + value, 0) / queries.length;
+  return {
+    results,
+    meanMs: mean,
+    p95Ms: percentile(latencies, 0.95),
+  };
+}
+
+function recallAtK(expected, actual, k) {
+  let hits = 0;
+  expected.forEach((truth, i) => {
+    const found = new Set(actual[i]);
+    hits += truth.filter((index) => found.has(index)).length;
+  });
+  return hits / (expected.length * k);
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const random = createRandom(options.seed);
+  const centres = Array.from({ length: options.clusters }, () =>
+    Array.from({ length: options.dimension }, () => random.gaussian())
+  );
+
+  console.log(
+    `Benchmark: ${options.count} vectors, ${options.dimension} dimensions, ` +
+      `${options.queries} queries, k=${options.k}, M=${options.m}, efConstruction=${options.efConstruction}`
+  );
+
+  const store = new SimpleVectorStore({
+    indexType: 'hnsw',
+    annMinDocuments: 0,
+    hnswM: options.m,
+    hnswEfConstruction: options.efConstruction,
+  });
+  createVectors(options.count, options.dimension, centres, random).forEach(
+    (vector, i) => store.insert(`chunk ${i}`, vector, { id: i })
+  );
+  const queries = createVectors(
+    options.queries,
+    options.dimension,
+    centres,
+    random
+  ).map(normalize);
+
+  const buildStart = Date.now();
+  const index = store.getAnnIndex();
+  const buildMs = Date.now() - buildStart;
+
+  const exact = timeQueries(queries, (query) =>
+    store.exactSearch(query, options.k)
+  );
+  const rows = [
+    {
+      method: 'exact',
+      efSearch: '-',
+      meanMs: exact.meanMs,
+      p95Ms: exact.p95Ms,
+      recall: 1,
+    },
+  ];
+  options.efSearch.forEach((efSearch) => {
+    index.efSearch = efSearch;
+    const ann = timeQueries(queries, (query) =>
+      store.annSearch(query, options.k)
+    );
+    rows.push({
+      method: 'hnsw',
+      efSearch,
+      meanMs: ann.meanMs,
+      p95Ms: ann.p95Ms,
+      recall: recallAtK(exact.results, ann.results, options.k),
+    });
+  });
+
+  console.log(`HNSW build time: ${(buildMs / 1000).toFixed(2)}s\n`);
+  console.log('| method | efSearch | mean ms | p95 ms | speedup | recall@k |');
+  console.log('|--------|----------|---------|--------|---------|----------|');
+  rows.forEach((row) => {
+    console.log(
+      `| ${row.method} | ${row.efSearch} | ${row.meanMs.toFixed(
+        3
+      )} | ${row.p95Ms.toFixed(3)} | ${(exact.meanMs / row.meanMs).toFixed(
+        1
+      )}x | ${row.recall.toFixed(3)} |`
+    );
+  });
+}
+
+main();
@@ -0,0 +1,190 @@
+// Evaluate retrieval and answers on a dataset of questions with expected
+// source documents and reference answers. The dataset's documents are
+// indexed into a temporary RAG system, so the real index is not touched.
+//
+//   node scripts/evaluate.js [--dataset eval/sample/dataset.json] [--top-k 3]
+//     [--mode vector|keyword|hybrid] [--query-mode none|multi|hyde|decompose]
+//     [--rerank none|lexical|cross-encoder]
+//     [--mmr-lambda 0.7] [--template default] [--context-order edges]
+//     [--min-similarity 0.25] [--min-keyword-match 0.3]
+//     [--chunk-strategy recursive]
+//     [--chunk-unit chars] [--chunk-size 500] [--chunk-overlap 50]
+//     [--embedding-provider local] [--embedding-model <model>]
+//     [--generator extractive|huggingface|openai] [--generation-model <model>]
+//     [--out data/eval] [--verbose]
+//
+// By default embeddings come from the local provider and answers from the
+// extractive generation provider, so a run needs no network access. Writes a JSON
+// and a Markdown report to --out.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+const RAGSystem = require('../src/retrieval');
+const { loadDataset, evaluate, formatMarkdown } = require('../src/evaluation');
+
+function parseArgs(argv) {
+  const options = {
+    dataset: path.join(__dirname, '..', 'eval', 'sample', 'dataset.json'),
+    topK: 3,
+    mode: undefined,
+    queryMode: undefined,
+    rerank: undefined,
+    mmrLambda: undefined,
+    template: undefined,
+    contextOrder: undefined,
+    minSimilarity: undefined,
+    minKeywordMatch: undefined,
+    chunkStrategy: undefined,
+    chunkUnit: undefined,
+    chunkSize: undefined,
+    chunkOverlap: undefined,
+    embeddingProvider: 'local',
+    embeddingModel: undefined,
+    generator: 'extractive',
+    generationModel: undefined,
+    out: path.join(process.env.DATA_DIR || 'data', 'eval'),
+    verbose: false,
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i]
+      .replace(/^--/, '')
+      .replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+    if (!(name in options)) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    if (name === 'verbose') {
+      options.verbose = true;
+      i--;
+      continue;
+    }
+    options[name] = argv[i + 1];
+  }
+  options.topK = Number(options.topK);
+  ['chunkSize', 'chunkOverlap'].forEach((name) => {
+    if (options[name] !== undefined) {
+      options[name] = Number(options[name]);
+    }
+  });
+  if (!Number.isInteger(options.topK) || options.topK < 1) {
+    throw new Error('--top-k must be a positive integer');
+  }
+  if (!RAGSystem.GENERATION_PROVIDERS.includes(options.generator)) {
+    throw new Error(
+      `--generator must be one of: ${RAGSystem.GENERATION_PROVIDERS.join(', ')}`
+    );
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const dataset = loadDataset(path.resolve(options.dataset));
+  // Keep the pipeline's progress logging out of the report unless asked
+  const print = console.log;
+  if (!options.verbose) {
+    console.log = () => {};
+  }
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-eval-'));
+  try {
+    const rag = new RAGSystem({
+      dataDir,
+      vectorStorePath: path.join(dataDir, 'vector-store.jsonl'),
+      embedding: {
+        provider: options.embeddingProvider,
+        model: options.embeddingModel,
+      },
+      chunking: {
+        strategy: options.chunkStrategy,
+        unit: options.chunkUnit,
+        chunkSize: options.chunkSize,
+        chunkOverlap: options.chunkOverlap,
+      },
+      generation: {
+        provider: options.generator,
+        model: options.generationModel,
+      },
+    });
+
+    print(
+      `Evaluating ${dataset.name}: ${dataset.documents.length} documents, ${dataset.questions.length} questions`
+    );
+    for (const document of dataset.documents) {
+      const result = await rag.addDocument(
+        document.path,
+        path.extname(document.path).substring(1),
+        { originalName: document.name }
+      );
+      if (!result.success) {
+        throw new Error(`Could not index ${document.name}: ${result.error}`);
+      }
+      print(`  indexed ${document.name} (${result.chunksAdded} chunks)`);
+    }
+
+    const report = await evaluate(rag, dataset, {
+      topK: options.topK,
+      mode: options.mode,
+      queryMode: options.queryMode,
+      rerank: options.rerank,
+      mmrLambda: options.mmrLambda,
+      template: options.template,
+      contextOrder: options.contextOrder,
+      minSimilarity: options.minSimilarity,
+      minKeywordMatch: options.minKeywordMatch,
+      onQuestion: (result) =>
+        print(
+          `  ${result.id}: RR ${
+            result.reciprocalRank === null
+              ? '-'
+              : result.reciprocalRank.toFixed(2)
+          }, F1 ${result.tokenF1 === null ? '-' : result.tokenF1.toFixed(2)}`
+        ),
+    });
+    report.createdAt = new Date().toISOString();
+    report.config = {
+      topK: options.topK,
+      mode: options.mode || rag.retrievalMode,
+      queryMode: options.queryMode || rag.queryMode,
+      reranker: options.rerank || rag.reranker,
+      mmrLambda: options.mmrLambda ?? rag.mmrLambda,
+      template: options.template || rag.promptTemplate,
+      contextOrder: options.contextOrder || rag.contextOrder,
+      minSimilarity: options.minSimilarity ?? rag.minSimilarity,
+      minKeywordMatch: options.minKeywordMatch ?? rag.minKeywordMatch,
+      chunking: rag.documentProcessor.chunkingOptions(),
+      embeddingModel: rag.embeddingService.model,
+      generator: options.generator,
+      generationModel: rag.textGenerator.model,
+    };
+
+    fs.mkdirSync(options.out, { recursive: true });
+    const stamp = report.createdAt.replace(/[:.]/g, '-');
+    const jsonPath = path.join(options.out, `eval-${stamp}.json`);
+    const markdownPath = path.join(options.out, `eval-${stamp}.md`);
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+    fs.writeFileSync(markdownPath, formatMarkdown(report));
+
+    const { metrics } = report;
+    const format = (value) => (value === null ? '-' : value.toFixed(3));
+    print(
+      `\nrecall@${report.topK} ${format(metrics.recallAtK)}  MRR ${format(
+        metrics.mrr
+      )}  nDCG@${report.topK} ${format(metrics.ndcgAtK)}  F1 ${format(
+        metrics.tokenF1
+      )}  citation hits ${format(metrics.citationHitRate)}  confidence ${format(
+        metrics.meanConfidence
+      )}  abstained ${metrics.abstained}`
+    );
+    print(`Reports: ${jsonPath}\n         ${markdownPath}`);
+  } finally {
+    console.log = print;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -6,27 +6,143 @@ const fs = require('fs');
 require('dotenv').config();
 
 const RAGSystem = require('./retrieval');
+const CollectionManager = require('./collections');
+const JobQueue = require('./jobQueue');
+const { validateFilter } = require('./filters');
+const { parseThreshold } = require('./grounding');
+const { expandZip, isZipArchive } = require('./archives');
+const { ApiKeyStore, RateLimiter } = require('./auth');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize RAG system
-const ragSystem = new RAGSystem();
+// Initialize the collections; each is a separate RAG system
+const collections = new CollectionManager();
+const { DEFAULT_COLLECTION } = CollectionManager;
+// Routes of one collection, mounted for the default collection at /api and
+// for every collection at /api/collections/:name
+const api = express.Router();
+
+// Uploads are indexed in the background, a few at a time
+const ingestionJobs = new JobQueue({
+  concurrency: Number(process.env.INGEST_CONCURRENCY) || 2,
+  maxQueued: Number(process.env.INGEST_QUEUE_SIZE) || 1000,
+});
+
+// API keys (scripts/api-keys.js manages the key file); with none
+// configured the API is open
+const apiKeys = new ApiKeyStore({
+  persistPath:
+    process.env.API_KEYS_FILE ||
+    path.join(process.env.DATA_DIR || 'data', 'api-keys.json'),
+  keyList: process.env.API_KEYS,
+});
+
+// Requests per minute and client for the expensive endpoints; 0 turns a
+// limit off
+function createRateLimit(value, fallback) {
+  const perMinute = value === undefined ? fallback : Number(value);
+  return perMinute > 0 ? new RateLimiter({ capacity: perMinute }) : null;
+}
+const askLimiter = createRateLimit(process.env.RATE_LIMIT_ASK, 30);
+const uploadLimiter = createRateLimit(process.env.RATE_LIMIT_UPLOAD, 10);
+
+// Origins allowed to call the API from a browser. Same-origin requests
+// (the bundled UI) always work; "*" allows any origin.
+const corsOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter((origin) => origin.length > 0);
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: corsOrigins.includes('*') ? true : corsOrigins }));
 app.use(express.json());
 app.use(express.static('public'));
 
+// The API key of a request: an Authorization bearer token, an X-API-Key
+// header or, for EventSource which can't set headers, ?api_key=
+function requestKey(req) {
+  const authorization = req.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return match[1].trim();
+  }
+  return req.get('x-api-key') || req.query.api_key || null;
+}
+
+// Reject API requests without a valid key (when keys are configured)
+function authenticate(req, res, next) {
+  if (!apiKeys.enabled) {
+    return next();
+  }
+  const key = requestKey(req);
+  const record = apiKeys.verify(key);
+  if (!record) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      error: key ? 'Invalid API key' : 'API key required',
+    });
+  }
+  req.apiKey = record;
+  next();
+}
+
+// Only let keys with the given scope through; admin keys may do anything
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !apiKeys.hasScope(req.apiKey, scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `This API key lacks the "${scope}" scope`,
+      });
+    }
+    next();
+  };
+}
+
+// Limit requests per API key, or per IP address when the API is open
+function rateLimit(limiter) {
+  return (req, res, next) => {
+    if (!limiter) {
+      return next();
+    }
+    const client = req.apiKey ? `key:${req.apiKey.name}` : `ip:${req.ip}`;
+    const { allowed, remaining, retryAfter } = limiter.take(client);
+    res.set('RateLimit-Limit', String(limiter.capacity));
+    res.set('RateLimit-Remaining', String(remaining));
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `Rate limit exceeded, try again in ${retryAfter}s`,
+      });
+    }
+    next();
+  };
+}
+const limitQuestions = rateLimit(askLimiter);
+const limitUploads = rateLimit(uploadLimiter);
+
+app.use('/api', authenticate);
+
 // Configure multer for file uploads
+const uploadDir = 'uploads';
+
+// Files of the default collection go straight into the uploads folder,
+// other collections get a subfolder each
+function collectionUploadDir(name) {
+  return name === DEFAULT_COLLECTION ? uploadDir : path.join(uploadDir, name);
+}
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = 'uploads';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir);
+    const dir = collectionUploadDir(req.collectionName);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
     }
-    cb(null, uploadDir);
+    cb(null, dir);
   },
   filename: (req, file, cb) => {
     // Keep original filename with timestamp
@@ -35,24 +151,489 @@ const storage = multer.diskStorage({
   },
 });
 
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit
+// Files per upload request
+const MAX_FILES = Number(process.env.UPLOAD_MAX_FILES) || 50;
+// ZIP archives: size of the upload, files in it and bytes unpacked in all
+const MAX_ARCHIVE_SIZE =
+  Number(process.env.ARCHIVE_MAX_SIZE) || 100 * 1024 * 1024;
+const MAX_ARCHIVE_ENTRIES = Number(process.env.ARCHIVE_MAX_ENTRIES) || 500;
+const MAX_ARCHIVE_TOTAL_SIZE =
+  Number(process.env.ARCHIVE_MAX_TOTAL_SIZE) || 500 * 1024 * 1024;
+// Extensions and MIME types come from the registered text extractors
+const extractors =
+  collections.get(DEFAULT_COLLECTION).documentProcessor.extractors;
+
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
-    // Accept only specific file types
-    const allowedTypes = ['.pdf', '.txt', '.html', '.htm'];
+    // Accept ZIP archives and file types an extractor is registered for;
+    // other files are skipped and reported in the response
     const fileExt = path.extname(file.originalname).toLowerCase();
 
-    if (allowedTypes.includes(fileExt)) {
+    if (
+      isZipArchive(file.originalname) ||
+      extractors.isSupported({ extension: fileExt, mimeType: file.mimetype })
+    ) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF, TXT, and HTML files are allowed'), false);
+      req.rejectedFiles = (req.rejectedFiles || []).concat({
+        filename: file.originalname,
+        success: false,
+        error: `Unsupported file type. Allowed: ${extractors
+          .extensions()
+          .join(', ')}, .zip`,
+      });
+      cb(null, false);
     }
   },
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    // Archives may be larger than single documents; checked per file below
+    fileSize: Math.max(MAX_FILE_SIZE, MAX_ARCHIVE_SIZE),
+    files: MAX_FILES,
   },
 });
 
+// Delete a file we stored in the uploads folder (never anything outside it)
+async function removeUploadedFile(filePath) {
+  const uploadRoot = path.resolve(uploadDir) + path.sep;
+  if (!filePath || !path.resolve(filePath).startsWith(uploadRoot)) {
+    return;
+  }
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Could not remove ${filePath}:`, error.message);
+    }
+  }
+}
+
+// Switch a response to Server-Sent Events and return a function that
+// sends one named event with a JSON payload
+function startEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// Send every event of an async iterable as SSE. createEvents receives an
+// AbortSignal that fires when the client disconnects.
+async function streamEvents(res, createEvents) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const sendEvent = startEventStream(res);
+  try {
+    for await (const { event, data } of createEvents(controller.signal)) {
+      if (controller.signal.aborted) {
+        break;
+      }
+      sendEvent(event, data);
+    }
+  } catch (error) {
+    console.error('Stream error:', error);
+    sendEvent('error', { error: error.message });
+  }
+  res.end();
+}
+
+// Most chunks a question may retrieve
+const MAX_TOP_K = 50;
+
+// Check the common parameters of question requests, returning an error
+// message or null
+function validateQuestion(question, mode, filter, queryMode, topK) {
+  if (!question) {
+    return 'Question is required';
+  }
+  const topKError = validateTopK(topK);
+  if (topKError) {
+    return topKError;
+  }
+  if (mode && !RAGSystem.RETRIEVAL_MODES.includes(mode)) {
+    return `mode must be one of: ${RAGSystem.RETRIEVAL_MODES.join(', ')}`;
+  }
+  if (queryMode && !RAGSystem.QUERY_MODES.includes(queryMode)) {
+    return `queryMode must be one of: ${RAGSystem.QUERY_MODES.join(', ')}`;
+  }
+  if (filter !== undefined) {
+    try {
+      validateFilter(filter);
+    } catch (error) {
+      return `Invalid filter: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+// Check a number of chunks to retrieve, returning an error message or null
+function validateTopK(topK) {
+  if (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K) {
+    return `topK must be an integer between 1 and ${MAX_TOP_K}`;
+  }
+  return null;
+}
+
+// Check a hybrid search weight, returning an error message or null
+function validateHybridWeight(hybridWeight) {
+  try {
+    RAGSystem.parseHybridWeight(hybridWeight);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+// Check per-request reranking parameters, returning an error message or
+// null
+function validateReranking(rerank, mmrLambda) {
+  if (rerank && !RAGSystem.RERANKERS.includes(rerank)) {
+    return `rerank must be one of: ${RAGSystem.RERANKERS.join(', ')}`;
+  }
+  try {
+    RAGSystem.parseMMRLambda(mmrLambda);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+// Check a per-request generation provider and model for a RAG system,
+// returning an error message or null
+function validateGeneration(rag, provider, model) {
+  if (provider && !RAGSystem.GENERATION_PROVIDERS.includes(provider)) {
+    return `provider must be one of: ${RAGSystem.GENERATION_PROVIDERS.join(
+      ', '
+    )}`;
+  }
+  if (
+    model !== undefined &&
+    (typeof model !== 'string' || model.length === 0 || model.length > 200)
+  ) {
+    return 'model must be a model name of at most 200 characters';
+  }
+  try {
+    rag.textGenerator.checkModel(provider, model);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+// Check a per-request prompt template and context order, returning an
+// error message or null
+function validatePrompt(template, contextOrder) {
+  if (template !== undefined && !collections.prompts.has(template)) {
+    return `Unknown prompt template "${template}"`;
+  }
+  if (contextOrder && !RAGSystem.CONTEXT_ORDERS.includes(contextOrder)) {
+    return `contextOrder must be one of: ${RAGSystem.CONTEXT_ORDERS.join(
+      ', '
+    )}`;
+  }
+  return null;
+}
+
+// Check per-request abstention thresholds, returning an error message or
+// null
+function validateAbstention(minSimilarity, minKeywordMatch) {
+  try {
+    parseThreshold(minSimilarity, 'minSimilarity');
+    parseThreshold(minKeywordMatch, 'minKeywordMatch');
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+// Check the settings of a /api/config request against the RAG system
+// they're for, returning an error message or null
+function validateConfig(rag, body) {
+  const {
+    chunkSize,
+    topK,
+    retrievalMode,
+    hybridWeight,
+    reranker,
+    mmrLambda,
+    rerankCandidates,
+    queryMode,
+    generationProvider,
+    generationModel,
+    promptTemplate,
+    contextOrder,
+    contextTokenBudget,
+    minSimilarity,
+    minKeywordMatch,
+  } = body;
+  if (chunkSize && !(Number.isInteger(Number(chunkSize)) && chunkSize >= 1)) {
+    return 'chunkSize must be a positive integer';
+  }
+  try {
+    parseChunking(rag, body);
+  } catch (error) {
+    return error.message;
+  }
+  if (topK !== undefined) {
+    const topKError = validateTopK(topK);
+    if (topKError) {
+      return topKError;
+    }
+  }
+  if (retrievalMode && !RAGSystem.RETRIEVAL_MODES.includes(retrievalMode)) {
+    return `retrievalMode must be one of: ${RAGSystem.RETRIEVAL_MODES.join(
+      ', '
+    )}`;
+  }
+  if (queryMode && !RAGSystem.QUERY_MODES.includes(queryMode)) {
+    return `queryMode must be one of: ${RAGSystem.QUERY_MODES.join(', ')}`;
+  }
+  if (
+    rerankCandidates !== undefined &&
+    !(Number.isInteger(Number(rerankCandidates)) && rerankCandidates >= 1)
+  ) {
+    return 'rerankCandidates must be a positive integer';
+  }
+  if (promptTemplate && !collections.prompts.has(promptTemplate)) {
+    return `Unknown prompt template "${promptTemplate}"`;
+  }
+  if (
+    contextOrder !== undefined &&
+    !RAGSystem.CONTEXT_ORDERS.includes(contextOrder)
+  ) {
+    return `contextOrder must be one of: ${RAGSystem.CONTEXT_ORDERS.join(
+      ', '
+    )}`;
+  }
+  if (
+    contextTokenBudget !== undefined &&
+    contextTokenBudget !== null &&
+    !(Number.isInteger(Number(contextTokenBudget)) && contextTokenBudget >= 1)
+  ) {
+    return 'contextTokenBudget must be a positive integer or null';
+  }
+  if (reranker) {
+    // Creating it checks the reranker's own configuration
+    try {
+      rag.getReranker(reranker);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  return (
+    validateHybridWeight(hybridWeight) ||
+    validateReranking(reranker, mmrLambda) ||
+    validateGeneration(rag, generationProvider, generationModel) ||
+    validateAbstention(minSimilarity, minKeywordMatch)
+  );
+}
+
+// Start a background job indexing an uploaded file into the request's
+// collection. Returns the file's entry for the upload response.
+async function queueUpload(req, file, options) {
+  const fileType = path.extname(file.originalname).substring(1);
+  const archive = options.source || {};
+  const entry = { filename: file.originalname, ...archive };
+  const { rag } = req;
+  try {
+    const job = ingestionJobs.enqueue(
+      'upload',
+      {
+        collection: req.collectionName,
+        filename: file.originalname,
+        size: file.size,
+        ...archive,
+      },
+      ({ signal, update }) =>
+        ingestUpload(rag, file, fileType, {
+          ...options,
+          signal,
+          onProgress: ({ stage, ...progress }) => update({ stage, progress }),
+        })
+    );
+    return { ...entry, success: true, jobId: job.id, job };
+  } catch (error) {
+    await removeUploadedFile(file.path);
+    return { ...entry, success: false, error: error.message };
+  }
+}
+
+// Unpack an uploaded ZIP archive into the uploads folder and queue each
+// supported file in it as its own document, with its path in the archive
+// kept as the document's source. The archive itself is not kept.
+async function queueArchive(req, file, options) {
+  const results = [];
+  try {
+    const buffer = await fs.promises.readFile(file.path);
+    const entries = expandZip(buffer, {
+      maxEntries: MAX_ARCHIVE_ENTRIES,
+      maxEntrySize: MAX_FILE_SIZE,
+      maxTotalSize: MAX_ARCHIVE_TOTAL_SIZE,
+      accept: (archivePath) =>
+        extractors.isSupported({ extension: path.extname(archivePath) }),
+    });
+    const timestamp = Date.now();
+    let index = 0;
+    for (const entry of entries) {
+      const filename = path.posix.basename(entry.archivePath);
+      const source = {
+        archive: file.originalname,
+        archivePath: entry.archivePath,
+      };
+      if (entry.skipped) {
+        results.push({
+          filename,
+          ...source,
+          success: false,
+          error: entry.skipped,
+        });
+        continue;
+      }
+      // Archive paths are never used as file system paths
+      const filePath = path.join(
+        collectionUploadDir(req.collectionName),
+        `${timestamp}-${index++}-${filename}`
+      );
+      await fs.promises.writeFile(filePath, entry.buffer);
+      results.push(
+        await queueUpload(
+          req,
+          { path: filePath, originalname: filename, size: entry.buffer.length },
+          { ...options, source }
+        )
+      );
+    }
+    if (results.length === 0) {
+      results.push({
+        filename: file.originalname,
+        success: false,
+        error: 'Archive contains no files',
+      });
+    }
+  } catch (error) {
+    results.push({
+      filename: file.originalname,
+      success: false,
+      error: `Could not read archive: ${error.message}`,
+    });
+  } finally {
+    await removeUploadedFile(file.path);
+  }
+  return results;
+}
+
+// Index an uploaded file; the body of an upload job. Resolves to the
+// message and data the upload route used to respond with, and throws if
+// the document could not be added.
+async function ingestUpload(rag, file, fileType, options) {
+  const result = await rag.addDocument(file.path, fileType, {
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    ...options,
+  });
+
+  if (!result.success) {
+    if (result.cancelled) {
+      await removeUploadedFile(file.path);
+    }
+    throw new Error(result.error);
+  }
+  if (result.duplicate) {
+    // Same content is already indexed; drop the redundant copy
+    await removeUploadedFile(file.path);
+    return {
+      message: `This file was already uploaded as "${result.document.originalName}". No new chunks added.`,
+      data: {
+        filename: file.originalname,
+        documentId: result.documentId,
+        duplicate: true,
+        chunksAdded: 0,
+        totalDocuments: result.totalDocuments,
+      },
+    };
+  }
+
+  const failedNote =
+    result.chunksFailed > 0
+      ? ` ${result.chunksFailed} chunks failed to embed and can be retried.`
+      : '';
+  return {
+    message: `Document processed successfully! Added ${result.chunksAdded} chunks.${failedNote}`,
+    data: {
+      filename: file.originalname,
+      documentId: result.documentId,
+      chunksAdded: result.chunksAdded,
+      chunksFailed: result.chunksFailed,
+      failedChunks: result.failedChunks,
+      retries: result.embedding.retries,
+      embeddingMs: result.embedding.durationMs,
+      durationMs: result.durationMs,
+      totalDocuments: result.totalDocuments,
+    },
+  };
+}
+
+// Per-request chunking overrides (chunkStrategy, chunkSize, chunkOverlap,
+// chunkUnit from a form or JSON body). Throws if they are invalid; returns
+// null when none are given.
+function parseChunking(rag, body = {}) {
+  const chunking = {};
+  if (body.chunkStrategy) {
+    chunking.strategy = body.chunkStrategy;
+  }
+  if (body.chunkUnit) {
+    chunking.unit = body.chunkUnit;
+  }
+  if (body.chunkSize) {
+    chunking.chunkSize = Number(body.chunkSize);
+  }
+  if (body.chunkOverlap !== undefined && body.chunkOverlap !== '') {
+    chunking.chunkOverlap = Number(body.chunkOverlap);
+  }
+  if (Object.keys(chunking).length === 0) {
+    return null;
+  }
+  rag.documentProcessor.chunkingOptions(chunking);
+  return chunking;
+}
+
+// Crawl path patterns: an array of globs or a comma-separated string
+function parsePatterns(value) {
+  if (!value) {
+    return [];
+  }
+  return []
+    .concat(value)
+    .join(',')
+    .split(',')
+    .map((pattern) => pattern.trim())
+    .filter((pattern) => pattern.length > 0);
+}
+
+// Parse upload tags: repeated `tags` fields and/or comma-separated lists
+function parseTags(value) {
+  if (!value) {
+    return [];
+  }
+  return []
+    .concat(value)
+    .join(',')
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter((tag) => tag.length > 0);
+}
+
 // Routes
 
 // Home page
@@ -60,42 +641,210 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
-// Upload and process document
-app.post('/api/upload', upload.single('document'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({
+// Upload one or more documents and ZIP archives (repeated `document`
+// fields). Every document, and every file in an archive, is indexed in its
+// own background job; the response lists the job or the error per file.
+api.post(
+  '/upload',
+  requireScope('ingest'),
+  limitUploads,
+  upload.array('document', MAX_FILES),
+  async (req, res) => {
+    try {
+      const uploaded = req.files || [];
+      const rejected = req.rejectedFiles || [];
+      if (uploaded.length === 0 && rejected.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded',
+        });
+      }
+
+      let chunking;
+      try {
+        chunking = parseChunking(req.rag, req.body);
+      } catch (error) {
+        await Promise.all(
+          uploaded.map((file) => removeUploadedFile(file.path))
+        );
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      const options = { chunking, tags: parseTags(req.body.tags) };
+
+      console.log(`\n=== File Upload Request (${uploaded.length} files) ===`);
+      const files = [...rejected];
+      for (const file of uploaded) {
+        console.log(
+          `File: ${file.originalname} (${file.size} bytes, ${file.mimetype})`
+        );
+        if (isZipArchive(file.originalname)) {
+          files.push(...(await queueArchive(req, file, options)));
+        } else if (file.size > MAX_FILE_SIZE) {
+          await removeUploadedFile(file.path);
+          files.push({
+            filename: file.originalname,
+            success: false,
+            error: `File too large (limit ${MAX_FILE_SIZE} bytes)`,
+          });
+        } else {
+          files.push(await queueUpload(req, file, options));
+        }
+      }
+
+      const queued = files.filter((file) => file.success).length;
+      if (queued === 0) {
+        return res.status(400).json({
+          success: false,
+          error:
+            files.length === 1 ? files[0].error : 'No file could be processed',
+          data: { files },
+        });
+      }
+      res.status(202).json({
+        success: true,
+        message: `Processing ${queued} of ${files.length} files in the background`,
+        data: { files },
+      });
+    } catch (error) {
+      console.error('Upload error:', error);
+      res.status(500).json({
         success: false,
-        error: 'No file uploaded',
+        error: error.message,
       });
     }
+  }
+);
 
-    console.log(`\n=== File Upload Request ===`);
-    console.log(`File: ${req.file.originalname}`);
-    console.log(`Size: ${req.file.size} bytes`);
-    console.log(`Type: ${req.file.mimetype}`);
+// List recent ingestion jobs
+app.get('/api/jobs', requireScope('read'), (req, res) => {
+  res.json({
+    success: true,
+    data: ingestionJobs.list(),
+  });
+});
 
-    const filePath = req.file.path;
-    const fileType = path.extname(req.file.originalname).substring(1);
+// Status of one ingestion job
+app.get('/api/jobs/:id', requireScope('read'), (req, res) => {
+  const job = ingestionJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+    });
+  }
+  res.json({
+    success: true,
+    data: job,
+  });
+});
+
+// Follow a job as Server-Sent Events: a `job` event with the full job on
+// every change, ending once the job has finished
+app.get('/api/jobs/:id/events', requireScope('read'), (req, res) => {
+  const job = ingestionJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+    });
+  }
+
+  const sendEvent = startEventStream(res);
+  sendEvent('job', job);
+  if (ingestionJobs.isFinished(job)) {
+    return res.end();
+  }
 
-    // Process the document
-    const result = await ragSystem.addDocument(filePath, fileType);
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id) {
+      return;
+    }
+    sendEvent('job', updated);
+    if (ingestionJobs.isFinished(updated)) {
+      ingestionJobs.off('update', onUpdate);
+      res.end();
+    }
+  };
+  ingestionJobs.on('update', onUpdate);
+  res.on('close', () => ingestionJobs.off('update', onUpdate));
+});
+
+// Cancel a queued or running job
+app.delete('/api/jobs/:id', requireScope('ingest'), (req, res) => {
+  const job = ingestionJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+    });
+  }
+  if (ingestionJobs.isFinished(job)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${job.status}`,
+    });
+  }
+  res.json({
+    success: true,
+    message: 'Job cancelled',
+    data: ingestionJobs.cancel(job.id),
+  });
+});
+
+// Crawl a website from a start URL and add its pages as documents
+api.post('/ingest/url', requireScope('ingest'), async (req, res) => {
+  try {
+    const { url, maxDepth = 1, maxPages = 20, include, exclude } = req.body;
+
+    let parsedUrl = null;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      // reported below
+    }
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return res.status(400).json({
+        success: false,
+        error: 'url must be an absolute http(s) URL',
+      });
+    }
+    if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > 5) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxDepth must be an integer from 0 to 5',
+      });
+    }
+    if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > 200) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxPages must be an integer from 1 to 200',
+      });
+    }
+
+    const result = await req.rag.ingestUrl(parsedUrl.href, {
+      maxDepth,
+      maxPages,
+      include: parsePatterns(include),
+      exclude: parsePatterns(exclude),
+      tags: parseTags(req.body.tags),
+      saveDir: collectionUploadDir(req.collectionName),
+    });
 
     if (result.success) {
+      const added = result.pages.filter((page) => page.status !== 'failed');
       res.json({
         success: true,
-        message: `Document processed successfully! Added ${result.chunksAdded} chunks.`,
-        data: {
-          filename: req.file.originalname,
-          chunksAdded: result.chunksAdded,
-          totalDocuments: result.totalDocuments,
-        },
+        message: `Ingested ${added.length} pages (${result.chunksAdded} chunks), skipped ${result.skipped.length}`,
+        data: result,
       });
     } else {
       res.status(500).json(result);
     }
   } catch (error) {
-    console.error('Upload error:', error);
+    console.error('URL ingest error:', error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -104,22 +853,58 @@ app.post('/api/upload', upload.single('document'), async (req, res) => {
 });
 
 // Ask a question
-app.post('/api/ask', async (req, res) => {
+api.post('/ask', requireScope('read'), limitQuestions, async (req, res) => {
   try {
-    const { question, topK = 3 } = req.body;
+    const {
+      question,
+      topK = 3,
+      mode,
+      hybridWeight,
+      filter,
+      rerank,
+      mmrLambda,
+      queryMode,
+      provider,
+      model,
+      template,
+      contextOrder,
+      minSimilarity,
+      minKeywordMatch,
+    } = req.body;
 
-    if (!question) {
+    const validationError =
+      validateQuestion(question, mode, filter, queryMode, topK) ||
+      validateHybridWeight(hybridWeight) ||
+      validateReranking(rerank, mmrLambda) ||
+      validateGeneration(req.rag, provider, model) ||
+      validatePrompt(template, contextOrder) ||
+      validateAbstention(minSimilarity, minKeywordMatch);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Question is required',
+        error: validationError,
       });
     }
 
     console.log(`\n=== Question API Request ===`);
     console.log(`Question: ${question}`);
     console.log(`Top K: ${topK}`);
+    console.log(`Mode: ${mode || req.rag.retrievalMode}`);
 
-    const result = await ragSystem.askQuestion(question, topK);
+    const result = await req.rag.askQuestion(question, topK, {
+      mode,
+      hybridWeight,
+      filter,
+      rerank,
+      mmrLambda,
+      queryMode,
+      provider,
+      model,
+      template,
+      contextOrder,
+      minSimilarity,
+      minKeywordMatch,
+    });
 
     res.json(result);
   } catch (error) {
@@ -131,10 +916,338 @@ app.post('/api/ask', async (req, res) => {
   }
 });
 
+// List uploaded documents
+api.get('/documents', requireScope('read'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: req.rag.listDocuments(),
+    });
+  } catch (error) {
+    console.error('List documents error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Inspect one document and its chunks
+api.get('/documents/:id', requireScope('read'), (req, res) => {
+  try {
+    const document = req.rag.getDocument(req.params.id, true);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+      });
+    }
+    res.json({
+      success: true,
+      data: document,
+    });
+  } catch (error) {
+    console.error('Get document error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Delete one document, its chunks and its uploaded file
+api.delete('/documents/:id', requireScope('admin'), async (req, res) => {
+  try {
+    if (!req.rag.getDocument(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+      });
+    }
+    const result = req.rag.deleteDocument(req.params.id);
+    await removeUploadedFile(result.document.filePath);
+    res.json({
+      success: true,
+      message: `Deleted "${result.document.originalName}" (${result.chunksRemoved} chunks)`,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Delete document error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Re-process a document with the current settings, or with new chunking
+// options given in the body (chunkStrategy, chunkSize, ...)
+api.post('/documents/:id/reindex', requireScope('ingest'), async (req, res) => {
+  try {
+    if (!req.rag.getDocument(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+      });
+    }
+    let chunking;
+    try {
+      chunking = parseChunking(req.rag, req.body || {});
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    const result = await req.rag.reindexDocument(req.params.id, {
+      chunking,
+    });
+    if (result.success) {
+      res.json({
+        success: true,
+        message: `Document reindexed into ${result.chunksAdded} chunks`,
+        data: result,
+      });
+    } else {
+      res.status(500).json(result);
+    }
+  } catch (error) {
+    console.error('Reindex error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Ask a question and stream the answer as Server-Sent Events:
+// `sources`, then `token` deltas, then `done` (or `error`)
+api.get(
+  '/ask/stream',
+  requireScope('read'),
+  limitQuestions,
+  async (req, res) => {
+    const {
+      question,
+      mode,
+      hybridWeight,
+      rerank,
+      mmrLambda,
+      queryMode,
+      provider,
+      model,
+      template,
+      contextOrder,
+      minSimilarity,
+      minKeywordMatch,
+    } = req.query;
+    const topK = req.query.topK === undefined ? 3 : Number(req.query.topK);
+
+    // The filter travels as a JSON string in the query
+    let filter;
+    try {
+      filter = req.query.filter ? JSON.parse(req.query.filter) : undefined;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'filter must be valid JSON',
+      });
+    }
+
+    const validationError =
+      validateQuestion(question, mode, filter, queryMode, topK) ||
+      validateHybridWeight(hybridWeight) ||
+      validateReranking(rerank, mmrLambda) ||
+      validateGeneration(req.rag, provider, model) ||
+      validatePrompt(template, contextOrder) ||
+      validateAbstention(minSimilarity, minKeywordMatch);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    console.log(`\n=== Streaming Question API Request ===`);
+    console.log(`Question: ${question}`);
+
+    await streamEvents(res, (signal) =>
+      req.rag.askQuestionStream(question, topK, {
+        mode,
+        hybridWeight,
+        filter,
+        rerank,
+        mmrLambda,
+        queryMode,
+        provider,
+        model,
+        template,
+        contextOrder,
+        minSimilarity,
+        minKeywordMatch,
+        signal,
+      })
+    );
+  }
+);
+
+// Chat sessions
+
+// Start a conversation
+api.post('/sessions', requireScope('read'), (req, res) => {
+  try {
+    const session = req.rag.createSession();
+    res.status(201).json({
+      success: true,
+      data: session,
+    });
+  } catch (error) {
+    console.error('Create session error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get a conversation and its messages
+api.get('/sessions/:id', requireScope('read'), (req, res) => {
+  const session = req.rag.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found',
+    });
+  }
+  res.json({
+    success: true,
+    data: session,
+  });
+});
+
+// Ask a (follow-up) question in a conversation. Send
+// `Accept: text/event-stream` to get the answer streamed like /api/ask/stream.
+api.post(
+  '/sessions/:id/messages',
+  requireScope('read'),
+  limitQuestions,
+  async (req, res) => {
+    try {
+      const {
+        question,
+        topK = 3,
+        mode,
+        hybridWeight,
+        filter,
+        rerank,
+        mmrLambda,
+        queryMode,
+        provider,
+        model,
+        template,
+        contextOrder,
+        minSimilarity,
+        minKeywordMatch,
+      } = req.body;
+
+      if (!req.rag.getSession(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found',
+        });
+      }
+
+      const validationError =
+        validateQuestion(question, mode, filter, queryMode, topK) ||
+        validateHybridWeight(hybridWeight) ||
+        validateReranking(rerank, mmrLambda) ||
+        validateGeneration(req.rag, provider, model) ||
+        validatePrompt(template, contextOrder) ||
+        validateAbstention(minSimilarity, minKeywordMatch);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError,
+        });
+      }
+
+      console.log(`\n=== Session Message API Request ===`);
+      console.log(`Session: ${req.params.id}`);
+      console.log(`Question: ${question}`);
+
+      if (req.get('Accept') === 'text/event-stream') {
+        return await streamEvents(res, (signal) =>
+          req.rag.askInSessionStream(req.params.id, question, topK, {
+            mode,
+            hybridWeight,
+            filter,
+            rerank,
+            mmrLambda,
+            queryMode,
+            provider,
+            model,
+            template,
+            contextOrder,
+            minSimilarity,
+            minKeywordMatch,
+            signal,
+          })
+        );
+      }
+
+      const result = await req.rag.askInSession(req.params.id, question, topK, {
+        mode,
+        hybridWeight,
+        filter,
+        rerank,
+        mmrLambda,
+        queryMode,
+        provider,
+        model,
+        template,
+        contextOrder,
+        minSimilarity,
+        minKeywordMatch,
+      });
+      res.json(result);
+    } catch (error) {
+      console.error('Session message error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Embed the chunks of a document that failed during ingestion again
+api.post('/documents/:id/retry', requireScope('ingest'), async (req, res) => {
+  try {
+    if (!req.rag.getDocument(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+      });
+    }
+    const result = await req.rag.retryFailedChunks(req.params.id);
+    res.json({
+      success: true,
+      message: `Embedded ${result.chunksAdded} chunks, ${result.chunksFailed} still failing`,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Retry error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // Get system statistics
-app.get('/api/stats', (req, res) => {
+api.get('/stats', requireScope('read'), (req, res) => {
   try {
-    const stats = ragSystem.getStats();
+    const stats = req.rag.getStats();
     res.json({
       success: true,
       data: stats,
@@ -148,10 +1261,30 @@ app.get('/api/stats', (req, res) => {
   }
 });
 
+// List the generation providers, their current models and the models
+// they offer; `provider` and `model` of /api/ask pick among them
+api.get('/models', requireScope('read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        default: req.rag.textGenerator.describe(),
+        providers: await req.rag.listModels(),
+      },
+    });
+  } catch (error) {
+    console.error('Models error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // Clear all documents
-app.delete('/api/clear', (req, res) => {
+api.delete('/clear', requireScope('admin'), (req, res) => {
   try {
-    const result = ragSystem.clearSystem();
+    const result = req.rag.clearSystem();
     res.json(result);
   } catch (error) {
     console.error('Clear error:', error);
@@ -162,19 +1295,122 @@ app.delete('/api/clear', (req, res) => {
   }
 });
 
+// List the file formats that can be uploaded
+app.get('/api/formats', requireScope('read'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      extensions: extractors.extensions(),
+      mimeTypes: extractors.mimeTypes(),
+      extractors: extractors.list(),
+      maxFileSize: MAX_FILE_SIZE,
+      maxFiles: MAX_FILES,
+      archives: {
+        extensions: ['.zip'],
+        maxSize: MAX_ARCHIVE_SIZE,
+        maxEntries: MAX_ARCHIVE_ENTRIES,
+        maxTotalSize: MAX_ARCHIVE_TOTAL_SIZE,
+      },
+    },
+  });
+});
+
 // Configure system settings
-app.post('/api/config', (req, res) => {
+api.post('/config', requireScope('admin'), (req, res) => {
   try {
-    const { chunkSize, topK } = req.body;
+    const {
+      chunkSize,
+      chunkStrategy,
+      chunkOverlap,
+      chunkUnit,
+      topK,
+      retrievalMode,
+      hybridWeight,
+      reranker,
+      mmrLambda,
+      rerankCandidates,
+      queryMode,
+      generationProvider,
+      generationModel,
+      promptTemplate,
+      contextOrder,
+      contextTokenBudget,
+      minSimilarity,
+      minKeywordMatch,
+    } = req.body;
+
+    // Check everything first so a rejected request changes nothing
+    const validationError = validateConfig(req.rag, req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
 
     const results = {};
 
-    if (chunkSize) {
-      results.chunkSize = ragSystem.setChunkSize(chunkSize);
+    if (chunkStrategy || chunkUnit || chunkOverlap !== undefined) {
+      results.chunking = req.rag.setChunking({
+        strategy: chunkStrategy,
+        unit: chunkUnit,
+        chunkSize,
+        chunkOverlap,
+      });
+    } else if (chunkSize) {
+      results.chunkSize = req.rag.setChunkSize(chunkSize);
+    }
+
+    if (topK !== undefined) {
+      results.topK = req.rag.setTopK(topK);
+    }
+
+    if (retrievalMode || hybridWeight !== undefined) {
+      results.retrievalMode = req.rag.setRetrievalMode(
+        retrievalMode || req.rag.retrievalMode,
+        hybridWeight
+      );
+    }
+
+    if (queryMode) {
+      results.queryMode = req.rag.setQueryMode(queryMode);
     }
 
-    if (topK) {
-      results.topK = ragSystem.setTopK(topK);
+    if (generationProvider || generationModel) {
+      results.generation = req.rag.setGeneration({
+        provider: generationProvider,
+        model: generationModel,
+      });
+    }
+
+    if (promptTemplate) {
+      results.promptTemplate = req.rag.setPromptTemplate(promptTemplate);
+    }
+
+    if (contextOrder !== undefined || contextTokenBudget !== undefined) {
+      results.contextPacking = req.rag.setContextPacking({
+        order: contextOrder,
+        tokenBudget: contextTokenBudget,
+      });
+    }
+
+    if (minSimilarity !== undefined || minKeywordMatch !== undefined) {
+      results.abstention = req.rag.setAbstention({
+        minSimilarity,
+        minKeywordMatch,
+      });
+    }
+
+    if (
+      reranker !== undefined ||
+      mmrLambda !== undefined ||
+      rerankCandidates !== undefined
+    ) {
+      results.reranking = req.rag.setReranking({
+        reranker,
+        mmrLambda,
+        candidates: rerankCandidates,
+      });
     }
 
     res.json({
@@ -191,8 +1427,220 @@ app.post('/api/config', (req, res) => {
   }
 });
 
+// List collections with their settings and sizes
+app.get('/api/collections', requireScope('read'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: collections.list(),
+    });
+  } catch (error) {
+    console.error('Collections error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Create a collection: { name, description, chunking, embedding,
+// generation, prompt, template }
+app.post('/api/collections', requireScope('admin'), (req, res) => {
+  try {
+    const collection = collections.create(req.body || {});
+    res.status(201).json({
+      success: true,
+      message: `Collection "${collection.name}" created`,
+      data: collection,
+    });
+  } catch (error) {
+    res.status(error.code === 'COLLECTION_EXISTS' ? 409 : 400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.get('/api/collections/:name', requireScope('read'), (req, res) => {
+  const collection = collections.describe(req.params.name);
+  if (!collection) {
+    return res.status(404).json({
+      success: false,
+      error: 'Collection not found',
+    });
+  }
+  res.json({
+    success: true,
+    data: collection,
+  });
+});
+
+// Delete a collection with its documents, index and uploaded files
+app.delete(
+  '/api/collections/:name',
+  requireScope('admin'),
+  async (req, res) => {
+    const { name } = req.params;
+    try {
+      if (name === DEFAULT_COLLECTION) {
+        return res.status(400).json({
+          success: false,
+          error: 'The default collection cannot be deleted, clear it instead',
+        });
+      }
+      if (!collections.has(name)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Collection not found',
+        });
+      }
+      ingestionJobs
+        .list()
+        .filter((job) => job.details.collection === name)
+        .forEach((job) => ingestionJobs.cancel(job.id));
+      collections.remove(name);
+      await fs.promises.rm(collectionUploadDir(name), {
+        recursive: true,
+        force: true,
+      });
+      res.json({
+        success: true,
+        message: `Collection "${name}" deleted`,
+      });
+    } catch (error) {
+      console.error('Delete collection error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Prompt templates, shared by all collections
+
+// List prompt templates
+app.get('/api/prompts', requireScope('read'), (req, res) => {
+  res.json({
+    success: true,
+    data: collections.prompts.list(),
+  });
+});
+
+// Create a prompt template: { name, description, template }
+app.post('/api/prompts', requireScope('admin'), (req, res) => {
+  try {
+    const template = collections.prompts.create(req.body || {});
+    res.status(201).json({
+      success: true,
+      message: `Prompt template "${template.name}" created`,
+      data: template,
+    });
+  } catch (error) {
+    res.status(error.code === 'TEMPLATE_EXISTS' ? 409 : 400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.get('/api/prompts/:name', requireScope('read'), (req, res) => {
+  const template = collections.prompts.get(req.params.name);
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: 'Prompt template not found',
+    });
+  }
+  res.json({
+    success: true,
+    data: template,
+  });
+});
+
+// Change a prompt template: { template, description }
+app.put('/api/prompts/:name', requireScope('admin'), (req, res) => {
+  try {
+    const template = collections.prompts.update(
+      req.params.name,
+      req.body || {}
+    );
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt template not found',
+      });
+    }
+    res.json({
+      success: true,
+      message: `Prompt template "${template.name}" updated`,
+      data: template,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Delete a prompt template no collection uses by default
+app.delete('/api/prompts/:name', requireScope('admin'), (req, res) => {
+  try {
+    const { name } = req.params;
+    const users = collections.usingTemplate(name);
+    if (users.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Prompt template "${name}" is used by: ${users.join(', ')}`,
+      });
+    }
+    if (!collections.prompts.remove(name)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt template not found',
+      });
+    }
+    res.json({
+      success: true,
+      message: `Prompt template "${name}" deleted`,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Point the collection routes at the collection named in the URL, or at
+// the default collection for the plain /api routes
+function useCollection(req, res, next) {
+  const name = req.params.name || DEFAULT_COLLECTION;
+  if (!collections.has(name)) {
+    return res.status(404).json({
+      success: false,
+      error: `Collection "${name}" not found`,
+    });
+  }
+  req.collectionName = name;
+  req.rag = collections.get(name);
+  next();
+}
+
+app.use('/api/collections/:name', useCollection, api);
+app.use('/api', useCollection, api);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    // Too many files, a file over the size limit, an unexpected field
+    (req.files || []).forEach((file) => removeUploadedFile(file.path));
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      error: error.message,
+    });
+  }
   console.error('Express error:', error);
   res.status(500).json({
     success: false,
@@ -205,8 +1653,17 @@ app.listen(PORT, () => {
   console.log(`\n🚀 RAG Application Server Started!`);
   console.log(`📍 Server running on: http://localhost:${PORT}`);
   console.log(`📁 Upload endpoint: http://localhost:${PORT}/api/upload`);
+  console.log(`📋 Jobs endpoint: http://localhost:${PORT}/api/jobs`);
+  console.log(
+    `🗂️  Collections endpoint: http://localhost:${PORT}/api/collections`
+  );
+  console.log(
+    `🌐 URL ingest endpoint: http://localhost:${PORT}/api/ingest/url`
+  );
   console.log(`❓ Question endpoint: http://localhost:${PORT}/api/ask`);
+  console.log(`📡 Streaming endpoint: http://localhost:${PORT}/api/ask/stream`);
   console.log(`📊 Stats endpoint: http://localhost:${PORT}/api/stats`);
+  console.log(`📚 Documents endpoint: http://localhost:${PORT}/api/documents`);
   console.log(`\n=== Ready to process documents and answer questions! ===\n`);
 });
 
@@ -0,0 +1,101 @@
+const path = require('path');
+const ZipReader = require('./zipReader');
+
+// Clean up a path stored in an archive. Returns null for paths that could
+// escape the directory they are unpacked to: absolute paths, drive letters
+// and ".." segments.
+function safeArchivePath(name) {
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+    return null;
+  }
+  const segments = normalized
+    .split('/')
+    .filter((segment) => segment !== '' && segment !== '.');
+  if (segments.length === 0 || segments.includes('..')) {
+    return null;
+  }
+  return segments.join('/');
+}
+
+// Files in an archive that aren't content: macOS resource forks and
+// hidden files such as .DS_Store
+function isJunkPath(archivePath) {
+  return archivePath
+    .split('/')
+    .some((segment) => segment === '__MACOSX' || segment.startsWith('.'));
+}
+
+// Unpack the files of a ZIP archive held in memory, one at a time so only
+// one file's content is held at once. Yields { archivePath, buffer } for
+// each file, or { archivePath, skipped } with the reason a file was left
+// out: an unsafe path, rejected by accept(archivePath), larger than
+// maxEntrySize, or past maxTotalSize bytes unpacked in all. Throws if the
+// archive can't be read or has more than maxEntries files.
+function* expandZip(buffer, options = {}) {
+  const maxEntries = options.maxEntries ?? 500;
+  const maxEntrySize = options.maxEntrySize ?? Infinity;
+  const maxTotalSize = options.maxTotalSize ?? Infinity;
+  const accept = options.accept || (() => true);
+
+  const zip = new ZipReader(buffer);
+  const entries = zip.entries.filter((entry) => !entry.directory);
+  if (entries.length > maxEntries) {
+    throw new Error(
+      `Archive has ${entries.length} files, the limit is ${maxEntries}`
+    );
+  }
+
+  let totalSize = 0;
+  for (const entry of entries) {
+    const archivePath = safeArchivePath(entry.name);
+    if (!archivePath) {
+      yield { archivePath: entry.name, skipped: 'unsafe path' };
+      continue;
+    }
+    if (isJunkPath(archivePath)) {
+      continue;
+    }
+    if (!accept(archivePath)) {
+      yield { archivePath, skipped: 'unsupported file type' };
+      continue;
+    }
+    if (entry.size > maxEntrySize) {
+      yield { archivePath, skipped: 'file too large' };
+      continue;
+    }
+    if (totalSize + entry.size > maxTotalSize) {
+      yield { archivePath, skipped: 'archive size limit reached' };
+      continue;
+    }
+
+    let data;
+    try {
+      // Cap by what is left of the budget too: declared sizes can lie
+      data = zip.read(entry, Math.min(maxEntrySize, maxTotalSize - totalSize));
+    } catch (error) {
+      yield {
+        archivePath,
+        skipped:
+          error.code === 'ERR_BUFFER_TOO_LARGE'
+            ? 'file too large'
+            : error.message,
+      };
+      continue;
+    }
+    totalSize += data.length;
+    yield { archivePath, buffer: data };
+  }
+}
+
+// Is this upload a ZIP archive to unpack (rather than a ZIP-based document
+// format like DOCX or EPUB)?
+function isZipArchive(filename) {
+  return path.extname(filename).toLowerCase() === '.zip';
+}
+
+module.exports = {
+  expandZip,
+  isZipArchive,
+  safeArchivePath,
+};
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { writeFileAtomic, readJSON } = require('./storage');
+
+const SCOPES = ['read', 'ingest', 'admin'];
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// A new random key, shown once and stored only as its hash
+function generateKey() {
+  return `rag_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function assertScopes(scopes) {
+  const unknown = scopes.find((scope) => !SCOPES.includes(scope));
+  if (unknown || scopes.length === 0) {
+    throw new Error(
+      `Invalid scope "${unknown || ''}". Use one or more of: ${SCOPES.join(
+        ', '
+      )}`
+    );
+  }
+}
+
+// Parse API_KEYS: comma-separated "name:scope+scope:sha256-hex" entries
+function parseKeyList(value) {
+  if (!value) {
+    return [];
+  }
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .map((entry) => {
+      const [name, scopes, hash] = entry.split(':');
+      if (!name || !scopes || !/^[0-9a-f]{64}$/i.test(hash || '')) {
+        throw new Error(
+          `Invalid API_KEYS entry "${entry}", expected name:scope+scope:sha256`
+        );
+      }
+      return { name, scopes: scopes.split('+'), hash: hash.toLowerCase() };
+    });
+}
+
+// API keys with their scopes. Keys are only ever stored as SHA-256 hashes,
+// in a JSON file ({ keys: [{ name, hash, scopes, createdAt }] }) and/or
+// the API_KEYS environment variable. With no keys configured,
+// authentication is off. The key file is read again when it changes, so
+// keys created or revoked by another process (npm run keys) take effect
+// without a restart.
+class ApiKeyStore {
+  constructor(options = {}) {
+    this.persistPath = options.persistPath || null;
+    this.envKeys = parseKeyList(options.keyList);
+    this.load();
+    if (this.keys.size > 0) {
+      console.log(`API key authentication enabled (${this.keys.size} keys)`);
+    }
+  }
+
+  load() {
+    this.fileKeys = this.persistPath
+      ? readJSON(this.persistPath, { keys: [] }).keys
+      : [];
+    this.fileModifiedAt = this.modifiedAt();
+    this.keys = new Map();
+    [...this.fileKeys, ...this.envKeys].forEach((key) => {
+      assertScopes(key.scopes);
+      this.keys.set(key.hash, key);
+    });
+  }
+
+  // Modification time of the key file, null if there is none
+  modifiedAt() {
+    if (!this.persistPath) {
+      return null;
+    }
+    try {
+      return fs.statSync(this.persistPath).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Load the key file again if it changed since it was read
+  refresh() {
+    if (this.modifiedAt() !== this.fileModifiedAt) {
+      this.load();
+    }
+  }
+
+  get enabled() {
+    this.refresh();
+    return this.keys.size > 0;
+  }
+
+  // The key record for a presented key, or null
+  verify(key) {
+    if (!key) {
+      return null;
+    }
+    this.refresh();
+    const hash = hashKey(key);
+    const record = this.keys.get(hash);
+    // Compare in constant time, the map lookup only narrows it down
+    if (
+      record &&
+      crypto.timingSafeEqual(Buffer.from(record.hash), Buffer.from(hash))
+    ) {
+      return record;
+    }
+    return null;
+  }
+
+  hasScope(record, scope) {
+    return record.scopes.includes('admin') || record.scopes.includes(scope);
+  }
+
+  // Create a key, save its hash to the key file and return the key itself
+  create(name, scopes) {
+    if (!this.persistPath) {
+      throw new Error('No API key file configured');
+    }
+    assertScopes(scopes);
+    if (this.fileKeys.some((key) => key.name === name)) {
+      throw new Error(`An API key named "${name}" already exists`);
+    }
+    const key = generateKey();
+    const record = {
+      name,
+      hash: hashKey(key),
+      scopes,
+      createdAt: new Date().toISOString(),
+    };
+    this.fileKeys.push(record);
+    this.keys.set(record.hash, record);
+    this.save();
+    return key;
+  }
+
+  // Remove a key from the key file
+  revoke(name) {
+    const record = this.fileKeys.find((key) => key.name === name);
+    if (!record) {
+      return false;
+    }
+    this.fileKeys = this.fileKeys.filter((key) => key !== record);
+    this.keys.delete(record.hash);
+    this.save();
+    return true;
+  }
+
+  list() {
+    return Array.from(this.keys.values(), ({ name, scopes, createdAt }) => ({
+      name,
+      scopes,
+      createdAt: createdAt || null,
+    }));
+  }
+
+  save() {
+    writeFileAtomic(
+      this.persistPath,
+      JSON.stringify({ keys: this.fileKeys }, null, 2)
+    );
+    // Hashes are not secrets, but there is no reason for others to read them
+    fs.chmodSync(this.persistPath, 0o600);
+    this.fileModifiedAt = this.modifiedAt();
+  }
+}
+
+// Per-client token buckets: each client may make `capacity` requests in a
+// burst, refilled at `refillPerMinute`. take() answers whether a request
+// may go ahead. Buckets that have refilled completely are dropped every
+// `sweepIntervalMs`, since a full bucket is the same as none.
+class RateLimiter {
+  constructor(options = {}) {
+    this.capacity = options.capacity ?? 30;
+    this.refillPerMinute = options.refillPerMinute ?? this.capacity;
+    this.sweepIntervalMs = options.sweepIntervalMs ?? 60000;
+    this.buckets = new Map(); // client -> { tokens, updatedAt }
+    this.sweptAt = 0;
+  }
+
+  // Tokens a bucket holds at `now`
+  tokensAt(bucket, now) {
+    const refill = ((now - bucket.updatedAt) / 60000) * this.refillPerMinute;
+    return Math.min(this.capacity, bucket.tokens + refill);
+  }
+
+  // Drop the buckets of idle clients
+  sweep(now = Date.now()) {
+    this.buckets.forEach((bucket, client) => {
+      if (this.tokensAt(bucket, now) >= this.capacity) {
+        this.buckets.delete(client);
+      }
+    });
+    this.sweptAt = now;
+  }
+
+  // Spend a token for the client. Returns { allowed, remaining,
+  // retryAfter } with retryAfter in seconds when not allowed.
+  take(client, now = Date.now()) {
+    if (now - this.sweptAt >= this.sweepIntervalMs) {
+      this.sweep(now);
+    }
+    const bucket = this.buckets.get(client) || {
+      tokens: this.capacity,
+      updatedAt: now,
+    };
+    bucket.tokens = this.tokensAt(bucket, now);
+    bucket.updatedAt = now;
+    this.buckets.set(client, bucket);
+
+    if (bucket.tokens < 1) {
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfter: Math.ceil(
+          ((1 - bucket.tokens) / this.refillPerMinute) * 60
+        ),
+      };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens) };
+  }
+}
+
+module.exports = {
+  SCOPES,
+  ApiKeyStore,
+  RateLimiter,
+  hashKey,
+};
@@ -0,0 +1,295 @@
+// Chunking strategies. Every strategy returns chunks as
+// { text, start, end, sectionPath } where start/end are character offsets
+// of the chunk body in the text that was chunked and sectionPath lists the
+// headings the chunk sits under (heading strategy only).
+//
+//   fixed      character window broken at sentence or word ends (legacy)
+//   recursive  split on paragraphs, then lines, sentences and words, and
+//              pack the pieces into chunks of up to chunkSize
+//   heading    split at Markdown-style headings ("## Title", as produced by
+//              the extractors), chunk each section recursively and prefix
+//              every chunk with its heading path
+//   token      recursive, with sizes counted in tokens instead of characters
+
+const CHUNK_STRATEGIES = ['fixed', 'recursive', 'heading', 'token'];
+const CHUNK_UNITS = ['chars', 'tokens'];
+
+const DEFAULTS = {
+  chars: { chunkSize: 500, chunkOverlap: 50 },
+  // Capped at the embedding model's limit (256 for MiniLM)
+  tokens: { chunkSize: 512, chunkOverlap: 32 },
+};
+
+// Separators tried in order: paragraphs, lines, sentences, words
+const SEPARATORS = [/\n\s*\n/g, /\n/g, /(?<=[.!?])\s+/g, /\s+/g];
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*$/gm;
+
+// Approximate the token count of a subword tokenizer (BERT-style models
+// produce roughly one token per short word, more for long or rare words,
+// plus one per punctuation mark)
+function estimateTokens(text) {
+  const words = text.match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+  return words.reduce(
+    (count, word) => count + Math.max(1, Math.ceil(word.length / 6)),
+    0
+  );
+}
+
+// Validate and complete chunking options. maxTokens is the embedding
+// model's input limit, used as the ceiling for token-sized chunks.
+function resolveChunkingOptions(options = {}, maxTokens = 512) {
+  const strategy = options.strategy || 'fixed';
+  if (!CHUNK_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Invalid chunk strategy "${strategy}". Use one of: ${CHUNK_STRATEGIES.join(
+        ', '
+      )}`
+    );
+  }
+  const unit =
+    strategy === 'token'
+      ? 'tokens'
+      : strategy === 'fixed'
+      ? 'chars'
+      : options.unit || 'chars';
+  if (!CHUNK_UNITS.includes(unit)) {
+    throw new Error(`Invalid chunk unit "${unit}". Use chars or tokens`);
+  }
+
+  let chunkSize = Number(options.chunkSize || DEFAULTS[unit].chunkSize);
+  if (unit === 'tokens') {
+    chunkSize = Math.min(chunkSize, maxTokens);
+  }
+  const chunkOverlap = Number(
+    options.chunkOverlap ??
+      Math.floor(Math.min(DEFAULTS[unit].chunkOverlap, chunkSize / 4))
+  );
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error('chunkSize must be a positive integer');
+  }
+  if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0) {
+    throw new Error('chunkOverlap must be a non-negative integer');
+  }
+  if (chunkOverlap >= chunkSize) {
+    throw new Error('chunkOverlap must be smaller than chunkSize');
+  }
+  return { strategy, unit, chunkSize, chunkOverlap };
+}
+
+// Split text into chunks with the given (resolved) options
+function createChunks(text, options) {
+  const measure = options.unit === 'tokens' ? estimateTokens : (t) => t.length;
+  switch (options.strategy) {
+    case 'fixed':
+      return fixedChunks(text, options.chunkSize, options.chunkOverlap);
+    case 'heading':
+      return headingChunks(text, options, measure);
+    default:
+      return recursiveChunks(text, 0, text.length, options, measure).map(
+        (chunk) => ({ ...chunk, sectionPath: [] })
+      );
+  }
+}
+
+// Trim whitespace off a span, returning null if nothing is left
+function trimSpan(text, start, end) {
+  while (start < end && /\s/.test(text[start])) {
+    start++;
+  }
+  while (end > start && /\s/.test(text[end - 1])) {
+    end--;
+  }
+  return start < end ? { start, end } : null;
+}
+
+// The original character window, broken at sentence ends (or word ends)
+// in the second half of the window
+function fixedChunks(text, chunkSize, chunkOverlap) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + chunkSize, text.length);
+    if (end < text.length) {
+      const sentenceBoundary = Math.max(
+        text.lastIndexOf('.', end),
+        text.lastIndexOf('?', end),
+        text.lastIndexOf('!', end)
+      );
+      if (sentenceBoundary > start + chunkSize * 0.5) {
+        end = sentenceBoundary + 1;
+      } else {
+        const wordBoundary = text.lastIndexOf(' ', end);
+        if (wordBoundary > start + chunkSize * 0.5) {
+          end = wordBoundary;
+        }
+      }
+    }
+    const span = trimSpan(text, start, end);
+    if (span) {
+      chunks.push({ text: text.slice(span.start, span.end), ...span });
+    }
+    if (end >= text.length) {
+      break;
+    }
+    start = Math.max(end - chunkOverlap, start + 1);
+  }
+  return chunks.map((chunk) => ({ ...chunk, sectionPath: [] }));
+}
+
+// Break [start, end) into contiguous pieces no larger than the chunk size,
+// trying coarse separators first. Separators stay with the piece before.
+function splitSpan(text, start, end, options, measure, level = 0) {
+  if (measure(text.slice(start, end)) <= options.chunkSize) {
+    return [{ start, end }];
+  }
+  if (level >= SEPARATORS.length) {
+    // No separator left: cut a long run of characters into equal parts
+    const pieces = [];
+    const step =
+      options.unit === 'tokens' ? options.chunkSize * 4 : options.chunkSize;
+    for (let i = start; i < end; i += step) {
+      pieces.push({ start: i, end: Math.min(i + step, end) });
+    }
+    return pieces;
+  }
+
+  const separator = SEPARATORS[level];
+  const segment = text.slice(start, end);
+  const cuts = [];
+  separator.lastIndex = 0;
+  let match;
+  while ((match = separator.exec(segment)) !== null) {
+    if (match[0].length === 0) {
+      separator.lastIndex++;
+      continue;
+    }
+    cuts.push(start + match.index + match[0].length);
+  }
+  if (cuts.length === 0) {
+    return splitSpan(text, start, end, options, measure, level + 1);
+  }
+
+  const pieces = [];
+  let pieceStart = start;
+  cuts.concat(end).forEach((cut) => {
+    if (cut > pieceStart) {
+      pieces.push(
+        ...splitSpan(text, pieceStart, cut, options, measure, level + 1)
+      );
+      pieceStart = cut;
+    }
+  });
+  return pieces;
+}
+
+// Pack pieces into chunks of up to chunkSize, starting each new chunk with
+// up to chunkOverlap worth of the previous chunk's last pieces
+function recursiveChunks(text, start, end, options, measure) {
+  const size = options.chunkSize;
+  const pieces = splitSpan(text, start, end, options, measure).map((piece) => ({
+    ...piece,
+    size: measure(text.slice(piece.start, piece.end)),
+  }));
+
+  const chunks = [];
+  let current = [];
+  let currentSize = 0;
+  const emit = () => {
+    const span = trimSpan(
+      text,
+      current[0].start,
+      current[current.length - 1].end
+    );
+    if (span) {
+      chunks.push({ text: text.slice(span.start, span.end), ...span });
+    }
+  };
+
+  pieces.forEach((piece) => {
+    if (current.length > 0 && currentSize + piece.size > size) {
+      emit();
+      // Carry trailing pieces over as overlap
+      const carried = [];
+      let carriedSize = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (carriedSize + current[i].size > options.chunkOverlap) {
+          break;
+        }
+        carried.unshift(current[i]);
+        carriedSize += current[i].size;
+      }
+      current = carried;
+      currentSize = carriedSize;
+      while (current.length > 0 && currentSize + piece.size > size) {
+        currentSize -= current.shift().size;
+      }
+    }
+    current.push(piece);
+    currentSize += piece.size;
+  });
+  if (current.length > 0) {
+    emit();
+  }
+  return chunks;
+}
+
+// Chunk each heading-delimited section on its own and prefix its chunks
+// with the heading path ("Setup > Install"), so a chunk read in isolation
+// still says what it is about. Offsets cover the body, not the prefix.
+function headingChunks(text, options, measure) {
+  const sections = [];
+  const path = [];
+  let bodyStart = 0;
+  let currentPath = [];
+  HEADING_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = HEADING_PATTERN.exec(text)) !== null) {
+    sections.push({ path: currentPath, start: bodyStart, end: match.index });
+    const level = match[1].length;
+    path.length = Math.min(path.length, level - 1);
+    path[level - 1] = match[2];
+    currentPath = path.filter((heading) => heading !== undefined);
+    bodyStart = match.index + match[0].length;
+  }
+  sections.push({ path: currentPath, start: bodyStart, end: text.length });
+
+  const chunks = [];
+  sections.forEach((section) => {
+    if (!trimSpan(text, section.start, section.end)) {
+      return;
+    }
+    const prefix =
+      section.path.length > 0 ? `${section.path.join(' > ')}\n\n` : '';
+    // Leave room for the prefix, but never less than half the chunk
+    const available = Math.max(
+      Math.floor(options.chunkSize / 2),
+      options.chunkSize - measure(prefix)
+    );
+    const sectionOptions = {
+      ...options,
+      chunkSize: available,
+      chunkOverlap: Math.min(options.chunkOverlap, available - 1),
+    };
+    recursiveChunks(
+      text,
+      section.start,
+      section.end,
+      sectionOptions,
+      measure
+    ).forEach((chunk) => {
+      chunks.push({
+        ...chunk,
+        text: prefix + chunk.text,
+        sectionPath: section.path,
+      });
+    });
+  });
+  return chunks;
+}
+
+module.exports = {
+  CHUNK_STRATEGIES,
+  createChunks,
+  resolveChunkingOptions,
+  estimateTokens,
+};
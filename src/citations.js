@@ -0,0 +1,129 @@
+const { splitSentences, overlapScore } = require('./textUtils');
+
+// Minimum word overlap for an answer sentence to be attributed to a source
+const MIN_ATTRIBUTION_SCORE = 0.2;
+// [1], [2, 3] or [1,2]
+const MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Link an answer to the numbered sources (search results) it was generated
+// from. Markers written by the model are used when present; otherwise each
+// answer sentence is attributed to its best-matching source and markers are
+// inserted, so an answer always comes back with citations.
+function buildCitations(answer, sources) {
+  if (!answer || sources.length === 0) {
+    return { answer, citations: [] };
+  }
+
+  const citations = citationsFromMarkers(answer, sources, 'model');
+  if (citations.length > 0) {
+    return { answer, citations };
+  }
+
+  const annotated = attributeSentences(answer, sources);
+  return {
+    answer: annotated,
+    citations: citationsFromMarkers(annotated, sources, 'inferred'),
+  };
+}
+
+// One citation per (marker, answer sentence) pair found in the answer
+function citationsFromMarkers(answer, sources, attribution) {
+  const sentences = splitSentences(answer);
+  const citations = [];
+  const seen = new Set();
+  let match;
+
+  MARKER_PATTERN.lastIndex = 0;
+  while ((match = MARKER_PATTERN.exec(answer)) !== null) {
+    const position = match.index;
+    const sentence = sentences.find(
+      (s) => position >= s.start && position < s.end
+    ) ||
+      sentences.filter((s) => s.end <= position).pop() || {
+        text: answer,
+        start: 0,
+        end: answer.length,
+      };
+
+    match[1].split(',').forEach((value) => {
+      const marker = Number(value.trim());
+      const source = sources[marker - 1];
+      const key = `${marker}:${sentence.start}`;
+      if (!source || seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+
+      const claim = sentence.text.replace(MARKER_PATTERN, '').trim();
+      const sourceSpan = bestMatchingSpan(claim, source.document);
+      citations.push({
+        marker,
+        chunkId: source.metadata.id,
+        documentId: source.metadata.documentId,
+        filename: source.metadata.filename,
+        chunkIndex: source.metadata.chunkIndex,
+        answerSpan: { start: sentence.start, end: sentence.end },
+        sourceSpan: { start: sourceSpan.start, end: sourceSpan.end },
+        quote: sourceSpan.text,
+        attribution,
+      });
+    });
+  }
+  return citations;
+}
+
+// Insert a marker after every answer sentence that matches a source well
+// enough. If none does, the whole answer is attributed to the top source.
+function attributeSentences(answer, sources) {
+  const insertions = [];
+  splitSentences(answer).forEach((sentence) => {
+    let best = { index: -1, score: 0 };
+    sources.forEach((source, index) => {
+      const score = overlapScore(sentence.text, source.document);
+      if (score > best.score) {
+        best = { index, score };
+      }
+    });
+    if (best.score >= MIN_ATTRIBUTION_SCORE) {
+      insertions.push({
+        position: markerPosition(sentence.text, sentence.end),
+        marker: best.index + 1,
+      });
+    }
+  });
+
+  if (insertions.length === 0) {
+    const text = answer.trimEnd();
+    insertions.push({ position: markerPosition(text, text.length), marker: 1 });
+  }
+
+  let annotated = answer;
+  insertions.reverse().forEach(({ position, marker }) => {
+    annotated =
+      annotated.slice(0, position) + ` [${marker}]` + annotated.slice(position);
+  });
+  return annotated;
+}
+
+// Markers go before a sentence's closing punctuation: "... overheating [1]."
+function markerPosition(sentenceText, sentenceEnd) {
+  const punctuation = sentenceText.match(/[.!?]+$/);
+  return sentenceEnd - (punctuation ? punctuation[0].length : 0);
+}
+
+// The sentence of a source that best supports a claim
+function bestMatchingSpan(claim, text) {
+  let best = null;
+  splitSentences(text).forEach((sentence) => {
+    const score = overlapScore(claim, sentence.text);
+    if (!best || score > best.score) {
+      best = { ...sentence, score };
+    }
+  });
+  return best || { text, start: 0, end: text.length };
+}
+
+module.exports = {
+  buildCitations,
+  bestMatchingSpan,
+};
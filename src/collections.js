@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const RAGSystem = require('./retrieval');
+const PromptStore = require('./prompts');
+const { writeFileAtomic, readJSON } = require('./storage');
+
+const DEFAULT_COLLECTION = 'default';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const EMBEDDING_FIELDS = ['provider', 'model', 'dimension'];
+const CHUNKING_FIELDS = ['strategy', 'unit', 'chunkSize', 'chunkOverlap'];
+const GENERATION_FIELDS = ['provider', 'model'];
+const MAX_PROMPT_LENGTH = 2000;
+
+// Pick the allowed fields of a settings object, rejecting anything else
+function pickFields(value, fields, label) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${label} must be an object`);
+  }
+  const unknown = Object.keys(value).filter((key) => !fields.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown ${label} setting "${unknown[0]}". Use: ${fields.join(', ')}`
+    );
+  }
+  return Object.keys(value).length > 0 ? { ...value } : null;
+}
+
+// Named knowledge bases kept apart from each other. Each collection is a
+// RAGSystem with its own data directory (vector store, document registry,
+// embedding cache, sessions) and its own chunking settings, embedding
+// provider and model, generation provider and model, prompt and prompt
+// template. The default collection lives in the top level data directory,
+// where the index was kept before collections existed. Collection settings
+// are persisted in collections.json; systems are loaded on first use.
+// Prompt templates are shared by all collections.
+class CollectionManager {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || process.env.DATA_DIR || 'data';
+    this.persistPath = path.join(this.dataDir, 'collections.json');
+    this.prompts =
+      options.prompts ||
+      new PromptStore({ persistPath: path.join(this.dataDir, 'prompts.json') });
+    this.configs = new Map();
+    this.systems = new Map();
+
+    const saved = readJSON(this.persistPath, { collections: [] });
+    saved.collections.forEach((config) =>
+      this.configs.set(config.name, config)
+    );
+    if (!this.configs.has(DEFAULT_COLLECTION)) {
+      this.configs.set(DEFAULT_COLLECTION, {
+        name: DEFAULT_COLLECTION,
+        description: 'Default collection',
+        createdAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  has(name) {
+    return this.configs.has(name);
+  }
+
+  // The RAGSystem of a collection, created on first use
+  get(name = DEFAULT_COLLECTION) {
+    if (!this.configs.has(name)) {
+      return null;
+    }
+    if (!this.systems.has(name)) {
+      this.systems.set(name, this.createSystem(this.configs.get(name)));
+    }
+    return this.systems.get(name);
+  }
+
+  // Collection settings with document and chunk counts
+  describe(name) {
+    const config = this.configs.get(name);
+    if (!config) {
+      return null;
+    }
+    const system = this.get(name);
+    return {
+      ...config,
+      documents: system.listDocuments().length,
+      chunks: system.vectorStore.getDocumentCount(),
+      embeddingModel: system.embeddingService.model,
+      chunking: system.documentProcessor.chunkingOptions(),
+      generation: system.textGenerator.describe(),
+    };
+  }
+
+  list() {
+    return Array.from(this.configs.keys())
+      .sort()
+      .map((name) => this.describe(name));
+  }
+
+  // Create a collection from { name, description, chunking, embedding,
+  // generation, prompt, template }. Throws on an invalid or taken name and
+  // on invalid settings.
+  create(options = {}) {
+    const name = String(options.name || '').toLowerCase();
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(
+        'Collection name must be 1-64 lowercase letters, digits, "-" or "_", starting with a letter or digit'
+      );
+    }
+    if (this.configs.has(name)) {
+      const error = new Error(`Collection "${name}" already exists`);
+      error.code = 'COLLECTION_EXISTS';
+      throw error;
+    }
+    if (
+      options.prompt !== undefined &&
+      (typeof options.prompt !== 'string' ||
+        options.prompt.length > MAX_PROMPT_LENGTH)
+    ) {
+      throw new Error(
+        `prompt must be a string of at most ${MAX_PROMPT_LENGTH} characters`
+      );
+    }
+
+    if (options.template !== undefined && !this.prompts.has(options.template)) {
+      throw new Error(`Unknown prompt template "${options.template}"`);
+    }
+
+    const config = {
+      name,
+      description: String(options.description || ''),
+      chunking: pickFields(options.chunking, CHUNKING_FIELDS, 'chunking'),
+      embedding: pickFields(options.embedding, EMBEDDING_FIELDS, 'embedding'),
+      generation: pickFields(
+        options.generation,
+        GENERATION_FIELDS,
+        'generation'
+      ),
+      prompt: options.prompt || null,
+      template: options.template || null,
+      createdAt: new Date().toISOString(),
+    };
+    // Building the system checks the providers; chunking is checked against
+    // the model's token limit
+    let system;
+    try {
+      system = this.createSystem(config);
+      system.documentProcessor.chunkingOptions();
+    } catch (error) {
+      fs.rmSync(this.collectionDir(name), { recursive: true, force: true });
+      throw error;
+    }
+
+    this.configs.set(name, config);
+    this.systems.set(name, system);
+    this.save();
+    console.log(`Created collection ${name}`);
+    return this.describe(name);
+  }
+
+  // Delete a collection and all of its data. The default collection can
+  // only be cleared.
+  remove(name) {
+    if (name === DEFAULT_COLLECTION) {
+      throw new Error('The default collection cannot be deleted');
+    }
+    if (!this.configs.has(name)) {
+      return false;
+    }
+    this.configs.delete(name);
+    this.systems.delete(name);
+    this.save();
+    fs.rmSync(this.collectionDir(name), { recursive: true, force: true });
+    console.log(`Deleted collection ${name}`);
+    return true;
+  }
+
+  // Names of the collections answering with a prompt template by default
+  usingTemplate(templateName) {
+    return Array.from(this.configs.values())
+      .filter((config) => {
+        const system = this.systems.get(config.name);
+        return (
+          (system ? system.promptTemplate : config.template) === templateName
+        );
+      })
+      .map((config) => config.name);
+  }
+
+  collectionDir(name) {
+    return name === DEFAULT_COLLECTION
+      ? this.dataDir
+      : path.join(this.dataDir, 'collections', name);
+  }
+
+  createSystem(config) {
+    const dataDir = this.collectionDir(config.name);
+    return new RAGSystem({
+      dataDir,
+      // VECTOR_STORE_PATH only applies to the default collection
+      ...(config.name !== DEFAULT_COLLECTION && {
+        vectorStorePath: path.join(dataDir, 'vector-store.jsonl'),
+      }),
+      embedding: config.embedding || {},
+      chunking: config.chunking || {},
+      generation: config.generation || {},
+      prompt: config.prompt,
+      prompts: this.prompts,
+      promptTemplate: config.template,
+    });
+  }
+
+  save() {
+    writeFileAtomic(
+      this.persistPath,
+      JSON.stringify(
+        { collections: Array.from(this.configs.values()) },
+        null,
+        2
+      )
+    );
+  }
+}
+
+module.exports = CollectionManager;
+module.exports.DEFAULT_COLLECTION = DEFAULT_COLLECTION;
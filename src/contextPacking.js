@@ -0,0 +1,161 @@
+const { estimateTokens } = require('./chunking');
+const { splitSentences } = require('./textUtils');
+
+// relevance: most relevant chunk first. edges: the most relevant chunks at
+// the start and the end of the context, the least relevant in the middle,
+// where models pay the least attention ("lost in the middle").
+const CONTEXT_ORDERS = ['relevance', 'edges'];
+// A chunk that would be cut to fewer tokens than this is dropped instead
+const MIN_TRIMMED_TOKENS = 32;
+const ELLIPSIS = '...';
+
+function assertContextOrder(order) {
+  if (!CONTEXT_ORDERS.includes(order)) {
+    throw new Error(
+      `Invalid context order "${order}". Use one of: ${CONTEXT_ORDERS.join(
+        ', '
+      )}`
+    );
+  }
+}
+
+// Header line of a numbered context section; the number is the marker
+// the model cites
+function formatSection(result, marker, text = result.document) {
+  const { filename, chunkIndex, id } = result.metadata;
+  const source = filename
+    ? `${filename}, chunk ${chunkIndex}, id ${id}`
+    : `chunk id ${id}`;
+  return `=== [${marker}] Document Section (${source}) ===\n${text}\n`;
+}
+
+// The leading sentences of a text that fit in maxTokens, or its leading
+// words if not even the first sentence fits, marked with "..."
+function trimToTokens(text, maxTokens) {
+  const limit = maxTokens - estimateTokens(ELLIPSIS);
+  let kept = '';
+  for (const sentence of splitSentences(text)) {
+    const candidate = text.substring(0, sentence.end);
+    if (estimateTokens(candidate) > limit) {
+      break;
+    }
+    kept = candidate;
+  }
+  if (kept.length === 0) {
+    const words = text.split(/\s+/);
+    while (words.length > 0 && estimateTokens(words.join(' ')) > limit) {
+      words.pop();
+    }
+    kept = words.join(' ');
+  }
+  return `${kept.trim()} ${ELLIPSIS}`;
+}
+
+// Token budget of packContext: no limit when none is given. Budgets below
+// MIN_TRIMMED_TOKENS (the prompt alone may fill the model's window) are
+// raised to it, so the top chunk is still kept, trimmed.
+function resolveBudget(value) {
+  if (value === undefined || value === null) {
+    return Infinity;
+  }
+  const budget = Number(value);
+  if (!Number.isFinite(budget)) {
+    throw new Error(`Invalid context budget "${value}"`);
+  }
+  return Math.max(budget, MIN_TRIMMED_TOKENS);
+}
+
+// Positions 0..count-1 in edges order: 0, 2, 4, ... then ..., 5, 3, 1
+function edgesOrder(count) {
+  const front = [];
+  const back = [];
+  for (let i = 0; i < count; i++) {
+    (i % 2 === 0 ? front : back).push(i);
+  }
+  return front.concat(back.reverse());
+}
+
+// Fit ranked search results into a token budget. Chunks are added in
+// relevance order; the first one that doesn't fit is trimmed to the
+// remaining budget and everything after it is dropped. The most relevant
+// chunk is always kept, trimmed if need be. Returns the kept results
+// (still in relevance order, so their markers don't change), the context
+// text in the requested order and a report of what was cut.
+function packContext(results, options = {}) {
+  const budget = resolveBudget(options.budget);
+  const order = options.order || 'relevance';
+  assertContextOrder(order);
+
+  const sections = [];
+  const trimmed = [];
+  const dropped = [];
+  let used = 0;
+  let full = false;
+
+  results.forEach((result, index) => {
+    const marker = index + 1;
+    const tokens = estimateTokens(formatSection(result, marker));
+    if (!full && used + tokens <= budget) {
+      sections.push({ result, marker, text: result.document });
+      used += tokens;
+      return;
+    }
+
+    const headerTokens = estimateTokens(formatSection(result, marker, ''));
+    const room = budget - used - headerTokens;
+    const trim = !full && (room >= MIN_TRIMMED_TOKENS || index === 0);
+    full = true;
+    if (trim) {
+      const text = trimToTokens(result.document, Math.max(room, 1));
+      const keptTokens = estimateTokens(formatSection(result, marker, text));
+      sections.push({ result, marker, text });
+      used += keptTokens;
+      trimmed.push({
+        marker,
+        chunkId: result.metadata.id,
+        filename: result.metadata.filename,
+        tokens,
+        keptTokens,
+      });
+      return;
+    }
+
+    dropped.push({
+      chunkId: result.metadata.id,
+      filename: result.metadata.filename,
+      score: Number(result.score.toFixed(4)),
+      tokens,
+    });
+  });
+
+  const positions =
+    order === 'edges'
+      ? edgesOrder(sections.length)
+      : sections.map((section, i) => i);
+  const context = positions
+    .map((i) =>
+      formatSection(sections[i].result, sections[i].marker, sections[i].text)
+    )
+    .join('\n');
+
+  return {
+    results: sections.map((section) => section.result),
+    context,
+    report: {
+      budget: Number.isFinite(budget) ? budget : null,
+      tokens: used,
+      order,
+      included: sections.length,
+      trimmed,
+      dropped,
+    },
+  };
+}
+
+module.exports = {
+  CONTEXT_ORDERS,
+  assertContextOrder,
+  formatSection,
+  packContext,
+  trimToTokens,
+};
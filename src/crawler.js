@@ -0,0 +1,341 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { htmlToText } = require('./extractors/html');
+
+const USER_AGENT = 'FirstRAGBot/1.0';
+// Token matched against robots.txt User-agent lines
+const ROBOTS_AGENT = 'firstragbot';
+
+// Navigation, banners, footers and other page chrome that would otherwise
+// be indexed on every page of a site
+const BOILERPLATE_SELECTORS = [
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'iframe',
+  'svg',
+  'form',
+  'nav',
+  'header',
+  'footer',
+  'aside',
+  '[role="navigation"]',
+  '[role="banner"]',
+  '[role="contentinfo"]',
+  '[role="complementary"]',
+  '[aria-hidden="true"]',
+  '.nav',
+  '.navbar',
+  '.menu',
+  '.sidebar',
+  '.breadcrumb',
+  '.breadcrumbs',
+  '.footer',
+  '.header',
+  '.cookie-banner',
+  '.skip-link',
+].join(', ');
+
+// Rules from a robots.txt file for our user agent
+class RobotsRules {
+  constructor(content = '') {
+    this.rules = [];
+    this.crawlDelay = null;
+    this.parse(content);
+  }
+
+  // Use the group naming our agent if there is one, otherwise "*". Agent
+  // names are compared whole and case-insensitively.
+  parse(content) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    content.split(/\r?\n/).forEach((rawLine) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+      if (!match) {
+        return;
+      }
+      const field = match[1].toLowerCase();
+      const value = match[2].trim();
+
+      if (field === 'user-agent') {
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+      lastWasAgent = false;
+      if (!current) {
+        return;
+      }
+      if (field === 'allow' || field === 'disallow') {
+        if (value !== '') {
+          current.rules.push({ allow: field === 'allow', path: value });
+        }
+      } else if (field === 'crawl-delay' && !Number.isNaN(Number(value))) {
+        current.crawlDelay = Number(value);
+      }
+    });
+
+    const group =
+      groups.find((g) => g.agents.includes(ROBOTS_AGENT)) ||
+      groups.find((g) => g.agents.includes('*'));
+    if (group) {
+      this.rules = group.rules;
+      this.crawlDelay = group.crawlDelay;
+    }
+  }
+
+  // The longest matching rule wins; Allow wins ties. No match = allowed.
+  isAllowed(pathWithQuery) {
+    let best = null;
+    this.rules.forEach((rule) => {
+      if (!this.matches(rule.path, pathWithQuery)) {
+        return;
+      }
+      if (
+        !best ||
+        rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.allow)
+      ) {
+        best = rule;
+      }
+    });
+    return !best || best.allow;
+  }
+
+  // Rule paths are prefixes with "*" wildcards and an optional "$" end anchor
+  matches(rulePath, pathWithQuery) {
+    const anchored = rulePath.endsWith('$');
+    const pattern = (anchored ? rulePath.slice(0, -1) : rulePath)
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(pathWithQuery);
+  }
+}
+
+// Turn a path glob ("/docs/*", "*.html") into a regular expression
+function globToRegExp(glob) {
+  const pattern = glob
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}$`);
+}
+
+// Crawls one site breadth-first from a start URL: same origin only,
+// robots.txt respected, bounded by depth and page count. Pages are returned
+// with their boilerplate stripped, ready to be indexed.
+class WebCrawler {
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth ?? 1;
+    this.maxPages = options.maxPages ?? 20;
+    // Path globs matched against "/path?query"; the start page is exempt
+    this.include = (options.include || []).map(globToRegExp);
+    this.exclude = (options.exclude || []).map(globToRegExp);
+    this.timeout = options.timeout ?? 15000; // ms per request
+    this.maxPageSize = options.maxPageSize ?? 5 * 1024 * 1024;
+    // Minimum pause between requests; robots.txt Crawl-delay can raise it
+    this.delay = options.delay ?? 0;
+    this.maxDelay = options.maxDelay ?? 10000;
+    this.userAgent = options.userAgent || USER_AGENT;
+  }
+
+  // Fetch pages starting at startUrl. Returns { pages, skipped } where each
+  // page is { url, canonicalUrl, title, text, depth } and each skipped
+  // entry is { url, reason }. onPage(page) is called as pages arrive.
+  async crawl(startUrl, options = {}) {
+    const start = this.normalizeUrl(startUrl);
+    if (!start || !/^https?:$/.test(start.protocol)) {
+      throw new Error('A valid http(s) start URL is required');
+    }
+
+    const robots = await this.fetchRobots(start.origin);
+    const delay = Math.min(
+      Math.max(this.delay, (robots.crawlDelay || 0) * 1000),
+      this.maxDelay
+    );
+    const queue = [{ url: start.href, depth: 0 }];
+    const seen = new Set([start.href]);
+    const seenCanonical = new Set();
+    const pages = [];
+    const skipped = [];
+    let requests = 0;
+
+    while (queue.length > 0 && pages.length < this.maxPages) {
+      if (options.signal && options.signal.aborted) {
+        break;
+      }
+      const { url, depth } = queue.shift();
+      const { pathname, search } = new URL(url);
+      if (!robots.isAllowed(pathname + search)) {
+        skipped.push({ url, reason: 'disallowed by robots.txt' });
+        continue;
+      }
+
+      if (requests > 0 && delay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+      requests++;
+
+      let page;
+      try {
+        page = await this.fetchPage(url, start.origin);
+      } catch (error) {
+        console.warn(`Skipping ${url}: ${error.message}`);
+        skipped.push({ url, reason: error.message });
+        continue;
+      }
+
+      const { links, ...content } = page;
+      if (seenCanonical.has(content.canonicalUrl)) {
+        skipped.push({ url, reason: `duplicate of ${content.canonicalUrl}` });
+      } else if (content.text.trim() === '') {
+        skipped.push({ url, reason: 'no text content' });
+      } else {
+        seenCanonical.add(content.canonicalUrl);
+        const result = { ...content, depth };
+        pages.push(result);
+        if (options.onPage) {
+          await options.onPage(result);
+        }
+      }
+
+      if (depth < this.maxDepth) {
+        links.forEach((link) => {
+          if (!seen.has(link) && this.pathMatches(link)) {
+            seen.add(link);
+            queue.push({ url: link, depth: depth + 1 });
+          }
+        });
+      }
+    }
+
+    console.log(
+      `Crawled ${pages.length} pages from ${start.origin} (${skipped.length} skipped)`
+    );
+    return { pages, skipped };
+  }
+
+  // Should a discovered link be crawled, given the include/exclude globs?
+  pathMatches(url) {
+    const { pathname, search } = new URL(url);
+    const target = pathname + search;
+    if (this.exclude.some((pattern) => pattern.test(target))) {
+      return false;
+    }
+    return (
+      this.include.length === 0 ||
+      this.include.some((pattern) => pattern.test(target))
+    );
+  }
+
+  async fetchRobots(origin) {
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': this.userAgent },
+        timeout: this.timeout,
+        responseType: 'text',
+        maxContentLength: 512 * 1024,
+        validateStatus: () => true,
+      });
+      // Missing robots.txt (4xx) allows everything; a broken server (5xx)
+      // means we can't know, so crawl nothing
+      if (response.status >= 500) {
+        return new RobotsRules('User-agent: *\nDisallow: /');
+      }
+      return new RobotsRules(response.status === 200 ? response.data : '');
+    } catch (error) {
+      console.warn(
+        `Could not fetch robots.txt from ${origin}: ${error.message}`
+      );
+      return new RobotsRules('');
+    }
+  }
+
+  // Fetch one HTML page and split it into text, metadata and links
+  async fetchPage(url, origin) {
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': this.userAgent,
+        Accept: 'text/html,application/xhtml+xml',
+      },
+      timeout: this.timeout,
+      responseType: 'text',
+      maxContentLength: this.maxPageSize,
+      maxRedirects: 5,
+    });
+
+    // Redirects must not take us to another site
+    const finalUrl = response.request?.res?.responseUrl || url;
+    if (new URL(finalUrl).origin !== origin) {
+      throw new Error(`redirected off-site to ${finalUrl}`);
+    }
+    const contentType = String(response.headers['content-type'] || '');
+    if (!/html/i.test(contentType)) {
+      throw new Error(`not an HTML page (${contentType || 'unknown type'})`);
+    }
+
+    const $ = cheerio.load(response.data);
+    const links = this.extractLinks($, finalUrl, origin);
+    const canonicalHref = $('link[rel="canonical"]').attr('href');
+    const canonical = canonicalHref
+      ? this.normalizeUrl(canonicalHref, finalUrl)
+      : null;
+    const title =
+      $('meta[property="og:title"]').attr('content') ||
+      $('title').first().text() ||
+      $('h1').first().text() ||
+      '';
+
+    $(BOILERPLATE_SELECTORS).remove();
+    const main = $('main, article, [role="main"]').first();
+    const text = htmlToText($, main.length > 0 ? main : $('body'));
+
+    return {
+      url: finalUrl,
+      canonicalUrl: canonical
+        ? canonical.href
+        : this.normalizeUrl(finalUrl).href,
+      title: title.replace(/\s+/g, ' ').trim(),
+      text,
+      links,
+    };
+  }
+
+  // Same-origin links, without fragments, that aren't marked nofollow
+  extractLinks($, baseUrl, origin) {
+    const links = new Set();
+    $('a[href]').each((i, element) => {
+      const rel = ($(element).attr('rel') || '').toLowerCase();
+      if (rel.split(/\s+/).includes('nofollow')) {
+        return;
+      }
+      const link = this.normalizeUrl($(element).attr('href'), baseUrl);
+      if (link && link.origin === origin && /^https?:$/.test(link.protocol)) {
+        links.add(link.href);
+      }
+    });
+    return Array.from(links);
+  }
+
+  normalizeUrl(href, base) {
+    try {
+      const url = new URL(href, base);
+      url.hash = '';
+      return url;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = WebCrawler;
+module.exports.RobotsRules = RobotsRules;
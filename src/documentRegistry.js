@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { writeFileAtomic, readJSON } = require('./storage');
+
+// Keeps one record per ingested file: stable id, original name, size,
+// content hash, type and chunk count. Persisted as a single JSON file.
+class DocumentRegistry {
+  constructor(options = {}) {
+    this.persistPath = options.persistPath || null;
+    this.documents = new Map();
+
+    if (this.persistPath) {
+      const saved = readJSON(this.persistPath, { documents: [] });
+      saved.documents.forEach((doc) => this.documents.set(doc.id, doc));
+      console.log(
+        `Loaded ${this.documents.size} document records from ${this.persistPath}`
+      );
+    }
+  }
+
+  // Generate a new document id
+  createId() {
+    return `doc_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  // Register a document record and persist the registry
+  add(record) {
+    const now = new Date().toISOString();
+    const doc = {
+      id: record.id || this.createId(),
+      ...record,
+      createdAt: record.createdAt || now,
+      updatedAt: now,
+    };
+    this.documents.set(doc.id, doc);
+    this.save();
+    return doc;
+  }
+
+  // Update fields of an existing record
+  update(id, changes) {
+    const doc = this.documents.get(id);
+    if (!doc) {
+      return null;
+    }
+    Object.assign(doc, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+    return doc;
+  }
+
+  get(id) {
+    return this.documents.get(id) || null;
+  }
+
+  // Find a document with the given content hash
+  findByHash(hash) {
+    for (const doc of this.documents.values()) {
+      if (doc.hash === hash) {
+        return doc;
+      }
+    }
+    return null;
+  }
+
+  list() {
+    return Array.from(this.documents.values()).sort((a, b) =>
+      a.createdAt.localeCompare(b.createdAt)
+    );
+  }
+
+  remove(id) {
+    const doc = this.documents.get(id);
+    if (doc) {
+      this.documents.delete(id);
+      this.save();
+    }
+    return doc || null;
+  }
+
+  size() {
+    return this.documents.size;
+  }
+
+  clear() {
+    this.documents = new Map();
+    this.save();
+  }
+
+  save() {
+    if (!this.persistPath) {
+      return;
+    }
+    writeFileAtomic(
+      this.persistPath,
+      JSON.stringify({ documents: this.list() }, null, 2)
+    );
+  }
+}
+
+module.exports = DocumentRegistry;
@@ -1,155 +1,131 @@
-const pdf = require('pdf-parse');
-const cheerio = require('cheerio');
 const fs = require('fs').promises;
+const { defaultRegistry } = require('./extractors');
+const { createChunks, resolveChunkingOptions } = require('./chunking');
 
 class DocumentProcessor {
-  constructor() {
-    this.chunkSize = 500; // characters per chunk
-    this.chunkOverlap = 50; // overlap between chunks
+  constructor(options = {}) {
+    // Text extractors by extension and MIME type
+    this.extractors = options.extractors || defaultRegistry;
+    // Global chunking settings; see chunking.js. chunkSize and chunkOverlap
+    // are in tokens for token-sized strategies and characters otherwise,
+    // null meaning the strategy's default.
+    this.chunkStrategy =
+      options.chunkStrategy || process.env.CHUNK_STRATEGY || 'fixed';
+    this.chunkUnit = options.chunkUnit || process.env.CHUNK_UNIT || 'chars';
+    this.chunkSize =
+      options.chunkSize || Number(process.env.CHUNK_SIZE) || null;
+    this.chunkOverlap =
+      options.chunkOverlap ??
+      (process.env.CHUNK_OVERLAP ? Number(process.env.CHUNK_OVERLAP) : null);
+    // Input limit of the embedding model, caps token-sized chunks
+    this.maxTokens = options.maxTokens || 512;
   }
 
-  // Extract text from PDF
-  async extractFromPDF(filePath) {
-    try {
-      console.log(`Extracting text from PDF: ${filePath}`);
-      const dataBuffer = await fs.readFile(filePath);
-      const data = await pdf(dataBuffer);
-      console.log(`Extracted ${data.text.length} characters from PDF`);
-      return data.text;
-    } catch (error) {
-      console.error('Error extracting PDF:', error);
-      throw error;
-    }
-  }
-
-  // Extract text from HTML
-  extractFromHTML(htmlContent) {
-    try {
-      console.log('Extracting text from HTML');
-      const $ = cheerio.load(htmlContent);
-
-      // Remove script and style elements
-      $('script, style').remove();
-
-      // Get text content
-      const text = $('body').text() || $.text();
-      console.log(`Extracted ${text.length} characters from HTML`);
-      return text;
-    } catch (error) {
-      console.error('Error extracting HTML:', error);
-      throw error;
-    }
+  // The chunking settings for one document: per-document overrides on top
+  // of the global settings
+  chunkingOptions(overrides) {
+    overrides = overrides || {};
+    return resolveChunkingOptions(
+      {
+        strategy: overrides.strategy || this.chunkStrategy,
+        unit: overrides.unit || this.chunkUnit,
+        chunkSize: overrides.chunkSize || this.chunkSize,
+        chunkOverlap: overrides.chunkOverlap ?? this.chunkOverlap ?? undefined,
+      },
+      this.maxTokens
+    );
   }
 
-  // Extract text from plain text file
-  async extractFromText(filePath) {
+  // Extract text with the extractor registered for the file's extension,
+  // declared MIME type or sniffed content type
+  async extractText(filePath, fileType, mimeType) {
+    const buffer = await fs.readFile(filePath);
+    const extension = fileType ? `.${fileType.replace(/^\./, '')}` : '';
+    const { extractor, sniffedMimeType } = this.extractors.resolve({
+      extension,
+      mimeType,
+      buffer,
+    });
+    console.log(
+      `Extracting text from ${filePath} with the ${extractor.name} extractor`
+    );
     try {
-      console.log(`Reading text file: ${filePath}`);
-      const text = await fs.readFile(filePath, 'utf-8');
-      console.log(`Read ${text.length} characters from text file`);
-      return text;
+      const text = await extractor.extract(buffer, {
+        filePath,
+        extension: extension.toLowerCase(),
+        mimeType: mimeType || sniffedMimeType,
+      });
+      console.log(`Extracted ${text.length} characters`);
+      return { text, extractor: extractor.name, mimeType: sniffedMimeType };
     } catch (error) {
-      console.error('Error reading text file:', error);
+      console.error(`Error extracting ${extractor.name} file:`, error);
       throw error;
     }
   }
 
-  // Chunk text into smaller pieces
-  chunkText(text) {
-    console.log(`Chunking text of ${text.length} characters`);
-
-    if (text.length <= this.chunkSize) {
-      return [text.trim()];
-    }
-
-    const chunks = [];
-    let start = 0;
-
-    while (start < text.length) {
-      let end = start + this.chunkSize;
-
-      // If we're not at the end, try to break at a sentence or word boundary
-      if (end < text.length) {
-        // Look for sentence ending
-        const sentenceEnd = text.lastIndexOf('.', end);
-        const questionEnd = text.lastIndexOf('?', end);
-        const exclamationEnd = text.lastIndexOf('!', end);
-
-        const sentenceBoundary = Math.max(
-          sentenceEnd,
-          questionEnd,
-          exclamationEnd
-        );
-
-        if (sentenceBoundary > start + this.chunkSize * 0.5) {
-          end = sentenceBoundary + 1;
-        } else {
-          // Fall back to word boundary
-          const wordBoundary = text.lastIndexOf(' ', end);
-          if (wordBoundary > start + this.chunkSize * 0.5) {
-            end = wordBoundary;
-          }
-        }
-      }
-
-      const chunk = text.slice(start, end).trim();
-      if (chunk.length > 0) {
-        chunks.push(chunk);
-      }
-
-      // Move start position with overlap
-      start = end - this.chunkOverlap;
-    }
-
+  // Chunk text into pieces of { text, start, end, sectionPath }
+  chunkText(text, options = this.chunkingOptions()) {
+    console.log(
+      `Chunking text of ${text.length} characters (${options.strategy}, ${options.chunkSize} ${options.unit})`
+    );
+    const chunks = createChunks(text, options);
     console.log(`Created ${chunks.length} chunks`);
     return chunks;
   }
 
   // Process document based on file type
-  async processDocument(filePath, fileType) {
-    let text = '';
-
-    switch (fileType.toLowerCase()) {
-      case 'pdf':
-        text = await this.extractFromPDF(filePath);
-        break;
-      case 'txt':
-        text = await this.extractFromText(filePath);
-        break;
-      case 'html':
-      case 'htm':
-        const htmlContent = await fs.readFile(filePath, 'utf-8');
-        text = this.extractFromHTML(htmlContent);
-        break;
-      default:
-        // Try to read as text file
-        text = await this.extractFromText(filePath);
-    }
+  async processDocument(filePath, fileType, options = {}) {
+    const extracted = await this.extractText(
+      filePath,
+      fileType,
+      options.mimeType
+    );
+    let text = extracted.text;
 
     // Clean up the text
     text = this.cleanText(text);
 
     // Chunk the text
-    const chunks = this.chunkText(text);
+    if (options.onStage) {
+      options.onStage('chunking');
+    }
+    const chunking = this.chunkingOptions(options.chunking);
+    const pieces = this.chunkText(text, chunking);
 
     return {
       originalText: text,
-      chunks: chunks,
+      chunks: pieces.map((piece) => piece.text),
+      // Offsets into originalText and heading path of each chunk
+      chunkDetails: pieces.map(({ start, end, sectionPath }) => ({
+        startOffset: start,
+        endOffset: end,
+        sectionPath,
+      })),
       metadata: {
         filePath,
-        fileType,
+        // Typed by extractor when the extension was missing or misleading
+        fileType:
+          this.extractors.forExtension(fileType || '')?.name ===
+          extracted.extractor
+            ? fileType.toLowerCase()
+            : extracted.extractor,
+        extractor: extracted.extractor,
         textLength: text.length,
-        chunkCount: chunks.length,
+        chunkCount: pieces.length,
+        chunking,
         processedAt: new Date().toISOString(),
       },
     };
   }
 
-  // Clean up extracted text
+  // Clean up extracted text, keeping line and paragraph breaks so
+  // headings, lists and records survive for chunking
   cleanText(text) {
     return text
-      .replace(/\s+/g, ' ') // Replace multiple whitespace with single space
-      .replace(/\n\s*\n/g, '\n') // Remove empty lines
+      .replace(/\r\n?/g, '\n') // Normalize line endings
+      .replace(/[^\S\n]+/g, ' ') // Collapse spaces and tabs within lines
+      .replace(/ ?\n ?/g, '\n') // Trim spaces around line breaks
+      .replace(/\n{3,}/g, '\n\n') // At most one empty line in a row
       .trim();
   }
 }
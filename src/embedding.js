@@ -1,39 +1,243 @@
-const { InferenceClient } = require('@huggingface/inference');
+const { createEmbeddingProvider } = require('./embeddingProviders');
 require('dotenv').config();
 
-const hf = new InferenceClient(process.env.huggingface_api_key);
+// Network errors worth retrying
+const RETRYABLE_CODES = [
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ECONNREFUSED',
+  'EAI_AGAIN',
+];
 
 class EmbeddingService {
-    constructor(){
-        this.model = 'sentence-transformers/all-MiniLM-L6-v2';
+  constructor(options = {}) {
+    // Provider is chosen once, from options or EMBEDDING_PROVIDER
+    this.provider = createEmbeddingProvider(options);
+    this.model = this.provider.model;
+    // Inputs per provider request (1 if the provider can't batch)
+    this.batchSize =
+      this.provider.supportsBatch === false
+        ? 1
+        : Number(options.batchSize || process.env.EMBEDDING_BATCH_SIZE) || 16;
+    // Provider requests in flight at once
+    this.concurrency =
+      Number(options.concurrency || process.env.EMBEDDING_CONCURRENCY) || 4;
+    // Retries per request on rate limits (429), server (5xx) and network errors
+    this.maxRetries = Number(
+      options.maxRetries ?? process.env.EMBEDDING_MAX_RETRIES ?? 4
+    );
+    this.retryBaseDelay = options.retryBaseDelay ?? 500; // ms
+    // Longest input the model accepts, in tokens (caps token-sized chunks)
+    this.maxTokens =
+      Number(options.maxTokens || process.env.EMBEDDING_MAX_TOKENS) ||
+      this.provider.maxTokens ||
+      512;
+    // Similarity below which chunks are unrelated to a question (the
+    // provider's estimate for its model, if it has one)
+    this.minSimilarity = this.provider.minSimilarity ?? null;
+    // Optional EmbeddingCache consulted before calling the provider
+    this.cache = options.cache || null;
+    console.log(
+      `Embedding provider: ${this.provider.name} (model: ${this.model})`
+    );
+  }
+
+  async generateEmbedding(text) {
+    try {
+      console.log(
+        `Generating embedding for text: ${text.substring(0, 100)}...`
+      );
+      const cached = this.cache && this.cache.get(this.model, text);
+      if (cached) {
+        console.log('Using cached embedding');
+        return cached;
+      }
+      const { result } = await this.withRetry(() =>
+        this.provider.embed([text])
+      );
+      const [embedding] = result;
+      if (this.cache) {
+        this.cache.set(this.model, text, embedding);
+      }
+      console.log(`Generated embedding: ${embedding.length} dimensions`);
+      return embedding;
+    } catch (error) {
+      console.error('Error generating embedding:', error);
+      throw error;
+    }
+  }
+
+  // Embed many texts, failing if any of them can't be embedded
+  async generateEmbeddings(texts) {
+    const result = await this.generateEmbeddingsDetailed(texts);
+    if (result.failed.length > 0) {
+      const error = new Error(
+        `Failed to embed ${result.failed.length} of ${texts.length} texts: ${result.failed[0].error}`
+      );
+      console.error('Error generating embeddings:', error);
+      throw error;
+    }
+    return result.embeddings;
+  }
+
+  // Embed many texts in batches with bounded concurrency and retries.
+  // Cached texts are not sent to the provider. Never throws for provider
+  // errors: texts that could not be embedded get a null embedding and are
+  // listed in `failed`.
+  async generateEmbeddingsDetailed(texts, options = {}) {
+    const startTime = Date.now();
+    const embeddings = new Array(texts.length).fill(null);
+    const failed = [];
+    let retries = 0;
+    let completed = 0;
+
+    // Positions of the texts that still need embedding
+    const pending = [];
+    texts.forEach((text, index) => {
+      const cached = this.cache && this.cache.get(this.model, text);
+      if (cached) {
+        embeddings[index] = cached;
+        completed++;
+      } else {
+        pending.push(index);
+      }
+    });
+    const cacheHits = completed;
+
+    const batches = [];
+    for (let start = 0; start < pending.length; start += this.batchSize) {
+      const indexes = pending.slice(start, start + this.batchSize);
+      batches.push({
+        indexes,
+        texts: indexes.map((index) => texts[index]),
+      });
     }
-    async generateEmbedding(text){
-        try{
-            console.log(`Generating embedding for text: ${text.substring(0,100)}...`)
-            const response = await hf.featureExtraction({
-                model: this.model,
-                inputs:text
-            }); 
-            const embedding = Array.isArray(response) ? response : Array.from(response);
-            console.log(`Generated embedding: ${embedding.length} dimensions`);
-            return embedding;
+    console.log(
+      `Embedding ${pending.length} texts in ${batches.length} batches (concurrency ${this.concurrency}, ${cacheHits} cached)`
+    );
+
+    let next = 0;
+    const worker = async () => {
+      while (next < batches.length) {
+        if (options.signal && options.signal.aborted) {
+          return;
+        }
+        const batch = batches[next++];
+        try {
+          const { result, attempts } = await this.withRetry(
+            () => this.provider.embed(batch.texts),
+            options.signal
+          );
+          retries += attempts - 1;
+          result.forEach((embedding, i) => {
+            embeddings[batch.indexes[i]] = embedding;
+          });
+          if (this.cache) {
+            this.cache.setMany(
+              this.model,
+              batch.texts.map((text, i) => ({ text, embedding: result[i] }))
+            );
+          }
         } catch (error) {
-            console.error('Error generating embedding:', error);
-            throw error;
+          retries += error.attempts ? error.attempts - 1 : 0;
+          console.error(
+            `Batch of ${batch.texts.length} texts failed: ${error.message}`
+          );
+          batch.indexes.forEach((index) => {
+            failed.push({ index, error: error.message });
+          });
         }
-    }
+        completed += batch.texts.length;
+        if (options.onProgress) {
+          options.onProgress({ completed, total: texts.length });
+        }
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(this.concurrency, batches.length) }, worker)
+    );
+
+    const durationMs = Date.now() - startTime;
+    console.log(
+      `Embedded ${texts.length - failed.length}/${
+        texts.length
+      } texts in ${durationMs}ms (${retries} retries)`
+    );
+    return {
+      embeddings,
+      failed: failed.sort((a, b) => a.index - b.index),
+      retries,
+      cacheHits,
+      durationMs,
+    };
+  }
 
-    async generateEmbeddings(texts){
-        try{
-            const embeddings = await Promise.all(
-                texts.map(text=> this.generateEmbedding(text))
-            )
-            return embeddings;
-        }catch(error){
-            console.error('Error generating embeddings:', error);
-            throw error;
+  // Run a provider call, retrying retryable failures with exponential
+  // backoff and full jitter. Resolves to { result, attempts }.
+  async withRetry(call, signal) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return { result: await call(), attempts: attempt };
+      } catch (error) {
+        if (attempt > this.maxRetries || !this.isRetryable(error)) {
+          error.attempts = attempt;
+          throw error;
         }
+        const delay =
+          this.retryAfter(error) ??
+          Math.random() * this.retryBaseDelay * 2 ** (attempt - 1);
+        console.warn(
+          `Embedding request failed (${error.message}), retry ${attempt}/${
+            this.maxRetries
+          } in ${Math.round(delay)}ms`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        if (signal && signal.aborted) {
+          error.attempts = attempt;
+          throw error;
+        }
+      }
     }
+  }
+
+  isRetryable(error) {
+    const status = this.errorStatus(error);
+    if (status) {
+      return status === 429 || status >= 500;
+    }
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  // HTTP status of a failed provider call (axios or Hugging Face client)
+  errorStatus(error) {
+    return (
+      (error.response && error.response.status) ||
+      (error.httpResponse && error.httpResponse.status) ||
+      error.status ||
+      null
+    );
+  }
+
+  // Delay requested by a Retry-After header, in ms
+  retryAfter(error) {
+    const headers = error.response && error.response.headers;
+    const value = headers && headers['retry-after'];
+    const seconds = Number(value);
+    return value && !Number.isNaN(seconds) ? seconds * 1000 : null;
+  }
+
+  // Describe the active provider
+  getInfo() {
+    return {
+      provider: this.provider.name,
+      model: this.model,
+      batchSize: this.batchSize,
+      concurrency: this.concurrency,
+      maxTokens: this.maxTokens,
+      minSimilarity: this.minSimilarity,
+    };
+  }
 }
 
-module.exports = EmbeddingService;
\ No newline at end of file
+module.exports = EmbeddingService;
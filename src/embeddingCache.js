@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./storage');
+
+// Content-addressed cache of embeddings keyed by (model, normalized text).
+// Least recently used entries are evicted beyond maxEntries. New entries,
+// and the keys of entries that were used again, are appended to a JSON
+// Lines file so the recency order survives restarts; the file is compacted
+// in that order when it grows to twice the live size. Losing the cache is
+// harmless, so unreadable lines are skipped instead of failing.
+class EmbeddingCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? 10000;
+    this.persistPath = options.persistPath || null;
+    this.entries = new Map(); // key -> embedding, least recently used first
+    this.hits = 0;
+    this.misses = 0;
+    this.logLines = 0;
+
+    if (this.persistPath && this.maxEntries > 0) {
+      this.load();
+    }
+  }
+
+  // Collapse whitespace so trivially different copies share an entry
+  normalize(text) {
+    return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+  }
+
+  key(model, text) {
+    return crypto
+      .createHash('sha256')
+      .update(`${model}\u0000${this.normalize(text)}`)
+      .digest('hex');
+  }
+
+  get(model, text) {
+    if (this.maxEntries <= 0) {
+      return null;
+    }
+    const key = this.key(model, text);
+    const embedding = this.entries.get(key);
+    if (!embedding) {
+      this.misses++;
+      return null;
+    }
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, embedding);
+    this.append(JSON.stringify({ key }) + '\n', 1);
+    this.hits++;
+    return embedding;
+  }
+
+  // Store several { text, embedding } pairs for a model
+  setMany(model, items) {
+    if (this.maxEntries <= 0 || items.length === 0) {
+      return;
+    }
+    const lines = items.map(({ text, embedding }) => {
+      const key = this.key(model, text);
+      this.entries.delete(key);
+      this.entries.set(key, embedding);
+      return JSON.stringify({ key, embedding }) + '\n';
+    });
+    this.evict();
+    this.append(lines.join(''), lines.length);
+  }
+
+  set(model, text, embedding) {
+    this.setMany(model, [{ text, embedding }]);
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.persistPath)) {
+      return;
+    }
+    const content = fs.readFileSync(this.persistPath, 'utf-8');
+    let skipped = 0;
+    content.split('\n').forEach((line) => {
+      if (line.trim() === '') {
+        return;
+      }
+      try {
+        const { key, embedding } = JSON.parse(line);
+        // A record without an embedding marks a later use of the entry
+        const value = embedding || this.entries.get(key);
+        if (value) {
+          this.entries.delete(key);
+          this.entries.set(key, value);
+        }
+        this.logLines++;
+      } catch (error) {
+        // Skip partial or corrupted lines
+        skipped++;
+      }
+    });
+    this.evict();
+    // A line cut short by a crash would swallow the next appended record,
+    // so rewrite the file without it
+    if (skipped > 0 || (content !== '' && !content.endsWith('\n'))) {
+      this.compact();
+    }
+    console.log(
+      `Loaded ${this.entries.size} cached embeddings from ${this.persistPath}`
+    );
+  }
+
+  append(data, lineCount) {
+    if (!this.persistPath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+    fs.appendFileSync(this.persistPath, data);
+    this.logLines += lineCount;
+    if (this.logLines > this.maxEntries * 2) {
+      this.compact();
+    }
+  }
+
+  // Rewrite the file with only the live entries
+  compact() {
+    if (!this.persistPath) {
+      return;
+    }
+    let data = '';
+    this.entries.forEach((embedding, key) => {
+      data += JSON.stringify({ key, embedding }) + '\n';
+    });
+    writeFileAtomic(this.persistPath, data);
+    this.logLines = this.entries.size;
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.maxEntries > 0,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Number((this.hits / lookups).toFixed(4)) : 0,
+    };
+  }
+}
+
+module.exports = EmbeddingCache;
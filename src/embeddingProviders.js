@@ -0,0 +1,185 @@
+const { InferenceClient } = require('@huggingface/inference');
+const axios = require('axios');
+require('dotenv').config();
+
+// Hugging Face Inference API (feature extraction)
+class HuggingFaceEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'huggingface';
+    this.supportsBatch = true;
+    this.model = options.model || 'sentence-transformers/all-MiniLM-L6-v2';
+    // Sentence-transformers models truncate input at 256-512 tokens
+    this.maxTokens = 256;
+    // Question-chunk similarity below which the default model's chunks are
+    // unrelated to the question
+    this.minSimilarity = 0.25;
+    this.hf = new InferenceClient(
+      options.apiKey || process.env.huggingface_api_key
+    );
+  }
+
+  async embed(texts) {
+    const response = await this.hf.featureExtraction({
+      model: this.model,
+      inputs: texts.length === 1 ? texts[0] : texts,
+    });
+    const rows = texts.length === 1 ? [response] : Array.from(response);
+    return rows.map((row) => this.toVector(row));
+  }
+
+  // Sentence models return one vector per input; token-level models return
+  // one vector per token, which we mean-pool into a single vector
+  toVector(row) {
+    const values = Array.from(row);
+    if (!Array.isArray(values[0]) && !ArrayBuffer.isView(values[0])) {
+      return values.map(Number);
+    }
+    const tokens = values.map((token) => Array.from(token));
+    const pooled = new Array(tokens[0].length).fill(0);
+    tokens.forEach((token) => {
+      token.forEach((value, i) => {
+        pooled[i] += value / tokens.length;
+      });
+    });
+    return pooled;
+  }
+}
+
+// Any server implementing the OpenAI `POST /embeddings` API
+// (OpenAI itself, llama.cpp, Ollama, LocalAI, vLLM, ...)
+class OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.supportsBatch = true;
+    this.model = options.model || 'text-embedding-3-small';
+    this.maxTokens = 8191;
+    // text-embedding-3 similarities run lower than sentence-transformers'
+    this.minSimilarity = 0.2;
+    this.baseURL = (
+      options.baseURL ||
+      process.env.EMBEDDING_API_URL ||
+      'https://api.openai.com/v1'
+    ).replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.EMBEDDING_API_KEY;
+    this.timeout =
+      Number(options.timeout || process.env.EMBEDDING_TIMEOUT_MS) || 60000;
+  }
+
+  async embed(texts) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      `${this.baseURL}/embeddings`,
+      { model: this.model, input: texts },
+      { headers, timeout: this.timeout }
+    );
+
+    // Results carry an index; don't rely on the server keeping input order
+    return response.data.data
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  }
+}
+
+// Deterministic offline embedder using feature hashing: words and word
+// bigrams are hashed into a fixed number of signed buckets, weighted by
+// log term frequency and L2-normalized. No network or model files needed.
+class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.supportsBatch = true;
+    this.dimension =
+      Number(options.dimension || process.env.EMBEDDING_DIMENSION) || 384;
+    this.model = `local/feature-hashing-${this.dimension}`;
+    // No real limit; keep chunks a typical model size
+    this.maxTokens = 512;
+    // Similarity here is word overlap, diluted by every other word in the
+    // chunk: a question matching one sentence of a paragraph scores about
+    // 0.2, unrelated questions mostly below 0.1
+    this.minSimilarity = 0.15;
+  }
+
+  async embed(texts) {
+    return texts.map((text) => this.embedText(text));
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimension).fill(0);
+    const words = this.tokenize(text);
+    const counts = new Map();
+
+    words.forEach((word, i) => {
+      counts.set(word, (counts.get(word) || 0) + 1);
+      if (i > 0) {
+        const bigram = `${words[i - 1]} ${word}`;
+        counts.set(bigram, (counts.get(bigram) || 0) + 0.5);
+      }
+    });
+
+    counts.forEach((count, feature) => {
+      const hash = this.hash(feature);
+      const bucket = hash % this.dimension;
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[bucket] += sign * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map((v) => v / norm);
+  }
+
+  tokenize(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  // 32-bit FNV-1a
+  hash(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+const PROVIDERS = {
+  huggingface: HuggingFaceEmbeddingProvider,
+  openai: OpenAIEmbeddingProvider,
+  local: LocalEmbeddingProvider,
+};
+
+// Create the provider named in options or EMBEDDING_PROVIDER.
+// EMBEDDING_MODEL applies to the provider named in EMBEDDING_PROVIDER;
+// other providers start with their own default model.
+function createEmbeddingProvider(options = {}) {
+  const name = (
+    options.provider ||
+    process.env.EMBEDDING_PROVIDER ||
+    'huggingface'
+  ).toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(PROVIDERS, name)) {
+    throw new Error(
+      `Unknown embedding provider "${name}". Available: ${Object.keys(
+        PROVIDERS
+      ).join(', ')}`
+    );
+  }
+  const Provider = PROVIDERS[name];
+  const isDefault =
+    name === (process.env.EMBEDDING_PROVIDER || 'huggingface').toLowerCase();
+  return new Provider({
+    ...options,
+    model: options.model || (isDefault ? process.env.EMBEDDING_MODEL : null),
+  });
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  HuggingFaceEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  LocalEmbeddingProvider,
+};
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+
+// Dropped before comparing answers, as in the SQuAD answer metrics
+const ARTICLES = new Set(['a', 'an', 'the']);
+const MARKER_PATTERN = /\[\d+(?:\s*,\s*\d+)*\]/g;
+
+// Load a dataset file: JSON { documents, questions } where documents are
+// paths (relative to the dataset file) or { path, name } and questions are
+// { id, question, expectedSources, referenceAnswer }. expectedSources are
+// document names (file names unless a document sets name).
+function loadDataset(datasetPath) {
+  const baseDir = path.dirname(datasetPath);
+  const raw = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+  if (!Array.isArray(raw.questions) || raw.questions.length === 0) {
+    throw new Error(`${datasetPath} has no questions`);
+  }
+
+  const documents = (raw.documents || []).map((entry) => {
+    const document = typeof entry === 'string' ? { path: entry } : entry;
+    if (!document.path) {
+      throw new Error(`Dataset document without a path: ${entry}`);
+    }
+    const filePath = path.resolve(baseDir, document.path);
+    return { path: filePath, name: document.name || path.basename(filePath) };
+  });
+
+  const questions = raw.questions.map((question, index) => {
+    if (!question.question) {
+      throw new Error(`Question ${index + 1} has no question text`);
+    }
+    return {
+      id: question.id || `q${index + 1}`,
+      question: question.question,
+      expectedSources: question.expectedSources || [],
+      referenceAnswer: question.referenceAnswer || null,
+    };
+  });
+
+  return { name: raw.name || path.basename(datasetPath), documents, questions };
+}
+
+// Share of the expected sources found in the first k ranked sources
+function recallAtK(ranked, expected, k) {
+  if (expected.length === 0) {
+    return null;
+  }
+  const top = new Set(ranked.slice(0, k));
+  return expected.filter((source) => top.has(source)).length / expected.length;
+}
+
+// 1 / rank of the first expected source, 0 if none was retrieved
+function reciprocalRank(ranked, expected) {
+  if (expected.length === 0) {
+    return null;
+  }
+  const rank = ranked.findIndex((source) => expected.includes(source));
+  return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+// Normalized discounted cumulative gain with binary relevance
+function ndcgAtK(ranked, expected, k) {
+  if (expected.length === 0) {
+    return null;
+  }
+  const gain = (relevant, rank) => (relevant ? 1 / Math.log2(rank + 2) : 0);
+  const dcg = ranked
+    .slice(0, k)
+    .reduce(
+      (sum, source, rank) => sum + gain(expected.includes(source), rank),
+      0
+    );
+  let ideal = 0;
+  for (let rank = 0; rank < Math.min(expected.length, k); rank++) {
+    ideal += gain(true, rank);
+  }
+  return dcg / ideal;
+}
+
+// Lowercase words of an answer without citation markers and articles
+function answerTokens(text) {
+  return (
+    String(text || '')
+      .replace(MARKER_PATTERN, ' ')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  ).filter((token) => !ARTICLES.has(token));
+}
+
+// Token overlap between an answer and the reference answer, counting
+// repeated tokens as often as both contain them
+function tokenF1(answer, reference) {
+  const answerCounts = new Map();
+  answerTokens(answer).forEach((token) =>
+    answerCounts.set(token, (answerCounts.get(token) || 0) + 1)
+  );
+  const referenceTokens = answerTokens(reference);
+  const answerLength = Array.from(answerCounts.values()).reduce(
+    (sum, count) => sum + count,
+    0
+  );
+
+  let shared = 0;
+  referenceTokens.forEach((token) => {
+    if (answerCounts.get(token) > 0) {
+      answerCounts.set(token, answerCounts.get(token) - 1);
+      shared++;
+    }
+  });
+  if (shared === 0) {
+    return { precision: 0, recall: 0, f1: 0 };
+  }
+  const precision = shared / answerLength;
+  const recall = shared / referenceTokens.length;
+  return {
+    precision,
+    recall,
+    f1: (2 * precision * recall) / (precision + recall),
+  };
+}
+
+function mean(values) {
+  const defined = values.filter((value) => value !== null);
+  return defined.length > 0
+    ? defined.reduce((sum, value) => sum + value, 0) / defined.length
+    : null;
+}
+
+// Run every question of a dataset through a RAG system that already holds
+// the dataset's documents. Retrieval is scored on the ranked, de-duplicated
+// source documents of the top k chunks; answers on token F1 against the
+// reference answer and on whether any citation points at an expected
+// source. The grounding check of each answer is reported alongside.
+// options: { topK, mode, queryMode, rerank, mmrLambda, template,
+// contextOrder, minSimilarity, minKeywordMatch, sourceName(metadata), onQuestion }.
+async function evaluate(rag, dataset, options = {}) {
+  const topK = options.topK || 3;
+  const sourceName = options.sourceName || ((metadata) => metadata.filename);
+  const results = [];
+
+  for (const item of dataset.questions) {
+    const startTime = Date.now();
+    const response = await rag.askQuestion(item.question, topK, {
+      mode: options.mode,
+      queryMode: options.queryMode,
+      rerank: options.rerank,
+      mmrLambda: options.mmrLambda,
+      template: options.template,
+      contextOrder: options.contextOrder,
+      minSimilarity: options.minSimilarity,
+      minKeywordMatch: options.minKeywordMatch,
+    });
+    const latencyMs = Date.now() - startTime;
+
+    const retrieved = (response.relevantDocuments || []).map((result) =>
+      sourceName(result.metadata)
+    );
+    const ranked = [...new Set(retrieved)];
+    const expected = item.expectedSources;
+    const cited = (response.citations || []).map(
+      (citation) => retrieved[citation.marker - 1]
+    );
+    const overlap =
+      item.referenceAnswer && response.success
+        ? tokenF1(response.answer, item.referenceAnswer)
+        : null;
+
+    const result = {
+      id: item.id,
+      question: item.question,
+      success: response.success,
+      error: response.error || null,
+      answer: response.answer,
+      referenceAnswer: item.referenceAnswer,
+      expectedSources: expected,
+      retrievedSources: ranked,
+      citedSources: [...new Set(cited)],
+      recallAtK: recallAtK(ranked, expected, topK),
+      reciprocalRank: reciprocalRank(ranked, expected),
+      ndcgAtK: ndcgAtK(ranked, expected, topK),
+      tokenF1: item.referenceAnswer ? (overlap ? overlap.f1 : 0) : null,
+      citationHit:
+        expected.length > 0
+          ? cited.some((source) => expected.includes(source))
+          : null,
+      confidence: response.success ? response.confidence : null,
+      grounded: response.success ? response.grounded : null,
+      abstained: Boolean(response.abstained),
+      latencyMs,
+    };
+    results.push(result);
+    if (options.onQuestion) {
+      options.onQuestion(result);
+    }
+  }
+
+  return {
+    dataset: dataset.name,
+    questions: results.length,
+    topK,
+    metrics: {
+      recallAtK: mean(results.map((result) => result.recallAtK)),
+      mrr: mean(results.map((result) => result.reciprocalRank)),
+      ndcgAtK: mean(results.map((result) => result.ndcgAtK)),
+      tokenF1: mean(results.map((result) => result.tokenF1)),
+      citationHitRate: mean(
+        results.map((result) =>
+          result.citationHit === null ? null : Number(result.citationHit)
+        )
+      ),
+      answered: results.filter((result) => result.success).length,
+      abstained: results.filter((result) => result.abstained).length,
+      meanConfidence: mean(results.map((result) => result.confidence)),
+      groundedRate: mean(
+        results.map((result) =>
+          result.grounded === null ? null : Number(result.grounded)
+        )
+      ),
+      meanLatencyMs: mean(results.map((result) => result.latencyMs)),
+    },
+    results,
+  };
+}
+
+function formatMetric(value) {
+  return value === null ? '-' : value.toFixed(3);
+}
+
+// A Markdown summary of an evaluation report
+function formatMarkdown(report) {
+  const { metrics } = report;
+  const k = report.topK;
+  const lines = [
+    `# RAG evaluation: ${report.dataset}`,
+    '',
+    `Run at ${report.createdAt || new Date().toISOString()}`,
+    '',
+  ];
+  if (report.config) {
+    lines.push('## Configuration', '', '| Setting | Value |', '|---|---|');
+    Object.entries(report.config).forEach(([key, value]) => {
+      lines.push(
+        `| ${key} | ${
+          typeof value === 'object' ? JSON.stringify(value) : value
+        } |`
+      );
+    });
+    lines.push('');
+  }
+  lines.push(
+    '## Metrics',
+    '',
+    '| Metric | Value |',
+    '|---|---|',
+    `| recall@${k} | ${formatMetric(metrics.recallAtK)} |`,
+    `| MRR | ${formatMetric(metrics.mrr)} |`,
+    `| nDCG@${k} | ${formatMetric(metrics.ndcgAtK)} |`,
+    `| token F1 | ${formatMetric(metrics.tokenF1)} |`,
+    `| citation hit rate | ${formatMetric(metrics.citationHitRate)} |`,
+    `| answered | ${metrics.answered} / ${report.questions} |`,
+    `| abstained | ${metrics.abstained} |`,
+    `| mean confidence | ${formatMetric(metrics.meanConfidence)} |`,
+    `| grounded rate | ${formatMetric(metrics.groundedRate)} |`,
+    `| mean latency | ${Math.round(metrics.meanLatencyMs)} ms |`,
+    '',
+    '## Questions',
+    '',
+    `| Id | recall@${k} | RR | nDCG@${k} | F1 | Cited | Confidence | Retrieved |`,
+    '|---|---|---|---|---|---|---|---|'
+  );
+  report.results.forEach((result) => {
+    const cited =
+      result.citationHit === null ? '-' : result.citationHit ? 'yes' : 'no';
+    lines.push(
+      `| ${result.id} | ${formatMetric(result.recallAtK)} | ${formatMetric(
+        result.reciprocalRank
+      )} | ${formatMetric(result.ndcgAtK)} | ${formatMetric(
+        result.tokenF1
+      )} | ${cited} | ${
+        result.abstained ? 'abstained' : formatMetric(result.confidence)
+      } | ${result.retrievedSources.join(', ') || '-'} |`
+    );
+  });
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  loadDataset,
+  evaluate,
+  formatMarkdown,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  tokenF1,
+};
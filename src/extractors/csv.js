@@ -0,0 +1,78 @@
+const { formatTable } = require('./records');
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Split delimited text into rows of cells (RFC 4180 quoting: quoted cells
+// may contain delimiters, newlines and doubled quotes)
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+// The delimiter that splits the header line into the most columns
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  let best = ',';
+  let bestCount = 0;
+  DELIMITERS.forEach((delimiter) => {
+    const count = parseDelimited(firstLine, delimiter)[0]?.length || 0;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+// CSV and TSV exports. The first row is taken as the column names and each
+// following row becomes one line: "name: Alice; team: Search; ...".
+module.exports = {
+  name: 'csv',
+  extensions: ['.csv', '.tsv'],
+  mimeTypes: ['text/csv', 'text/tab-separated-values'],
+
+  async extract(buffer, context = {}) {
+    const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+    const delimiter =
+      context.extension === '.tsv' ? '\t' : detectDelimiter(text);
+    return formatTable(parseDelimited(text, delimiter));
+  },
+
+  parseDelimited,
+};
@@ -0,0 +1,120 @@
+const cheerio = require('cheerio');
+const ZipReader = require('../zipReader');
+const { formatTable } = require('./records');
+
+// Uncompressed size limit for the XML parts we read
+const MAX_PART_SIZE = 50 * 1024 * 1024;
+
+// Map style ids to heading levels using styles.xml, so renamed or
+// localized heading styles ("Überschrift 1") are still recognised
+function headingStyles(zip) {
+  const levels = new Map();
+  if (!zip.getEntry('word/styles.xml')) {
+    return levels;
+  }
+  const $ = cheerio.load(zip.readText('word/styles.xml', MAX_PART_SIZE), {
+    xml: true,
+  });
+  $('w\\:style').each((i, style) => {
+    const id = $(style).attr('w:styleId');
+    const name = ($(style).find('w\\:name').attr('w:val') || '').toLowerCase();
+    const outline = $(style).find('w\\:pPr > w\\:outlineLvl').attr('w:val');
+    const heading = name.match(/^heading\s*(\d)$/);
+    if (name === 'title') {
+      levels.set(id, 1);
+    } else if (heading) {
+      levels.set(id, Number(heading[1]));
+    } else if (outline !== undefined && Number(outline) < 9) {
+      levels.set(id, Number(outline) + 1);
+    }
+  });
+  return levels;
+}
+
+function paragraphText($, paragraph) {
+  let text = '';
+  $(paragraph)
+    .find('w\\:t, w\\:tab, w\\:br, w\\:cr')
+    .each((i, node) => {
+      if (node.name === 'w:t') {
+        text += $(node).text();
+      } else {
+        text += node.name === 'w:tab' ? '\t' : '\n';
+      }
+    });
+  return text.trim();
+}
+
+// Word documents (.docx). Paragraphs in heading styles become "## Heading"
+// lines, list paragraphs get a "- " bullet and tables are rendered one
+// record per line under their header row.
+module.exports = {
+  name: 'docx',
+  extensions: ['.docx'],
+  mimeTypes: [
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  ],
+
+  async extract(buffer) {
+    const zip = new ZipReader(buffer);
+    if (!zip.getEntry('word/document.xml')) {
+      throw new Error('Not a Word document (word/document.xml is missing)');
+    }
+    const levels = headingStyles(zip);
+    const $ = cheerio.load(zip.readText('word/document.xml', MAX_PART_SIZE), {
+      xml: true,
+    });
+
+    const blocks = [];
+    const walk = (nodes) => {
+      nodes.each((i, node) => {
+        if (node.name === 'w:p') {
+          const text = paragraphText($, node);
+          if (!text) {
+            return;
+          }
+          const properties = $(node).children('w\\:pPr');
+          const style = properties.children('w\\:pStyle').attr('w:val');
+          const outline = properties.children('w\\:outlineLvl').attr('w:val');
+          const level =
+            levels.get(style) ??
+            (/^heading\d$/i.test(style || '')
+              ? Number(style.slice(-1))
+              : outline !== undefined
+              ? Number(outline) + 1
+              : null);
+          if (level) {
+            blocks.push(`${'#'.repeat(Math.min(level, 6))} ${text}`);
+          } else if (properties.children('w\\:numPr').length > 0) {
+            blocks.push(`- ${text}`);
+          } else {
+            blocks.push(text);
+          }
+        } else if (node.name === 'w:tbl') {
+          const rows = $(node)
+            .children('w\\:tr')
+            .toArray()
+            .map((row) =>
+              $(row)
+                .children('w\\:tc')
+                .toArray()
+                .map((cell) =>
+                  $(cell)
+                    .children('w\\:p')
+                    .toArray()
+                    .map((paragraph) => paragraphText($, paragraph))
+                    .join(' ')
+                )
+            );
+          blocks.push(formatTable(rows));
+        } else if (node.name === 'w:sdt' || node.name === 'w:sdtContent') {
+          // Content controls wrap ordinary paragraphs and tables
+          walk($(node).children());
+        }
+      });
+    };
+    walk($('w\\:body').children());
+
+    return blocks.filter((block) => block !== '').join('\n\n');
+  },
+};
@@ -0,0 +1,65 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const ZipReader = require('../zipReader');
+const { htmlToText } = require('./html');
+
+// Uncompressed size limit per chapter or metadata file
+const MAX_PART_SIZE = 50 * 1024 * 1024;
+
+// E-books (.epub). Chapters are read in spine (reading) order and rendered
+// like HTML pages, keeping their headings.
+module.exports = {
+  name: 'epub',
+  extensions: ['.epub'],
+  mimeTypes: ['application/epub+zip'],
+
+  async extract(buffer) {
+    const zip = new ZipReader(buffer);
+    if (!zip.getEntry('META-INF/container.xml')) {
+      throw new Error('Not an EPUB file (META-INF/container.xml is missing)');
+    }
+
+    const container = cheerio.load(
+      zip.readText('META-INF/container.xml', MAX_PART_SIZE),
+      { xml: true }
+    );
+    const packagePath = container('rootfile').first().attr('full-path');
+    if (!packagePath || !zip.getEntry(packagePath)) {
+      throw new Error('EPUB package document not found');
+    }
+
+    const $ = cheerio.load(zip.readText(packagePath, MAX_PART_SIZE), {
+      xml: true,
+    });
+    const baseDir = path.posix.dirname(packagePath);
+    const manifest = new Map();
+    $('manifest > item').each((i, item) => {
+      manifest.set($(item).attr('id'), {
+        href: $(item).attr('href'),
+        mediaType: $(item).attr('media-type'),
+      });
+    });
+
+    const chapters = [];
+    $('spine > itemref').each((i, itemref) => {
+      const item = manifest.get($(itemref).attr('idref'));
+      if (!item || !/html/.test(item.mediaType || '')) {
+        return;
+      }
+      const entryName = path.posix.join(
+        baseDir,
+        decodeURIComponent(item.href.split('#')[0])
+      );
+      if (!zip.getEntry(entryName)) {
+        return;
+      }
+      const page = cheerio.load(zip.readText(entryName, MAX_PART_SIZE));
+      const text = htmlToText(page, page('body'));
+      if (text) {
+        chapters.push(text);
+      }
+    });
+
+    return chapters.join('\n\n');
+  },
+};
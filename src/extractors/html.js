@@ -0,0 +1,115 @@
+const cheerio = require('cheerio');
+
+const SKIPPED = new Set([
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'head',
+  'svg',
+  'iframe',
+]);
+const BLOCKS = new Set([
+  'p',
+  'div',
+  'section',
+  'article',
+  'main',
+  'header',
+  'footer',
+  'nav',
+  'aside',
+  'blockquote',
+  'pre',
+  'figure',
+  'figcaption',
+  'table',
+  'ul',
+  'ol',
+  'dl',
+  'dt',
+  'dd',
+  'form',
+  'address',
+  'hr',
+  'body',
+]);
+
+// Render an HTML element tree as text: headings become Markdown-style
+// "## Heading" lines, block elements and list items start new lines and
+// table rows become "cell | cell" lines.
+function htmlToText($, root) {
+  let output = '';
+
+  const walk = (node, preformatted) => {
+    if (node.type === 'text') {
+      output += preformatted ? node.data : node.data.replace(/\s+/g, ' ');
+      return;
+    }
+    if (node.type !== 'tag' && node.type !== 'root') {
+      return;
+    }
+    const tag = (node.name || '').toLowerCase().replace(/^.*:/, '');
+    if (SKIPPED.has(tag)) {
+      return;
+    }
+
+    const heading = tag.match(/^h([1-6])$/);
+    if (heading) {
+      const text = $(node).text().replace(/\s+/g, ' ').trim();
+      if (text) {
+        output += `\n\n${'#'.repeat(Number(heading[1]))} ${text}\n\n`;
+      }
+      return;
+    }
+    if (tag === 'br') {
+      output += '\n';
+      return;
+    }
+    if (tag === 'li') {
+      output += '\n- ';
+    } else if (tag === 'tr') {
+      output += '\n';
+    } else if (BLOCKS.has(tag)) {
+      output += '\n\n';
+    }
+
+    const children = node.children || [];
+    children.forEach((child) => walk(child, preformatted || tag === 'pre'));
+
+    if (tag === 'td' || tag === 'th') {
+      output += ' | ';
+    } else if (BLOCKS.has(tag)) {
+      output += '\n\n';
+    }
+  };
+
+  root.toArray().forEach((node) => walk(node, false));
+
+  return output
+    .split('\n')
+    .map((line) =>
+      line
+        .replace(/[ \t]+/g, ' ')
+        .replace(/(\s*\|\s*)+$/, '')
+        .trim()
+    )
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// HTML pages
+module.exports = {
+  name: 'html',
+  extensions: ['.html', '.htm', '.xhtml'],
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+
+  async extract(buffer) {
+    const $ = cheerio.load(buffer.toString('utf-8'));
+    const body = $('body');
+    return htmlToText($, body.length > 0 ? body : $.root());
+  },
+
+  htmlToText,
+};
@@ -0,0 +1,173 @@
+const ZipReader = require('../zipReader');
+
+const BUILT_IN_EXTRACTORS = [
+  require('./pdf'),
+  require('./text'),
+  require('./html'),
+  require('./markdown'),
+  require('./docx'),
+  require('./csv'),
+  require('./json'),
+  require('./epub'),
+];
+
+// Content types we can recognise from the bytes alone, regardless of the
+// file name. Binary formats win over the extension: a PDF named .txt is
+// still a PDF.
+const BINARY_MIME_TYPES = [
+  'application/pdf',
+  'application/epub+zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/zip',
+];
+
+// Guess a MIME type from file content: PDF and ZIP-based formats by their
+// signatures, JSON and HTML by their opening characters. Returns null when
+// nothing is recognised.
+function sniffMimeType(buffer) {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'application/pdf';
+  }
+  if (ZipReader.isZip(buffer)) {
+    try {
+      const zip = new ZipReader(buffer);
+      const mimetype = zip.getEntry('mimetype');
+      if (
+        mimetype &&
+        zip.readText(mimetype, 100).trim() === 'application/epub+zip'
+      ) {
+        return 'application/epub+zip';
+      }
+      if (zip.getEntry('word/document.xml')) {
+        return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+      }
+    } catch (error) {
+      // Unreadable archive: still a ZIP as far as sniffing goes
+    }
+    return 'application/zip';
+  }
+
+  const head = buffer
+    .subarray(0, 1024)
+    .toString('utf-8')
+    .replace(/^\uFEFF/, '')
+    .trimStart();
+  if (/^<(!doctype html|html[\s>])/i.test(head)) {
+    return 'text/html';
+  }
+  if (/^[[{]/.test(head)) {
+    try {
+      JSON.parse(buffer.toString('utf-8').replace(/^\uFEFF/, ''));
+      return 'application/json';
+    } catch (error) {
+      // Not JSON after all
+    }
+  }
+  return null;
+}
+
+// Text extractors keyed by file extension and MIME type. An extractor is an
+// object with a `name`, the `extensions` (with dot) and `mimeTypes` it
+// handles, and `async extract(buffer, context)` returning plain text, where
+// context is { filePath, extension, mimeType }. Registering an extractor
+// for an extension or MIME type that is already taken replaces the old one.
+class ExtractorRegistry {
+  constructor() {
+    this.byExtension = new Map();
+    this.byMimeType = new Map();
+  }
+
+  register(extractor) {
+    if (!extractor.name || typeof extractor.extract !== 'function') {
+      throw new Error('An extractor needs a name and an extract() function');
+    }
+    (extractor.extensions || []).forEach((extension) => {
+      this.byExtension.set(normalizeExtension(extension), extractor);
+    });
+    (extractor.mimeTypes || []).forEach((mimeType) => {
+      this.byMimeType.set(mimeType.toLowerCase(), extractor);
+    });
+    return this;
+  }
+
+  forExtension(extension) {
+    return extension
+      ? this.byExtension.get(normalizeExtension(extension)) || null
+      : null;
+  }
+
+  forMimeType(mimeType) {
+    return mimeType
+      ? this.byMimeType.get(mimeType.split(';')[0].trim().toLowerCase()) || null
+      : null;
+  }
+
+  // Would an upload with this name and declared MIME type be accepted?
+  isSupported({ extension, mimeType }) {
+    return Boolean(this.forExtension(extension) || this.forMimeType(mimeType));
+  }
+
+  // Pick the extractor for a file: a recognised binary signature first,
+  // then the extension, then the declared MIME type, then sniffed text
+  // formats. Throws if none applies.
+  resolve({ extension, mimeType, buffer }) {
+    const sniffed = buffer ? sniffMimeType(buffer) : null;
+    const extractor =
+      (BINARY_MIME_TYPES.includes(sniffed) && this.forMimeType(sniffed)) ||
+      this.forExtension(extension) ||
+      this.forMimeType(mimeType) ||
+      this.forMimeType(sniffed);
+    if (!extractor) {
+      throw new Error(
+        `Unsupported file type "${
+          extension || mimeType || sniffed || 'unknown'
+        }". Supported extensions: ${this.extensions().join(', ')}`
+      );
+    }
+    return { extractor, sniffedMimeType: sniffed };
+  }
+
+  extensions() {
+    return Array.from(this.byExtension.keys()).sort();
+  }
+
+  mimeTypes() {
+    return Array.from(this.byMimeType.keys()).sort();
+  }
+
+  // Describe the registered extractors
+  list() {
+    const extractors = new Set([
+      ...this.byExtension.values(),
+      ...this.byMimeType.values(),
+    ]);
+    return Array.from(extractors, (extractor) => ({
+      name: extractor.name,
+      extensions: this.extensions().filter(
+        (extension) => this.byExtension.get(extension) === extractor
+      ),
+      mimeTypes: this.mimeTypes().filter(
+        (mimeType) => this.byMimeType.get(mimeType) === extractor
+      ),
+    }));
+  }
+}
+
+function normalizeExtension(extension) {
+  const lower = extension.toLowerCase();
+  return lower.startsWith('.') ? lower : `.${lower}`;
+}
+
+// A registry with all built-in extractors
+function createDefaultRegistry() {
+  const registry = new ExtractorRegistry();
+  BUILT_IN_EXTRACTORS.forEach((extractor) => registry.register(extractor));
+  return registry;
+}
+
+module.exports = {
+  ExtractorRegistry,
+  createDefaultRegistry,
+  defaultRegistry: createDefaultRegistry(),
+  sniffMimeType,
+};
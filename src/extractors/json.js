@@ -0,0 +1,94 @@
+const { formatRecord } = require('./records');
+
+// Flatten nested values into [path, value] pairs: { user: { name } } gives
+// "user.name"; arrays of plain values are joined with commas
+function flatten(value, prefix = '', entries = []) {
+  if (Array.isArray(value)) {
+    if (value.every((item) => item === null || typeof item !== 'object')) {
+      entries.push([prefix, value.filter((item) => item !== null).join(', ')]);
+    } else {
+      value.forEach((item, i) => flatten(item, `${prefix}[${i}]`, entries));
+    }
+  } else if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) =>
+      flatten(item, prefix ? `${prefix}.${key}` : key, entries)
+    );
+  } else {
+    entries.push([prefix, value]);
+  }
+  return entries;
+}
+
+const isRecordList = (value) =>
+  Array.isArray(value) &&
+  value.length > 0 &&
+  value.every((item) => item !== null && typeof item === 'object');
+
+// Records in an API dump: the top-level array, or the largest array of
+// objects under a top-level key (as in { "data": [...], "page": 2 })
+function findRecords(data) {
+  if (Array.isArray(data)) {
+    return { records: data, rest: null };
+  }
+  if (data === null || typeof data !== 'object') {
+    return { records: null, rest: data };
+  }
+  let recordsKey = null;
+  Object.entries(data).forEach(([key, value]) => {
+    if (
+      isRecordList(value) &&
+      (recordsKey === null || value.length > data[recordsKey].length)
+    ) {
+      recordsKey = key;
+    }
+  });
+  if (recordsKey === null) {
+    return { records: null, rest: data };
+  }
+  const { [recordsKey]: records, ...rest } = data;
+  return { records, rest: Object.keys(rest).length > 0 ? rest : null };
+}
+
+// Parse JSON, or JSON Lines (one value per line) when that fails
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+    try {
+      return lines.map((line) => JSON.parse(line));
+    } catch (lineError) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  }
+}
+
+// JSON documents, API dumps and JSON Lines. Each record becomes one line of
+// "field: value" pairs with nested fields as dotted paths; a single object
+// is rendered one field per line.
+module.exports = {
+  name: 'json',
+  extensions: ['.json', '.jsonl', '.ndjson'],
+  mimeTypes: ['application/json', 'application/x-ndjson'],
+
+  async extract(buffer) {
+    const data = parseJSON(buffer.toString('utf-8').replace(/^\uFEFF/, ''));
+    const { records, rest } = findRecords(data);
+
+    const lines = [];
+    if (rest !== null) {
+      const entries = flatten(rest);
+      lines.push(
+        records
+          ? formatRecord(entries)
+          : entries.map((entry) => formatRecord([entry])).join('\n')
+      );
+    }
+    if (records) {
+      records.forEach((record) => {
+        lines.push(formatRecord(flatten(record)));
+      });
+    }
+    return lines.filter((line) => line !== '').join('\n');
+  },
+};
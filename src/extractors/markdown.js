@@ -0,0 +1,122 @@
+const { formatTable } = require('./records');
+
+// Strip inline Markdown syntax, keeping the readable text
+function stripInline(text) {
+  return text
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images -> alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links -> link text
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1') // reference links
+    .replace(/<\/?[a-zA-Z][^>]*>/g, '') // inline HTML tags
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(\S(?:.*?\S)?)\*(?!\w)/g, '$1$2')
+    .replace(/(^|\W)_(\S(?:.*?\S)?)_(?!\w)/g, '$1$2')
+    .replace(/~~(.+?)~~/g, '$1');
+}
+
+function tableCells(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split('|')
+    .map((cell) => stripInline(cell.trim()));
+}
+
+// Markdown documents. Headings are kept as "## Heading" lines, tables are
+// rendered one record per line with their column names, and inline syntax
+// (links, emphasis, code spans) is reduced to plain text.
+module.exports = {
+  name: 'md',
+  extensions: ['.md', '.markdown', '.mdown', '.mkd'],
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+
+  async extract(buffer) {
+    let lines = buffer
+      .toString('utf-8')
+      .replace(/^\uFEFF/, '')
+      .split(/\r?\n/);
+
+    // YAML front matter
+    if (lines[0] === '---') {
+      const end = lines.indexOf('---', 1);
+      if (end !== -1) {
+        lines = lines.slice(end + 1);
+      }
+    }
+
+    const output = [];
+    let fence = null;
+    let table = [];
+    const flushTable = () => {
+      if (table.length > 0) {
+        output.push(formatTable(table));
+        table = [];
+      }
+    };
+
+    lines.forEach((line, i) => {
+      const fenceMatch = line.match(/^\s*(```+|~~~+)/);
+      if (fence) {
+        if (fenceMatch && fenceMatch[1][0] === fence[0]) {
+          fence = null;
+        } else {
+          output.push(line);
+        }
+        return;
+      }
+      if (fenceMatch) {
+        flushTable();
+        fence = fenceMatch[1];
+        return;
+      }
+
+      // Tables: "| a | b |" rows; the "|---|---|" separator is dropped
+      if (/^\s*\|.*\|\s*$/.test(line)) {
+        if (!/^\s*\|?[\s:|-]+\|?\s*$/.test(line)) {
+          table.push(tableCells(line));
+        }
+        return;
+      }
+      flushTable();
+
+      // Setext headings: the underline turns the previous line into one
+      const next = lines[i + 1];
+      if (line.trim() && next !== undefined && /^\s*(=+|-+)\s*$/.test(next)) {
+        const level = next.trim()[0] === '=' ? 1 : 2;
+        output.push('', `${'#'.repeat(level)} ${stripInline(line.trim())}`, '');
+        return;
+      }
+      if (/^\s*(=+|-+)\s*$/.test(line) && output.length > 0) {
+        return;
+      }
+
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        output.push('', `${heading[1]} ${stripInline(heading[2])}`, '');
+        return;
+      }
+
+      // Reference link definitions carry no content
+      if (/^\s{0,3}\[[^\]]+\]:\s+\S+/.test(line)) {
+        return;
+      }
+
+      output.push(
+        stripInline(
+          line
+            .replace(/^\s*>\s?/, '')
+            .replace(/^(\s*)[*+]\s+/, '$1- ')
+            .replace(/^\s*([-*_]\s*){3,}$/, '')
+        )
+      );
+    });
+    flushTable();
+
+    return output
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  },
+};
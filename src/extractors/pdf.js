@@ -0,0 +1,13 @@
+const pdf = require('pdf-parse');
+
+// PDF documents (text layer only, no OCR)
+module.exports = {
+  name: 'pdf',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+
+  async extract(buffer) {
+    const data = await pdf(buffer);
+    return data.text;
+  },
+};
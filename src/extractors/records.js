@@ -0,0 +1,32 @@
+// Render one tabular record as a single line that keeps column names next to
+// their values, e.g. "name: Alice; team: Search; started: 2021-03-01".
+// Empty values are left out.
+function formatRecord(entries) {
+  return entries
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [key, String(value).replace(/\s+/g, ' ').trim()])
+    .filter(([, value]) => value !== '')
+    .map(([key, value]) => (key ? `${key}: ${value}` : value))
+    .join('; ');
+}
+
+// Render rows (arrays of cell strings) whose first row holds the column
+// names: one line per record. A lone row is joined as-is.
+function formatTable(rows) {
+  if (rows.length < 2) {
+    return rows.map((row) => row.join(' | ')).join('\n');
+  }
+  const header = rows[0].map(
+    (name, i) => name.replace(/\s+/g, ' ').trim() || `column ${i + 1}`
+  );
+  return rows
+    .slice(1)
+    .map((row) => formatRecord(row.map((value, i) => [header[i], value])))
+    .filter((line) => line !== '')
+    .join('\n');
+}
+
+module.exports = {
+  formatRecord,
+  formatTable,
+};
@@ -0,0 +1,10 @@
+// Plain text files
+module.exports = {
+  name: 'txt',
+  extensions: ['.txt', '.text', '.log'],
+  mimeTypes: ['text/plain'],
+
+  async extract(buffer) {
+    return buffer.toString('utf-8').replace(/^\uFEFF/, '');
+  },
+};
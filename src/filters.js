@@ -0,0 +1,158 @@
+// Metadata filters for retrieval queries, MongoDB style:
+//
+//   { fileType: 'pdf' }                          equality
+//   { fileType: { $in: ['pdf', 'docx'] } }        operators
+//   { timestamp: { $gte: '2024-01-01' } }         ranges (numbers, dates, strings)
+//   { tags: 'contracts' }                         array fields match any element
+//   { $or: [{ ... }, { ... }] }                   boolean combinations
+//
+// Shorthands: documentIds, ingestedAfter, ingestedBefore, sourceFile,
+// fileType and tags are accepted directly on the filter object.
+
+const OPERATORS = ['$eq', '$ne', '$in', '$nin', '$gt', '$gte', '$lt', '$lte'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+// Expand shorthand keys into plain field conditions
+function normalizeFilter(filter = {}) {
+  const { documentIds, ingestedAfter, ingestedBefore, ...rest } = filter;
+  const normalized = { ...rest };
+
+  if (documentIds) {
+    normalized.documentId = {
+      $in: Array.isArray(documentIds) ? documentIds : [documentIds],
+    };
+  }
+  if (ingestedAfter || ingestedBefore) {
+    normalized.timestamp = {
+      ...(ingestedAfter && { $gte: ingestedAfter }),
+      ...(ingestedBefore && { $lte: ingestedBefore }),
+    };
+  }
+  if (Array.isArray(normalized.tags)) {
+    normalized.tags = { $in: normalized.tags };
+  }
+  return normalized;
+}
+
+// Throw if the filter uses unknown operators or malformed values
+function validateFilter(filter) {
+  if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+    throw new Error('filter must be an object');
+  }
+  Object.entries(normalizeFilter(filter)).forEach(([key, condition]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(condition)) {
+        throw new Error(`${key} must be an array of filters`);
+      }
+      condition.forEach(validateFilter);
+      return;
+    }
+    if (key.startsWith('$')) {
+      throw new Error(`Unknown filter operator "${key}"`);
+    }
+    if (isOperatorObject(condition)) {
+      Object.entries(condition).forEach(([operator, value]) => {
+        if (!OPERATORS.includes(operator)) {
+          throw new Error(
+            `Unknown filter operator "${operator}". Use one of: ${OPERATORS.join(
+              ', '
+            )}`
+          );
+        }
+        if (
+          (operator === '$in' || operator === '$nin') &&
+          !Array.isArray(value)
+        ) {
+          throw new Error(`${operator} on "${key}" needs an array`);
+        }
+      });
+    }
+  });
+}
+
+// Does a chunk's metadata satisfy the filter?
+function matchesFilter(metadata, filter) {
+  if (!filter) {
+    return true;
+  }
+  return Object.entries(normalizeFilter(filter)).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every((sub) => matchesFilter(metadata, sub));
+    }
+    if (key === '$or') {
+      return condition.some((sub) => matchesFilter(metadata, sub));
+    }
+    const value = metadata[key];
+    if (!isOperatorObject(condition)) {
+      return matchesOperator(value, '$eq', condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) =>
+      matchesOperator(value, operator, operand)
+    );
+  });
+}
+
+function matchesOperator(value, operator, operand) {
+  // Array fields (such as tags) match if any element does
+  if (Array.isArray(value) && operator !== '$ne' && operator !== '$nin') {
+    return value.some((item) => matchesOperator(item, operator, operand));
+  }
+
+  switch (operator) {
+    case '$eq':
+      return compare(value, operand) === 0;
+    case '$ne':
+      return Array.isArray(value)
+        ? !value.some((item) => compare(item, operand) === 0)
+        : compare(value, operand) !== 0;
+    case '$in':
+      return operand.some((candidate) => compare(value, candidate) === 0);
+    case '$nin':
+      return !operand.some((candidate) =>
+        Array.isArray(value)
+          ? value.some((item) => compare(item, candidate) === 0)
+          : compare(value, candidate) === 0
+      );
+    case '$gt':
+      return value !== undefined && compare(value, operand) > 0;
+    case '$gte':
+      return value !== undefined && compare(value, operand) >= 0;
+    case '$lt':
+      return value !== undefined && compare(value, operand) < 0;
+    case '$lte':
+      return value !== undefined && compare(value, operand) <= 0;
+    default:
+      throw new Error(`Unknown filter operator "${operator}"`);
+  }
+}
+
+// Compare numbers numerically, dates chronologically, anything else as text
+function compare(a, b) {
+  if (a === undefined || a === null) {
+    return b === undefined || b === null ? 0 : -1;
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  if (DATE_PATTERN.test(String(a)) && DATE_PATTERN.test(String(b))) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function isOperatorObject(condition) {
+  return (
+    typeof condition === 'object' &&
+    condition !== null &&
+    !Array.isArray(condition) &&
+    Object.keys(condition).some((key) => key.startsWith('$'))
+  );
+}
+
+module.exports = {
+  matchesFilter,
+  validateFilter,
+  normalizeFilter,
+};
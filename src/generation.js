@@ -1,79 +1,400 @@
-const { InferenceClient } = require('@huggingface/inference');
+const { contentWords } = require('./textUtils');
+const { estimateTokens } = require('./chunking');
+const {
+  GENERATION_PROVIDERS,
+  createGenerationProvider,
+  contextWindow,
+} = require('./generationProviders');
+const {
+  DEFAULT_TEMPLATE_TEXT,
+  renderTemplate,
+  templateVariables,
+} = require('./prompts');
 require('dotenv').config();
 
+const DEFAULT_INSTRUCTIONS =
+  'Based on the following information, please provide a detailed and well-structured answer.';
+// Sampling temperature for answers; the query helpers use 0
+const ANSWER_TEMPERATURE = 0.3;
+// Default answer length limit
+const ANSWER_TOKENS = 300;
+// Longest part of the previous question a follow-up is anchored to without
+// a model, in characters
+const FOLLOW_UP_ANCHOR_CHARS = 300;
+
 class TextGenerator {
-  constructor() {
-    this.hf = new InferenceClient(process.env.huggingface_api_key);
-    // Using a better model for question-answering and structured responses
-    this.model = 'google/flan-t5-large';
-    // Alternative models you can try:
-    // 'microsoft/DialoGPT-medium' - for chat (not good for RAG)
-    // 'google/flan-t5-base' - smaller but faster
-    // 'HuggingFaceH4/zephyr-7b-beta' - very good but slower
+  constructor(options = {}) {
+    // Opening line of every prompt, e.g. the role of a collection's assistant
+    this.instructions = options.prompt || DEFAULT_INSTRUCTIONS;
+    // Default provider from options or GENERATION_PROVIDER; requests can
+    // pick another one (see generationProviders.js)
+    this.providers = new Map(); // name -> provider, created on first use
+    this.providerName = (
+      options.provider ||
+      process.env.GENERATION_PROVIDER ||
+      'huggingface'
+    ).toLowerCase();
+    this.provider = this.getProvider(this.providerName);
+    if (options.model && !this.provider.fixedModel) {
+      this.provider.model = options.model;
+    }
+  }
+
+  get model() {
+    return this.provider.model;
+  }
+
+  // The named provider (the default one if no name is given)
+  getProvider(name) {
+    if (!name) {
+      return this.provider;
+    }
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createGenerationProvider(name));
+    }
+    return this.providers.get(name);
+  }
+
+  // Request for a provider; options.provider and options.model pick
+  // another backend or model for this call only
+  createRequest(messages, options = {}) {
+    const provider = this.getProvider(options.provider);
+    return {
+      provider,
+      request: {
+        messages,
+        model: (!provider.fixedModel && options.model) || provider.model,
+        maxTokens: options.maxTokens,
+        temperature: options.temperature || 0,
+        signal: options.signal,
+        question: options.question,
+        context: options.context,
+      },
+    };
   }
 
   // Generate answer based on context and question
-  async generateAnswer(question, context, maxLength = 300) {
+  // Pass options.history (earlier messages) to answer within a conversation,
+  // options.template (template text) to replace the default prompt,
+  // options.provider / options.model to override the backend and
+  // options.onFallback to learn when the fallback answer was used
+  async generateAnswer(
+    question,
+    context,
+    maxLength = ANSWER_TOKENS,
+    options = {}
+  ) {
     try {
       console.log(`Generating answer for question: "${question}"`);
       console.log(`Using context of ${context.length} characters`);
 
-      // Create a prompt that includes context and question
-      const prompt = this.createPrompt(question, context);
-
-      console.log('Sending request to Hugging Face...');
-
-      const response = await this.hf.textGeneration({
-        model: this.model,
-        inputs: prompt,
-        parameters: {
-          max_new_tokens: maxLength,
-          temperature: 0.3, // Lower temperature for more focused answers
-          do_sample: true,
-          top_p: 0.95,
-          repetition_penalty: 1.2,
-        },
-      });
-
-      // Extract the generated text
-      let answer = response.generated_text || response;
-
-      // Clean up the answer - remove the prompt part
-      if (typeof answer === 'string') {
-        // Remove the original prompt from the response
-        answer = answer.replace(prompt, '').trim();
+      const { provider, request } = this.createRequest(
+        this.createMessages(
+          question,
+          context,
+          options.history,
+          options.template
+        ),
+        {
+          ...options,
+          maxTokens: maxLength,
+          temperature: ANSWER_TEMPERATURE,
+          question,
+          context,
+        }
+      );
 
-        // Clean up common artifacts
-        answer = this.cleanAnswer(answer);
-      }
+      console.log(`Sending request to ${provider.name} (${request.model})...`);
+      const answer = this.cleanAnswer(await provider.generate(request));
 
       console.log(`Generated answer: ${answer.substring(0, 100)}...`);
       return answer;
     } catch (error) {
-      console.error('Error generating answer:', error);
+      console.error('Error generating answer:', error.message);
 
       // Fallback to a simple context-based response
+      if (options.onFallback) {
+        options.onFallback(error);
+      }
       return this.createFallbackAnswer(question, context);
     }
   }
 
-  // Create a well-structured prompt
-  createPrompt(question, context) {
-    return `Based on the following information, please provide a detailed and well-structured answer.
+  // Stream the answer as it is generated, yielding text deltas. If the
+  // model fails before producing anything, the fallback answer is yielded
+  // as a single delta instead (and options.onFallback is called). Stops
+  // quietly when the signal aborts.
+  // Providers that can't stream yield the whole answer at once.
+  async *streamAnswer(question, context, options = {}) {
+    const { maxLength = ANSWER_TOKENS, signal, history, template } = options;
+    let produced = false;
+
+    try {
+      const { provider, request } = this.createRequest(
+        this.createMessages(question, context, history, template),
+        {
+          ...options,
+          maxTokens: maxLength,
+          temperature: ANSWER_TEMPERATURE,
+          question,
+          context,
+        }
+      );
+      console.log(
+        `Streaming answer for question: "${question}" from ${provider.name} (${request.model})`
+      );
+
+      for await (const text of provider.stream(request)) {
+        produced = true;
+        yield text;
+      }
+    } catch (error) {
+      if (signal && signal.aborted) {
+        console.log('Answer stream cancelled');
+        return;
+      }
+      console.error('Error streaming answer:', error.message);
+      if (!produced) {
+        if (options.onFallback) {
+          options.onFallback(error);
+        }
+        yield this.createFallbackAnswer(question, context);
+      }
+    }
+  }
+
+  // Chat messages for an answer: the prompt template (the built-in default
+  // unless options.template holds another template's text) filled in with
+  // the instructions, context, question and history. Templates without
+  // {{history}} get the earlier turns as chat messages instead.
+  createMessages(question, context, history = [], template) {
+    const text = template || DEFAULT_TEMPLATE_TEXT;
+    const turns = history || [];
+    const inline = templateVariables(text).includes('history');
+    return [
+      ...(inline ? [] : turns).map((message) => ({
+        role: message.role === 'user' ? 'user' : 'assistant',
+        content: this.truncate(message.content, 500),
+      })),
+      {
+        role: 'user',
+        content: renderTemplate(text, {
+          instructions: this.instructions,
+          context,
+          question,
+          history: inline ? this.formatHistory(turns) : '',
+        }),
+      },
+    ];
+  }
+
+  // Tokens left for the context of an answer: the model's context window
+  // minus the answer and the rest of the prompt (estimated). options:
+  // { history, template, provider, model }.
+  contextBudget(question, options = {}) {
+    const provider = this.getProvider(options.provider);
+    const prompt = this.createMessages(
+      question,
+      '',
+      options.history,
+      options.template
+    )
+      .map((message) => message.content)
+      .join('\n\n');
+    return (
+      contextWindow(options.model || provider.model) -
+      ANSWER_TOKENS -
+      estimateTokens(prompt)
+    );
+  }
+
+  truncate(text, maxLength) {
+    return text.length > maxLength
+      ? text.substring(0, maxLength) + '...'
+      : text;
+  }
+
+  // Render earlier messages as "User: ..." / "Assistant: ..." lines
+  formatHistory(history, maxMessageLength = 500) {
+    return history
+      .map((message) => {
+        const role = message.role === 'user' ? 'User' : 'Assistant';
+        return `${role}: ${this.truncate(message.content, maxMessageLength)}`;
+      })
+      .join('\n');
+  }
+
+  // Rewrite a follow-up question ("what about the second one?") into a
+  // standalone question using the conversation history, so it can be
+  // embedded and searched on its own
+  async rewriteQuestion(question, history = [], options = {}) {
+    if (!history || history.length === 0) {
+      return question;
+    }
+
+    try {
+      const prompt = `Rewrite the follow-up question as a single standalone question that can be understood without the conversation. Keep names, numbers and terms exactly as written.
+
+CONVERSATION:
+${this.formatHistory(history, 300)}
+
+FOLLOW-UP QUESTION: ${question}
+
+STANDALONE QUESTION:`;
+
+      const rewritten = await this.completePrompt(prompt, 64, options);
+
+      if (rewritten.length > 0 && rewritten.length < 300) {
+        console.log(`Rewrote follow-up question to: "${rewritten}"`);
+        return rewritten;
+      }
+    } catch (error) {
+      console.error('Error rewriting question:', error.message);
+    }
+
+    return this.rewriteQuestionFallback(question, history);
+  }
+
+  // Short, deterministic completion for the query helpers; '' if the model
+  // returned nothing. Throws if the model can't be reached. options.provider
+  // and options.model work as for generateAnswer.
+  async completePrompt(prompt, maxNewTokens, options = {}) {
+    const { provider, request } = this.createRequest(
+      [{ role: 'user', content: prompt }],
+      {
+        provider: options.provider,
+        model: options.model,
+        maxTokens: maxNewTokens,
+      }
+    );
+    return this.cleanAnswer(await provider.generate(request));
+  }
+
+  // Up to `count` other phrasings of a question, to search with alongside
+  // the question itself
+  async paraphraseQuestion(question, count = 3, options = {}) {
+    try {
+      const prompt = `Write ${count} different ways to ask the following question, using other words where possible. Write one question per line.
+
+QUESTION: ${question}
+
+QUESTIONS:`;
+      const paraphrases = this.parseQueryList(
+        await this.completePrompt(prompt, 32 * count, options),
+        question
+      ).slice(0, count);
+      if (paraphrases.length > 0) {
+        console.log(`Paraphrased question as: ${paraphrases.join(' | ')}`);
+        return paraphrases;
+      }
+    } catch (error) {
+      console.error('Error paraphrasing question:', error.message);
+    }
+    return this.paraphraseQuestionFallback(question);
+  }
+
+  // Without a model, search with the question's content words alone
+  paraphraseQuestionFallback(question) {
+    const keywords = contentWords(question).join(' ');
+    return keywords && keywords !== question.toLowerCase() ? [keywords] : [];
+  }
+
+  // A short passage that could answer the question (HyDE): it tends to
+  // sit closer to the answering chunks in embedding space than the
+  // question does
+  async hypotheticalAnswer(question, options = {}) {
+    try {
+      const prompt = `Write a short passage from a document that answers the question. State facts directly, even if you have to guess them.
+
+QUESTION: ${question}
+
+PASSAGE:`;
+      const passage = await this.completePrompt(prompt, 128, options);
+      if (passage.length > 0) {
+        console.log(`Hypothetical answer: "${passage.substring(0, 100)}..."`);
+        return passage;
+      }
+    } catch (error) {
+      console.error('Error writing hypothetical answer:', error.message);
+    }
+    // Without a model the question is the best guess
+    return question;
+  }
 
-CONTEXT INFORMATION:
-${context}
+  // Split a compound question ("What is X and how does Y work?") into
+  // questions that can be searched separately. Returns [] for a simple
+  // question.
+  async decomposeQuestion(question, options = {}) {
+    try {
+      const prompt = `If the question asks about several things, split it into simple standalone questions, one per line. If it asks about one thing, repeat it unchanged.
 
 QUESTION: ${question}
 
-INSTRUCTIONS: Please provide a comprehensive answer that:
-1. Directly answers the question based on the context
-2. Includes specific details and data from the documents
-3. Is well-organized with clear sections if needed
-4. Cites relevant information from the source material
-5. Is accurate and factual based only on the provided context
+SIMPLE QUESTIONS:`;
+      const output = await this.completePrompt(prompt, 128, options);
+      const parts = this.parseQueryList(output, question);
+      if (parts.length > 1) {
+        console.log(`Decomposed question into: ${parts.join(' | ')}`);
+        return parts;
+      }
+      // The model repeated the question: nothing to split
+      if (output.length > 0 && parts.length === 0) {
+        return [];
+      }
+    } catch (error) {
+      console.error('Error decomposing question:', error.message);
+    }
+    return this.decomposeQuestionFallback(question);
+  }
+
+  // Without a model, split at question marks and at "and"/";" followed by
+  // a question word ("... and how much does it cost?")
+  decomposeQuestionFallback(question) {
+    const parts = question
+      .split(
+        /\?\s+|;\s*|,?\s+and\s+(?=(?:what|how|who|when|where|why|which|is|are|does|do|can|should)\b)/i
+      )
+      .map((part) => part.replace(/\?+$/, '').trim())
+      .filter((part) => contentWords(part).length > 0);
+    return parts.length > 1 ? parts.map((part) => `${part}?`) : [];
+  }
+
+  // Questions from a model's list: one per line, without numbering,
+  // duplicates or a copy of the original question
+  parseQueryList(text, question) {
+    const seen = new Set([question.trim().toLowerCase()]);
+    return text
+      .split('\n')
+      .map((line) => line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, '').trim())
+      .filter((line) => {
+        const key = line.toLowerCase();
+        if (line.length === 0 || line.length > 300 || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+  }
 
-ANSWER:`;
+  // Without a model, anchor questions that refer back to the conversation
+  // to the previous question so retrieval sees the original subject. The
+  // anchor is what the user typed, not its rewritten form, so a chain of
+  // follow-ups doesn't keep growing the query.
+  rewriteQuestionFallback(question, history) {
+    const isFollowUp =
+      question.trim().split(/\s+/).length <= 4 ||
+      /\b(it|its|they|them|their|this|that|these|those|he|she|him|her|one|ones|former|latter|what about|how about|and)\b/i.test(
+        question
+      );
+    const lastQuestion = history
+      .filter((message) => message.role === 'user')
+      .pop();
+
+    if (!isFollowUp || !lastQuestion) {
+      return question;
+    }
+    const anchor = lastQuestion.content.slice(0, FOLLOW_UP_ANCHOR_CHARS).trim();
+    return `${anchor} ${question}`;
   }
 
   // Clean up the generated answer
@@ -87,8 +408,13 @@ ANSWER:`;
   }
 
   // Fallback answer when LLM fails
-  createFallbackAnswer(question, context) {
+  createFallbackAnswer(question, sectionedContext) {
     console.log('Using fallback answer generation');
+    // Section header lines are not document content
+    const context = sectionedContext.replace(
+      /^=== \[\d+\] Document Section .*===$/gm,
+      ''
+    );
 
     // Try to extract relevant information from context
     const extractedInfo = this.extractRelevantInfo(question, context);
@@ -264,12 +590,65 @@ ANSWER:`;
     return locations;
   }
 
+  // Throw if a model is given for a provider that has none to choose
+  // from (the extractive one)
+  checkModel(providerName, model) {
+    const provider = this.getProvider(
+      providerName && String(providerName).toLowerCase()
+    );
+    if (model && provider.fixedModel) {
+      throw new Error(`The ${provider.name} provider does not take a model`);
+    }
+  }
+
   // Change the model being used
   setModel(modelName) {
-    this.model = modelName;
+    this.checkModel(null, modelName);
+    this.provider.model = modelName;
     console.log(`Model changed to: ${modelName}`);
   }
 
+  // Change the default provider, and optionally its model
+  setProvider(name, model) {
+    this.checkModel(name, model);
+    this.provider = this.getProvider(String(name).toLowerCase());
+    this.providerName = this.provider.name;
+    if (model) {
+      this.provider.model = model;
+    }
+    console.log(
+      `Generation provider changed to: ${this.provider.name} (model: ${this.provider.model})`
+    );
+    return this.describe();
+  }
+
+  // Describe the default provider
+  describe() {
+    return { provider: this.provider.name, model: this.provider.model };
+  }
+
+  // Every provider with its current model and the models it offers. A
+  // provider that can't be reached reports the error instead of failing
+  // the whole list.
+  async listModels() {
+    return Promise.all(
+      GENERATION_PROVIDERS.map(async (name) => {
+        const provider = this.getProvider(name);
+        const entry = {
+          provider: name,
+          default: provider === this.provider,
+          model: provider.model,
+          streaming: provider.supportsStreaming,
+        };
+        try {
+          return { ...entry, models: await provider.listModels() };
+        } catch (error) {
+          return { ...entry, models: [provider.model], error: error.message };
+        }
+      })
+    );
+  }
+
   // Generate multiple answer variations
   async generateMultipleAnswers(question, context, count = 3) {
     try {
@@ -292,3 +671,4 @@ ANSWER:`;
 }
 
 module.exports = TextGenerator;
+module.exports.PROVIDERS = GENERATION_PROVIDERS;
@@ -0,0 +1,304 @@
+const { InferenceClient } = require('@huggingface/inference');
+const axios = require('axios');
+const { splitSentences, overlapScore } = require('./textUtils');
+require('dotenv').config();
+
+// Answer sentences taken from the context by the extractive provider
+const EXTRACTIVE_SENTENCES = 2;
+
+// Context windows (prompt plus answer, in tokens) of well-known models;
+// other models get DEFAULT_CONTEXT_WINDOW. GENERATION_CONTEXT_WINDOW
+// overrides both.
+const CONTEXT_WINDOWS = [
+  [/flan-t5/i, 2048],
+  [/zephyr|mistral|llama-?3/i, 8192],
+  [/gpt-3\.5/i, 16385],
+  [/gpt-4o|gpt-4\.1|gpt-4-turbo/i, 128000],
+];
+const DEFAULT_CONTEXT_WINDOW = 4096;
+
+function contextWindow(model) {
+  const configured = Number(process.env.GENERATION_CONTEXT_WINDOW);
+  if (configured > 0) {
+    return configured;
+  }
+  const known = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model || ''));
+  return known ? known[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+// Providers take a request { messages, model, maxTokens, temperature,
+// signal, question, context }. messages are chat messages ({ role:
+// 'system' | 'user' | 'assistant', content }); question and context are
+// set when answering from retrieved chunks. generate() resolves to the
+// completion, stream() yields text deltas.
+
+// Hugging Face Inference API (text generation). The messages are rendered
+// into a single prompt, which suits instruction models like Flan-T5.
+class HuggingFaceGenerationProvider {
+  constructor(options = {}) {
+    this.name = 'huggingface';
+    this.supportsStreaming = true;
+    // A good model for question-answering and structured responses
+    this.model = options.model || 'google/flan-t5-large';
+    // Alternative models you can try (DialoGPT is for chat, not good for RAG)
+    this.suggestedModels = [
+      'google/flan-t5-base', // smaller but faster
+      'HuggingFaceH4/zephyr-7b-beta', // very good but slower
+    ];
+    this.hf = new InferenceClient(
+      options.apiKey || process.env.huggingface_api_key
+    );
+  }
+
+  async generate(request) {
+    const prompt = this.formatPrompt(request.messages);
+    const response = await this.hf.textGeneration({
+      model: request.model || this.model,
+      inputs: prompt,
+      parameters: this.parameters(request),
+    });
+    // Some models echo the prompt before the completion
+    return String(response.generated_text || '').replace(prompt, '');
+  }
+
+  async *stream(request) {
+    const stream = this.hf.textGenerationStream(
+      {
+        model: request.model || this.model,
+        inputs: this.formatPrompt(request.messages),
+        parameters: this.parameters(request),
+      },
+      { signal: request.signal }
+    );
+    for await (const output of stream) {
+      if (!output.token.special) {
+        yield output.token.text;
+      }
+    }
+  }
+
+  // System messages first, then earlier turns as "User: ..." /
+  // "Assistant: ..." lines, then the final message
+  formatPrompt(messages) {
+    const system = messages.filter((message) => message.role === 'system');
+    const turns = messages.filter((message) => message.role !== 'system');
+    const last = turns.pop();
+    const parts = system.map((message) => message.content);
+    if (turns.length > 0) {
+      const conversation = turns
+        .map(
+          (message) =>
+            `${message.role === 'user' ? 'User' : 'Assistant'}: ${
+              message.content
+            }`
+        )
+        .join('\n');
+      parts.push(`CONVERSATION SO FAR:\n${conversation}`);
+    }
+    if (last) {
+      parts.push(last.content);
+    }
+    return parts.join('\n\n');
+  }
+
+  parameters(request) {
+    if (!request.temperature) {
+      return { max_new_tokens: request.maxTokens, do_sample: false };
+    }
+    return {
+      max_new_tokens: request.maxTokens,
+      temperature: request.temperature,
+      do_sample: true,
+      top_p: 0.95,
+      repetition_penalty: 1.2,
+    };
+  }
+
+  async listModels() {
+    return [this.model, ...this.suggestedModels];
+  }
+}
+
+// Any server implementing the OpenAI `POST /chat/completions` API
+// (OpenAI itself, llama.cpp, Ollama, LocalAI, vLLM, ...)
+class OpenAIGenerationProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.supportsStreaming = true;
+    this.model = options.model || 'gpt-4o-mini';
+    this.baseURL = (
+      options.baseURL ||
+      process.env.GENERATION_API_URL ||
+      'https://api.openai.com/v1'
+    ).replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.GENERATION_API_KEY;
+    this.timeout =
+      Number(options.timeout || process.env.GENERATION_TIMEOUT_MS) || 120000;
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  body(request) {
+    return {
+      model: request.model || this.model,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature || 0,
+    };
+  }
+
+  async generate(request) {
+    const response = await axios.post(
+      `${this.baseURL}/chat/completions`,
+      this.body(request),
+      {
+        headers: this.headers(),
+        timeout: this.timeout,
+        signal: request.signal,
+      }
+    );
+    const choice = (response.data.choices || [])[0];
+    return (choice && choice.message && choice.message.content) || '';
+  }
+
+  // The answer arrives as Server-Sent Events, one `data:` line per delta
+  // and `data: [DONE]` at the end
+  async *stream(request) {
+    const response = await axios.post(
+      `${this.baseURL}/chat/completions`,
+      { ...this.body(request), stream: true },
+      {
+        headers: this.headers(),
+        timeout: this.timeout,
+        signal: request.signal,
+        responseType: 'stream',
+      }
+    );
+
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || payload.length === 0) {
+          continue;
+        }
+        if (payload === '[DONE]') {
+          return;
+        }
+        const choice = (JSON.parse(payload).choices || [])[0];
+        const text = choice && choice.delta && choice.delta.content;
+        if (text) {
+          yield text;
+        }
+      }
+    }
+  }
+
+  // Models the server offers (`GET /models`)
+  async listModels() {
+    const response = await axios.get(`${this.baseURL}/models`, {
+      headers: this.headers(),
+      timeout: 10000,
+    });
+    return (response.data.data || []).map((model) => model.id);
+  }
+}
+
+// Deterministic offline provider answering with the context sentences that
+// share the most words with the question. Needs no model or network, so
+// evaluation runs are comparable. Requests without a question and context
+// (query rewriting and expansion) get an empty completion, which makes
+// those helpers use their fallbacks.
+class ExtractiveGenerationProvider {
+  constructor() {
+    this.name = 'extractive';
+    this.supportsStreaming = false;
+    this.model = 'extractive';
+    // There is no model to choose; requests naming one are rejected
+    this.fixedModel = true;
+  }
+
+  async generate(request) {
+    if (!request.question || !request.context) {
+      return '';
+    }
+    return this.extractAnswer(request.question, request.context);
+  }
+
+  async *stream(request) {
+    yield await this.generate(request);
+  }
+
+  extractAnswer(question, context) {
+    // Section headers and Markdown headings are not answers
+    const body = context
+      .replace(/^=== \[\d+\] Document Section .*===$/gm, '')
+      .replace(/^#{1,6}\s.*$/gm, '');
+    const sentences = splitSentences(body)
+      .map((sentence, index) => ({
+        text: sentence.text,
+        index,
+        score: overlapScore(question, sentence.text),
+      }))
+      .filter((sentence) => sentence.score > 0);
+
+    if (sentences.length === 0) {
+      return 'The documents do not say.';
+    }
+    // Best sentences, in the order they appear in the context
+    return sentences
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, EXTRACTIVE_SENTENCES)
+      .sort((a, b) => a.index - b.index)
+      .map((sentence) => sentence.text)
+      .join(' ');
+  }
+
+  async listModels() {
+    return [this.model];
+  }
+}
+
+const PROVIDERS = {
+  huggingface: HuggingFaceGenerationProvider,
+  openai: OpenAIGenerationProvider,
+  extractive: ExtractiveGenerationProvider,
+};
+
+// Create the named provider. GENERATION_MODEL applies to the provider
+// named in GENERATION_PROVIDER; other providers start with their own
+// default model.
+function createGenerationProvider(name, options = {}) {
+  if (!Object.prototype.hasOwnProperty.call(PROVIDERS, name)) {
+    throw new Error(
+      `Unknown generation provider "${name}". Available: ${Object.keys(
+        PROVIDERS
+      ).join(', ')}`
+    );
+  }
+  const Provider = PROVIDERS[name];
+  const isDefault =
+    name === (process.env.GENERATION_PROVIDER || 'huggingface').toLowerCase();
+  return new Provider({
+    ...options,
+    model: options.model || (isDefault ? process.env.GENERATION_MODEL : null),
+  });
+}
+
+module.exports = {
+  GENERATION_PROVIDERS: Object.keys(PROVIDERS),
+  createGenerationProvider,
+  contextWindow,
+  HuggingFaceGenerationProvider,
+  OpenAIGenerationProvider,
+  ExtractiveGenerationProvider,
+};
@@ -0,0 +1,97 @@
+const { contentWords, splitSentences, overlapScore } = require('./textUtils');
+
+// Below these the question is taken to be outside the documents: the
+// cosine similarity of the most similar chunk (the right value depends on
+// the embedding model, so providers set their own; this is the fallback
+// and MIN_SIMILARITY overrides both) and the idf-weighted share of the
+// question's terms in the best keyword match (MIN_KEYWORD_MATCH)
+const DEFAULT_MIN_SIMILARITY = 0.25;
+const DEFAULT_MIN_KEYWORD_MATCH = 0.3;
+// Share of a sentence's content words that must appear in one retrieved
+// chunk for the sentence to count as supported
+const SUPPORT_THRESHOLD = 0.5;
+const MARKER_PATTERN = /\[\d+(?:\s*,\s*\d+)*\]/g;
+
+const NOT_FOUND_ANSWER =
+  'The answer was not found in your documents. None of the retrieved passages is close enough to the question to answer it reliably.';
+
+// A threshold between 0 and 1, or null if none is given
+function parseThreshold(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error(`${name} must be a number between 0 and 1`);
+  }
+  return threshold;
+}
+
+// Highest question similarity among the search results (reranking may
+// have moved the most similar chunk down the list)
+function topSimilarity(results) {
+  return results.reduce(
+    (best, result) => Math.max(best, result.similarity || 0),
+    0
+  );
+}
+
+// Whether retrieval found something close enough to answer from, judged
+// by the signal the retrieval mode ranks with: similarity in vector mode,
+// keyword match in keyword mode and either one in hybrid mode. support is
+// { topSimilarity, topKeywordMatch }, thresholds { minSimilarity,
+// minKeywordMatch }.
+function isRelevant(support, mode, thresholds) {
+  const similar = support.topSimilarity >= thresholds.minSimilarity;
+  const matched = support.topKeywordMatch >= thresholds.minKeywordMatch;
+  if (mode === 'keyword') {
+    return matched;
+  }
+  if (mode === 'hybrid') {
+    return similar || matched;
+  }
+  return similar;
+}
+
+// Score how well an answer is supported by the chunks it was generated
+// from. Each answer sentence with content words gets the best overlap
+// with any one chunk; sentences below SUPPORT_THRESHOLD are unsupported.
+// confidence is the mean support of the sentences (0 for an empty
+// answer); grounded is true when every sentence is supported.
+function checkGrounding(answer, results) {
+  const sentences = splitSentences(String(answer || ''))
+    .map((sentence) => {
+      const text = sentence.text.replace(MARKER_PATTERN, ' ');
+      const support = results.reduce(
+        (best, result) => Math.max(best, overlapScore(text, result.document)),
+        0
+      );
+      return { text: sentence.text, words: contentWords(text), support };
+    })
+    .filter((sentence) => sentence.words.length > 0);
+
+  if (sentences.length === 0) {
+    return { confidence: 0, grounded: false, unsupportedSentences: [] };
+  }
+  const unsupported = sentences.filter(
+    (sentence) => sentence.support < SUPPORT_THRESHOLD
+  );
+  const confidence =
+    sentences.reduce((sum, sentence) => sum + sentence.support, 0) /
+    sentences.length;
+  return {
+    confidence: Number(confidence.toFixed(3)),
+    grounded: unsupported.length === 0,
+    unsupportedSentences: unsupported.map((sentence) => sentence.text),
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_SIMILARITY,
+  DEFAULT_MIN_KEYWORD_MATCH,
+  NOT_FOUND_ANSWER,
+  checkGrounding,
+  isRelevant,
+  parseThreshold,
+  topSimilarity,
+};
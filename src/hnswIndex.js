@@ -0,0 +1,266 @@
+const { dot } = require('./vectorMatrix');
+
+// Binary heap ordered by `score`; max-heap by default, min-heap if `min`
+class Heap {
+  constructor(min = false) {
+    this.items = [];
+    this.before = min
+      ? (a, b) => a.score < b.score
+      : (a, b) => a.score > b.score;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(items[i], items[parent])) {
+        break;
+      }
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && this.before(items[left], items[best])) {
+          best = left;
+        }
+        if (right < items.length && this.before(items[right], items[best])) {
+          best = right;
+        }
+        if (best === i) {
+          break;
+        }
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+// Hierarchical Navigable Small World graph (Malkov & Yashunin, 2016) over
+// normalized vectors, scored by dot product. Nodes are identified by the
+// caller's ids; vectors are looked up through `vectorOf(id)` so they are not
+// copied. Deleted nodes are tombstoned: they keep a copy of their vector and
+// still route searches but are never returned, and the caller rebuilds once
+// too many pile up.
+//
+// Tuning: `m` (links per node) and `efConstruction` trade build time and
+// memory for recall; `efSearch` trades query time for recall.
+class HNSWIndex {
+  constructor(options = {}) {
+    this.vectorOf = options.vectorOf;
+    this.m = options.m ?? 16;
+    this.maxM0 = this.m * 2; // links per node on the bottom layer
+    this.efConstruction = options.efConstruction ?? 100;
+    this.efSearch = options.efSearch ?? 64;
+    this.levelFactor = 1 / Math.log(this.m);
+    this.nodes = new Map(); // id -> { level, neighbors: [ids per layer] }
+    this.deleted = new Map(); // tombstoned id -> copy of its vector
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.nodes.size - this.deleted.size;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - Math.random()) * this.levelFactor);
+  }
+
+  add(id) {
+    const vector = this.vectorOf(id);
+    const level = this.randomLevel();
+    const node = {
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+    };
+    this.nodes.set(id, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = this.greedyDescend(vector, level);
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(
+        vector,
+        entry,
+        this.efConstruction,
+        layer
+      );
+      const maxLinks = layer === 0 ? this.maxM0 : this.m;
+      node.neighbors[layer] = this.selectNeighbors(candidates, this.m).map(
+        (candidate) => candidate.id
+      );
+      node.neighbors[layer].forEach((neighborId) => {
+        const links = this.nodes.get(neighborId).neighbors[layer];
+        links.push(id);
+        if (links.length > maxLinks) {
+          this.shrink(neighborId, layer, maxLinks);
+        }
+      });
+      entry = candidates[0];
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = id;
+    }
+  }
+
+  // Tombstone a node. Call before the caller drops the vector.
+  remove(id) {
+    if (this.nodes.has(id) && !this.deleted.has(id)) {
+      this.deleted.set(id, Float32Array.from(this.vectorOf(id)));
+    }
+  }
+
+  vector(id) {
+    return this.deleted.get(id) || this.vectorOf(id);
+  }
+
+  // Share of nodes that are tombstones
+  deletedRatio() {
+    return this.nodes.size === 0 ? 0 : this.deleted.size / this.nodes.size;
+  }
+
+  // The k best live nodes for a normalized query, best first. An optional
+  // accept(id) callback restricts which nodes may be returned.
+  search(query, k, options = {}) {
+    if (this.entryPoint === null) {
+      return [];
+    }
+    const ef = Math.max(options.ef ?? this.efSearch, k);
+    const entry = this.greedyDescend(query, 0);
+    return this.searchLayer(query, entry, ef, 0)
+      .filter(
+        ({ id }) =>
+          !this.deleted.has(id) && (!options.accept || options.accept(id))
+      )
+      .slice(0, k);
+  }
+
+  // Walk the upper layers greedily down to `targetLevel`, returning the
+  // closest node found as { id, score }
+  greedyDescend(query, targetLevel) {
+    let current = {
+      id: this.entryPoint,
+      score: dot(query, this.vector(this.entryPoint)),
+    };
+    for (let layer = this.maxLevel; layer > targetLevel; layer--) {
+      let improved = true;
+      while (improved) {
+        improved = false;
+        this.nodes.get(current.id).neighbors[layer].forEach((neighborId) => {
+          const score = dot(query, this.vector(neighborId));
+          if (score > current.score) {
+            current = { id: neighborId, score };
+            improved = true;
+          }
+        });
+      }
+    }
+    return current;
+  }
+
+  // Best-first search of one layer, returning up to ef nodes best first
+  searchLayer(query, entry, ef, layer) {
+    const visited = new Set([entry.id]);
+    const candidates = new Heap(); // closest first
+    const found = new Heap(true); // worst first, capped at ef
+    candidates.push(entry);
+    found.push(entry);
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (found.size >= ef && current.score < found.peek().score) {
+        break;
+      }
+      const links = this.nodes.get(current.id).neighbors[layer] || [];
+      links.forEach((neighborId) => {
+        if (visited.has(neighborId)) {
+          return;
+        }
+        visited.add(neighborId);
+        const score = dot(query, this.vector(neighborId));
+        if (found.size < ef || score > found.peek().score) {
+          const candidate = { id: neighborId, score };
+          candidates.push(candidate);
+          found.push(candidate);
+          if (found.size > ef) {
+            found.pop();
+          }
+        }
+      });
+    }
+    return found.items.sort((a, b) => b.score - a.score);
+  }
+
+  // Neighbour selection heuristic: skip a candidate that is closer to an
+  // already selected neighbour than to the base node, which keeps links
+  // spread across clusters. Pruned candidates fill any remaining slots.
+  selectNeighbors(candidates, count) {
+    const selected = [];
+    const pruned = [];
+    for (const candidate of candidates) {
+      if (selected.length >= count) {
+        break;
+      }
+      const vector = this.vector(candidate.id);
+      const redundant = selected.some(
+        (chosen) => dot(vector, this.vector(chosen.id)) > candidate.score
+      );
+      (redundant ? pruned : selected).push(candidate);
+    }
+    return selected.concat(pruned.slice(0, count - selected.length));
+  }
+
+  // Cut a node's links on a layer back to maxLinks
+  shrink(id, layer, maxLinks) {
+    const node = this.nodes.get(id);
+    const vector = this.vector(id);
+    const candidates = node.neighbors[layer]
+      .map((neighborId) => ({
+        id: neighborId,
+        score: dot(vector, this.vector(neighborId)),
+      }))
+      .sort((a, b) => b.score - a.score);
+    node.neighbors[layer] = this.selectNeighbors(candidates, maxLinks).map(
+      (candidate) => candidate.id
+    );
+  }
+
+  clear() {
+    this.nodes = new Map();
+    this.deleted = new Map();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+}
+
+module.exports = HNSWIndex;
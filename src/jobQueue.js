@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Runs background jobs (such as document ingestion) a few at a time.
+// Jobs are kept in memory: { id, type, status, stage, details, progress,
+// result, error, createdAt, startedAt, finishedAt } where status is queued,
+// running, completed, failed or cancelled. Every change is emitted as an
+// `update` event with a copy of the job.
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // Any number of clients may be watching jobs
+    this.setMaxListeners(0);
+    this.concurrency = options.concurrency ?? 2;
+    // Jobs allowed to wait for a free slot; more are refused
+    this.maxQueued = options.maxQueued ?? 50;
+    // Finished jobs remembered for status queries
+    this.maxFinished = options.maxFinished ?? 100;
+    this.jobs = new Map();
+    this.tasks = new Map(); // job id -> { task, controller }
+    this.queue = [];
+    this.finished = [];
+    this.running = 0;
+  }
+
+  // Queue a job. task({ signal, update }) does the work and resolves to the
+  // job's result; update({ stage, progress }) reports how far it got and
+  // signal fires when the job is cancelled. Throws if the queue is full.
+  enqueue(type, details, task) {
+    if (this.queue.length >= this.maxQueued) {
+      const error = new Error(
+        `Too many jobs waiting (limit ${this.maxQueued}), try again later`
+      );
+      error.code = 'QUEUE_FULL';
+      throw error;
+    }
+
+    const job = {
+      id: `job_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      status: 'queued',
+      stage: 'queued',
+      details: details || {},
+      progress: {},
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    this.jobs.set(job.id, job);
+    this.tasks.set(job.id, { task, controller: new AbortController() });
+    this.queue.push(job);
+    this.emit('update', this.snapshot(job));
+    this.drain();
+    return this.snapshot(job);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.snapshot(job) : null;
+  }
+
+  // All known jobs, newest first
+  list() {
+    return Array.from(this.jobs.values(), (job) => this.snapshot(job)).sort(
+      (a, b) => b.createdAt.localeCompare(a.createdAt)
+    );
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  // Cancel a job. A queued job is dropped at once; a running job is
+  // signalled and ends as cancelled when its task next checks the signal
+  // (a task that finishes first still completes).
+  // Returns the job, or null if it doesn't exist.
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || this.isFinished(job)) {
+      return job ? this.snapshot(job) : null;
+    }
+    this.tasks.get(id).controller.abort();
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter((queued) => queued.id !== id);
+      this.finish(job, 'cancelled', { error: 'Cancelled' });
+    } else {
+      this.update(job, { stage: 'cancelling' });
+    }
+    return this.snapshot(job);
+  }
+
+  // Resolve with the job once it has finished
+  wait(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return Promise.reject(new Error(`Unknown job ${id}`));
+    }
+    if (this.isFinished(job)) {
+      return Promise.resolve(this.snapshot(job));
+    }
+    return new Promise((resolve) => {
+      const onUpdate = (updated) => {
+        if (updated.id === id && this.isFinished(updated)) {
+          this.off('update', onUpdate);
+          resolve(updated);
+        }
+      };
+      this.on('update', onUpdate);
+    });
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      this.run(this.queue.shift());
+    }
+  }
+
+  async run(job) {
+    const { task, controller } = this.tasks.get(job.id);
+    this.running++;
+    this.update(job, {
+      status: 'running',
+      stage: 'starting',
+      startedAt: new Date().toISOString(),
+    });
+    try {
+      const result = await task({
+        signal: controller.signal,
+        update: (changes) => {
+          if (!this.isFinished(job)) {
+            this.update(job, changes);
+          }
+        },
+      });
+      // A task that returns has done its work, even if cancelled too late
+      this.finish(job, 'completed', { result });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        this.finish(job, 'cancelled', { error: 'Cancelled' });
+      } else {
+        console.error(`Job ${job.id} failed: ${error.message}`);
+        this.finish(job, 'failed', { error: error.message });
+      }
+    } finally {
+      this.running--;
+      this.drain();
+    }
+  }
+
+  update(job, changes) {
+    const { progress, ...fields } = changes;
+    Object.assign(job, fields);
+    if (progress) {
+      job.progress = { ...job.progress, ...progress };
+    }
+    this.emit('update', this.snapshot(job));
+  }
+
+  finish(job, status, fields = {}) {
+    this.tasks.delete(job.id);
+    this.update(job, {
+      ...fields,
+      status,
+      stage: status === 'completed' ? 'done' : job.stage,
+      finishedAt: new Date().toISOString(),
+    });
+    this.finished.push(job.id);
+    while (this.finished.length > this.maxFinished) {
+      this.jobs.delete(this.finished.shift());
+    }
+  }
+
+  snapshot(job) {
+    return {
+      ...job,
+      details: { ...job.details },
+      progress: { ...job.progress },
+    };
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,167 @@
+const { isStopword } = require('./textUtils');
+
+// Inverted index with Okapi BM25 scoring, used for exact keyword matches
+// (part numbers, error codes, names) that embeddings tend to blur.
+class KeywordIndex {
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2; // term frequency saturation
+    this.b = options.b ?? 0.75; // document length normalization
+    this.postings = new Map(); // term -> Map(docId -> term frequency)
+    this.docLengths = new Map(); // docId -> number of terms
+    this.docTerms = new Map(); // docId -> distinct terms, for removal
+    this.totalLength = 0;
+  }
+
+  // Split text into lowercase terms. Compound tokens such as "XR-200" or
+  // "v1.2" are kept whole and also indexed by their parts.
+  tokenize(text) {
+    const terms = [];
+    const matches =
+      text.toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu) || [];
+    matches.forEach((token) => {
+      terms.push(token);
+      const parts = token.split(/[-_./]/);
+      if (parts.length > 1) {
+        terms.push(...parts.filter((part) => part.length > 0));
+      }
+    });
+    return terms;
+  }
+
+  // Index a document's text under the given id
+  add(docId, text) {
+    const terms = this.tokenize(text);
+    const frequencies = new Map();
+    terms.forEach((term) => {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    });
+
+    frequencies.forEach((count, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(docId, count);
+    });
+
+    this.docLengths.set(docId, terms.length);
+    this.docTerms.set(docId, Array.from(frequencies.keys()));
+    this.totalLength += terms.length;
+  }
+
+  // Drop a document from the index
+  remove(docId) {
+    if (!this.docLengths.has(docId)) {
+      return;
+    }
+    this.docTerms.get(docId).forEach((term) => {
+      const posting = this.postings.get(term);
+      posting.delete(docId);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+    this.totalLength -= this.docLengths.get(docId);
+    this.docLengths.delete(docId);
+    this.docTerms.delete(docId);
+  }
+
+  // Inverse document frequency (BM25+ style, never negative)
+  idf(term, minFrequency = 0) {
+    const docFrequency = Math.max(
+      this.postings.get(term)?.size || 0,
+      minFrequency
+    );
+    const N = this.docLengths.size;
+    return Math.log(1 + (N - docFrequency + 0.5) / (docFrequency + 0.5));
+  }
+
+  // BM25 contribution of one term to one document
+  termScore(term, docId) {
+    const tf = this.postings.get(term)?.get(docId);
+    if (!tf) {
+      return 0;
+    }
+    const avgLength = this.totalLength / this.docLengths.size;
+    const length = this.docLengths.get(docId);
+    return (
+      (this.idf(term) * tf * (this.k1 + 1)) /
+      (tf + this.k1 * (1 - this.b + (this.b * length) / avgLength))
+    );
+  }
+
+  // Score a single document against a query
+  score(query, docId) {
+    if (!this.docLengths.has(docId)) {
+      return 0;
+    }
+    const terms = new Set(this.tokenize(query));
+    let score = 0;
+    terms.forEach((term) => {
+      score += this.termScore(term, docId);
+    });
+    return score;
+  }
+
+  // Share of a query's terms (stopwords aside) found in a document,
+  // weighted by idf, from 0 to 1. Unlike BM25 scores it can be compared
+  // across queries and indexes. Terms missing from the index weigh as much
+  // as the rarest indexed ones, so in a small index one unknown word
+  // doesn't outweigh an identifier that matched.
+  matchShare(query, docId) {
+    const terms = Array.from(new Set(this.tokenize(query))).filter(
+      (term) => !isStopword(term)
+    );
+    if (terms.length === 0 || !this.docLengths.has(docId)) {
+      return 0;
+    }
+    let total = 0;
+    let matched = 0;
+    terms.forEach((term) => {
+      const idf = this.idf(term, 1);
+      total += idf;
+      if (this.postings.get(term)?.has(docId)) {
+        matched += idf;
+      }
+    });
+    return total > 0 ? matched / total : 0;
+  }
+
+  // Return the topK documents matching the query, best first. An optional
+  // accept(docId) callback restricts which documents are considered.
+  search(query, topK = 3, accept = null) {
+    const scores = new Map();
+    new Set(this.tokenize(query)).forEach((term) => {
+      const posting = this.postings.get(term);
+      if (!posting) {
+        return;
+      }
+      posting.forEach((tf, docId) => {
+        if (accept && !accept(docId)) {
+          return;
+        }
+        scores.set(
+          docId,
+          (scores.get(docId) || 0) + this.termScore(term, docId)
+        );
+      });
+    });
+
+    return Array.from(scores, ([docId, score]) => ({ docId, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  // Number of indexed documents
+  size() {
+    return this.docLengths.size;
+  }
+
+  clear() {
+    this.postings = new Map();
+    this.docLengths = new Map();
+    this.docTerms = new Map();
+    this.totalLength = 0;
+  }
+}
+
+module.exports = KeywordIndex;
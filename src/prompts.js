@@ -0,0 +1,226 @@
+const { writeFileAtomic, readJSON } = require('./storage');
+
+const DEFAULT_TEMPLATE = 'default';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_TEMPLATE_LENGTH = 10000;
+// {{instructions}} is the collection's opening instruction
+const VARIABLES = ['context', 'question', 'history', 'instructions'];
+const REQUIRED_VARIABLES = ['context', 'question'];
+// {{name}} and the {{#name}}...{{/name}} sections rendered only when the
+// variable is not empty
+const VARIABLE_PATTERN = /\{\{\s*([#/]?)\s*(\w+)\s*\}\}/g;
+
+// The answer prompt used when no other template is chosen
+const BUILT_IN_TEMPLATES = {
+  [DEFAULT_TEMPLATE]: {
+    description: 'Detailed answer with citations',
+    template: `{{instructions}}
+
+CONTEXT INFORMATION:
+{{context}}
+
+{{#history}}CONVERSATION SO FAR:
+{{history}}
+
+{{/history}}QUESTION: {{question}}
+
+INSTRUCTIONS: Please provide a comprehensive answer that:
+1. Directly answers the question based on the context
+2. Includes specific details and data from the documents
+3. Is well-organized with clear sections if needed
+4. Cites the source of each statement with its section number in square brackets, e.g. [1] or [2][3]
+5. Is accurate and factual based only on the provided context
+
+ANSWER:`,
+  },
+};
+
+function isBuiltIn(name) {
+  return Object.prototype.hasOwnProperty.call(BUILT_IN_TEMPLATES, name);
+}
+
+// Variables a template uses, e.g. ['instructions', 'context', 'question']
+function templateVariables(template) {
+  const names = new Set();
+  for (const match of template.matchAll(VARIABLE_PATTERN)) {
+    names.add(match[2]);
+  }
+  return Array.from(names);
+}
+
+// Check a template's text, throwing on unknown or missing variables and
+// unbalanced sections
+function validateTemplate(template) {
+  if (typeof template !== 'string' || template.trim().length === 0) {
+    throw new Error('template must be a non-empty string');
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    throw new Error(
+      `template must be at most ${MAX_TEMPLATE_LENGTH} characters`
+    );
+  }
+  const variables = templateVariables(template);
+  const unknown = variables.filter((name) => !VARIABLES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown template variable {{${unknown[0]}}}. Use: ${VARIABLES.map(
+        (name) => `{{${name}}}`
+      ).join(', ')}`
+    );
+  }
+  const missing = REQUIRED_VARIABLES.filter(
+    (name) => !variables.includes(name)
+  );
+  if (missing.length > 0) {
+    throw new Error(`template must contain {{${missing[0]}}}`);
+  }
+  const open = [];
+  for (const match of template.matchAll(VARIABLE_PATTERN)) {
+    if (match[1] === '#') {
+      open.push(match[2]);
+    } else if (match[1] === '/' && open.pop() !== match[2]) {
+      throw new Error(`Unbalanced section {{/${match[2]}}}`);
+    }
+  }
+  if (open.length > 0) {
+    throw new Error(`Unclosed section {{#${open.pop()}}}`);
+  }
+}
+
+// Fill in a template. Sections of empty variables are left out.
+function renderTemplate(template, values) {
+  let text = template;
+  // Innermost sections first
+  const section =
+    /\{\{\s*#\s*(\w+)\s*\}\}((?:(?!\{\{\s*#)[\s\S])*?)\{\{\s*\/\s*\1\s*\}\}/;
+  let match;
+  while ((match = section.exec(text)) !== null) {
+    const body = values[match[1]] ? match[2] : '';
+    text =
+      text.slice(0, match.index) +
+      body +
+      text.slice(match.index + match[0].length);
+  }
+  return text.replace(VARIABLE_PATTERN, (whole, marker, name) =>
+    String(values[name] ?? '')
+  );
+}
+
+// Named answer prompt templates shared by all collections, persisted in
+// prompts.json. Built-in templates can be used but not changed.
+class PromptStore {
+  constructor(options = {}) {
+    this.persistPath = options.persistPath || null;
+    this.templates = new Map();
+
+    if (this.persistPath) {
+      const saved = readJSON(this.persistPath, { templates: [] });
+      saved.templates.forEach((template) =>
+        this.templates.set(template.name, template)
+      );
+    }
+  }
+
+  has(name) {
+    return isBuiltIn(name) || this.templates.has(name);
+  }
+
+  get(name) {
+    if (isBuiltIn(name)) {
+      return { name, ...BUILT_IN_TEMPLATES[name], builtIn: true };
+    }
+    const template = this.templates.get(name);
+    return template ? { ...template, builtIn: false } : null;
+  }
+
+  list() {
+    return [
+      ...Object.keys(BUILT_IN_TEMPLATES),
+      ...Array.from(this.templates.keys()).sort(),
+    ].map((name) => this.get(name));
+  }
+
+  // Create a template from { name, description, template }. Throws on an
+  // invalid or taken name and on an invalid template.
+  create(options = {}) {
+    const name = String(options.name || '').toLowerCase();
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(
+        'Template name must be 1-64 lowercase letters, digits, "-" or "_", starting with a letter or digit'
+      );
+    }
+    if (this.has(name)) {
+      const error = new Error(`Prompt template "${name}" already exists`);
+      error.code = 'TEMPLATE_EXISTS';
+      throw error;
+    }
+    validateTemplate(options.template);
+
+    const now = new Date().toISOString();
+    const template = {
+      name,
+      description: String(options.description || ''),
+      template: options.template,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.templates.set(name, template);
+    this.save();
+    return this.get(name);
+  }
+
+  // Change the text and/or description of a stored template; null if
+  // there is no such template
+  update(name, options = {}) {
+    if (isBuiltIn(name)) {
+      throw new Error(`The built-in "${name}" template cannot be changed`);
+    }
+    const template = this.templates.get(name);
+    if (!template) {
+      return null;
+    }
+    if (options.template !== undefined) {
+      validateTemplate(options.template);
+      template.template = options.template;
+    }
+    if (options.description !== undefined) {
+      template.description = String(options.description);
+    }
+    template.updatedAt = new Date().toISOString();
+    this.save();
+    return this.get(name);
+  }
+
+  remove(name) {
+    if (isBuiltIn(name)) {
+      throw new Error(`The built-in "${name}" template cannot be deleted`);
+    }
+    const deleted = this.templates.delete(name);
+    if (deleted) {
+      this.save();
+    }
+    return deleted;
+  }
+
+  save() {
+    if (!this.persistPath) {
+      return;
+    }
+    writeFileAtomic(
+      this.persistPath,
+      JSON.stringify(
+        { templates: Array.from(this.templates.values()) },
+        null,
+        2
+      )
+    );
+  }
+}
+
+module.exports = PromptStore;
+module.exports.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+module.exports.DEFAULT_TEMPLATE_TEXT =
+  BUILT_IN_TEMPLATES[DEFAULT_TEMPLATE].template;
+module.exports.renderTemplate = renderTemplate;
+module.exports.templateVariables = templateVariables;
+module.exports.validateTemplate = validateTemplate;
@@ -0,0 +1,160 @@
+const axios = require('axios');
+const { contentWords } = require('./textUtils');
+require('dotenv').config();
+
+// Weight of query word pairs found next to each other in a chunk; the rest
+// goes to the share of query words the chunk contains
+const PHRASE_WEIGHT = 0.3;
+
+// Crude suffix stripping so "passwords" matches "password" and "rotated"
+// matches "rotate"
+function stem(word) {
+  return word.length > 4 ? word.replace(/(?:ing|ed|es|s|e)$/, '') : word;
+}
+
+function wordPairs(words) {
+  const pairs = [];
+  for (let i = 1; i < words.length; i++) {
+    pairs.push(`${words[i - 1]} ${words[i]}`);
+  }
+  return pairs;
+}
+
+// Share of the query items also found in the chunk
+function coverage(queryItems, chunkItems) {
+  if (queryItems.length === 0) {
+    return 0;
+  }
+  return (
+    queryItems.filter((item) => chunkItems.has(item)).length / queryItems.length
+  );
+}
+
+// Local reranker scoring chunks (0-1) on how much of the query they cover:
+// the share of distinct query words they contain, plus a bonus for query
+// word pairs that appear together. Needs no model or network.
+class LexicalReranker {
+  constructor() {
+    this.name = 'lexical';
+  }
+
+  async score(query, texts) {
+    const queryWords = contentWords(query).map(stem);
+    const queryTerms = [...new Set(queryWords)];
+    const queryPairs = [...new Set(wordPairs(queryWords))];
+    return texts.map((text) => {
+      const words = contentWords(text).map(stem);
+      const termScore = coverage(queryTerms, new Set(words));
+      if (queryPairs.length === 0) {
+        return termScore;
+      }
+      const pairScore = coverage(queryPairs, new Set(wordPairs(words)));
+      return (1 - PHRASE_WEIGHT) * termScore + PHRASE_WEIGHT * pairScore;
+    });
+  }
+}
+
+// Cross-encoder served behind a rerank endpoint, e.g. Hugging Face Text
+// Embeddings Inference (`POST /rerank` with { query, texts }, answering
+// [{ index, score }]). Responses shaped { results: [{ index,
+// relevance_score }] } are understood too.
+class CrossEncoderReranker {
+  constructor(options = {}) {
+    this.name = 'cross-encoder';
+    this.endpoint = options.endpoint || process.env.RERANK_ENDPOINT;
+    this.apiKey =
+      options.apiKey ||
+      process.env.RERANK_API_KEY ||
+      process.env.huggingface_api_key;
+    this.timeout =
+      Number(options.timeout || process.env.RERANK_TIMEOUT_MS) || 10000;
+    if (!this.endpoint) {
+      throw new Error('The cross-encoder reranker needs RERANK_ENDPOINT');
+    }
+  }
+
+  async score(query, texts) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    const response = await axios.post(
+      this.endpoint,
+      { query, texts },
+      { headers, timeout: this.timeout }
+    );
+
+    const items = Array.isArray(response.data)
+      ? response.data
+      : response.data.results;
+    if (!Array.isArray(items)) {
+      throw new Error('Unexpected response from the rerank endpoint');
+    }
+    // Scores carry an index; the endpoint may return them sorted by score
+    const scores = new Array(texts.length).fill(null);
+    items.forEach((item) => {
+      scores[item.index] = Number(item.score ?? item.relevance_score);
+    });
+    if (scores.some((score) => score === null || Number.isNaN(score))) {
+      throw new Error('The rerank endpoint did not score every chunk');
+    }
+    return scores;
+  }
+}
+
+const RERANKERS = {
+  lexical: LexicalReranker,
+  'cross-encoder': CrossEncoderReranker,
+};
+// Accepted as a reranker name: retrieval order is kept
+const NO_RERANKER = 'none';
+
+// Create the named reranker, or null for "none"
+function createReranker(name, options = {}) {
+  if (!name || name === NO_RERANKER) {
+    return null;
+  }
+  if (!Object.prototype.hasOwnProperty.call(RERANKERS, name)) {
+    throw new Error(
+      `Unknown reranker "${name}". Available: ${[
+        NO_RERANKER,
+        ...Object.keys(RERANKERS),
+      ].join(', ')}`
+    );
+  }
+  const Reranker = RERANKERS[name];
+  return new Reranker(options);
+}
+
+// Maximal Marginal Relevance: pick k items one at a time, each maximizing
+// lambda * relevance - (1 - lambda) * (highest similarity to an item
+// already picked). lambda 1 keeps the relevance order, lower values favour
+// diversity. relevance(item) should be on a 0-1 scale.
+function selectMMR(items, k, lambda, relevance, similarity) {
+  const remaining = items.slice();
+  const selected = [];
+  while (selected.length < k && remaining.length > 0) {
+    let best = null;
+    remaining.forEach((item, position) => {
+      const redundancy = selected.reduce(
+        (max, chosen) => Math.max(max, similarity(item, chosen)),
+        0
+      );
+      const score = lambda * relevance(item) - (1 - lambda) * redundancy;
+      if (!best || score > best.score) {
+        best = { item, position, score };
+      }
+    });
+    selected.push({ ...best.item, mmrScore: best.score });
+    remaining.splice(best.position, 1);
+  }
+  return selected;
+}
+
+module.exports = {
+  RERANKERS: [NO_RERANKER, ...Object.keys(RERANKERS)],
+  createReranker,
+  selectMMR,
+  LexicalReranker,
+  CrossEncoderReranker,
+};
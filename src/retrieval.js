@@ -1,48 +1,273 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
 const EmbeddingService = require('./embedding');
 const SimpleVectorStore = require('./vectorStore');
 const DocumentProcessor = require('./documents');
 const TextGenerator = require('./generation');
+const DocumentRegistry = require('./documentRegistry');
+const SessionManager = require('./sessions');
+const EmbeddingCache = require('./embeddingCache');
+const WebCrawler = require('./crawler');
+const { buildCitations } = require('./citations');
+const { RERANKERS, createReranker, selectMMR } = require('./reranking');
+const {
+  CONTEXT_ORDERS,
+  assertContextOrder,
+  packContext,
+} = require('./contextPacking');
+const PromptStore = require('./prompts');
+const {
+  DEFAULT_MIN_SIMILARITY,
+  DEFAULT_MIN_KEYWORD_MATCH,
+  NOT_FOUND_ANSWER,
+  checkGrounding,
+  isRelevant,
+  parseThreshold,
+  topSimilarity,
+} = require('./grounding');
+
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+// How a question is turned into search queries: as is, plus paraphrases,
+// as a hypothetical answer (HyDE), or split into sub-questions
+const QUERY_MODES = ['none', 'multi', 'hyde', 'decompose'];
+// Rank constant for reciprocal rank fusion (60 is the usual choice)
+const RRF_K = 60;
+
+function assertRetrievalMode(mode) {
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid retrieval mode "${mode}". Use one of: ${RETRIEVAL_MODES.join(
+        ', '
+      )}`
+    );
+  }
+}
+
+function assertQueryMode(mode) {
+  if (!QUERY_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid query mode "${mode}". Use one of: ${QUERY_MODES.join(', ')}`
+    );
+  }
+}
+
+// MMR lambda: null (MMR off) or a number from 0 to 1
+function parseMMRLambda(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const lambda = Number(value);
+  if (Number.isNaN(lambda) || lambda < 0 || lambda > 1) {
+    throw new Error('mmrLambda must be a number from 0 to 1');
+  }
+  return lambda;
+}
+
+// Hybrid weight: null (use the default) or a number from 0 to 1
+function parseHybridWeight(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const weight = Number(value);
+  if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+    throw new Error('hybridWeight must be a number from 0 to 1');
+  }
+  return weight;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new Error('Ingestion cancelled');
+  }
+}
 
 class RAGSystem {
-  constructor() {
-    this.embeddingService = new EmbeddingService();
-    this.vectorStore = new SimpleVectorStore();
-    this.documentProcessor = new DocumentProcessor();
-    this.textGenerator = new TextGenerator();
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || process.env.DATA_DIR || 'data';
+    this.embeddingCache = new EmbeddingCache({
+      persistPath: path.join(this.dataDir, 'embedding-cache.jsonl'),
+      maxEntries: Number(
+        options.embeddingCacheSize ?? process.env.EMBEDDING_CACHE_SIZE ?? 10000
+      ),
+    });
+    this.embeddingService = new EmbeddingService({
+      ...options.embedding,
+      cache: this.embeddingCache,
+    });
+    this.vectorStore = new SimpleVectorStore({
+      persistPath:
+        options.vectorStorePath ||
+        process.env.VECTOR_STORE_PATH ||
+        path.join(this.dataDir, 'vector-store.jsonl'),
+      model: this.embeddingService.model,
+      ...options.vectorIndex,
+    });
+    this.documentRegistry = new DocumentRegistry({
+      persistPath: path.join(this.dataDir, 'documents.json'),
+    });
+    this.sessionManager = new SessionManager({
+      persistPath: path.join(this.dataDir, 'sessions.json'),
+    });
+    // Number of earlier question/answer pairs included in session prompts
+    this.historyTurns =
+      options.historyTurns || Number(process.env.HISTORY_TURNS) || 3;
+    const chunking = options.chunking || {};
+    this.documentProcessor = new DocumentProcessor({
+      chunkStrategy: chunking.strategy,
+      chunkUnit: chunking.unit,
+      chunkSize: chunking.chunkSize,
+      chunkOverlap: chunking.chunkOverlap,
+      maxTokens: this.embeddingService.maxTokens,
+    });
+    // options.generation ({ provider, model }) picks the default answer
+    // backend; options.textGenerator replaces the generator altogether
+    this.textGenerator =
+      options.textGenerator ||
+      new TextGenerator({ prompt: options.prompt, ...options.generation });
+    // Named prompt templates; collections share the manager's store
+    this.prompts =
+      options.prompts ||
+      new PromptStore({ persistPath: path.join(this.dataDir, 'prompts.json') });
+    this.promptTemplate =
+      options.promptTemplate ||
+      process.env.PROMPT_TEMPLATE ||
+      PromptStore.DEFAULT_TEMPLATE;
+    // Context assembly: chunk order and an optional token cap below the
+    // model's own budget
+    this.contextOrder =
+      options.contextOrder || process.env.CONTEXT_ORDER || 'edges';
+    assertContextOrder(this.contextOrder);
+    this.contextTokenBudget =
+      Number(options.contextTokenBudget || process.env.CONTEXT_TOKEN_BUDGET) ||
+      null;
+    // Questions whose best chunks are less similar or match fewer of their
+    // terms than this are not answered (0 answers everything); see
+    // grounding.js
+    this.minSimilarity =
+      parseThreshold(
+        options.minSimilarity ?? process.env.MIN_SIMILARITY,
+        'minSimilarity'
+      ) ??
+      this.embeddingService.minSimilarity ??
+      DEFAULT_MIN_SIMILARITY;
+    this.minKeywordMatch =
+      parseThreshold(
+        options.minKeywordMatch ?? process.env.MIN_KEYWORD_MATCH,
+        'minKeywordMatch'
+      ) ?? DEFAULT_MIN_KEYWORD_MATCH;
+    this.retrievalMode =
+      options.retrievalMode || process.env.RETRIEVAL_MODE || 'vector';
+    // Weight of the vector ranking in hybrid mode (keyword gets 1 - weight)
+    this.hybridWeight =
+      parseHybridWeight(options.hybridWeight ?? process.env.HYBRID_WEIGHT) ??
+      0.5;
+    this.queryMode = options.queryMode || process.env.QUERY_MODE || 'none';
+    assertQueryMode(this.queryMode);
+    // Paraphrases searched in multi query mode
+    this.queryExpansions =
+      Number(options.queryExpansions || process.env.QUERY_EXPANSIONS) || 3;
+    // Second retrieval stage: rerank a deeper candidate list and/or
+    // diversify it with MMR (see reranking.js)
+    const rerank = options.rerank || {};
+    this.rerankers = new Map(); // name -> reranker, created on first use
+    this.reranker = rerank.reranker || process.env.RERANKER || 'none';
+    this.getReranker(this.reranker);
+    this.mmrLambda = parseMMRLambda(rerank.mmrLambda ?? process.env.MMR_LAMBDA);
+    this.rerankCandidates =
+      Number(rerank.candidates || process.env.RERANK_CANDIDATES) || 20;
     console.log('RAG System initialized');
   }
 
-  // Add document to the system
-  async addDocument(filePath, fileType) {
+  // Add document to the system. Files whose content was already ingested
+  // are detected by hash and not embedded again. options.onProgress is
+  // called with { stage, chunksEmbedded, chunksTotal } as the document moves
+  // through extracting, chunking, embedding and indexing; options.signal
+  // cancels ingestion before anything is stored.
+  async addDocument(filePath, fileType, options = {}) {
     try {
-      // Process the document based on its type
       console.log(
         `\n=== Adding document from ${filePath} of type ${fileType} ===`
       );
-      const processedDoc = await this.documentProcessor.processDocument(
-        filePath,
-        fileType
+      const fileBuffer = await fs.readFile(filePath);
+      const hash = this.hashContent(fileBuffer);
+
+      const existing = this.documentRegistry.findByHash(hash);
+      if (existing) {
+        console.log(
+          `Identical content already ingested as ${existing.id} (${existing.originalName}), skipping`
+        );
+        return {
+          success: true,
+          duplicate: true,
+          documentId: existing.id,
+          document: existing,
+          chunksAdded: 0,
+          totalDocuments: this.vectorStore.getDocumentCount(),
+        };
+      }
+
+      const startTime = Date.now();
+      const documentId = this.documentRegistry.createId();
+      const originalName = options.originalName || path.basename(filePath);
+      const tags = options.tags || [];
+      // Where the content came from, e.g. { url, canonicalUrl, title }
+      const source = options.source || null;
+      // Per-document chunking overrides, kept so reindexing reuses them
+      const chunking = options.chunking || null;
+      const processedDoc = await this.processAndEmbed(filePath, fileType, {
+        mimeType: options.mimeType,
+        chunking,
+        signal: options.signal,
+        onProgress: options.onProgress,
+      });
+
+      // Another upload of the same content may have finished meanwhile
+      const stored = this.documentRegistry.findByHash(hash);
+      if (stored) {
+        return {
+          success: true,
+          duplicate: true,
+          documentId: stored.id,
+          document: stored,
+          chunksAdded: 0,
+          totalDocuments: this.vectorStore.getDocumentCount(),
+        };
+      }
+
+      if (options.onProgress) {
+        options.onProgress({ stage: 'indexing' });
+      }
+      // The format actually extracted, which may differ from the extension
+      const resolvedType = processedDoc.metadata.fileType;
+      const chunksAdded = this.storeChunks(
+        {
+          documentId,
+          originalName,
+          filePath,
+          fileType: resolvedType,
+          tags,
+          source,
+        },
+        processedDoc
       );
-      console.log(
-        `Document processed into ${processedDoc.chunks.length} chunks`
-      );
-      // Generate embeddings for the chunks
-      console.log('Generating embeddings for chunks...');
-      const embeddings = await this.embeddingService.generateEmbeddings(
-        processedDoc.chunks
-      );
-      // Add each chunk with its embedding to the vector store
-      processedDoc.chunks.forEach((chunk, index) => {
-        this.vectorStore.addDocument(chunk, embeddings[index], {
-          sourceFile: filePath,
-          fileType: fileType,
-          chunkIndex: index,
-          totalChunks: processedDoc.chunks.length,
-        });
+
+      const document = this.documentRegistry.add({
+        id: documentId,
+        originalName,
+        filePath,
+        fileType: resolvedType,
+        size: fileBuffer.length,
+        hash,
+        tags,
+        ...(source && { source }),
+        ...(chunking && { chunking }),
+        chunkCount: processedDoc.chunks.length,
+        ...this.embeddingState(processedDoc.failedChunks),
       });
 
       console.log(
-        `Successfully added ${processedDoc.chunks.length} chunks to the vector store`
+        `Successfully added ${chunksAdded} chunks to the vector store`
       );
       console.log(
         `Total documents in store: ${this.vectorStore.getDocumentCount()}`
@@ -50,12 +275,296 @@ class RAGSystem {
 
       return {
         success: true,
-        chunksAdded: processedDoc.chunks.length,
+        documentId,
+        document,
+        chunksAdded,
+        chunksFailed: processedDoc.failedChunks.length,
+        failedChunks: processedDoc.failedChunks.map(
+          ({ chunkIndex, error }) => ({
+            chunkIndex,
+            error,
+          })
+        ),
+        embedding: processedDoc.embeddingStats,
+        durationMs: Date.now() - startTime,
         totalDocuments: this.vectorStore.getDocumentCount(),
         metadata: processedDoc.metadata,
       };
     } catch (error) {
       console.error(`Error adding document: ${error.message}`);
+      return {
+        success: false,
+        error: error.message,
+        ...(options.signal && options.signal.aborted && { cancelled: true }),
+      };
+    }
+  }
+
+  // Crawl a site from startUrl and add every page as a document. Page text
+  // is saved as a .txt file in options.saveDir so it can be reindexed like
+  // an upload. A page whose canonical URL is already indexed replaces the
+  // old document if its content changed.
+  async ingestUrl(startUrl, options = {}) {
+    try {
+      console.log(`\n=== Ingesting ${startUrl} ===`);
+      const saveDir = options.saveDir || path.join(this.dataDir, 'pages');
+      await fs.mkdir(saveDir, { recursive: true });
+      const crawler = new WebCrawler(options);
+      const results = [];
+
+      const { skipped } = await crawler.crawl(startUrl, {
+        signal: options.signal,
+        onPage: async (page) => {
+          const source = {
+            url: page.url,
+            canonicalUrl: page.canonicalUrl,
+            title: page.title,
+          };
+          const filePath = path.join(
+            saveDir,
+            `${Date.now()}-${this.hashContent(page.canonicalUrl).slice(
+              0,
+              16
+            )}.txt`
+          );
+          await fs.writeFile(
+            filePath,
+            page.title ? `# ${page.title}\n\n${page.text}` : page.text
+          );
+
+          const previous = this.documentRegistry
+            .list()
+            .find((doc) => doc.source?.canonicalUrl === page.canonicalUrl);
+          const result = await this.addDocument(filePath, 'txt', {
+            originalName: page.title || page.canonicalUrl,
+            tags: options.tags,
+            source,
+          });
+          if (!result.success || result.duplicate) {
+            await fs.unlink(filePath).catch(() => {});
+          }
+          let status = result.success ? 'added' : 'failed';
+          if (result.duplicate) {
+            status = 'unchanged';
+          } else if (result.success && previous) {
+            this.deleteDocument(previous.id);
+            await fs.unlink(previous.filePath).catch(() => {});
+            status = 'updated';
+          }
+          results.push({
+            ...source,
+            depth: page.depth,
+            status,
+            documentId: result.documentId || null,
+            chunksAdded: result.chunksAdded || 0,
+            ...(result.error && { error: result.error }),
+          });
+        },
+      });
+
+      return {
+        success: true,
+        pages: results,
+        skipped,
+        chunksAdded: results.reduce((sum, page) => sum + page.chunksAdded, 0),
+        totalDocuments: this.vectorStore.getDocumentCount(),
+      };
+    } catch (error) {
+      console.error(`Error ingesting URL: ${error.message}`);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Extract and chunk a file, then embed its chunks. Chunks that could not
+  // be embedded are returned in failedChunks (their embedding is null);
+  // throws only if no chunk could be embedded at all, or if options.signal
+  // was aborted.
+  async processAndEmbed(filePath, fileType, options = {}) {
+    const report = options.onProgress || (() => {});
+    report({ stage: 'extracting' });
+    // Process the document based on its type
+    const processedDoc = await this.documentProcessor.processDocument(
+      filePath,
+      fileType,
+      { ...options, onStage: (stage) => report({ stage }) }
+    );
+    console.log(`Document processed into ${processedDoc.chunks.length} chunks`);
+    throwIfAborted(options.signal);
+
+    // Generate embeddings for the chunks
+    console.log('Generating embeddings for chunks...');
+    const chunksTotal = processedDoc.chunks.length;
+    report({ stage: 'embedding', chunksEmbedded: 0, chunksTotal });
+    const { embeddings, failed, retries, cacheHits, durationMs } =
+      await this.embeddingService.generateEmbeddingsDetailed(
+        processedDoc.chunks,
+        {
+          signal: options.signal,
+          onProgress: ({ completed }) =>
+            report({
+              stage: 'embedding',
+              chunksEmbedded: completed,
+              chunksTotal,
+            }),
+        }
+      );
+    throwIfAborted(options.signal);
+
+    if (failed.length > 0 && failed.length === processedDoc.chunks.length) {
+      throw new Error(
+        `Failed to embed all ${failed.length} chunks: ${failed[0].error}`
+      );
+    }
+
+    return {
+      ...processedDoc,
+      embeddings,
+      failedChunks: failed.map(({ index, error }) => ({
+        chunkIndex: index,
+        text: processedDoc.chunks[index],
+        ...processedDoc.chunkDetails[index],
+        error,
+      })),
+      embeddingStats: { retries, cacheHits, durationMs },
+    };
+  }
+
+  // Add each embedded chunk to the vector store, tagged with the document
+  // it came from. Returns the number of chunks stored.
+  storeChunks(document, processedDoc) {
+    let stored = 0;
+    processedDoc.chunks.forEach((chunk, index) => {
+      const embedding = processedDoc.embeddings[index];
+      if (!embedding) {
+        return;
+      }
+      this.vectorStore.addDocument(chunk, embedding, {
+        ...this.chunkMetadata(document, index, processedDoc.chunks.length),
+        ...processedDoc.chunkDetails[index],
+      });
+      stored++;
+    });
+    return stored;
+  }
+
+  chunkMetadata(document, chunkIndex, totalChunks) {
+    return {
+      documentId: document.documentId,
+      filename: document.originalName,
+      sourceFile: document.filePath,
+      fileType: document.fileType,
+      tags: document.tags,
+      ...document.source,
+      chunkIndex,
+      totalChunks,
+    };
+  }
+
+  // Registry fields describing which chunks still need embedding
+  embeddingState(failedChunks) {
+    return {
+      status: failedChunks.length > 0 ? 'partial' : 'complete',
+      failedChunks,
+    };
+  }
+
+  hashContent(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  // List all registered documents
+  listDocuments() {
+    return this.documentRegistry.list();
+  }
+
+  // Get a document record, optionally with its chunks
+  getDocument(documentId, includeChunks = false) {
+    const document = this.documentRegistry.get(documentId);
+    if (!document || !includeChunks) {
+      return document;
+    }
+    const chunks = this.vectorStore
+      .getAllDocuments()
+      .filter((doc) => doc.metadata.documentId === documentId)
+      .map((doc) => ({
+        id: doc.metadata.id,
+        chunkIndex: doc.metadata.chunkIndex,
+        startOffset: doc.metadata.startOffset,
+        endOffset: doc.metadata.endOffset,
+        sectionPath: doc.metadata.sectionPath,
+        text: doc.text,
+      }));
+    return { ...document, chunks };
+  }
+
+  // Remove a document and all of its chunks
+  deleteDocument(documentId) {
+    const document = this.documentRegistry.get(documentId);
+    if (!document) {
+      return { success: false, error: 'Document not found' };
+    }
+    const chunksRemoved = this.vectorStore.deleteWhere(
+      (metadata) => metadata.documentId === documentId
+    );
+    this.documentRegistry.remove(documentId);
+    console.log(
+      `Deleted document ${documentId} (${document.originalName}) with ${chunksRemoved} chunks`
+    );
+    return {
+      success: true,
+      document,
+      chunksRemoved,
+      totalDocuments: this.vectorStore.getDocumentCount(),
+    };
+  }
+
+  // Re-extract, re-chunk and re-embed a document from its stored file,
+  // replacing its chunks. The old chunks stay in place if anything fails.
+  // options.chunking replaces the document's chunking overrides.
+  async reindexDocument(documentId, options = {}) {
+    const document = this.documentRegistry.get(documentId);
+    if (!document) {
+      return { success: false, error: 'Document not found' };
+    }
+    try {
+      console.log(`\n=== Reindexing document ${documentId} ===`);
+      const fileBuffer = await fs.readFile(document.filePath);
+      const chunking = options.chunking || document.chunking || null;
+      const processedDoc = await this.processAndEmbed(
+        document.filePath,
+        document.fileType,
+        { chunking }
+      );
+
+      const chunksRemoved = this.vectorStore.deleteWhere(
+        (metadata) => metadata.documentId === documentId
+      );
+      const chunksAdded = this.storeChunks(
+        this.documentInfo(document),
+        processedDoc
+      );
+      const updated = this.documentRegistry.update(documentId, {
+        size: fileBuffer.length,
+        hash: this.hashContent(fileBuffer),
+        chunkCount: processedDoc.chunks.length,
+        chunking,
+        ...this.embeddingState(processedDoc.failedChunks),
+      });
+
+      return {
+        success: true,
+        document: updated,
+        chunksRemoved,
+        chunksAdded,
+        chunksFailed: processedDoc.failedChunks.length,
+        embedding: processedDoc.embeddingStats,
+        totalDocuments: this.vectorStore.getDocumentCount(),
+      };
+    } catch (error) {
+      console.error(`Error reindexing document: ${error.message}`);
       return {
         success: false,
         error: error.message,
@@ -63,8 +572,88 @@ class RAGSystem {
     }
   }
 
-  // Query the system with a question
-  async askQuestion(question, topK = 3) {
+  // Embed the chunks of a document that failed during ingestion again
+  async retryFailedChunks(documentId) {
+    const document = this.documentRegistry.get(documentId);
+    if (!document) {
+      return { success: false, error: 'Document not found' };
+    }
+    const pending = document.failedChunks || [];
+    if (pending.length === 0) {
+      return { success: true, document, chunksAdded: 0, chunksFailed: 0 };
+    }
+
+    console.log(
+      `\n=== Retrying ${pending.length} failed chunks of ${documentId} ===`
+    );
+    const { embeddings, failed, retries, durationMs } =
+      await this.embeddingService.generateEmbeddingsDetailed(
+        pending.map((chunk) => chunk.text)
+      );
+
+    let chunksAdded = 0;
+    pending.forEach((chunk, i) => {
+      if (!embeddings[i]) {
+        return;
+      }
+      const { startOffset, endOffset, sectionPath } = chunk;
+      this.vectorStore.addDocument(chunk.text, embeddings[i], {
+        ...this.chunkMetadata(
+          this.documentInfo(document),
+          chunk.chunkIndex,
+          document.chunkCount
+        ),
+        startOffset,
+        endOffset,
+        sectionPath,
+      });
+      chunksAdded++;
+    });
+
+    const stillFailed = failed.map(({ index, error }) => ({
+      ...pending[index],
+      error,
+    }));
+    const updated = this.documentRegistry.update(
+      documentId,
+      this.embeddingState(stillFailed)
+    );
+
+    return {
+      success: true,
+      document: updated,
+      chunksAdded,
+      chunksFailed: stillFailed.length,
+      embedding: { retries, durationMs },
+      totalDocuments: this.vectorStore.getDocumentCount(),
+    };
+  }
+
+  // Fields of a registry record that chunk metadata is built from
+  documentInfo(document) {
+    return {
+      documentId: document.id,
+      originalName: document.originalName,
+      filePath: document.filePath,
+      fileType: document.fileType,
+      tags: document.tags || [],
+      source: document.source || null,
+    };
+  }
+
+  // Query the system with a question. options.filter restricts retrieval
+  // to chunks with matching metadata (see filters.js); options.searchQuery
+  // replaces the question for retrieval and options.history adds earlier
+  // messages to the prompt (both used by chat sessions). options.queryMode
+  // expands the question into several search queries. options.provider and
+  // options.model pick the generation backend, options.template the prompt
+  // template and options.contextOrder the order of the context chunks.
+  // When no chunk reaches options.minSimilarity or options.minKeywordMatch
+  // (defaults: the system's; which one counts depends on the retrieval
+  // mode) the question is not answered; otherwise the answer is checked
+  // against the chunks (confidence, grounded, unsupportedSentences,
+  // usedFallback).
+  async askQuestion(question, topK = 3, options = {}) {
     try {
       console.log(`\n===Processing Question: "${question}" ===`);
       if (this.vectorStore.getDocumentCount() === 0) {
@@ -74,14 +663,11 @@ class RAGSystem {
           answer: null,
         };
       }
-      // Generate embedding for the question
-      console.log('Generating embedding for the question...');
-      const questionEmbedding = await this.embeddingService.generateEmbedding(
-        question
+      const { searchResults, queryInfo } = await this.search(
+        question,
+        topK,
+        options
       );
-      //search for similar documents
-      console.log(`Searching for ${topK} most similar documents...`);
-      const searchResults = this.vectorStore.search(questionEmbedding, topK);
       if (searchResults.length === 0) {
         return {
           success: false,
@@ -89,26 +675,63 @@ class RAGSystem {
           answer: null,
         };
       }
+      const support = this.retrievalSupport(question, searchResults, options);
+      if (this.shouldAbstain(support, options)) {
+        return {
+          success: true,
+          ...this.abstention(searchResults, support),
+          ...queryInfo,
+        };
+      }
 
       // combining relevant documents into context
-      const context = this.createContext(searchResults);
-      console.log(`Created context with ${context.length}`);
+      const { context, results, template, packing } = this.buildContext(
+        question,
+        searchResults,
+        options
+      );
+      console.log(
+        `Created context with ${context.length} characters (${packing.tokens} tokens)`
+      );
 
       // Generate answer using the text generator
       console.log('Generating answer');
-      const answer = await this.textGenerator.generateAnswer(question, context);
+      let usedFallback = false;
+      const answer = await this.textGenerator.generateAnswer(
+        question,
+        context,
+        undefined,
+        {
+          history: options.history,
+          template: template.template,
+          onFallback: () => {
+            usedFallback = true;
+          },
+          ...this.generationOptions(options),
+        }
+      );
+
+      const { answer: citedAnswer, citations } = buildCitations(
+        answer,
+        results
+      );
 
-      console.log(`Generated answer: "${answer}"`);
+      console.log(`Generated answer: "${citedAnswer}"`);
       console.log('\n\n=== RAG Process Completed ===\n');
       return {
         success: true,
-        answer: answer,
+        answer: citedAnswer,
+        citations,
+        ...checkGrounding(citedAnswer, results),
+        usedFallback,
+        abstained: false,
+        ...support,
         context: context,
-        relevantDocuments: searchResults.map((result) => ({
-          text: result.document.substring(0, 100) + '...',
-          similarity: result.similarity.toFixed(4),
-          metadata: result.metadata,
-        })),
+        relevantDocuments: this.formatResults(results),
+        generation: this.generationInfo(options),
+        promptTemplate: template.name,
+        contextPacking: packing,
+        ...queryInfo,
       };
     } catch (error) {
       console.error(`Error processing question: ${error.message}`);
@@ -120,19 +743,671 @@ class RAGSystem {
     }
   }
 
-  //create context from search results
-  createContext(searchResults) {
-    return searchResults
-      .map((result, index) => {
-        return `=== Document Section ${index + 1} ===\n${result.document}\n`;
-      })
-      .join('\n');
+  // Same pipeline as askQuestion, but yields events as they happen:
+  // `sources` once retrieval is done, `token` for each answer delta and
+  // `done` with the grounding check and timing info (or a single `error`).
+  // An abstention is streamed as a single token.
+  async *askQuestionStream(question, topK = 3, options = {}) {
+    const startTime = Date.now();
+    try {
+      console.log(`\n===Streaming Question: "${question}" ===`);
+      if (this.vectorStore.getDocumentCount() === 0) {
+        yield {
+          event: 'error',
+          data: {
+            error: 'No documents in the system. Please add documents first',
+          },
+        };
+        return;
+      }
+
+      const { searchResults, queryInfo } = await this.search(
+        question,
+        topK,
+        options
+      );
+      if (searchResults.length === 0) {
+        yield {
+          event: 'error',
+          data: { error: 'No relevant documents found for the question' },
+        };
+        return;
+      }
+      const support = this.retrievalSupport(question, searchResults, options);
+      if (this.shouldAbstain(support, options)) {
+        const { answer, relevantDocuments, ...abstention } = this.abstention(
+          searchResults,
+          support
+        );
+        yield {
+          event: 'sources',
+          data: { relevantDocuments, context: '', ...queryInfo },
+        };
+        yield { event: 'token', data: { text: answer } };
+        const totalMs = Date.now() - startTime;
+        yield {
+          event: 'done',
+          data: {
+            answer,
+            ...abstention,
+            timing: {
+              retrievalMs: totalMs,
+              firstTokenMs: totalMs,
+              generationMs: 0,
+              totalMs,
+            },
+          },
+        };
+        return;
+      }
+      const { context, results, template, packing } = this.buildContext(
+        question,
+        searchResults,
+        options
+      );
+      const retrievalMs = Date.now() - startTime;
+      yield {
+        event: 'sources',
+        data: {
+          relevantDocuments: this.formatResults(results),
+          context,
+          promptTemplate: template.name,
+          contextPacking: packing,
+          ...queryInfo,
+        },
+      };
+
+      let answer = '';
+      let firstTokenMs = null;
+      let usedFallback = false;
+      for await (const text of this.textGenerator.streamAnswer(
+        question,
+        context,
+        {
+          signal: options.signal,
+          history: options.history,
+          template: template.template,
+          onFallback: () => {
+            usedFallback = true;
+          },
+          ...this.generationOptions(options),
+        }
+      )) {
+        if (firstTokenMs === null) {
+          firstTokenMs = Date.now() - startTime;
+        }
+        answer += text;
+        yield { event: 'token', data: { text } };
+      }
+
+      if (options.signal && options.signal.aborted) {
+        return;
+      }
+      const totalMs = Date.now() - startTime;
+      const { answer: citedAnswer, citations } = buildCitations(
+        answer.trim(),
+        results
+      );
+      console.log('\n\n=== RAG Stream Completed ===\n');
+      yield {
+        event: 'done',
+        data: {
+          answer: citedAnswer,
+          citations,
+          ...checkGrounding(citedAnswer, results),
+          usedFallback,
+          abstained: false,
+          ...support,
+          generation: this.generationInfo(options),
+          timing: {
+            retrievalMs,
+            firstTokenMs,
+            generationMs: totalMs - retrievalMs,
+            totalMs,
+          },
+        },
+      };
+    } catch (error) {
+      console.error(`Error streaming question: ${error.message}`);
+      yield { event: 'error', data: { error: error.message } };
+    }
+  }
+
+  // Start a new chat session
+  createSession() {
+    return this.sessionManager.create();
+  }
+
+  getSession(sessionId) {
+    return this.sessionManager.get(sessionId);
+  }
+
+  // Ask a question within a chat session: follow-ups are rewritten into a
+  // standalone search query and recent turns are added to the prompt
+  async askInSession(sessionId, question, topK = 3, options = {}) {
+    const { history, standaloneQuestion } = await this.prepareSessionQuestion(
+      sessionId,
+      question,
+      options
+    );
+    const result = await this.askQuestion(question, topK, {
+      ...options,
+      history,
+      searchQuery: standaloneQuestion,
+    });
+    if (result.success) {
+      this.recordSessionTurn(
+        sessionId,
+        question,
+        standaloneQuestion,
+        result.answer,
+        result.relevantDocuments
+      );
+    }
+    return { ...result, sessionId, standaloneQuestion };
+  }
+
+  // Streaming variant of askInSession; the turn is recorded once the
+  // answer is complete
+  async *askInSessionStream(sessionId, question, topK = 3, options = {}) {
+    const { history, standaloneQuestion } = await this.prepareSessionQuestion(
+      sessionId,
+      question,
+      options
+    );
+    yield { event: 'query', data: { sessionId, standaloneQuestion } };
+
+    let relevantDocuments = [];
+    for await (const event of this.askQuestionStream(question, topK, {
+      ...options,
+      history,
+      searchQuery: standaloneQuestion,
+    })) {
+      if (event.event === 'sources') {
+        relevantDocuments = event.data.relevantDocuments;
+      } else if (event.event === 'done') {
+        this.recordSessionTurn(
+          sessionId,
+          question,
+          standaloneQuestion,
+          event.data.answer,
+          relevantDocuments
+        );
+      }
+      yield event;
+    }
+  }
+
+  async prepareSessionQuestion(sessionId, question, options = {}) {
+    const history = this.sessionManager.getHistory(
+      sessionId,
+      this.historyTurns
+    );
+    const standaloneQuestion = await this.textGenerator.rewriteQuestion(
+      question,
+      history,
+      this.generationOptions(options)
+    );
+    return { history, standaloneQuestion };
+  }
+
+  recordSessionTurn(
+    sessionId,
+    question,
+    standaloneQuestion,
+    answer,
+    relevantDocuments = []
+  ) {
+    this.sessionManager.addMessages(sessionId, [
+      { role: 'user', content: question, standaloneQuestion },
+      {
+        role: 'assistant',
+        content: answer,
+        sources: relevantDocuments.map((doc) => ({
+          documentId: doc.metadata.documentId,
+          filename: doc.metadata.filename,
+          chunkIndex: doc.metadata.chunkIndex,
+        })),
+      },
+    ]);
+  }
+
+  // How close the retrieved chunks come to the question: the highest
+  // vector similarity and the highest keyword match among them
+  retrievalSupport(question, searchResults, options = {}) {
+    const query = options.searchQuery || question;
+    const keywordMatch = searchResults.reduce(
+      (best, result) =>
+        Math.max(best, this.vectorStore.keywordMatch(query, result.index)),
+      0
+    );
+    return {
+      topSimilarity: Number(topSimilarity(searchResults).toFixed(4)),
+      topKeywordMatch: Number(keywordMatch.toFixed(4)),
+    };
+  }
+
+  // Whether the best chunks are too far from the question to answer it
+  shouldAbstain(support, options = {}) {
+    const mode = options.mode || this.retrievalMode;
+    const thresholds = {
+      minSimilarity:
+        parseThreshold(options.minSimilarity, 'minSimilarity') ??
+        this.minSimilarity,
+      minKeywordMatch:
+        parseThreshold(options.minKeywordMatch, 'minKeywordMatch') ??
+        this.minKeywordMatch,
+    };
+    if (isRelevant(support, mode, thresholds)) {
+      return false;
+    }
+    console.log(
+      `Best similarity ${support.topSimilarity} and keyword match ${support.topKeywordMatch} are below the minimum for ${mode} mode, not answering`
+    );
+    return true;
+  }
+
+  // The "not found" answer for a question outside the documents. The
+  // closest chunks are still listed, but none is cited.
+  abstention(searchResults, support) {
+    return {
+      answer: NOT_FOUND_ANSWER,
+      citations: [],
+      confidence: 0,
+      grounded: false,
+      unsupportedSentences: [],
+      usedFallback: false,
+      abstained: true,
+      ...support,
+      relevantDocuments: this.formatResults(searchResults),
+    };
+  }
+
+  // The per-question generation backend of ask options
+  generationOptions(options = {}) {
+    return { provider: options.provider, model: options.model };
+  }
+
+  // Provider and model an answer is generated with
+  generationInfo(options = {}) {
+    const provider = this.textGenerator.getProvider(options.provider);
+    return {
+      provider: provider.name,
+      model: (!provider.fixedModel && options.model) || provider.model,
+    };
+  }
+
+  // Shape search results for API responses
+  formatResults(searchResults) {
+    return searchResults.map((result, index) => ({
+      marker: index + 1,
+      chunkId: result.metadata.id,
+      text: result.document.substring(0, 100) + '...',
+      similarity: result.similarity.toFixed(4),
+      score: result.score.toFixed(4),
+      vectorScore: result.similarity.toFixed(4),
+      keywordScore: result.keywordScore.toFixed(4),
+      // Set when a second stage reordered the chunks: the first-stage score
+      // and rank, the reranker's score and the MMR score
+      ...(result.retrievalScore !== undefined && {
+        retrievalScore: result.retrievalScore.toFixed(4),
+        retrievalRank: result.retrievalRank,
+      }),
+      ...(result.rerankScore !== undefined && {
+        rerankScore: result.rerankScore.toFixed(4),
+        reranker: result.reranker,
+      }),
+      ...(result.mmrScore !== undefined && {
+        mmrScore: result.mmrScore.toFixed(4),
+      }),
+      // Positions in `queries` of the expanded queries that found the chunk
+      ...(result.matchedQueries && { matchedQueries: result.matchedQueries }),
+      metadata: result.metadata,
+    }));
+  }
+
+  // Expand the question (or options.searchQuery) as options.queryMode
+  // says and retrieve with the resulting queries. queryInfo echoes the
+  // queries for the response when the question was expanded.
+  async search(question, topK, options = {}) {
+    const searchQuery = options.searchQuery || question;
+    const queryMode = options.queryMode || this.queryMode;
+    const queries = await this.expandQuery(
+      searchQuery,
+      queryMode,
+      this.generationOptions(options)
+    );
+    const searchResults = await this.retrieve(searchQuery, topK, {
+      ...options,
+      queries,
+    });
+    return {
+      searchResults,
+      queryInfo:
+        queryMode === 'none'
+          ? {}
+          : {
+              queryMode,
+              queries: queries.map(({ text, embedText, type }) => ({
+                text,
+                type,
+                ...(embedText && { hypotheticalAnswer: embedText }),
+              })),
+            },
+    };
+  }
+
+  // The queries to search with for a question. multi adds paraphrases and
+  // decompose sub-questions to the question itself; hyde embeds a
+  // hypothetical answer in place of the question (keyword search still
+  // uses the question).
+  async expandQuery(question, queryMode = this.queryMode, generation = {}) {
+    assertQueryMode(queryMode);
+    const original = { text: question, type: 'original' };
+    if (queryMode === 'multi') {
+      const paraphrases = await this.textGenerator.paraphraseQuestion(
+        question,
+        this.queryExpansions,
+        generation
+      );
+      return [
+        original,
+        ...paraphrases.map((text) => ({ text, type: 'paraphrase' })),
+      ];
+    }
+    if (queryMode === 'hyde') {
+      const passage = await this.textGenerator.hypotheticalAnswer(
+        question,
+        generation
+      );
+      return [{ ...original, type: 'hypothetical', embedText: passage }];
+    }
+    if (queryMode === 'decompose') {
+      const parts = await this.textGenerator.decomposeQuestion(
+        question,
+        generation
+      );
+      return [
+        original,
+        ...parts.map((text) => ({ text, type: 'subquestion' })),
+      ];
+    }
+    return [original];
+  }
+
+  // Find the topK most relevant chunks using vector, keyword or hybrid search.
+  // Every result carries both component scores plus the final ranking score.
+  // options.rerank (a reranker name) and options.mmrLambda override the
+  // second stage settings for this query. options.queries (from
+  // expandQuery) searches with each query and merges the rankings.
+  async retrieve(question, topK = 3, options = {}) {
+    const mode = options.mode || this.retrievalMode;
+    assertRetrievalMode(mode);
+    const weight = parseHybridWeight(options.hybridWeight) ?? this.hybridWeight;
+    const rerankerName = options.rerank || this.reranker;
+    const mmrLambda =
+      options.mmrLambda !== undefined
+        ? parseMMRLambda(options.mmrLambda)
+        : this.mmrLambda;
+    const reranker = this.getReranker(rerankerName);
+    const secondStage = reranker !== null || mmrLambda !== null;
+
+    const queries = options.queries || [{ text: question }];
+    const expanded =
+      queries.length > 1 ||
+      queries[0].text !== question ||
+      queries[0].embedText !== undefined;
+
+    // Generate embedding for the question
+    console.log('Generating embedding for the question...');
+    const questionEmbedding = await this.embeddingService.generateEmbedding(
+      question
+    );
+
+    console.log(
+      `Searching for ${topK} most relevant documents (${mode} mode, ${queries.length} queries)...`
+    );
+    // Hybrid mode fuses deeper candidate lists so good hits from either
+    // side can still make the final cut
+    let candidateCount = mode === 'hybrid' ? Math.max(topK * 4, 20) : topK;
+    // The second stage picks from more candidates than it returns
+    if (secondStage) {
+      candidateCount = Math.max(candidateCount, this.rerankCandidates, topK);
+    }
+
+    let ranked;
+    if (!expanded) {
+      ranked = this.rankChunks(
+        question,
+        questionEmbedding,
+        candidateCount,
+        mode,
+        weight,
+        options.filter
+      );
+    } else {
+      const rankings = [];
+      for (const query of queries) {
+        const embedText = query.embedText || query.text;
+        const embedding =
+          embedText === question
+            ? questionEmbedding
+            : await this.embeddingService.generateEmbedding(embedText);
+        rankings.push(
+          this.rankChunks(
+            query.text,
+            embedding,
+            candidateCount,
+            mode,
+            weight,
+            options.filter
+          )
+        );
+      }
+      // Scores are relative to each query; they're recomputed for the
+      // question below
+      ranked = this.mergeRankings(rankings);
+    }
+
+    const results = ranked
+      .slice(0, secondStage ? candidateCount : topK)
+      .map((result) => ({
+        ...result,
+        similarity:
+          result.similarity ??
+          this.vectorStore.similarityTo(questionEmbedding, result.index),
+        keywordScore:
+          result.keywordScore ??
+          this.vectorStore.keywordScore(question, result.index),
+      }));
+    return secondStage
+      ? this.rerankResults(question, results, topK, reranker, mmrLambda)
+      : results;
+  }
+
+  // Reorder first-stage candidates with a reranker and/or pick a diverse
+  // topK with MMR. Results keep their first-stage score and rank as
+  // retrievalScore and retrievalRank; score becomes the rerank score. If
+  // the reranker fails, the lexical one is used instead.
+  async rerankResults(question, candidates, topK, reranker, mmrLambda) {
+    let results = candidates.map((result, index) => ({
+      ...result,
+      retrievalScore: result.score,
+      retrievalRank: index + 1,
+    }));
+
+    if (reranker) {
+      let used = reranker;
+      let scores;
+      try {
+        scores = await reranker.score(
+          question,
+          results.map((result) => result.document)
+        );
+      } catch (error) {
+        console.error(
+          `Reranking with ${reranker.name} failed, using lexical: ${error.message}`
+        );
+        used = this.getReranker('lexical');
+        scores = await used.score(
+          question,
+          results.map((result) => result.document)
+        );
+      }
+      results = results
+        .map((result, index) => ({
+          ...result,
+          score: scores[index],
+          rerankScore: scores[index],
+          reranker: used.name,
+        }))
+        .sort((a, b) => b.score - a.score);
+      console.log(`Reranked ${results.length} candidates with ${used.name}`);
+    }
+
+    if (mmrLambda === null) {
+      return results.slice(0, topK);
+    }
+    // MMR weighs relevance against similarity, so bring scores to 0-1
+    const scores = results.map((result) => result.score);
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    return selectMMR(
+      results,
+      topK,
+      mmrLambda,
+      (result) => (max > min ? (result.score - min) / (max - min) : 1),
+      (a, b) => this.vectorStore.similarityBetween(a.index, b.index)
+    );
+  }
+
+  // The named reranker (null for "none"); throws for unknown names
+  getReranker(name) {
+    if (!this.rerankers.has(name)) {
+      this.rerankers.set(name, createReranker(name));
+    }
+    return this.rerankers.get(name);
+  }
+
+  // One ranked candidate list for a query and its embedding
+  rankChunks(query, embedding, count, mode, weight, filter) {
+    if (mode === 'vector') {
+      return this.vectorStore
+        .search(embedding, count, filter)
+        .map((result) => ({ ...result, score: result.similarity }));
+    }
+    if (mode === 'keyword') {
+      return this.vectorStore
+        .keywordSearch(query, count, filter)
+        .map((result) => ({ ...result, score: result.keywordScore }));
+    }
+    return this.fuseRankings(
+      this.vectorStore.search(embedding, count, filter),
+      this.vectorStore.keywordSearch(query, count, filter),
+      weight
+    );
+  }
+
+  // Reciprocal rank fusion of the rankings of several queries, one entry
+  // per chunk. matchedQueries lists the queries that found each chunk.
+  mergeRankings(rankings) {
+    const merged = new Map();
+    rankings.forEach((results, queryIndex) => {
+      results.forEach((result, rank) => {
+        const entry = merged.get(result.index) || {
+          index: result.index,
+          document: result.document,
+          metadata: result.metadata,
+          score: 0,
+          matchedQueries: [],
+        };
+        entry.score += 1 / (RRF_K + rank + 1);
+        entry.matchedQueries.push(queryIndex);
+        merged.set(result.index, entry);
+      });
+    });
+    return Array.from(merged.values()).sort((a, b) => b.score - a.score);
+  }
+
+  // Weighted reciprocal rank fusion of vector and keyword result lists
+  fuseRankings(vectorResults, keywordResults, weight = 0.5) {
+    const fused = new Map();
+    const addRanking = (results, rankWeight) => {
+      results.forEach((result, rank) => {
+        const entry = fused.get(result.index) || { ...result, score: 0 };
+        Object.assign(entry, result);
+        entry.score += rankWeight / (RRF_K + rank + 1);
+        fused.set(result.index, entry);
+      });
+    };
+    addRanking(vectorResults, weight);
+    addRanking(keywordResults, 1 - weight);
+
+    return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+  }
+
+  // A prompt template by name (the default one if no name is given)
+  getPromptTemplate(name = this.promptTemplate) {
+    const template = this.prompts.get(name);
+    if (!template) {
+      throw new Error(`Unknown prompt template "${name}"`);
+    }
+    return template;
+  }
+
+  // Pack the search results into the context of an answer. The token
+  // budget is what the generation model leaves for the context once the
+  // prompt template, question, history and answer are accounted for,
+  // capped at CONTEXT_TOKEN_BUDGET. Returns the context, the results it
+  // kept, the template and a report of what was trimmed or dropped.
+  buildContext(question, searchResults, options = {}) {
+    const template = this.getPromptTemplate(options.template);
+    const modelBudget = this.textGenerator.contextBudget(question, {
+      history: options.history,
+      template: template.template,
+      ...this.generationOptions(options),
+    });
+    const budget = this.contextTokenBudget
+      ? Math.min(this.contextTokenBudget, modelBudget)
+      : modelBudget;
+    const { results, context, report } = packContext(searchResults, {
+      budget,
+      order: options.contextOrder || this.contextOrder,
+    });
+    if (report.trimmed.length > 0 || report.dropped.length > 0) {
+      console.log(
+        `Context budget of ${report.budget} tokens: trimmed ${report.trimmed.length}, dropped ${report.dropped.length} chunks`
+      );
+    }
+    return { context, results, template, packing: report };
   }
 
   // Get system statistics
   getStats() {
     return {
       totalDocuments: this.vectorStore.getDocumentCount(),
+      totalFiles: this.documentRegistry.size(),
+      embeddingProvider: this.embeddingService.getInfo(),
+      embeddingCache: this.embeddingCache.getStats(),
+      chunking: this.documentProcessor.chunkingOptions(),
+      retrieval: { mode: this.retrievalMode, hybridWeight: this.hybridWeight },
+      queryMode: this.queryMode,
+      generation: this.textGenerator.describe(),
+      prompt: {
+        template: this.promptTemplate,
+        contextOrder: this.contextOrder,
+        contextTokenBudget: this.contextTokenBudget,
+      },
+      abstention: {
+        minSimilarity: this.minSimilarity,
+        minKeywordMatch: this.minKeywordMatch,
+      },
+      reranking: {
+        reranker: this.reranker,
+        mmrLambda: this.mmrLambda,
+        candidates: this.rerankCandidates,
+      },
+      storage: this.vectorStore.getStorageInfo(),
       allDocuments: this.vectorStore.getAllDocuments().map((doc) => {
         return {
           text: doc.text.substring(0, 100) + '...',
@@ -145,6 +1420,7 @@ class RAGSystem {
   // Clear the system
   clearSystem() {
     this.vectorStore.clear();
+    this.documentRegistry.clear();
     console.log('RAG System cleared');
     return {
       success: true,
@@ -152,15 +1428,197 @@ class RAGSystem {
     };
   }
 
+  // configure the chunking strategy used for new documents
+  setChunking(options) {
+    const processor = this.documentProcessor;
+    const previous = {
+      chunkStrategy: processor.chunkStrategy,
+      chunkUnit: processor.chunkUnit,
+      chunkSize: processor.chunkSize,
+      chunkOverlap: processor.chunkOverlap,
+    };
+    if (options.strategy) {
+      processor.chunkStrategy = options.strategy;
+    }
+    if (options.unit) {
+      processor.chunkUnit = options.unit;
+    }
+    if (options.chunkSize) {
+      processor.chunkSize = Number(options.chunkSize);
+    }
+    if (options.chunkOverlap !== undefined) {
+      processor.chunkOverlap = Number(options.chunkOverlap);
+    }
+    let resolved;
+    try {
+      resolved = processor.chunkingOptions();
+    } catch (error) {
+      Object.assign(processor, previous);
+      throw error;
+    }
+    console.log(
+      `Chunking set to ${resolved.strategy} (${resolved.chunkSize} ${resolved.unit}, overlap ${resolved.chunkOverlap})`
+    );
+    return {
+      success: true,
+      message: `Chunking updated to ${resolved.strategy}`,
+      chunking: resolved,
+    };
+  }
+
   //configue chunk size
   setChunkSize(size) {
-    this.documentProcessor.chunkSize = size;
+    size = Number(size);
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error('chunkSize must be a positive integer');
+    }
+    const processor = this.documentProcessor;
+    const previous = processor.chunkSize;
+    processor.chunkSize = size;
+    try {
+      processor.chunkingOptions();
+    } catch (error) {
+      processor.chunkSize = previous;
+      throw error;
+    }
     console.log(`Chunk size set to ${size} characters`);
     return {
       success: true,
       message: `Chunk size updated to ${size} characters`,
     };
   }
+  // configure retrieval mode and hybrid weighting
+  setRetrievalMode(mode, hybridWeight) {
+    assertRetrievalMode(mode);
+    const weight = parseHybridWeight(hybridWeight);
+    this.retrievalMode = mode;
+    if (weight !== null) {
+      this.hybridWeight = weight;
+    }
+    console.log(
+      `Retrieval mode set to ${mode} (hybrid weight ${this.hybridWeight})`
+    );
+    return {
+      success: true,
+      message: `Retrieval mode updated to ${mode}`,
+    };
+  }
+  // configure how questions are expanded into search queries
+  setQueryMode(mode) {
+    assertQueryMode(mode);
+    this.queryMode = mode;
+    console.log(`Query mode set to ${mode}`);
+    return {
+      success: true,
+      message: `Query mode updated to ${mode}`,
+    };
+  }
+
+  // configure the default generation provider and/or model
+  setGeneration(options = {}) {
+    if (options.provider) {
+      this.textGenerator.setProvider(options.provider, options.model);
+    } else if (options.model) {
+      this.textGenerator.setModel(options.model);
+    }
+    const { provider, model } = this.textGenerator.describe();
+    return {
+      success: true,
+      message: `Generation set to ${provider} (model: ${model})`,
+    };
+  }
+
+  // List the generation providers and their models
+  listModels() {
+    return this.textGenerator.listModels();
+  }
+
+  // configure the default prompt template
+  setPromptTemplate(name) {
+    this.getPromptTemplate(name);
+    this.promptTemplate = name;
+    console.log(`Prompt template set to ${name}`);
+    return {
+      success: true,
+      message: `Prompt template updated to ${name}`,
+    };
+  }
+
+  // configure context assembly: chunk order and token cap (null to use
+  // the model's budget alone)
+  setContextPacking(options = {}) {
+    if (options.order !== undefined) {
+      assertContextOrder(options.order);
+      this.contextOrder = options.order;
+    }
+    if (options.tokenBudget !== undefined) {
+      const budget =
+        options.tokenBudget === null ? null : Number(options.tokenBudget);
+      if (budget !== null && (!Number.isInteger(budget) || budget < 1)) {
+        throw new Error('contextTokenBudget must be a positive integer');
+      }
+      this.contextTokenBudget = budget;
+    }
+    console.log(
+      `Context order set to ${this.contextOrder} (token cap ${this.contextTokenBudget})`
+    );
+    return {
+      success: true,
+      message: `Context packing updated to ${this.contextOrder}`,
+    };
+  }
+
+  // configure the similarity and keyword match below which questions are
+  // not answered
+  setAbstention(options = {}) {
+    const minSimilarity = parseThreshold(
+      options.minSimilarity,
+      'minSimilarity'
+    );
+    const minKeywordMatch = parseThreshold(
+      options.minKeywordMatch,
+      'minKeywordMatch'
+    );
+    if (minSimilarity !== null) {
+      this.minSimilarity = minSimilarity;
+    }
+    if (minKeywordMatch !== null) {
+      this.minKeywordMatch = minKeywordMatch;
+    }
+    console.log(
+      `Abstention set to similarity ${this.minSimilarity}, keyword match ${this.minKeywordMatch}`
+    );
+    return {
+      success: true,
+      message: `Abstention updated to similarity ${this.minSimilarity}, keyword match ${this.minKeywordMatch}`,
+    };
+  }
+
+  // configure the second retrieval stage: reranker, MMR lambda (null to
+  // turn MMR off) and the number of candidates it chooses from
+  setReranking(options = {}) {
+    if (options.reranker !== undefined) {
+      this.getReranker(options.reranker);
+      this.reranker = options.reranker;
+    }
+    if (options.mmrLambda !== undefined) {
+      this.mmrLambda = parseMMRLambda(options.mmrLambda);
+    }
+    if (options.candidates !== undefined) {
+      const candidates = Number(options.candidates);
+      if (!Number.isInteger(candidates) || candidates < 1) {
+        throw new Error('rerankCandidates must be a positive integer');
+      }
+      this.rerankCandidates = candidates;
+    }
+    console.log(
+      `Reranking set to ${this.reranker} (MMR lambda ${this.mmrLambda}, ${this.rerankCandidates} candidates)`
+    );
+    return {
+      success: true,
+      message: `Reranking updated to ${this.reranker}`,
+    };
+  }
   // configue top K for search
   setTopK(topK) {
     this.textGenerator.topK = topK;
@@ -171,4 +1629,12 @@ class RAGSystem {
     };
   }
 }
+RAGSystem.RETRIEVAL_MODES = RETRIEVAL_MODES;
+RAGSystem.QUERY_MODES = QUERY_MODES;
+RAGSystem.CONTEXT_ORDERS = CONTEXT_ORDERS;
+RAGSystem.RERANKERS = RERANKERS;
+RAGSystem.GENERATION_PROVIDERS = TextGenerator.PROVIDERS;
+RAGSystem.parseMMRLambda = parseMMRLambda;
+RAGSystem.parseHybridWeight = parseHybridWeight;
+
 module.exports = RAGSystem;
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { writeFileAtomic, readJSON } = require('./storage');
+
+// Server-side chat sessions holding the message history of a conversation.
+// Only the most recently used sessions are kept.
+class SessionManager {
+  constructor(options = {}) {
+    this.persistPath = options.persistPath || null;
+    this.maxSessions = options.maxSessions || 200;
+    this.sessions = new Map();
+
+    if (this.persistPath) {
+      const saved = readJSON(this.persistPath, { sessions: [] });
+      saved.sessions.forEach((session) =>
+        this.sessions.set(session.id, session)
+      );
+    }
+  }
+
+  create() {
+    const now = new Date().toISOString();
+    const session = {
+      id: `sess_${crypto.randomBytes(8).toString('hex')}`,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+    };
+    this.sessions.set(session.id, session);
+    this.evict();
+    this.save();
+    console.log(`Created chat session ${session.id}`);
+    return session;
+  }
+
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  // Append messages to a session and mark it as recently used
+  addMessages(id, messages) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    const timestamp = new Date().toISOString();
+    messages.forEach((message) =>
+      session.messages.push({ ...message, timestamp })
+    );
+    session.updatedAt = timestamp;
+    // Re-insert so Map order stays least -> most recently used
+    this.sessions.delete(id);
+    this.sessions.set(id, session);
+    this.save();
+    return session;
+  }
+
+  // Last `turns` question/answer pairs of a session
+  getHistory(id, turns = 3) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return [];
+    }
+    return session.messages.slice(-turns * 2);
+  }
+
+  delete(id) {
+    const deleted = this.sessions.delete(id);
+    if (deleted) {
+      this.save();
+    }
+    return deleted;
+  }
+
+  clear() {
+    this.sessions = new Map();
+    this.save();
+  }
+
+  // Drop the least recently used sessions beyond the limit
+  evict() {
+    while (this.sessions.size > this.maxSessions) {
+      const oldest = this.sessions.keys().next().value;
+      this.sessions.delete(oldest);
+    }
+  }
+
+  save() {
+    if (!this.persistPath) {
+      return;
+    }
+    writeFileAtomic(
+      this.persistPath,
+      JSON.stringify({ sessions: Array.from(this.sessions.values()) })
+    );
+  }
+}
+
+module.exports = SessionManager;
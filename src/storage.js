@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+// Replace a file's contents via temp file + fsync + rename, so a crash
+// leaves either the old or the new file on disk, never a partial mix
+function writeFileAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Read and parse a JSON file, returning the fallback if it does not exist
+function readJSON(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+module.exports = {
+  writeFileAtomic,
+  readJSON,
+};
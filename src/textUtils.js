@@ -0,0 +1,62 @@
+// Small text helpers shared by citation, reranking and grounding code
+
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be been but by can could did do does for from had has have ' +
+    'he her him his how i if in into is it its me my no not of on or our she so ' +
+    'than that the their them then there these they this those to up us was we ' +
+    'were what when where which who whom why will with would you your about also ' +
+    'any all more most other some such only own same just should now'
+  ).split(' ')
+);
+
+function isStopword(word) {
+  return STOPWORDS.has(word);
+}
+
+// Lowercase content words, without stopwords and very short tokens
+function contentWords(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+    (word) => word.length > 1 && !STOPWORDS.has(word)
+  );
+}
+
+// Split text into sentences, keeping their character offsets
+function splitSentences(text) {
+  const sentences = [];
+  const pattern = /[^.!?\n]+(?:[.!?]+|\n|$)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const raw = match[0];
+    const trimmed = raw.trim();
+    if (trimmed.length === 0) {
+      continue;
+    }
+    const start = match.index + raw.indexOf(trimmed);
+    sentences.push({ text: trimmed, start, end: start + trimmed.length });
+  }
+  return sentences;
+}
+
+// Share of the first text's content words that also appear in the second
+function overlapScore(text, reference) {
+  const words = new Set(contentWords(text));
+  if (words.size === 0) {
+    return 0;
+  }
+  const referenceWords = new Set(contentWords(reference));
+  let shared = 0;
+  words.forEach((word) => {
+    if (referenceWords.has(word)) {
+      shared++;
+    }
+  });
+  return shared / words.size;
+}
+
+module.exports = {
+  contentWords,
+  isStopword,
+  splitSentences,
+  overlapScore,
+};
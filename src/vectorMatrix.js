@@ -0,0 +1,136 @@
+// Packed storage for embeddings: one Float32Array holding every vector as a
+// row, each L2-normalized on insert so cosine similarity is a dot product.
+class VectorMatrix {
+  constructor(dimension = null) {
+    this.dimension = dimension;
+    this.data = new Float32Array(0);
+    this.size = 0;
+  }
+
+  // Append a vector, returning its row number
+  add(vector) {
+    if (this.dimension === null) {
+      this.dimension = vector.length;
+    }
+    if ((this.size + 1) * this.dimension > this.data.length) {
+      // Grow by doubling so appends stay amortized O(dimension)
+      const capacity = Math.max(16, this.size * 2) * this.dimension;
+      const data = new Float32Array(capacity);
+      data.set(this.data.subarray(0, this.size * this.dimension));
+      this.data = data;
+    }
+    this.data.set(normalize(vector), this.size * this.dimension);
+    return this.size++;
+  }
+
+  // View of one row (shares memory with the matrix)
+  row(index) {
+    const start = index * this.dimension;
+    return this.data.subarray(start, start + this.dimension);
+  }
+
+  // Dot product of a normalized query with one row
+  dot(query, index) {
+    const start = index * this.dimension;
+    let sum = 0;
+    for (let i = 0; i < this.dimension; i++) {
+      sum += query[i] * this.data[start + i];
+    }
+    return sum;
+  }
+
+  // Keep only the given rows, in the given order
+  keepRows(rows) {
+    const data = new Float32Array(
+      Math.max(16, rows.length) * (this.dimension || 0)
+    );
+    rows.forEach((row, i) => {
+      data.set(this.row(row), i * this.dimension);
+    });
+    this.data = data;
+    this.size = rows.length;
+  }
+
+  clear() {
+    this.dimension = null;
+    this.data = new Float32Array(0);
+    this.size = 0;
+  }
+}
+
+// L2-normalize a vector into a new Float32Array (zero vectors stay zero)
+function normalize(vector) {
+  const result = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < result.length; i++) {
+    norm += result[i] * result[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < result.length; i++) {
+      result[i] /= norm;
+    }
+  }
+  return result;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+// Keeps the k highest-scoring items seen so far, without sorting everything
+class TopK {
+  constructor(k) {
+    this.k = k;
+    this.items = []; // best first
+  }
+
+  push(item, score) {
+    if (this.k < 1) {
+      return;
+    }
+    if (this.items.length === this.k && score <= this.items[this.k - 1].score) {
+      return;
+    }
+    let low = 0;
+    let high = this.items.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.items[mid].score >= score) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    this.items.splice(low, 0, { item, score });
+    if (this.items.length > this.k) {
+      this.items.pop();
+    }
+  }
+
+  // Lowest score that still makes the cut, or -Infinity while not full
+  // (Infinity when nothing is kept)
+  threshold() {
+    if (this.k < 1) {
+      return Infinity;
+    }
+    return this.items.length < this.k
+      ? -Infinity
+      : this.items[this.k - 1].score;
+  }
+
+  toArray() {
+    return this.items;
+  }
+}
+
+module.exports = {
+  VectorMatrix,
+  TopK,
+  normalize,
+  dot,
+};
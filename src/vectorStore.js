@@ -1,24 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const KeywordIndex = require('./keywordIndex');
+const { writeFileAtomic } = require('./storage');
+const { matchesFilter } = require('./filters');
+const { VectorMatrix, TopK, normalize } = require('./vectorMatrix');
+const HNSWIndex = require('./hnswIndex');
+
+const STORE_FORMAT_VERSION = 1;
+const VECTOR_INDEX_TYPES = ['exact', 'hnsw'];
+// Rebuild the ANN graph once this share of its nodes has been deleted
+const MAX_DELETED_RATIO = 0.25;
+
 class SimpleVectorStore {
-  constructor() {
+  constructor(options = {}) {
     this.documents = [];
-    this.embeddings = [];
+    // Normalized embeddings packed row by row, parallel to documents
+    this.vectors = new VectorMatrix();
     this.metadata = [];
+    // BM25 index over the same chunks, keyed by chunk id
+    this.keywordIndex = new KeywordIndex();
+    // Chunk ids are never reused, so they stay valid across deletions
+    this.nextId = 0;
+    this.idToIndex = new Map();
+    // Embedding model the stored vectors belong to, and their length
+    this.model = options.model || null;
+    this.dimension = null;
+    // Append-only log file the store is persisted to (null = memory only)
+    this.persistPath = options.persistPath || null;
+
+    // Approximate nearest-neighbour index: 'exact' always scans every
+    // vector, 'hnsw' builds a graph once the store holds annMinDocuments
+    // chunks and scans exactly below that
+    this.indexType = (
+      options.indexType ||
+      process.env.VECTOR_INDEX ||
+      'exact'
+    ).toLowerCase();
+    if (!VECTOR_INDEX_TYPES.includes(this.indexType)) {
+      throw new Error(
+        `Unknown vector index "${
+          this.indexType
+        }". Use one of: ${VECTOR_INDEX_TYPES.join(', ')}`
+      );
+    }
+    this.annMinDocuments = Number(
+      options.annMinDocuments ?? process.env.ANN_MIN_DOCUMENTS ?? 5000
+    );
+    this.hnswOptions = {
+      m: Number(options.hnswM ?? process.env.HNSW_M ?? 16),
+      efConstruction: Number(
+        options.hnswEfConstruction ?? process.env.HNSW_EF_CONSTRUCTION ?? 100
+      ),
+      efSearch: Number(
+        options.hnswEfSearch ?? process.env.HNSW_EF_SEARCH ?? 64
+      ),
+    };
+    // Built lazily on the first search that needs it
+    this.annIndex = null;
+
+    if (this.persistPath) {
+      this.load();
+    }
   }
 
   //add document with the embedding and metadata to store
   addDocument(text, embedding, metadata = {}) {
-    this.documents.push(text);
-    this.embeddings.push(embedding);
-    this.metadata.push({
+    if (this.dimension === null) {
+      this.dimension = embedding.length;
+    } else if (embedding.length !== this.dimension) {
+      throw new Error(
+        `Embedding has ${embedding.length} dimensions but the store holds ${this.dimension}-dimensional vectors`
+      );
+    }
+
+    const record = {
       ...metadata,
-      id: this.documents.length - 1,
+      id: this.nextId,
       timestamp: new Date().toISOString(),
-    });
+    };
+    this.appendToLog({ type: 'add', text, embedding, metadata: record });
+    this.insert(text, embedding, record);
     console.log(
-      `Document added with ID: ${
-        this.documents.length - 1
-      }: text "${text.substring(0, 50)}..."`
+      `Document added with ID: ${record.id}: text "${text.substring(0, 50)}..."`
     );
+    return record.id;
+  }
+
+  // Put a chunk into the in-memory arrays and indexes
+  insert(text, embedding, metadata) {
+    this.idToIndex.set(metadata.id, this.documents.length);
+    this.keywordIndex.add(metadata.id, text);
+    this.documents.push(text);
+    this.vectors.add(embedding);
+    this.metadata.push(metadata);
+    this.nextId = Math.max(this.nextId, metadata.id + 1);
+    if (this.annIndex) {
+      this.annIndex.add(metadata.id);
+    }
+  }
+
+  //delete every chunk whose metadata matches the predicate
+  deleteWhere(predicate) {
+    const ids = this.metadata
+      .filter((metadata) => predicate(metadata))
+      .map((metadata) => metadata.id);
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    this.appendToLog({ type: 'delete', ids });
+    this.remove(ids);
+    console.log(`Deleted ${ids.length} chunks from the vector store`);
+    return ids.length;
+  }
+
+  // Remove chunks by id from the in-memory arrays and indexes
+  remove(ids) {
+    const removed = new Set(ids);
+    const keep = [];
+    this.metadata.forEach((metadata, index) => {
+      if (removed.has(metadata.id)) {
+        this.keywordIndex.remove(metadata.id);
+        if (this.annIndex) {
+          this.annIndex.remove(metadata.id);
+        }
+      } else {
+        keep.push(index);
+      }
+    });
+
+    this.documents = keep.map((index) => this.documents[index]);
+    this.vectors.keepRows(keep);
+    this.metadata = keep.map((index) => this.metadata[index]);
+    this.idToIndex = new Map(
+      this.metadata.map((metadata, index) => [metadata.id, index])
+    );
+    if (this.annIndex && this.annIndex.deletedRatio() > MAX_DELETED_RATIO) {
+      // Too many tombstones slow searches down; rebuild on next use
+      this.annIndex = null;
+    }
   }
 
   //calculate similarity between two embeddings
@@ -45,24 +165,20 @@ class SimpleVectorStore {
   }
 
   //search for similar documents based on query embedding
-  search(queryEmbedding, topK = 3) {
-    if (this.embeddings.length === 0) {
+  //only chunks whose metadata matches the optional filter are ranked
+  search(queryEmbedding, topK = 3, filter = null) {
+    if (this.documents.length === 0) {
       console.log('No documents in store to search');
       return [];
     }
-    const similarities = this.embeddings.map((embedding, index) => {
-      const similarity = this.cosineSimilarity(queryEmbedding, embedding);
-      return {
-        index,
-        similarity,
-        document: this.documents[index],
-        metadata: this.metadata[index],
-      };
-    });
-    //sort by similarity score, to return top k
-    const results = similarities
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, topK);
+    const query = normalize(queryEmbedding);
+    let results = null;
+    if (this.useAnnIndex()) {
+      results = this.annSearch(query, topK, filter);
+    }
+    if (!results) {
+      results = this.exactSearch(query, topK, filter);
+    }
     console.log(`Found ${results.length} results for query`);
     results.forEach((result, i) => {
       console.log(
@@ -76,12 +192,113 @@ class SimpleVectorStore {
     return results;
   }
 
+  // Score every stored vector, keeping only the best topK
+  exactSearch(query, topK, filter) {
+    const best = new TopK(topK);
+    for (let index = 0; index < this.documents.length; index++) {
+      if (filter && !matchesFilter(this.metadata[index], filter)) {
+        continue;
+      }
+      best.push(index, this.vectors.dot(query, index));
+    }
+    return best.toArray().map(({ item, score }) => this.toResult(item, score));
+  }
+
+  // Search the HNSW graph. Returns null when it can't fill topK (a
+  // restrictive filter), so the caller falls back to an exact scan.
+  annSearch(query, topK, filter) {
+    const accept = filter
+      ? (id) => matchesFilter(this.metadata[this.idToIndex.get(id)], filter)
+      : null;
+    const found = this.getAnnIndex().search(query, topK, { accept });
+    if (found.length < Math.min(topK, this.documents.length)) {
+      return null;
+    }
+    return found.map(({ id, score }) =>
+      this.toResult(this.idToIndex.get(id), score)
+    );
+  }
+
+  useAnnIndex() {
+    return (
+      this.indexType === 'hnsw' && this.documents.length >= this.annMinDocuments
+    );
+  }
+
+  // The HNSW graph over all stored chunks, built on first use
+  getAnnIndex() {
+    if (!this.annIndex) {
+      const startTime = Date.now();
+      this.annIndex = new HNSWIndex({
+        ...this.hnswOptions,
+        vectorOf: (id) => this.vectors.row(this.idToIndex.get(id)),
+      });
+      this.metadata.forEach((metadata) => this.annIndex.add(metadata.id));
+      console.log(
+        `Built HNSW index over ${this.documents.length} vectors in ${
+          Date.now() - startTime
+        }ms`
+      );
+    }
+    return this.annIndex;
+  }
+
+  toResult(index, similarity) {
+    return {
+      index,
+      similarity,
+      document: this.documents[index],
+      metadata: this.metadata[index],
+    };
+  }
+
+  //search for documents containing the query terms, ranked by BM25
+  keywordSearch(query, topK = 3, filter = null) {
+    const accept = filter
+      ? (docId) =>
+          matchesFilter(this.metadata[this.idToIndex.get(docId)], filter)
+      : null;
+    const results = this.keywordIndex
+      .search(query, topK, accept)
+      .map(({ docId, score }) => {
+        const index = this.idToIndex.get(docId);
+        return {
+          index,
+          keywordScore: score,
+          document: this.documents[index],
+          metadata: this.metadata[index],
+        };
+      });
+    console.log(`Found ${results.length} keyword results for query`);
+    return results;
+  }
+
+  // cosine similarity between a query embedding and one stored document
+  similarityTo(queryEmbedding, index) {
+    return this.vectors.dot(normalize(queryEmbedding), index);
+  }
+
+  // cosine similarity between two stored documents
+  similarityBetween(indexA, indexB) {
+    return this.vectors.dot(this.vectors.row(indexA), indexB);
+  }
+
+  // BM25 score of one stored document for a query
+  keywordScore(query, index) {
+    return this.keywordIndex.score(query, this.metadata[index].id);
+  }
+
+  // Share of the query's terms found in one stored document (0-1)
+  keywordMatch(query, index) {
+    return this.keywordIndex.matchShare(query, this.metadata[index].id);
+  }
+
   //get all documents in the store
   getAllDocuments() {
     return this.documents.map((doc, index) => ({
       index,
       text: doc,
-      embedding: this.embeddings[index],
+      embedding: this.vectors.row(index),
       metadata: this.metadata[index],
     }));
   }
@@ -94,10 +311,169 @@ class SimpleVectorStore {
   //clear all vector store data
   clear() {
     this.documents = [];
-    this.embeddings = [];
+    this.vectors.clear();
     this.metadata = [];
+    this.dimension = null;
+    this.annIndex = null;
+    this.keywordIndex.clear();
+    this.idToIndex = new Map();
+    // Keep the header so chunk ids aren't reused after a restart
+    this.compact();
     console.log('All vector store data cleared');
   }
+
+  // Load documents from the persisted log, if one exists
+  load() {
+    if (!fs.existsSync(this.persistPath)) {
+      console.log(
+        `No vector store found at ${this.persistPath}, starting empty`
+      );
+      return;
+    }
+
+    const content = fs.readFileSync(this.persistPath, 'utf-8');
+    const lines = content.split('\n');
+    let truncated = false;
+    let hasDeletes = false;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (line.trim() === '') {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A partial last line means we crashed mid-append: drop it.
+        // Anything earlier than that is real corruption.
+        if (lines.slice(i + 1).some((rest) => rest.trim() !== '')) {
+          throw new Error(
+            `Vector store ${this.persistPath} is corrupted at line ${i + 1}`
+          );
+        }
+        console.warn(
+          `Discarding incomplete record at end of ${this.persistPath}`
+        );
+        truncated = true;
+        break;
+      }
+
+      this.applyLogEntry(entry);
+      hasDeletes = hasDeletes || entry.type === 'delete';
+    }
+
+    if (truncated || hasDeletes) {
+      // Rewrite without the broken tail so later appends start on a clean
+      // line, and drop records of deleted chunks
+      this.compact();
+    }
+
+    console.log(
+      `Loaded ${this.documents.length} documents from ${this.persistPath}`
+    );
+  }
+
+  // Replay a single log entry into memory
+  applyLogEntry(entry) {
+    switch (entry.type) {
+      case 'header':
+        if (this.model && entry.model && entry.model !== this.model) {
+          throw new Error(
+            `Vector store ${this.persistPath} was built with embedding model "${entry.model}" (${entry.dimension} dimensions) ` +
+              `but the embedding service uses "${this.model}". Clear the store or switch the model back.`
+          );
+        }
+        this.dimension = entry.dimension;
+        this.nextId = entry.nextId || 0;
+        break;
+      case 'add':
+        this.insert(entry.text, entry.embedding, entry.metadata);
+        break;
+      case 'delete':
+        this.remove(entry.ids);
+        break;
+      default:
+        throw new Error(`Unknown vector store record type: ${entry.type}`);
+    }
+  }
+
+  // Append a record to the log, writing the header first on a fresh store
+  appendToLog(entry) {
+    if (!this.persistPath) {
+      return;
+    }
+
+    if (this.documents.length === 0) {
+      // First record: start a fresh file so stale content never survives
+      this.writeAtomic([this.createHeader(), entry]);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+    const fd = fs.openSync(this.persistPath, 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(entry) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // The header records the id counter even for an empty store; a store
+  // is only tied to a model once it has taken a vector
+  createHeader() {
+    return {
+      type: 'header',
+      version: STORE_FORMAT_VERSION,
+      model: this.dimension !== null ? this.model : null,
+      dimension: this.dimension,
+      nextId: this.nextId,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  // Replace the log with the given entries in one atomic write
+  writeAtomic(entries) {
+    writeFileAtomic(
+      this.persistPath,
+      entries.map((entry) => JSON.stringify(entry) + '\n').join('')
+    );
+  }
+
+  // Rewrite the log as a compact snapshot of the current contents
+  compact() {
+    if (!this.persistPath) {
+      return;
+    }
+    const entries = [this.createHeader()];
+    this.documents.forEach((text, index) => {
+      entries.push({
+        type: 'add',
+        text,
+        embedding: Array.from(this.vectors.row(index)),
+        metadata: this.metadata[index],
+      });
+    });
+    this.writeAtomic(entries);
+  }
+
+  // Describe where and how the store is persisted
+  getStorageInfo() {
+    return {
+      persistPath: this.persistPath,
+      model: this.model,
+      dimension: this.dimension,
+      index: {
+        type: this.indexType,
+        active: this.useAnnIndex() ? 'hnsw' : 'exact',
+        built: this.annIndex !== null,
+        annMinDocuments: this.annMinDocuments,
+        ...(this.indexType === 'hnsw' && this.hnswOptions),
+      },
+    };
+  }
 }
 
 module.exports = SimpleVectorStore;
@@ -0,0 +1,130 @@
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const STORED = 0;
+const DEFLATED = 8;
+
+// Minimal reader for ZIP archives held in memory (DOCX and EPUB files are
+// ZIP archives). Supports stored and deflated entries; ZIP64 and encrypted
+// archives are rejected.
+class ZipReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.entries = this.readCentralDirectory();
+  }
+
+  static isZip(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+  }
+
+  readCentralDirectory() {
+    const buffer = this.buffer;
+    // The end record sits in the last 22 bytes plus an optional comment
+    let end = -1;
+    for (
+      let i = buffer.length - 22;
+      i >= Math.max(0, buffer.length - 22 - 0xffff);
+      i--
+    ) {
+      if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error('Not a ZIP archive (no central directory found)');
+    }
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (count === 0xffff || offset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+        throw new Error('Corrupted ZIP central directory');
+      }
+      const flags = buffer.readUInt16LE(offset + 8);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const name = buffer
+        .subarray(offset + 46, offset + 46 + nameLength)
+        // Bit 11 marks UTF-8 names; older tools use CP437, close enough
+        .toString(flags & 0x800 ? 'utf-8' : 'latin1');
+      entries.push({
+        name,
+        directory: name.endsWith('/'),
+        encrypted: (flags & 0x1) === 1,
+        method: buffer.readUInt16LE(offset + 10),
+        compressedSize: buffer.readUInt32LE(offset + 20),
+        size: buffer.readUInt32LE(offset + 24),
+        headerOffset: buffer.readUInt32LE(offset + 42),
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  getEntry(name) {
+    return this.entries.find((entry) => entry.name === name) || null;
+  }
+
+  // Decompress an entry (by name or entry object). maxSize caps the output
+  // so a small archive can't expand into gigabytes.
+  read(nameOrEntry, maxSize = Infinity) {
+    const entry =
+      typeof nameOrEntry === 'string'
+        ? this.getEntry(nameOrEntry)
+        : nameOrEntry;
+    if (!entry) {
+      throw new Error(`ZIP entry not found: ${nameOrEntry}`);
+    }
+    if (entry.encrypted) {
+      throw new Error(`ZIP entry ${entry.name} is encrypted`);
+    }
+    if (entry.size > maxSize) {
+      throw new Error(
+        `ZIP entry ${entry.name} is too large (${entry.size} bytes)`
+      );
+    }
+
+    const header = entry.headerOffset;
+    if (this.buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupted ZIP entry: ${entry.name}`);
+    }
+    const start =
+      header +
+      30 +
+      this.buffer.readUInt16LE(header + 26) +
+      this.buffer.readUInt16LE(header + 28);
+    const data = this.buffer.subarray(start, start + entry.compressedSize);
+
+    switch (entry.method) {
+      case STORED:
+        return Buffer.from(data);
+      case DEFLATED:
+        // The declared size can lie; never inflate past the cap
+        return zlib.inflateRawSync(
+          data,
+          Number.isFinite(maxSize)
+            ? { maxOutputLength: Math.max(1, maxSize) }
+            : {}
+        );
+      default:
+        throw new Error(
+          `ZIP entry ${entry.name} uses unsupported compression method ${entry.method}`
+        );
+    }
+  }
+
+  readText(nameOrEntry, maxSize) {
+    return this.read(nameOrEntry, maxSize).toString('utf-8');
+  }
+}
+
+module.exports = ZipReader;
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { expandZip, isZipArchive, safeArchivePath } = require('../src/archives');
+const ZipReader = require('../src/zipReader');
+const {
+  withTempDir,
+  startServer,
+  request,
+  upload,
+  waitForJob,
+  createZip,
+} = require('./helpers');
+
+function expand(files, options) {
+  return Array.from(expandZip(createZip(files), options), (entry) =>
+    entry.buffer
+      ? [entry.archivePath, entry.buffer.toString()]
+      : [entry.archivePath, entry.skipped]
+  );
+}
+
+test('archive paths that could escape are refused', () => {
+  assert.strictEqual(safeArchivePath('./docs//guide.md'), 'docs/guide.md');
+  assert.strictEqual(safeArchivePath('docs\\guide.md'), 'docs/guide.md');
+  for (const name of [
+    '../evil.txt',
+    'docs/../../evil.txt',
+    '..\\evil.txt',
+    '/etc/passwd',
+    'C:/Windows/evil.txt',
+    './',
+  ]) {
+    assert.strictEqual(safeArchivePath(name), null, name);
+  }
+  assert.ok(isZipArchive('Manuals.ZIP'));
+  assert.ok(!isZipArchive('report.docx'));
+});
+
+test('files are unpacked with unsafe, junk and unsupported ones left out', () => {
+  assert.deepStrictEqual(
+    expand(
+      {
+        'docs/guide.md': '# Guide',
+        'docs/': '',
+        '../evil.txt': 'escape',
+        '__MACOSX/docs/._guide.md': 'fork',
+        'docs/.DS_Store': 'junk',
+        'tool.exe': 'MZ',
+        'notes.txt': { data: 'stored', method: 'store' },
+      },
+      { accept: (archivePath) => !archivePath.endsWith('.exe') }
+    ),
+    [
+      ['docs/guide.md', '# Guide'],
+      ['../evil.txt', 'unsafe path'],
+      ['tool.exe', 'unsupported file type'],
+      ['notes.txt', 'stored'],
+    ]
+  );
+});
+
+test('entry count and size limits', () => {
+  assert.throws(
+    () =>
+      expand({ 'a.txt': 'a', 'b.txt': 'b', 'c.txt': 'c' }, { maxEntries: 2 }),
+    { message: 'Archive has 3 files, the limit is 2' }
+  );
+  assert.deepStrictEqual(
+    expand(
+      {
+        'a.txt': 'x'.repeat(10),
+        'b.txt': 'x'.repeat(100),
+        'c.txt': 'x'.repeat(60),
+      },
+      { maxEntrySize: 80, maxTotalSize: 50 }
+    ),
+    [
+      ['a.txt', 'x'.repeat(10)],
+      ['b.txt', 'file too large'],
+      ['c.txt', 'archive size limit reached'],
+    ]
+  );
+});
+
+test('a declared size that lies cannot inflate past the limits', () => {
+  const bomb = { data: Buffer.alloc(1024 * 1024), declaredSize: 10 };
+  assert.deepStrictEqual(expand({ 'bomb.txt': bomb }, { maxEntrySize: 1000 }), [
+    ['bomb.txt', 'file too large'],
+  ]);
+  assert.deepStrictEqual(
+    expand(
+      { 'small.txt': 'x'.repeat(40), 'bomb.txt': bomb },
+      { maxTotalSize: 100 }
+    ),
+    [
+      ['small.txt', 'x'.repeat(40)],
+      ['bomb.txt', 'file too large'],
+    ]
+  );
+
+  const zip = new ZipReader(createZip({ 'bomb.txt': bomb }));
+  assert.throws(() => zip.read('bomb.txt', 1000), {
+    code: 'ERR_BUFFER_TOO_LARGE',
+  });
+  assert.throws(() => new ZipReader(Buffer.from('not a zip')), {
+    message: /Not a ZIP archive/,
+  });
+});
+
+test('uploading several files and archives', () =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir, { ARCHIVE_MAX_ENTRIES: '3' });
+    const api = `${server.url}/api`;
+    try {
+      const response = await upload(`${api}/upload`, {
+        'pump.txt': 'The pump needs a new seal.',
+        'manuals.zip': createZip({
+          'manuals/gauge.md': '# Gauge\n\nCheck the gauge weekly.',
+          '../../evil.txt': 'escape',
+          'setup.exe': 'MZ',
+        }),
+        'virus.exe': 'MZ',
+      });
+      assert.strictEqual(response.status, 202);
+      const files = response.body.data.files;
+      assert.deepStrictEqual(
+        files.map(({ filename, success }) => [filename, success]),
+        [
+          ['virus.exe', false],
+          ['pump.txt', true],
+          ['gauge.md', true],
+          ['evil.txt', false],
+          ['setup.exe', false],
+        ]
+      );
+      assert.strictEqual(files[2].archivePath, 'manuals/gauge.md');
+      assert.strictEqual(files[3].error, 'unsafe path');
+      for (const file of files.filter(({ success }) => success)) {
+        assert.strictEqual(
+          (await waitForJob(server.url, file.jobId)).status,
+          'completed'
+        );
+      }
+      assert.ok(!fs.existsSync(path.join(dir, '..', 'evil.txt')));
+      assert.ok(!fs.existsSync(path.join(dir, 'evil.txt')));
+
+      const documents = (await request(`${api}/documents`)).body.data;
+      const gauge = documents.find((doc) => doc.originalName === 'gauge.md');
+      assert.deepStrictEqual(gauge.source, {
+        archive: 'manuals.zip',
+        archivePath: 'manuals/gauge.md',
+      });
+      // The archive itself is not kept
+      assert.ok(
+        fs
+          .readdirSync(path.join(dir, 'uploads'))
+          .every((name) => !name.endsWith('.zip'))
+      );
+
+      const tooMany = await upload(`${api}/upload`, {
+        'many.zip': createZip({
+          'a.txt': 'a',
+          'b.txt': 'b',
+          'c.txt': 'c',
+          'd.txt': 'd',
+        }),
+      });
+      assert.strictEqual(tooMany.status, 400);
+      assert.match(tooMany.body.error, /Archive has 4 files, the limit is 3/);
+    } finally {
+      await server.stop();
+    }
+  }));
@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ApiKeyStore, RateLimiter, hashKey } = require('../src/auth');
+const { withTempDir, quietly, startServer, request } = require('./helpers');
+
+const KEYS_SCRIPT = path.join(__dirname, '..', 'scripts', 'api-keys.js');
+
+test('keys are stored as hashes and checked with their scopes', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const persistPath = path.join(dir, 'api-keys.json');
+      const store = new ApiKeyStore({
+        persistPath,
+        keyList: `ops:admin:${hashKey('ops-key')}`,
+      });
+      assert.strictEqual(store.enabled, true);
+      const key = store.create('reader', ['read']);
+      assert.match(key, /^rag_/);
+      assert.ok(!fs.readFileSync(persistPath, 'utf8').includes(key));
+      assert.strictEqual(fs.statSync(persistPath).mode & 0o777, 0o600);
+
+      const reader = store.verify(key);
+      assert.strictEqual(reader.name, 'reader');
+      assert.ok(store.hasScope(reader, 'read'));
+      assert.ok(!store.hasScope(reader, 'ingest'));
+      assert.ok(store.hasScope(store.verify('ops-key'), 'ingest'));
+      assert.strictEqual(store.verify('rag_wrong'), null);
+      assert.strictEqual(store.verify(''), null);
+
+      assert.throws(() => store.create('reader', ['read']), /already exists/);
+      assert.throws(() => store.create('writer', ['write']), /Invalid scope/);
+      assert.throws(
+        () => new ApiKeyStore({ keyList: 'ops:admin:nothex' }),
+        /Invalid API_KEYS entry/
+      );
+
+      // Keys written by another process are picked up
+      const other = new ApiKeyStore({ persistPath });
+      assert.strictEqual(other.revoke('reader'), true);
+      assert.strictEqual(other.revoke('reader'), false);
+      fs.utimesSync(persistPath, new Date(), new Date(Date.now() + 5000));
+      assert.strictEqual(store.verify(key), null);
+      assert.deepStrictEqual(
+        store.list().map(({ name }) => name),
+        ['ops']
+      );
+      assert.strictEqual(new ApiKeyStore().enabled, false);
+    })
+  ));
+
+test('the rate limiter refills over time and forgets idle clients', () => {
+  const limiter = new RateLimiter({ capacity: 2, refillPerMinute: 6 });
+  const start = 1000000;
+  assert.deepStrictEqual(limiter.take('a', start), {
+    allowed: true,
+    remaining: 1,
+  });
+  assert.strictEqual(limiter.take('a', start).allowed, true);
+  assert.deepStrictEqual(limiter.take('a', start), {
+    allowed: false,
+    remaining: 0,
+    retryAfter: 10,
+  });
+  // Other clients have their own bucket
+  assert.strictEqual(limiter.take('b', start).allowed, true);
+  assert.strictEqual(limiter.take('a', start + 10000).allowed, true);
+
+  limiter.sweep(start + 60000);
+  assert.strictEqual(limiter.buckets.size, 0);
+});
+
+test('the key script creates, lists and revokes keys', () =>
+  withTempDir((dir) => {
+    const run = (...args) =>
+      spawnSync(process.execPath, [KEYS_SCRIPT, ...args], {
+        cwd: dir,
+        env: {
+          PATH: process.env.PATH,
+          DATA_DIR: dir,
+          DOTENV_CONFIG_QUIET: 'true',
+        },
+        encoding: 'utf8',
+      });
+    const created = run('create', 'ci', 'read,ingest');
+    assert.strictEqual(created.status, 0);
+    const key = created.stdout.match(/rag_\S+/)[0];
+    assert.strictEqual(
+      new ApiKeyStore({ persistPath: path.join(dir, 'api-keys.json') }).verify(
+        key
+      ).name,
+      'ci'
+    );
+    assert.match(run('list').stdout, /^ci\tread,ingest\t/m);
+    assert.ok(run('hash', key).stdout.includes(hashKey(key)));
+    assert.strictEqual(run('revoke', 'ci').status, 0);
+    const missing = run('revoke', 'ci');
+    assert.strictEqual(missing.status, 1);
+    assert.match(missing.stderr, /No API key named "ci"/);
+  }));
+
+test('the API checks keys, scopes, rate limits and origins', () =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir, {
+      API_KEYS: [
+        `reader:read:${hashKey('read-key')}`,
+        `ops:admin:${hashKey('admin-key')}`,
+      ].join(','),
+      RATE_LIMIT_ASK: '2',
+      CORS_ORIGINS: 'http://ui.example',
+    });
+    const api = `${server.url}/api`;
+    const as = (key) => ({ Authorization: `Bearer ${key}` });
+    try {
+      const anonymous = await request(`${api}/documents`);
+      assert.strictEqual(anonymous.status, 401);
+      assert.strictEqual(anonymous.body.error, 'API key required');
+      const wrong = await request(`${api}/documents`, 'GET', undefined, {
+        'X-API-Key': 'nope',
+      });
+      assert.strictEqual(wrong.status, 401);
+      assert.strictEqual(wrong.body.error, 'Invalid API key');
+
+      const read = await request(
+        `${api}/documents`,
+        'GET',
+        undefined,
+        as('read-key')
+      );
+      assert.strictEqual(read.status, 200);
+      const events = await fetch(`${api}/jobs?api_key=read-key`);
+      assert.strictEqual(events.status, 200);
+
+      const clear = await request(
+        `${api}/clear`,
+        'DELETE',
+        undefined,
+        as('read-key')
+      );
+      assert.strictEqual(clear.status, 403);
+      assert.match(clear.body.error, /lacks the "admin" scope/);
+      const created = await request(
+        `${api}/collections`,
+        'POST',
+        { name: 'manuals' },
+        as('admin-key')
+      );
+      assert.strictEqual(created.status, 201);
+
+      // Questions are limited per key
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        const response = await fetch(`${api}/ask`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...as('read-key') },
+          body: JSON.stringify({}),
+        });
+        statuses.push(response.status);
+        if (response.status === 429) {
+          assert.ok(Number(response.headers.get('retry-after')) > 0);
+        }
+      }
+      assert.deepStrictEqual(statuses, [400, 400, 429]);
+      const otherKey = await request(`${api}/ask`, 'POST', {}, as('admin-key'));
+      assert.strictEqual(otherKey.status, 400);
+
+      const allowed = await fetch(`${api}/stats`, {
+        headers: { Origin: 'http://ui.example', ...as('read-key') },
+      });
+      assert.strictEqual(
+        allowed.headers.get('access-control-allow-origin'),
+        'http://ui.example'
+      );
+      const foreign = await fetch(`${api}/stats`, {
+        headers: { Origin: 'http://evil.example', ...as('read-key') },
+      });
+      assert.strictEqual(
+        foreign.headers.get('access-control-allow-origin'),
+        null
+      );
+    } finally {
+      await server.stop();
+    }
+  }));
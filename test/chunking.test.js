@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  createChunks,
+  resolveChunkingOptions,
+  estimateTokens,
+} = require('../src/chunking');
+const DocumentProcessor = require('../src/documents');
+const { withTempDir, quietly } = require('./helpers');
+
+const MANUAL = `# Pump manual
+
+The XR-200 is a centrifugal pump. It moves water.
+
+## Maintenance
+
+Replace the seal every six months. Check the gauge weekly.
+
+Log every reading in the maintenance book.
+
+## Troubleshooting
+
+### Noise
+
+A rattling noise means the impeller is loose.
+
+# Appendix
+
+Contact support for spare parts.`;
+
+function chunk(text, options) {
+  return createChunks(text, resolveChunkingOptions(options));
+}
+
+// Every chunk's offsets point at its body in the chunked text
+function assertOffsets(text, chunks) {
+  chunks.forEach((piece) => {
+    assert.ok(
+      piece.text.endsWith(text.slice(piece.start, piece.end)),
+      JSON.stringify(piece)
+    );
+  });
+}
+
+test('chunking options are validated and completed', () => {
+  assert.deepStrictEqual(resolveChunkingOptions(), {
+    strategy: 'fixed',
+    unit: 'chars',
+    chunkSize: 500,
+    chunkOverlap: 50,
+  });
+  assert.deepStrictEqual(resolveChunkingOptions({ strategy: 'token' }, 256), {
+    strategy: 'token',
+    unit: 'tokens',
+    chunkSize: 256,
+    chunkOverlap: 32,
+  });
+  assert.deepStrictEqual(
+    resolveChunkingOptions({ strategy: 'recursive', chunkSize: 40 }),
+    { strategy: 'recursive', unit: 'chars', chunkSize: 40, chunkOverlap: 10 }
+  );
+  for (const [options, message] of [
+    [{ strategy: 'semantic' }, /Invalid chunk strategy "semantic"/],
+    [{ strategy: 'recursive', unit: 'words' }, /Invalid chunk unit/],
+    [{ chunkSize: 2.5 }, /chunkSize must be a positive integer/],
+    [{ chunkOverlap: -1 }, /chunkOverlap must be a non-negative/],
+    [{ chunkSize: 100, chunkOverlap: 100 }, /smaller than chunkSize/],
+  ]) {
+    assert.throws(() => resolveChunkingOptions(options), { message });
+  }
+});
+
+const SENTENCES =
+  'The pump moves water. The seal needs care. The gauge shows pressure. The log keeps readings.';
+
+test('fixed chunks break at sentence ends', () => {
+  const chunks = chunk(SENTENCES, { chunkSize: 45, chunkOverlap: 0 });
+  assert.deepStrictEqual(
+    chunks.map((piece) => piece.text),
+    [
+      'The pump moves water. The seal needs care.',
+      'The gauge shows pressure.',
+      'The log keeps readings.',
+    ]
+  );
+  assertOffsets(SENTENCES, chunks);
+
+  // The overlap is counted in characters back from the chunk end
+  const overlapping = chunk(SENTENCES, { chunkSize: 45, chunkOverlap: 10 });
+  assert.strictEqual(overlapping[1].start, overlapping[0].end - 10);
+});
+
+test('recursive chunks pack whole paragraphs and sentences', () => {
+  const text =
+    'First paragraph about pumps.\n\nSecond paragraph about seals.\n\nThird paragraph about gauges.';
+  const chunks = chunk(text, {
+    strategy: 'recursive',
+    chunkSize: 65,
+    chunkOverlap: 0,
+  });
+  assert.deepStrictEqual(
+    chunks.map((piece) => piece.text),
+    [
+      'First paragraph about pumps.\n\nSecond paragraph about seals.',
+      'Third paragraph about gauges.',
+    ]
+  );
+  assertOffsets(text, chunks);
+
+  const overlapping = chunk(SENTENCES, {
+    strategy: 'recursive',
+    chunkSize: 50,
+    chunkOverlap: 25,
+  });
+  assert.deepStrictEqual(
+    overlapping.map((piece) => piece.text),
+    [
+      'The pump moves water. The seal needs care.',
+      'The seal needs care. The gauge shows pressure.',
+      // "The gauge shows pressure. " is longer than the overlap
+      'The log keeps readings.',
+    ]
+  );
+  assert.ok(overlapping.every((piece) => piece.text.length <= 50));
+  assertOffsets(SENTENCES, overlapping);
+});
+
+test('heading chunks carry their heading path', () => {
+  const chunks = chunk(MANUAL, { strategy: 'heading', chunkSize: 200 });
+  assert.deepStrictEqual(
+    chunks.map((piece) => piece.sectionPath),
+    [
+      ['Pump manual'],
+      ['Pump manual', 'Maintenance'],
+      ['Pump manual', 'Troubleshooting', 'Noise'],
+      ['Appendix'],
+    ]
+  );
+  assert.strictEqual(
+    chunks[1].text,
+    'Pump manual > Maintenance\n\nReplace the seal every six months. Check the gauge weekly.\n\nLog every reading in the maintenance book.'
+  );
+  assertOffsets(MANUAL, chunks);
+});
+
+test('token chunks are sized in estimated tokens', () => {
+  assert.strictEqual(estimateTokens('The pump, again.'), 5);
+  assert.strictEqual(estimateTokens('internationalization'), 4);
+
+  const text = MANUAL.repeat(5);
+  const chunks = chunk(text, {
+    strategy: 'token',
+    chunkSize: 40,
+    chunkOverlap: 5,
+  });
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every((piece) => estimateTokens(piece.text) <= 40));
+  assertOffsets(text, chunks);
+});
+
+test('documents keep their line structure for chunking', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const filePath = path.join(dir, 'manual.md');
+      fs.writeFileSync(filePath, MANUAL.replace(/\n/g, '\r\n   '));
+      const processor = new DocumentProcessor({ chunkStrategy: 'heading' });
+      const result = await processor.processDocument(filePath, 'md');
+
+      assert.strictEqual(
+        result.chunks[1],
+        'Pump manual > Maintenance\n\nReplace the seal every six months. Check the gauge weekly.\n\nLog every reading in the maintenance book.'
+      );
+      const details = result.chunkDetails[1];
+      assert.deepStrictEqual(details.sectionPath, [
+        'Pump manual',
+        'Maintenance',
+      ]);
+      assert.ok(
+        result.originalText
+          .slice(details.startOffset, details.endOffset)
+          .startsWith('Replace the seal')
+      );
+      assert.strictEqual(result.metadata.chunking.strategy, 'heading');
+    })
+  ));
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCitations } = require('../src/citations');
+const { withTempDir, quietly, createRAG, addTexts } = require('./helpers');
+
+function source(id, document) {
+  return {
+    document,
+    metadata: {
+      id,
+      documentId: `doc_${id}`,
+      filename: `file${id}.txt`,
+      chunkIndex: 0,
+    },
+  };
+}
+
+const SOURCES = [
+  source(
+    7,
+    'Shipping takes two days. The pump overheats when the filter clogs.'
+  ),
+  source(9, 'Refunds are issued within 30 days of purchase.'),
+];
+
+test('markers written by the model are resolved to their sources', () => {
+  const answer =
+    'The pump overheats when the filter clogs [1]. Refunds take 30 days [1, 2].';
+  const result = buildCitations(answer, SOURCES);
+  assert.strictEqual(result.answer, answer);
+  assert.deepStrictEqual(
+    result.citations.map(({ marker, chunkId, attribution }) => [
+      marker,
+      chunkId,
+      attribution,
+    ]),
+    [
+      [1, 7, 'model'],
+      [1, 7, 'model'],
+      [2, 9, 'model'],
+    ]
+  );
+
+  const [first] = result.citations;
+  assert.deepStrictEqual(first.answerSpan, { start: 0, end: 45 });
+  assert.strictEqual(first.quote, 'The pump overheats when the filter clogs.');
+  assert.strictEqual(
+    SOURCES[0].document.slice(first.sourceSpan.start, first.sourceSpan.end),
+    first.quote
+  );
+  assert.strictEqual(first.documentId, 'doc_7');
+  assert.strictEqual(first.filename, 'file7.txt');
+});
+
+test('markers for sources that do not exist are ignored', () => {
+  const result = buildCitations('Refunds take 30 days [5].', SOURCES);
+  assert.strictEqual(result.citations.length, 1);
+  assert.strictEqual(result.citations[0].attribution, 'inferred');
+  assert.strictEqual(result.answer, 'Refunds take 30 days [5] [2].');
+});
+
+test('sentences without markers are attributed to their best source', () => {
+  const result = buildCitations(
+    'Refunds are issued within 30 days. The pump overheats when the filter clogs.',
+    SOURCES
+  );
+  assert.strictEqual(
+    result.answer,
+    'Refunds are issued within 30 days [2]. The pump overheats when the filter clogs [1].'
+  );
+  assert.deepStrictEqual(
+    result.citations.map(({ marker, attribution }) => [marker, attribution]),
+    [
+      [2, 'inferred'],
+      [1, 'inferred'],
+    ]
+  );
+});
+
+test('an answer matching no source is attributed to the top one', () => {
+  const result = buildCitations('I cannot tell.', SOURCES);
+  assert.strictEqual(result.answer, 'I cannot tell [1].');
+  assert.strictEqual(result.citations[0].chunkId, 7);
+});
+
+test('nothing is cited without an answer or sources', () => {
+  assert.deepStrictEqual(buildCitations('', SOURCES), {
+    answer: '',
+    citations: [],
+  });
+  assert.deepStrictEqual(buildCitations('An answer.', []), {
+    answer: 'An answer.',
+    citations: [],
+  });
+});
+
+test('answers cite the numbered context sections', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      await addTexts(rag, dir, {
+        'pump.txt': 'The XR-200 pump needs a new seal every six months.',
+      });
+      const result = await rag.askQuestion(
+        'How often does the XR-200 pump need a new seal?',
+        1
+      );
+      assert.match(
+        result.context,
+        /=== \[1\] Document Section \(pump\.txt, chunk 0, id 0\)/
+      );
+      assert.strictEqual(result.relevantDocuments[0].marker, 1);
+      assert.match(result.answer, /\[1\]\.$/);
+      assert.deepStrictEqual(
+        result.citations.map(({ marker, chunkId, filename }) => [
+          marker,
+          chunkId,
+          filename,
+        ]),
+        [[1, 0, 'pump.txt']]
+      );
+    })
+  ));
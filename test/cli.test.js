@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { withTempDir } = require('./helpers');
+
+const CLI_PATH = path.join(__dirname, '..', 'bin', 'rag.js');
+
+// Run the CLI in dir; resolves to { status, stdout, stderr, json }
+function rag(dir, args, input) {
+  const run = spawnSync(process.execPath, [CLI_PATH, ...args], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      DATA_DIR: path.join(dir, 'data'),
+      EMBEDDING_PROVIDER: 'local',
+      GENERATION_PROVIDER: 'extractive',
+    },
+    input,
+    encoding: 'utf8',
+    timeout: 60000,
+  });
+  let json;
+  if (args.includes('--json')) {
+    json = JSON.parse(run.stdout);
+  }
+  return { status: run.status, stdout: run.stdout, stderr: run.stderr, json };
+}
+
+function writeFiles(dir, files) {
+  Object.entries(files).forEach(([name, text]) => {
+    const filePath = path.join(dir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, text);
+  });
+}
+
+test('ingest walks directories with include and exclude globs', () =>
+  withTempDir((dir) => {
+    writeFiles(dir, {
+      'docs/pump.md': '# Pump\n\nThe pump needs a new seal every six months.',
+      'docs/guides/gauge.txt': 'Check the gauge weekly.',
+      'docs/drafts/old.md': 'An old draft.',
+      'docs/.hidden/secret.md': 'Hidden notes.',
+      'docs/logo.png': 'PNG',
+    });
+    const ingested = rag(dir, [
+      'ingest',
+      'docs',
+      'missing.txt',
+      '--exclude',
+      'drafts/**',
+      '--tags',
+      'manuals',
+      '--json',
+    ]);
+    // Missing and unsupported files fail the run
+    assert.strictEqual(ingested.status, 1);
+    assert.deepStrictEqual(
+      ingested.json.map((entry) => [entry.path, entry.success]),
+      [
+        [path.join('docs', 'logo.png'), false],
+        ['missing.txt', false],
+        [path.join('docs', 'guides', 'gauge.txt'), true],
+        [path.join('docs', 'pump.md'), true],
+      ]
+    );
+
+    const again = rag(dir, [
+      'ingest',
+      'docs',
+      '--include',
+      '*.md',
+      '--exclude',
+      'drafts/**',
+    ]);
+    assert.strictEqual(again.status, 0);
+    assert.match(again.stdout, /= docs\/pump\.md: already indexed/);
+    assert.doesNotMatch(again.stdout, /gauge|old\.md/);
+
+    const documents = rag(dir, ['list', '--json']).json;
+    assert.deepStrictEqual(documents.map((doc) => doc.originalName).sort(), [
+      'gauge.txt',
+      'pump.md',
+    ]);
+    assert.deepStrictEqual(documents[0].tags, ['manuals']);
+    assert.match(rag(dir, ['stats']).stdout, /Documents:\s+2/);
+  }));
+
+test('ask, delete and the REPL work on the persisted index', () =>
+  withTempDir((dir) => {
+    writeFiles(dir, {
+      'pump.txt': 'The pump needs a new seal every six months.',
+      'gauge.txt': 'Check the gauge weekly.',
+    });
+    rag(dir, ['ingest', 'pump.txt', 'gauge.txt']);
+
+    const answer = rag(dir, [
+      'ask',
+      'When',
+      'does',
+      'the',
+      'seal',
+      'need',
+      'replacing?',
+      '--top-k',
+      '1',
+      '--json',
+    ]);
+    assert.strictEqual(answer.status, 0);
+    assert.strictEqual(
+      answer.json.relevantDocuments[0].metadata.filename,
+      'pump.txt'
+    );
+    assert.strictEqual(answer.json.context, undefined);
+
+    const text = rag(dir, ['ask', 'How often is the gauge checked?']);
+    assert.match(text.stdout, /Sources:\n {2}\[1\] gauge\.txt/);
+
+    const filtered = rag(dir, [
+      'ask',
+      'seal',
+      '--filter',
+      '{"filename":"gauge.txt"}',
+      '--json',
+    ]);
+    assert.ok(
+      filtered.json.relevantDocuments.every(
+        (doc) => doc.metadata.filename === 'gauge.txt'
+      )
+    );
+
+    const repl = rag(
+      dir,
+      ['repl'],
+      ':top-k 1\nHow often is the gauge checked?\n:list\n:quit\n'
+    );
+    assert.strictEqual(repl.status, 0);
+    assert.match(repl.stdout, /RAG REPL, 2 chunks indexed/);
+    assert.match(repl.stdout, /gauge\.txt/);
+
+    const [pump] = rag(dir, ['list', '--json']).json.filter(
+      (doc) => doc.originalName === 'pump.txt'
+    );
+    const deleted = rag(dir, ['delete', pump.id, 'doc_missing']);
+    assert.strictEqual(deleted.status, 1);
+    assert.match(deleted.stdout, /Deleted .* \(pump\.txt, 1 chunks\)/);
+    assert.match(deleted.stdout, /✗ doc_missing/);
+    // Files ingested from outside the uploads folder are kept
+    assert.ok(fs.existsSync(path.join(dir, 'pump.txt')));
+    assert.strictEqual(rag(dir, ['list', '--json']).json.length, 1);
+  }));
+
+test('invalid commands and options exit with an error', () =>
+  withTempDir((dir) => {
+    for (const [args, message] of [
+      [['frobnicate'], /Unknown command "frobnicate"/],
+      [['ask', 'x', '--topk', '2'], /Unknown option --topk/],
+      [['ask', 'x', '--top-k', '0'], /--top-k must be a positive integer/],
+      [['ask', 'x', '--mode', 'fuzzy'], /--mode must be one of/],
+      [['ask', 'x', '--filter', '{'], /--filter is not valid JSON/],
+      [['ask', 'x', '--filter', '{"a":{"$regex":"x"}}'], /\$regex/],
+      [['list', '--collection', 'nope'], /Collection "nope" not found/],
+      [['ingest'], /Usage: rag ingest/],
+      [['ask', '--collection'], /--collection needs a value/],
+    ]) {
+      const run = rag(dir, args);
+      assert.strictEqual(run.status, 1, args.join(' '));
+      assert.match(run.stderr, message);
+    }
+    assert.match(rag(dir, ['--help']).stdout, /^Usage: rag <command>/);
+  }));
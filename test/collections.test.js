@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const CollectionManager = require('../src/collections');
+const {
+  withTempDir,
+  quietly,
+  addTexts,
+  startServer,
+  request,
+  upload,
+  waitForJob,
+} = require('./helpers');
+
+const OFFLINE = {
+  embedding: { provider: 'local' },
+  generation: { provider: 'extractive' },
+};
+
+test('collections keep their documents apart', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const dataDir = path.join(dir, 'data');
+      const manager = new CollectionManager({ dataDir });
+      const created = manager.create({
+        name: 'Manuals',
+        description: 'Pump manuals',
+        chunking: { strategy: 'recursive', chunkSize: 300 },
+        ...OFFLINE,
+      });
+      assert.strictEqual(created.name, 'manuals');
+      assert.strictEqual(created.chunking.strategy, 'recursive');
+      assert.strictEqual(created.documents, 0);
+
+      await addTexts(manager.get('manuals'), dir, {
+        'pump.txt': 'The pump needs a new seal.',
+      });
+      assert.strictEqual(manager.get('manuals').listDocuments().length, 1);
+      assert.strictEqual(manager.get('default').listDocuments().length, 0);
+      assert.ok(
+        fs.existsSync(
+          path.join(dataDir, 'collections', 'manuals', 'vector-store.jsonl')
+        )
+      );
+
+      // Settings and documents survive a restart
+      const reloaded = new CollectionManager({ dataDir });
+      assert.deepStrictEqual(
+        reloaded.list().map(({ name, documents }) => [name, documents]),
+        [
+          ['default', 0],
+          ['manuals', 1],
+        ]
+      );
+      assert.strictEqual(
+        reloaded.describe('manuals').description,
+        'Pump manuals'
+      );
+
+      assert.strictEqual(reloaded.remove('manuals'), true);
+      assert.strictEqual(reloaded.remove('manuals'), false);
+      assert.strictEqual(reloaded.get('manuals'), null);
+      assert.ok(!fs.existsSync(path.join(dataDir, 'collections', 'manuals')));
+      assert.throws(() => reloaded.remove('default'), /cannot be deleted/);
+    })
+  ));
+
+test('collection names and settings are validated', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const manager = new CollectionManager({ dataDir: dir });
+      manager.create({ name: 'manuals', ...OFFLINE });
+      for (const [options, message] of [
+        [{ name: '../etc' }, /Collection name must be/],
+        [{ name: '' }, /Collection name must be/],
+        [{ name: 'manuals' }, /already exists/],
+        [{ name: 'a', chunking: { size: 10 } }, /Unknown chunking setting/],
+        [{ name: 'b', embedding: 'local' }, /embedding must be an object/],
+        [{ name: 'c', template: 'missing' }, /Unknown prompt template/],
+        [{ name: 'd', prompt: 'x'.repeat(2001) }, /prompt must be a string/],
+        [{ name: 'e', embedding: { provider: 'nope' } }, /nope/],
+      ]) {
+        assert.throws(() => manager.create(options), { message });
+      }
+      // A rejected collection leaves nothing behind
+      assert.deepStrictEqual(
+        manager.list().map(({ name }) => name),
+        ['default', 'manuals']
+      );
+      assert.ok(!fs.existsSync(path.join(dir, 'collections', 'e')));
+    })
+  ));
+
+test('collection routes', () =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir);
+    const api = `${server.url}/api`;
+    try {
+      const created = await request(`${api}/collections`, 'POST', {
+        name: 'manuals',
+        chunking: { chunkSize: 200 },
+      });
+      assert.strictEqual(created.status, 201);
+      const duplicate = await request(`${api}/collections`, 'POST', {
+        name: 'manuals',
+      });
+      assert.strictEqual(duplicate.status, 409);
+      const invalid = await request(`${api}/collections`, 'POST', {
+        name: 'Bad Name!',
+      });
+      assert.strictEqual(invalid.status, 400);
+
+      const uploaded = await upload(`${api}/collections/manuals/upload`, {
+        'pump.txt': 'The pump needs a new seal every six months.',
+      });
+      assert.strictEqual(uploaded.status, 202);
+      const job = await waitForJob(
+        server.url,
+        uploaded.body.data.files[0].jobId
+      );
+      assert.strictEqual(job.status, 'completed');
+      assert.ok(fs.existsSync(path.join(dir, 'uploads', 'manuals')));
+
+      const inCollection = await request(
+        `${api}/collections/manuals/documents`
+      );
+      assert.strictEqual(inCollection.body.data.length, 1);
+      const inDefault = await request(`${api}/documents`);
+      assert.strictEqual(inDefault.body.data.length, 0);
+
+      const answer = await request(`${api}/collections/manuals/ask`, 'POST', {
+        question: 'When does the seal need replacing?',
+      });
+      assert.strictEqual(answer.status, 200);
+      assert.strictEqual(
+        answer.body.relevantDocuments[0].metadata.filename,
+        'pump.txt'
+      );
+
+      const described = await request(`${api}/collections/manuals`);
+      assert.strictEqual(described.body.data.documents, 1);
+      assert.strictEqual(described.body.data.chunking.chunkSize, 200);
+
+      const missing = await request(`${api}/collections/other/documents`);
+      assert.strictEqual(missing.status, 404);
+      const deleteDefault = await request(
+        `${api}/collections/default`,
+        'DELETE'
+      );
+      assert.strictEqual(deleteDefault.status, 400);
+
+      const deleted = await request(`${api}/collections/manuals`, 'DELETE');
+      assert.strictEqual(deleted.status, 200);
+      assert.ok(!fs.existsSync(path.join(dir, 'uploads', 'manuals')));
+      const list = await request(`${api}/collections`);
+      assert.deepStrictEqual(
+        list.body.data.map(({ name }) => name),
+        ['default']
+      );
+    } finally {
+      await server.stop();
+    }
+  }));
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withTempDir, startServer, request } = require('./helpers');
+
+test('/api/config', (t) =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir, { RERANK_ENDPOINT: '' });
+    const config = (body) => request(`${server.url}/api/config`, 'POST', body);
+    const stats = async () =>
+      (await request(`${server.url}/api/stats`)).body.data;
+
+    try {
+      const before = await stats();
+
+      await t.test(
+        'rejects an invalid reranking setup without applying anything',
+        async () => {
+          for (const body of [
+            { reranker: 'bogus' },
+            { reranker: 'cross-encoder' },
+            { mmrLambda: 2 },
+            { rerankCandidates: 0 },
+          ]) {
+            const response = await config({
+              retrievalMode: 'hybrid',
+              chunkStrategy: 'recursive',
+              minSimilarity: 0.5,
+              ...body,
+            });
+            assert.strictEqual(response.status, 400, JSON.stringify(body));
+            assert.strictEqual(response.body.success, false);
+          }
+          const after = await stats();
+          assert.deepStrictEqual(after.retrieval, before.retrieval);
+          assert.deepStrictEqual(after.chunking, before.chunking);
+          assert.deepStrictEqual(after.abstention, before.abstention);
+          assert.deepStrictEqual(after.reranking, before.reranking);
+        }
+      );
+
+      await t.test(
+        'rejects invalid chunking, topK and thresholds',
+        async () => {
+          for (const body of [
+            { chunkSize: 'abc' },
+            { chunkStrategy: 'bogus' },
+            { chunkSize: 100, chunkOverlap: 200 },
+            { topK: 0 },
+            { retrievalMode: 'bogus' },
+            { minKeywordMatch: 2 },
+            { promptTemplate: 'missing' },
+            { queryMode: 'bogus' },
+            { contextOrder: 'bogus' },
+            { contextTokenBudget: 'abc' },
+            { contextTokenBudget: 0 },
+          ]) {
+            const response = await config({ reranker: 'lexical', ...body });
+            assert.strictEqual(response.status, 400, JSON.stringify(body));
+          }
+          assert.deepStrictEqual((await stats()).reranking, before.reranking);
+        }
+      );
+
+      await t.test('applies every setting of a valid request', async () => {
+        const response = await config({
+          retrievalMode: 'hybrid',
+          hybridWeight: 0.7,
+          reranker: 'lexical',
+          mmrLambda: 0.5,
+          rerankCandidates: 10,
+          minSimilarity: 0.3,
+          queryMode: 'multi',
+          contextOrder: 'relevance',
+          contextTokenBudget: 500,
+        });
+        assert.strictEqual(response.status, 200);
+        const after = await stats();
+        assert.deepStrictEqual(after.retrieval, {
+          mode: 'hybrid',
+          hybridWeight: 0.7,
+        });
+        assert.deepStrictEqual(after.reranking, {
+          reranker: 'lexical',
+          mmrLambda: 0.5,
+          candidates: 10,
+        });
+        assert.strictEqual(after.abstention.minSimilarity, 0.3);
+        assert.strictEqual(after.queryMode, 'multi');
+        assert.deepStrictEqual(after.prompt, {
+          template: before.prompt.template,
+          contextOrder: 'relevance',
+          contextTokenBudget: 500,
+        });
+      });
+    } finally {
+      await server.stop();
+    }
+  }));
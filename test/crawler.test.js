@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebCrawler = require('../src/crawler');
+const { RobotsRules } = WebCrawler;
+const { quietly } = require('./helpers');
+
+// Serve { path: body } on a free local port; .txt paths are plain text,
+// everything else HTML. Resolves to { origin, requests, close }.
+function serve(files) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (!Object.prototype.hasOwnProperty.call(files, req.url)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('not found');
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': req.url.endsWith('.txt') ? 'text/plain' : 'text/html',
+    });
+    res.end(files[req.url]);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        origin: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+function page(title, body) {
+  return `<!doctype html><html><head><title>${title}</title></head><body>
+<nav><a href="/">Home</a> Site navigation menu</nav>
+<header>Welcome banner</header>
+<main>${body}</main>
+<footer>Copyright footer text</footer>
+</body></html>`;
+}
+
+test('robots.txt groups match our agent name whole', () => {
+  const rules = new RobotsRules(
+    'User-agent: b\nDisallow: /\n\nUser-agent: *\nDisallow: /private\n'
+  );
+  assert.ok(rules.isAllowed('/docs'));
+  assert.ok(!rules.isAllowed('/private/page'));
+
+  const named = new RobotsRules(
+    'User-agent: *\nDisallow: /\n\nUser-agent: FirstRAGBot\nAllow: /docs\nDisallow: /\n'
+  );
+  assert.ok(named.isAllowed('/docs/intro'));
+  assert.ok(!named.isAllowed('/blog'));
+});
+
+test('robots.txt rules: longest match wins, wildcards and anchors', () => {
+  const rules = new RobotsRules(
+    'User-agent: *\nDisallow: /a\nAllow: /a/public\nDisallow: /*.pdf$\nCrawl-delay: 2\n'
+  );
+  assert.ok(!rules.isAllowed('/a/b'));
+  assert.ok(rules.isAllowed('/a/public/page'));
+  assert.ok(!rules.isAllowed('/files/report.pdf'));
+  assert.ok(rules.isAllowed('/files/report.pdf?download=1'));
+  assert.strictEqual(rules.crawlDelay, 2);
+});
+
+test('crawling a local site', async (t) => {
+  const other = await serve({ '/': page('Other', '<p>Another site.</p>') });
+  const site = await serve({
+    '/robots.txt':
+      'User-agent: b\nDisallow: /\n\nUser-agent: *\nDisallow: /private\n',
+    '/': page(
+      'Home',
+      `<h1>Pump manual</h1><p>The XR-200 pump needs a new seal every six months.</p>
+<a href="/maintenance">Maintenance</a>
+<a href="/private/notes">Private notes</a>
+<a href="${other.origin}/">Another site</a>
+<a href="/maintenance#schedule">Maintenance schedule</a>`
+    ),
+    '/maintenance': page(
+      'Maintenance',
+      '<p>Check the pressure gauge weekly.</p><a href="/maintenance/history">History</a>'
+    ),
+    '/maintenance/history': page(
+      'History',
+      '<p>The first pump was built in 1998.</p>'
+    ),
+    '/private/notes': page('Private', '<p>Not for crawlers.</p>'),
+  });
+  t.after(() => Promise.all([site.close(), other.close()]));
+
+  await t.test('respects robots.txt, origin and depth', () =>
+    quietly(async () => {
+      const crawler = new WebCrawler({ maxDepth: 1 });
+      const { pages, skipped } = await crawler.crawl(`${site.origin}/`);
+
+      assert.deepStrictEqual(
+        pages.map((result) => [new URL(result.url).pathname, result.depth]),
+        [
+          ['/', 0],
+          ['/maintenance', 1],
+        ]
+      );
+      assert.deepStrictEqual(skipped, [
+        {
+          url: `${site.origin}/private/notes`,
+          reason: 'disallowed by robots.txt',
+        },
+      ]);
+      assert.ok(!site.requests.includes('/private/notes'));
+      assert.ok(!site.requests.includes('/maintenance/history'));
+      assert.deepStrictEqual(other.requests, []);
+    })
+  );
+
+  await t.test('follows links down to maxDepth', () =>
+    quietly(async () => {
+      const crawler = new WebCrawler({ maxDepth: 2, maxPages: 10 });
+      const { pages } = await crawler.crawl(`${site.origin}/`);
+      assert.deepStrictEqual(
+        pages.map((result) => new URL(result.url).pathname),
+        ['/', '/maintenance', '/maintenance/history']
+      );
+      assert.strictEqual(pages[2].depth, 2);
+    })
+  );
+
+  await t.test('strips navigation, headers and footers', () =>
+    quietly(async () => {
+      const crawler = new WebCrawler({ maxDepth: 0 });
+      const { pages } = await crawler.crawl(`${site.origin}/`);
+      assert.strictEqual(pages.length, 1);
+      assert.strictEqual(pages[0].title, 'Home');
+      assert.match(pages[0].text, /XR-200 pump needs a new seal/);
+      assert.doesNotMatch(
+        pages[0].text,
+        /navigation menu|Welcome banner|Copyright/
+      );
+    })
+  );
+
+  await t.test('stops at maxPages', () =>
+    quietly(async () => {
+      const crawler = new WebCrawler({ maxDepth: 2, maxPages: 1 });
+      const { pages } = await crawler.crawl(`${site.origin}/`);
+      assert.strictEqual(pages.length, 1);
+    })
+  );
+});
+
+test('a start URL must be http(s)', () =>
+  assert.rejects(new WebCrawler().crawl('ftp://example.com/'), {
+    message: /http\(s\) start URL/,
+  }));
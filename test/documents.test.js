@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  withTempDir,
+  quietly,
+  createRAG,
+  addTexts,
+  startServer,
+  request,
+  upload,
+  waitForJob,
+} = require('./helpers');
+
+const PUMP =
+  'The XR-200 pump needs a new seal every six months. ' +
+  'Check the pressure gauge weekly and log the reading. '.repeat(10);
+const HANDBOOK = 'Employees get 25 days of paid leave per year.';
+
+test('documents get a registry record with their chunks', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      const [pump, handbook] = await addTexts(rag, dir, {
+        'pump.txt': PUMP,
+        'handbook.txt': HANDBOOK,
+      });
+
+      const record = rag.getDocument(pump.documentId);
+      assert.match(record.id, /^doc_[0-9a-f]{16}$/);
+      assert.strictEqual(record.originalName, 'pump.txt');
+      assert.strictEqual(record.fileType, 'txt');
+      assert.strictEqual(record.size, Buffer.byteLength(PUMP));
+      assert.match(record.hash, /^[0-9a-f]{64}$/);
+      assert.strictEqual(record.chunkCount, pump.chunksAdded);
+
+      const { chunks } = rag.getDocument(pump.documentId, true);
+      assert.strictEqual(chunks.length, pump.chunksAdded);
+      assert.deepStrictEqual(
+        rag.listDocuments().map((doc) => doc.id),
+        [pump.documentId, handbook.documentId]
+      );
+
+      const reloaded = createRAG(dir);
+      assert.deepStrictEqual(
+        reloaded.getDocument(pump.documentId),
+        rag.getDocument(pump.documentId)
+      );
+    })
+  ));
+
+test('identical content is detected by hash', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      const [first] = await addTexts(rag, dir, { 'pump.txt': PUMP });
+      const [copy] = await addTexts(rag, dir, { 'pump-copy.txt': PUMP });
+      assert.strictEqual(copy.duplicate, true);
+      assert.strictEqual(copy.documentId, first.documentId);
+      assert.strictEqual(copy.chunksAdded, 0);
+      assert.strictEqual(rag.listDocuments().length, 1);
+      assert.strictEqual(rag.vectorStore.getDocumentCount(), first.chunksAdded);
+    })
+  ));
+
+test('deleting a document removes only its chunks', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      const [pump, handbook] = await addTexts(rag, dir, {
+        'pump.txt': PUMP,
+        'handbook.txt': HANDBOOK,
+      });
+
+      const result = rag.deleteDocument(pump.documentId);
+      assert.strictEqual(result.chunksRemoved, pump.chunksAdded);
+      assert.strictEqual(rag.getDocument(pump.documentId), null);
+      assert.deepStrictEqual(
+        rag.vectorStore.getAllDocuments().map((doc) => doc.metadata.documentId),
+        [handbook.documentId]
+      );
+      assert.strictEqual(rag.deleteDocument(pump.documentId).success, false);
+    })
+  ));
+
+test('reindexing replaces the chunks with new chunking', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      const [pump] = await addTexts(rag, dir, { 'pump.txt': PUMP });
+
+      const result = await rag.reindexDocument(pump.documentId, {
+        chunking: { strategy: 'fixed', chunkSize: 100, chunkOverlap: 0 },
+      });
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.chunksRemoved, pump.chunksAdded);
+      assert.ok(result.chunksAdded > pump.chunksAdded);
+      assert.strictEqual(
+        rag.vectorStore.getDocumentCount(),
+        result.chunksAdded
+      );
+      assert.strictEqual(
+        rag.getDocument(pump.documentId).chunkCount,
+        result.chunksAdded
+      );
+    })
+  ));
+
+test('document routes', (t) =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir);
+    const api = `${server.url}/api`;
+    try {
+      const uploaded = await upload(`${api}/upload`, { 'pump.txt': PUMP });
+      assert.strictEqual(uploaded.status, 202);
+      const job = await waitForJob(
+        server.url,
+        uploaded.body.data.files[0].jobId
+      );
+      assert.strictEqual(job.status, 'completed');
+      const { documentId } = job.result.data;
+
+      await t.test('list and inspect', async () => {
+        const list = await request(`${api}/documents`);
+        assert.deepStrictEqual(
+          list.body.data.map((doc) => doc.originalName),
+          ['pump.txt']
+        );
+        const one = await request(`${api}/documents/${documentId}`);
+        assert.strictEqual(
+          one.body.data.chunks.length,
+          one.body.data.chunkCount
+        );
+        const missing = await request(`${api}/documents/doc_missing`);
+        assert.strictEqual(missing.status, 404);
+      });
+
+      await t.test('a repeated upload is reported as a duplicate', async () => {
+        const again = await upload(`${api}/upload`, { 'again.txt': PUMP });
+        const duplicate = await waitForJob(
+          server.url,
+          again.body.data.files[0].jobId
+        );
+        assert.strictEqual(duplicate.result.data.duplicate, true);
+        assert.strictEqual(duplicate.result.data.documentId, documentId);
+      });
+
+      await t.test('reindex', async () => {
+        const invalid = await request(
+          `${api}/documents/${documentId}/reindex`,
+          'POST',
+          { chunkStrategy: 'bogus' }
+        );
+        assert.strictEqual(invalid.status, 400);
+        const reindexed = await request(
+          `${api}/documents/${documentId}/reindex`,
+          'POST',
+          { chunkStrategy: 'fixed', chunkSize: 100, chunkOverlap: 0 }
+        );
+        assert.strictEqual(reindexed.status, 200);
+        assert.ok(reindexed.body.data.chunksAdded > 1);
+      });
+
+      await t.test('delete removes the uploaded file', async () => {
+        const { filePath } = (await request(`${api}/documents/${documentId}`))
+          .body.data;
+        assert.ok(fs.existsSync(path.resolve(dir, filePath)));
+        const deleted = await request(
+          `${api}/documents/${documentId}`,
+          'DELETE'
+        );
+        assert.strictEqual(deleted.status, 200);
+        assert.ok(!fs.existsSync(path.resolve(dir, filePath)));
+        assert.deepStrictEqual(
+          (await request(`${api}/documents`)).body.data,
+          []
+        );
+        const again = await request(`${api}/documents/${documentId}`, 'DELETE');
+        assert.strictEqual(again.status, 404);
+      });
+    } finally {
+      await server.stop();
+    }
+  }));
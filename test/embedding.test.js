@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EmbeddingService = require('../src/embedding');
+const { withTempDir, quietly, createRAG, addTexts } = require('./helpers');
+
+// Silence the retry warnings and failure reports as well
+async function silently(fn) {
+  const { warn, error } = console;
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return await quietly(fn);
+  } finally {
+    Object.assign(console, { warn, error });
+  }
+}
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status ${status}`), {
+    response: { status, headers },
+  });
+}
+
+// A provider embedding each text as [its length], recording every call.
+// fail(texts, call) may return an error to throw instead.
+function fakeProvider(fail = () => null) {
+  const provider = {
+    name: 'fake',
+    model: 'fake-model',
+    calls: [],
+    inFlight: 0,
+    maxInFlight: 0,
+    async embed(texts) {
+      provider.calls.push(texts);
+      provider.inFlight++;
+      provider.maxInFlight = Math.max(provider.maxInFlight, provider.inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      provider.inFlight--;
+      const error = fail(texts, provider.calls.length);
+      if (error) {
+        throw error;
+      }
+      return texts.map((text) => [text.length]);
+    },
+  };
+  return provider;
+}
+
+// An EmbeddingService calling the given provider, with fast retries
+async function createService(provider, options = {}) {
+  const service = await quietly(
+    () =>
+      new EmbeddingService({
+        provider: 'local',
+        batchSize: 2,
+        concurrency: 2,
+        retryBaseDelay: 1,
+        ...options,
+      })
+  );
+  service.provider = provider;
+  return service;
+}
+
+const TEXTS = ['a', 'bb', 'ccc', 'dddd', 'eeeee'];
+
+test('texts are embedded in batches with bounded concurrency', () =>
+  silently(async () => {
+    const provider = fakeProvider();
+    const service = await createService(provider);
+    const progress = [];
+    const result = await service.generateEmbeddingsDetailed(TEXTS, {
+      onProgress: ({ completed }) => progress.push(completed),
+    });
+
+    assert.deepStrictEqual(result.embeddings, [[1], [2], [3], [4], [5]]);
+    assert.deepStrictEqual(result.failed, []);
+    assert.strictEqual(result.retries, 0);
+    assert.strictEqual(typeof result.durationMs, 'number');
+    assert.deepStrictEqual(
+      provider.calls.map((texts) => texts.length),
+      [2, 2, 1]
+    );
+    assert.strictEqual(provider.maxInFlight, 2);
+    assert.deepStrictEqual(
+      progress.sort((a, b) => a - b),
+      [2, 4, 5]
+    );
+  }));
+
+test('rate limits and server errors are retried', () =>
+  silently(async () => {
+    const provider = fakeProvider((texts, call) =>
+      call === 1
+        ? httpError(429, { 'retry-after': '0' })
+        : call === 2
+        ? httpError(503)
+        : null
+    );
+    const service = await createService(provider, { batchSize: 5 });
+    const result = await service.generateEmbeddingsDetailed(TEXTS);
+    assert.strictEqual(result.retries, 2);
+    assert.strictEqual(provider.calls.length, 3);
+    assert.deepStrictEqual(result.failed, []);
+  }));
+
+test('client errors are not retried and give up the batch only', () =>
+  silently(async () => {
+    const provider = fakeProvider((texts) =>
+      texts.includes('ccc') ? httpError(400) : null
+    );
+    const service = await createService(provider);
+    const result = await service.generateEmbeddingsDetailed(TEXTS);
+    assert.deepStrictEqual(result.embeddings, [[1], [2], null, null, [5]]);
+    assert.deepStrictEqual(
+      result.failed.map(({ index }) => index),
+      [2, 3]
+    );
+    assert.match(result.failed[0].error, /status 400/);
+    assert.strictEqual(result.retries, 0);
+
+    await assert.rejects(service.generateEmbeddings(TEXTS), {
+      message: /Failed to embed 2 of 5 texts/,
+    });
+  }));
+
+test('retries stop after maxRetries', () =>
+  silently(async () => {
+    const provider = fakeProvider(() => httpError(500));
+    const service = await createService(provider, {
+      batchSize: 5,
+      maxRetries: 2,
+    });
+    const result = await service.generateEmbeddingsDetailed(TEXTS);
+    assert.strictEqual(provider.calls.length, 3);
+    assert.strictEqual(result.retries, 2);
+    assert.strictEqual(result.failed.length, 5);
+  }));
+
+test('network errors are retried', () =>
+  silently(async () => {
+    const provider = fakeProvider((texts, call) =>
+      call === 1
+        ? Object.assign(new Error('reset'), { code: 'ECONNRESET' })
+        : null
+    );
+    const service = await createService(provider, { batchSize: 5 });
+    const embedding = await service.generateEmbedding('abc');
+    assert.deepStrictEqual(embedding, [3]);
+    assert.strictEqual(provider.calls.length, 2);
+  }));
+
+test('chunks that fail to embed are kept aside and can be retried', () =>
+  withTempDir((dir) =>
+    silently(async () => {
+      const rag = createRAG(dir, {
+        embedding: { provider: 'local', batchSize: 1, maxRetries: 0 },
+        chunking: { strategy: 'fixed', chunkSize: 60, chunkOverlap: 0 },
+      });
+      const local = rag.embeddingService.provider;
+      let outage = true;
+      rag.embeddingService.provider = {
+        ...local,
+        embed: (texts) =>
+          outage && texts.some((text) => text.includes('gauge'))
+            ? Promise.reject(httpError(503))
+            : local.embed(texts),
+      };
+
+      const [added] = await addTexts(rag, dir, {
+        'pump.txt':
+          'The XR-200 pump needs a new seal every six months.\n\nCheck the pressure gauge weekly and log it.',
+      });
+      assert.strictEqual(added.chunksAdded, 1);
+      assert.strictEqual(added.chunksFailed, 1);
+      assert.strictEqual(added.failedChunks[0].chunkIndex, 1);
+      assert.strictEqual(rag.getDocument(added.documentId).status, 'partial');
+
+      outage = false;
+      const retried = await rag.retryFailedChunks(added.documentId);
+      assert.strictEqual(retried.chunksAdded, 1);
+      assert.strictEqual(retried.chunksFailed, 0);
+      assert.strictEqual(rag.getDocument(added.documentId).status, 'complete');
+      assert.strictEqual(rag.vectorStore.getDocumentCount(), 2);
+    })
+  ));
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const EmbeddingCache = require('../src/embeddingCache');
+const { withTempDir, quietly } = require('./helpers');
+
+function openCache(dir, maxEntries = 10) {
+  return new EmbeddingCache({
+    persistPath: path.join(dir, 'embedding-cache.jsonl'),
+    maxEntries,
+  });
+}
+
+test('entries are keyed by model and whitespace-normalized text', () => {
+  const cache = new EmbeddingCache();
+  cache.set('model-a', 'Hello   world', [1, 2]);
+  assert.deepStrictEqual(cache.get('model-a', ' Hello world\n'), [1, 2]);
+  assert.strictEqual(cache.get('model-b', 'Hello world'), null);
+  assert.deepStrictEqual(cache.getStats(), {
+    enabled: true,
+    size: 1,
+    maxEntries: 10000,
+    hits: 1,
+    misses: 1,
+    hitRate: 0.5,
+  });
+});
+
+test('the least recently used entry is evicted', () => {
+  const cache = new EmbeddingCache({ maxEntries: 2 });
+  cache.set('m', 'a', [1]);
+  cache.set('m', 'b', [2]);
+  cache.get('m', 'a');
+  cache.set('m', 'c', [3]);
+  assert.deepStrictEqual(cache.get('m', 'a'), [1]);
+  assert.strictEqual(cache.get('m', 'b'), null);
+});
+
+test('a size of 0 disables the cache', () => {
+  const cache = new EmbeddingCache({ maxEntries: 0 });
+  cache.set('m', 'a', [1]);
+  assert.strictEqual(cache.get('m', 'a'), null);
+  assert.strictEqual(cache.getStats().enabled, false);
+});
+
+test('recency survives a restart', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const cache = openCache(dir, 2);
+      cache.set('m', 'a', [1]);
+      cache.set('m', 'b', [2]);
+      cache.get('m', 'a');
+
+      const reloaded = openCache(dir, 2);
+      reloaded.set('m', 'c', [3]);
+      assert.deepStrictEqual(reloaded.get('m', 'a'), [1]);
+      assert.strictEqual(reloaded.get('m', 'b'), null);
+    })
+  ));
+
+test('compaction keeps the recency order', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const cache = openCache(dir, 3);
+      ['a', 'b', 'c'].forEach((text, i) => cache.set('m', text, [i]));
+      cache.get('m', 'a');
+      cache.compact();
+      assert.strictEqual(
+        fs
+          .readFileSync(path.join(dir, 'embedding-cache.jsonl'), 'utf-8')
+          .trim()
+          .split('\n').length,
+        3
+      );
+
+      const reloaded = openCache(dir, 3);
+      reloaded.set('m', 'd', [3]);
+      assert.strictEqual(reloaded.get('m', 'b'), null);
+      assert.deepStrictEqual(reloaded.get('m', 'a'), [0]);
+      assert.deepStrictEqual(reloaded.get('m', 'c'), [2]);
+    })
+  ));
+
+test('a line cut short by a crash does not swallow later entries', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const cache = openCache(dir);
+      cache.set('m', 'a', [1]);
+      const persistPath = path.join(dir, 'embedding-cache.jsonl');
+      fs.appendFileSync(persistPath, '{"key":"abc","embedding":[0.');
+
+      const recovered = openCache(dir);
+      assert.deepStrictEqual(recovered.get('m', 'a'), [1]);
+      recovered.set('m', 'b', [2]);
+
+      const reloaded = openCache(dir);
+      assert.deepStrictEqual(reloaded.get('m', 'a'), [1]);
+      assert.deepStrictEqual(reloaded.get('m', 'b'), [2]);
+    })
+  ));
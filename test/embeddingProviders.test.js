@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const {
+  createEmbeddingProvider,
+  LocalEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+} = require('../src/embeddingProviders');
+const { withTempDir, quietly, createRAG } = require('./helpers');
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+test('the local embedder is deterministic and normalized', async () => {
+  const provider = new LocalEmbeddingProvider({ dimension: 64 });
+  assert.strictEqual(provider.model, 'local/feature-hashing-64');
+
+  const [first, again, empty] = await provider.embed([
+    'The pump needs a new seal',
+    'The pump needs a new seal',
+    '',
+  ]);
+  assert.strictEqual(first.length, 64);
+  assert.deepStrictEqual(first, again);
+  assert.ok(Math.abs(dot(first, first) - 1) < 1e-9);
+  assert.ok(empty.every((value) => value === 0));
+});
+
+test('the local embedder scores shared words above unrelated text', async () => {
+  const provider = new LocalEmbeddingProvider();
+  const [query, related, unrelated] = await provider.embed([
+    'replace the pump seal',
+    'How to replace the seal on the pump',
+    'Quarterly revenue grew in Europe',
+  ]);
+  assert.ok(dot(query, related) > provider.minSimilarity);
+  assert.ok(dot(query, unrelated) < provider.minSimilarity);
+});
+
+test('providers are looked up by their own names only', () => {
+  assert.ok(
+    createEmbeddingProvider({ provider: 'LOCAL' }) instanceof
+      LocalEmbeddingProvider
+  );
+  for (const name of ['bogus', 'constructor', '__proto__', 'toString']) {
+    assert.throws(() => createEmbeddingProvider({ provider: name }), {
+      message: /Unknown embedding provider/,
+    });
+  }
+});
+
+test('the OpenAI-compatible provider posts inputs and keeps their order', async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (data) => {
+      body += data;
+    });
+    req.on('end', () => {
+      requests.push({
+        url: req.url,
+        authorization: req.headers.authorization,
+        body: JSON.parse(body),
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          data: [
+            { index: 1, embedding: [0, 1] },
+            { index: 0, embedding: [1, 0] },
+          ],
+        })
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((done) => server.close(done)));
+
+  const provider = new OpenAIEmbeddingProvider({
+    baseURL: `http://127.0.0.1:${server.address().port}/v1/`,
+    apiKey: 'secret',
+    model: 'nomic-embed-text',
+  });
+  const embeddings = await provider.embed(['first', 'second']);
+  assert.deepStrictEqual(embeddings, [
+    [1, 0],
+    [0, 1],
+  ]);
+  assert.deepStrictEqual(requests, [
+    {
+      url: '/v1/embeddings',
+      authorization: 'Bearer secret',
+      body: { model: 'nomic-embed-text', input: ['first', 'second'] },
+    },
+  ]);
+});
+
+test('the active provider is reported in the stats', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const rag = createRAG(dir);
+      const { embeddingProvider } = rag.getStats();
+      assert.strictEqual(embeddingProvider.provider, 'local');
+      assert.strictEqual(embeddingProvider.model, 'local/feature-hashing-384');
+    })
+  ));
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  loadDataset,
+  evaluate,
+  formatMarkdown,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  tokenF1,
+} = require('../src/evaluation');
+const { withTempDir, quietly, createRAG, addTexts } = require('./helpers');
+
+const EVALUATE_SCRIPT = path.join(__dirname, '..', 'scripts', 'evaluate.js');
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+test('retrieval metrics', () => {
+  const ranked = ['b.md', 'a.md', 'c.md'];
+  assert.strictEqual(recallAtK(ranked, ['a.md', 'd.md'], 2), 0.5);
+  assert.strictEqual(recallAtK(ranked, ['a.md'], 1), 0);
+  assert.strictEqual(recallAtK(ranked, [], 3), null);
+
+  assert.strictEqual(reciprocalRank(ranked, ['a.md', 'c.md']), 0.5);
+  assert.strictEqual(reciprocalRank(ranked, ['d.md']), 0);
+
+  assert.strictEqual(ndcgAtK(ranked, ['b.md'], 3), 1);
+  close(ndcgAtK(ranked, ['a.md'], 3), 1 / Math.log2(3));
+  close(
+    ndcgAtK(ranked, ['a.md', 'c.md'], 3),
+    (1 / Math.log2(3) + 1 / Math.log2(4)) / (1 + 1 / Math.log2(3))
+  );
+});
+
+test('answer overlap ignores case, articles and citation markers', () => {
+  assert.deepStrictEqual(
+    tokenF1('The refund takes 30 days [1].', 'A refund takes 30 days'),
+    { precision: 1, recall: 1, f1: 1 }
+  );
+  const partial = tokenF1(
+    'refunds within 30 days',
+    'within 30 days of purchase'
+  );
+  close(partial.precision, 3 / 4);
+  close(partial.recall, 3 / 5);
+  assert.strictEqual(tokenF1('yes', 'no').f1, 0);
+  // Repeated words only count as often as the reference has them
+  close(tokenF1('days days days', 'days').precision, 1 / 3);
+});
+
+test('datasets are loaded relative to their file', () =>
+  withTempDir((dir) => {
+    const datasetPath = path.join(dir, 'set.json');
+    fs.writeFileSync(
+      datasetPath,
+      JSON.stringify({
+        documents: ['docs/a.md', { path: 'b.txt', name: 'Bee' }],
+        questions: [{ question: 'What?' }, { id: 'x', question: 'Why?' }],
+      })
+    );
+    const dataset = loadDataset(datasetPath);
+    assert.strictEqual(dataset.name, 'set.json');
+    assert.deepStrictEqual(dataset.documents, [
+      { path: path.join(dir, 'docs', 'a.md'), name: 'a.md' },
+      { path: path.join(dir, 'b.txt'), name: 'Bee' },
+    ]);
+    assert.deepStrictEqual(
+      dataset.questions.map(({ id, expectedSources }) => [id, expectedSources]),
+      [
+        ['q1', []],
+        ['x', []],
+      ]
+    );
+
+    fs.writeFileSync(datasetPath, JSON.stringify({ questions: [] }));
+    assert.throws(() => loadDataset(datasetPath), /has no questions/);
+    fs.writeFileSync(datasetPath, JSON.stringify({ questions: [{}] }));
+    assert.throws(() => loadDataset(datasetPath), /Question 1 has no/);
+  }));
+
+test('a RAG system is scored question by question', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      await addTexts(rag, dir, {
+        'refunds.txt':
+          'Customers can request a full refund within 30 days of purchase.',
+        'security.txt': 'Passwords must be rotated every 90 days.',
+      });
+      const seen = [];
+      const report = await evaluate(
+        rag,
+        {
+          name: 'inline',
+          questions: [
+            {
+              id: 'refund',
+              question: 'How long can customers request a refund?',
+              expectedSources: ['refunds.txt'],
+              referenceAnswer: 'within 30 days of purchase',
+            },
+            {
+              id: 'open',
+              question: 'How often are passwords rotated?',
+              expectedSources: [],
+              referenceAnswer: null,
+            },
+          ],
+        },
+        { topK: 1, onQuestion: (result) => seen.push(result.id) }
+      );
+      assert.deepStrictEqual(seen, ['refund', 'open']);
+      const [refund, open] = report.results;
+      assert.deepStrictEqual(refund.retrievedSources, ['refunds.txt']);
+      assert.strictEqual(refund.recallAtK, 1);
+      assert.strictEqual(refund.reciprocalRank, 1);
+      assert.ok(refund.tokenF1 > 0.5);
+      assert.strictEqual(refund.citationHit, true);
+      assert.strictEqual(open.recallAtK, null);
+      assert.strictEqual(open.tokenF1, null);
+
+      // Questions without expected sources are left out of the means
+      assert.strictEqual(report.metrics.recallAtK, 1);
+      assert.strictEqual(report.metrics.answered, 2);
+      const markdown = formatMarkdown(report);
+      assert.match(markdown, /^# RAG evaluation: inline/);
+      assert.match(markdown, /\| recall@1 \| 1\.000 \|/);
+      assert.match(markdown, /\| open \| - \| - \| - \| - \| - \|/);
+    })
+  ));
+
+test('the evaluation script writes JSON and Markdown reports', () =>
+  withTempDir((dir) => {
+    const out = path.join(dir, 'reports');
+    const run = spawnSync(
+      process.execPath,
+      [EVALUATE_SCRIPT, '--top-k', '2', '--out', out],
+      {
+        cwd: dir,
+        env: { PATH: process.env.PATH, DOTENV_CONFIG_QUIET: 'true' },
+        encoding: 'utf8',
+        timeout: 60000,
+      }
+    );
+    assert.strictEqual(run.status, 0, run.stderr);
+    assert.match(run.stdout, /Evaluating sample: 3 documents, 8 questions/);
+    const files = fs.readdirSync(out).sort();
+    assert.strictEqual(files.length, 2);
+    assert.match(files[0], /^eval-.*\.json$/);
+    const report = JSON.parse(fs.readFileSync(path.join(out, files[0])));
+    assert.strictEqual(report.questions, 8);
+    assert.strictEqual(report.topK, 2);
+    assert.ok(report.metrics.recallAtK > 0.5);
+
+    const invalid = spawnSync(
+      process.execPath,
+      [EVALUATE_SCRIPT, '--top-k', '0'],
+      { cwd: dir, encoding: 'utf8', timeout: 60000 }
+    );
+    assert.notStrictEqual(invalid.status, 0);
+    assert.match(invalid.stderr, /--top-k must be a positive integer/);
+  }));
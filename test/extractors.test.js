@@ -0,0 +1,237 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  ExtractorRegistry,
+  createDefaultRegistry,
+  sniffMimeType,
+} = require('../src/extractors');
+const {
+  withTempDir,
+  quietly,
+  createRAG,
+  startServer,
+  upload,
+  createZip,
+} = require('./helpers');
+
+const registry = createDefaultRegistry();
+
+async function extract(extension, content) {
+  const buffer = Buffer.from(content);
+  const { extractor } = registry.resolve({ extension, buffer });
+  return extractor.extract(buffer, { extension });
+}
+
+const W =
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+function paragraph(text, properties = '') {
+  return `<w:p>${
+    properties && `<w:pPr>${properties}</w:pPr>`
+  }<w:r><w:t>${text}</w:t></w:r></w:p>`;
+}
+
+function cell(text) {
+  return `<w:tc>${paragraph(text)}</w:tc>`;
+}
+
+const DOCX = createZip({
+  '[Content_Types].xml': '<Types/>',
+  'word/styles.xml': `<w:styles ${W}>
+<w:style w:styleId="Berschrift1"><w:name w:val="heading 1"/></w:style>
+</w:styles>`,
+  'word/document.xml': `<w:document ${W}><w:body>
+${paragraph('Pump manual', '<w:pStyle w:val="Berschrift1"/>')}
+${paragraph('Maintenance', '<w:pStyle w:val="Heading2"/>')}
+${paragraph('Replace the seal every six months.')}
+${paragraph('Check the gauge', '<w:numPr><w:ilvl w:val="0"/></w:numPr>')}
+<w:tbl><w:tr>${cell('Part')}${cell('Price')}</w:tr><w:tr>${cell('Seal')}${cell(
+    '12'
+  )}</w:tr></w:tbl>
+</w:body></w:document>`,
+});
+
+const EPUB = createZip({
+  mimetype: { data: 'application/epub+zip', method: 'store' },
+  'META-INF/container.xml':
+    '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+  'OEBPS/content.opf': `<package>
+<manifest>
+  <item id="one" href="chapter%201.xhtml" media-type="application/xhtml+xml"/>
+  <item id="two" href="text/two.xhtml" media-type="application/xhtml+xml"/>
+  <item id="css" href="style.css" media-type="text/css"/>
+</manifest>
+<spine><itemref idref="two"/><itemref idref="css"/><itemref idref="one"/></spine>
+</package>`,
+  'OEBPS/chapter 1.xhtml':
+    '<html><body><h1>Later chapter</h1><p>The end.</p></body></html>',
+  'OEBPS/text/two.xhtml':
+    '<html><body><h1>First chapter</h1><p>It begins.</p></body></html>',
+  'OEBPS/style.css': 'h1 { color: red }',
+});
+
+test('Markdown keeps headings and renders tables as records', async () => {
+  const text = await extract(
+    '.md',
+    `---
+title: Manual
+---
+# Pump manual
+
+See the [guide](http://example.com) for **details**.
+
+## Parts
+
+| Part | Price |
+|------|-------|
+| Seal | 12 |
+
+* one
+* two
+`
+  );
+  assert.strictEqual(
+    text,
+    '# Pump manual\n\nSee the guide for details.\n\n## Parts\n\nPart: Seal; Price: 12\n\n- one\n- two'
+  );
+});
+
+test('CSV rows are rendered with their column names', async () => {
+  assert.strictEqual(
+    await extract(
+      '.csv',
+      'name;team;notes\nAlice;Search;"likes ; semicolons"\nBob;Ops;"two\nlines"\n'
+    ),
+    'name: Alice; team: Search; notes: likes ; semicolons\nname: Bob; team: Ops; notes: two lines'
+  );
+  assert.strictEqual(
+    await extract('.tsv', 'a\tb\n1\t"say ""hi"""\n'),
+    'a: 1; b: say "hi"'
+  );
+});
+
+test('JSON records are rendered one per line', async () => {
+  assert.strictEqual(
+    await extract(
+      '.json',
+      JSON.stringify({
+        page: 2,
+        data: [
+          { name: 'Alice', team: { name: 'Search' }, skills: ['go', 'js'] },
+          { name: 'Bob', team: null },
+        ],
+      })
+    ),
+    'page: 2\nname: Alice; team.name: Search; skills: go, js\nname: Bob'
+  );
+  assert.strictEqual(
+    await extract('.jsonl', '{"a":1}\n{"a":2}\n'),
+    'a: 1\na: 2'
+  );
+  await assert.rejects(extract('.json', '{"a":'), /Invalid JSON/);
+});
+
+test('DOCX keeps headings, lists and tables', async () => {
+  assert.strictEqual(
+    await extract('.docx', DOCX),
+    '# Pump manual\n\n## Maintenance\n\nReplace the seal every six months.\n\n- Check the gauge\n\nPart: Seal; Price: 12'
+  );
+});
+
+test('EPUB chapters are read in spine order', async () => {
+  assert.strictEqual(
+    await extract('.epub', EPUB),
+    '# First chapter\n\nIt begins.\n\n# Later chapter\n\nThe end.'
+  );
+});
+
+test('content types are sniffed from the bytes', () => {
+  assert.strictEqual(sniffMimeType(Buffer.from('%PDF-1.7')), 'application/pdf');
+  assert.strictEqual(
+    sniffMimeType(DOCX),
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  );
+  assert.strictEqual(sniffMimeType(EPUB), 'application/epub+zip');
+  assert.strictEqual(
+    sniffMimeType(createZip({ 'a.txt': 'x' })),
+    'application/zip'
+  );
+  assert.strictEqual(sniffMimeType(Buffer.from(' [1, 2]')), 'application/json');
+  assert.strictEqual(
+    sniffMimeType(Buffer.from('<!DOCTYPE html><p>x</p>')),
+    'text/html'
+  );
+  assert.strictEqual(sniffMimeType(Buffer.from('[not json')), null);
+
+  // A binary signature wins over the extension
+  assert.strictEqual(
+    registry.resolve({ extension: '.txt', buffer: DOCX }).extractor.name,
+    'docx'
+  );
+  assert.strictEqual(
+    registry.resolve({ extension: '', mimeType: 'text/markdown' }).extractor
+      .name,
+    'md'
+  );
+});
+
+test('the registry lists extractors and rejects unknown types', () => {
+  for (const extension of [
+    '.pdf',
+    '.txt',
+    '.md',
+    '.docx',
+    '.csv',
+    '.json',
+    '.epub',
+  ]) {
+    assert.ok(registry.extensions().includes(extension), extension);
+  }
+  assert.throws(() => registry.resolve({ extension: '.exe' }), {
+    message: /Unsupported file type "\.exe"/,
+  });
+
+  const custom = new ExtractorRegistry().register({
+    name: 'log',
+    extensions: ['LOG'],
+    extract: async (buffer) => buffer.toString().toUpperCase(),
+  });
+  assert.deepStrictEqual(custom.list(), [
+    { name: 'log', extensions: ['.log'], mimeTypes: [] },
+  ]);
+  assert.ok(custom.isSupported({ extension: '.Log' }));
+  assert.throws(() => custom.register({ name: 'broken' }), /extract\(\)/);
+});
+
+test('a Word document is indexed with its headings', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir, {
+        chunking: { strategy: 'heading' },
+      });
+      const filePath = path.join(dir, 'manual.docx');
+      fs.writeFileSync(filePath, DOCX);
+      const result = await rag.addDocument(filePath, 'docx');
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.document.fileType, 'docx');
+      const { chunks } = rag.getDocument(result.documentId, true);
+      const chunk = chunks.find(({ text }) => /Replace the seal/.test(text));
+      assert.deepStrictEqual(chunk.sectionPath, ['Pump manual', 'Maintenance']);
+    })
+  ));
+
+test('uploads of unregistered types are refused', () =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir);
+    try {
+      const response = await upload(`${server.url}/api/upload`, {
+        'setup.exe': 'MZ',
+      });
+      assert.strictEqual(response.status, 400);
+      assert.match(response.body.error, /Unsupported file type.*\.docx/);
+    } finally {
+      await server.stop();
+    }
+  }));
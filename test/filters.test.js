@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { matchesFilter, validateFilter } = require('../src/filters');
+const {
+  withTempDir,
+  quietly,
+  createRAG,
+  startServer,
+  request,
+  upload,
+  waitForJob,
+} = require('./helpers');
+
+const CHUNK = {
+  documentId: 'doc_a',
+  fileType: 'pdf',
+  tags: ['contracts', 'legal'],
+  pages: 12,
+  timestamp: '2024-03-15T10:00:00.000Z',
+};
+
+test('equality, operators and array fields', () => {
+  assert.ok(matchesFilter(CHUNK, null));
+  assert.ok(matchesFilter(CHUNK, { fileType: 'pdf' }));
+  assert.ok(!matchesFilter(CHUNK, { fileType: 'docx' }));
+  assert.ok(matchesFilter(CHUNK, { fileType: { $in: ['pdf', 'docx'] } }));
+  assert.ok(!matchesFilter(CHUNK, { fileType: { $nin: ['pdf'] } }));
+  assert.ok(matchesFilter(CHUNK, { fileType: { $ne: 'txt' } }));
+  assert.ok(matchesFilter(CHUNK, { tags: 'legal' }));
+  assert.ok(!matchesFilter(CHUNK, { tags: { $ne: 'legal' } }));
+  assert.ok(!matchesFilter(CHUNK, { tags: { $nin: ['hr', 'legal'] } }));
+  assert.ok(matchesFilter(CHUNK, { pages: { $gt: 9, $lte: 12 } }));
+  assert.ok(!matchesFilter(CHUNK, { pages: { $lt: 12 } }));
+  assert.ok(!matchesFilter(CHUNK, { missing: { $gte: 0 } }));
+});
+
+test('shorthands for documents, tags and ingestion dates', () => {
+  assert.ok(matchesFilter(CHUNK, { documentIds: ['doc_b', 'doc_a'] }));
+  assert.ok(!matchesFilter(CHUNK, { documentIds: 'doc_b' }));
+  assert.ok(matchesFilter(CHUNK, { tags: ['hr', 'contracts'] }));
+  assert.ok(matchesFilter(CHUNK, { ingestedAfter: '2024-03-01' }));
+  assert.ok(!matchesFilter(CHUNK, { ingestedBefore: '2024-03-01' }));
+  assert.ok(
+    matchesFilter(CHUNK, {
+      ingestedAfter: '2024-03-15',
+      ingestedBefore: '2024-03-16',
+    })
+  );
+});
+
+test('boolean combinations', () => {
+  assert.ok(
+    matchesFilter(CHUNK, { $or: [{ fileType: 'docx' }, { tags: 'legal' }] })
+  );
+  assert.ok(
+    !matchesFilter(CHUNK, { $and: [{ fileType: 'pdf' }, { tags: 'hr' }] })
+  );
+});
+
+test('malformed filters are rejected', () => {
+  for (const [filter, message] of [
+    [[], /filter must be an object/],
+    [{ fileType: { $like: 'pdf' } }, /Unknown filter operator "\$like"/],
+    [{ fileType: { $in: 'pdf' } }, /\$in on "fileType" needs an array/],
+    [{ $or: { fileType: 'pdf' } }, /\$or must be an array/],
+    [{ $where: 'true' }, /Unknown filter operator "\$where"/],
+  ]) {
+    assert.throws(() => validateFilter(filter), { message });
+  }
+  assert.doesNotThrow(() =>
+    validateFilter({ $or: [{ tags: ['a'] }, { pages: { $gte: 1 } }] })
+  );
+});
+
+test('filtered retrieval only ranks matching chunks', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      const add = async (name, text, tags) => {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, text);
+        return rag.addDocument(filePath, 'txt', { originalName: name, tags });
+      };
+      await add('acme.txt', 'The Acme contract renews every January.', [
+        'contracts',
+      ]);
+      const globex = await add(
+        'globex.txt',
+        'The Globex contract renews every June.',
+        ['contracts', 'legacy']
+      );
+      await add('handbook.txt', 'Holidays are listed in the handbook.', []);
+
+      const question = 'When does the Acme contract renew?';
+      const byTag = await rag.retrieve(question, 3, {
+        filter: { tags: 'legacy' },
+      });
+      assert.deepStrictEqual(
+        byTag.map((result) => result.metadata.filename),
+        ['globex.txt']
+      );
+
+      const byDocument = await rag.retrieve(question, 3, {
+        filter: { documentIds: [globex.documentId] },
+        mode: 'keyword',
+      });
+      assert.deepStrictEqual(
+        byDocument.map((result) => result.metadata.documentId),
+        [globex.documentId]
+      );
+
+      const none = await rag.retrieve(question, 3, {
+        filter: { fileType: 'pdf' },
+      });
+      assert.deepStrictEqual(none, []);
+    })
+  ));
+
+test('upload tags and the ask filter over the API', () =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir);
+    try {
+      const uploaded = await upload(
+        `${server.url}/api/upload`,
+        {
+          'acme.txt': 'The Acme contract renews every January.',
+          'globex.txt': 'The Globex contract renews every June.',
+        },
+        { tags: 'contracts, 2024' }
+      );
+      for (const file of uploaded.body.data.files) {
+        await waitForJob(server.url, file.jobId);
+      }
+      const documents = (await request(`${server.url}/api/documents`)).body
+        .data;
+      assert.deepStrictEqual(
+        documents.map((doc) => doc.tags),
+        [
+          ['contracts', '2024'],
+          ['contracts', '2024'],
+        ]
+      );
+
+      const ask = (filter) =>
+        request(`${server.url}/api/ask`, 'POST', {
+          question: 'When does the contract renew?',
+          topK: 3,
+          filter,
+        });
+      const filtered = await ask({ sourceFile: { $ne: 'x' }, tags: '2024' });
+      assert.strictEqual(filtered.status, 200);
+      assert.strictEqual(filtered.body.relevantDocuments.length, 2);
+
+      const invalid = await ask({ tags: { $regex: 'con' } });
+      assert.strictEqual(invalid.status, 400);
+      assert.match(invalid.body.error, /Unknown filter operator/);
+    } finally {
+      await server.stop();
+    }
+  }));
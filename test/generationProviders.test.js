@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createGenerationProvider,
+  ExtractiveGenerationProvider,
+} = require('../src/generationProviders');
+const TextGenerator = require('../src/generation');
+const {
+  withTempDir,
+  quietly,
+  createRAG,
+  addTexts,
+  startServer,
+  request,
+} = require('./helpers');
+
+test('providers are looked up by their own names only', () => {
+  assert.ok(
+    createGenerationProvider('extractive') instanceof
+      ExtractiveGenerationProvider
+  );
+  for (const name of ['bogus', 'constructor', '__proto__', 'toString']) {
+    assert.throws(() => createGenerationProvider(name), {
+      message: /Unknown generation provider/,
+    });
+  }
+});
+
+test('the extractive provider quotes the best matching sentences', async () => {
+  const provider = new ExtractiveGenerationProvider();
+  const answer = await provider.generate({
+    question: 'When are refunds issued?',
+    context:
+      '=== [1] Document Section 1 (refunds.txt) ===\nShipping takes two days. Refunds are issued within 30 days.',
+  });
+  assert.strictEqual(answer, 'Refunds are issued within 30 days.');
+  assert.strictEqual(
+    await provider.generate({ question: 'Why?', context: 'Nothing here.' }),
+    'The documents do not say.'
+  );
+});
+
+test('the extractive provider takes no model', () =>
+  quietly(() => {
+    const generator = new TextGenerator({
+      provider: 'extractive',
+      model: 'gpt-4o',
+    });
+    assert.strictEqual(generator.model, 'extractive');
+    assert.throws(() => generator.checkModel(null, 'gpt-4o'), {
+      message: /extractive provider does not take a model/,
+    });
+    assert.throws(() => generator.setModel('gpt-4o'), /does not take/);
+    assert.throws(() => generator.setProvider('extractive', 'gpt-4o'));
+    assert.doesNotThrow(() => generator.checkModel('openai', 'gpt-4o'));
+    assert.strictEqual(generator.model, 'extractive');
+  }));
+
+test('answers report the provider and model that produced them', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      await addTexts(rag, dir, {
+        'refunds.txt': 'Refunds are issued within 30 days of purchase.',
+      });
+      const result = await rag.askQuestion('When are refunds issued?', 1, {
+        model: 'gpt-4o',
+      });
+      assert.deepStrictEqual(result.generation, {
+        provider: 'extractive',
+        model: 'extractive',
+      });
+    })
+  ));
+
+test('the API rejects a model for the extractive provider', () =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir);
+    try {
+      const ask = await request(`${server.url}/api/ask`, 'POST', {
+        question: 'When are refunds issued?',
+        model: 'gpt-4o',
+      });
+      assert.strictEqual(ask.status, 400);
+      assert.match(ask.body.error, /does not take a model/);
+
+      const explicit = await request(`${server.url}/api/ask`, 'POST', {
+        question: 'When are refunds issued?',
+        provider: 'extractive',
+        model: 'gpt-4o',
+      });
+      assert.strictEqual(explicit.status, 400);
+
+      const config = await request(`${server.url}/api/config`, 'POST', {
+        generationModel: 'gpt-4o',
+      });
+      assert.strictEqual(config.status, 400);
+
+      const stats = await request(`${server.url}/api/stats`);
+      assert.deepStrictEqual(stats.body.data.generation, {
+        provider: 'extractive',
+        model: 'extractive',
+      });
+    } finally {
+      await server.stop();
+    }
+  }));
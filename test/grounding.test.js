@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withTempDir, quietly, createRAG, addTexts } = require('./helpers');
+
+const DOCUMENTS = {
+  'errors.txt':
+    'Error code E42 means the flux capacitor lost calibration. Restart the unit and run the calibration wizard to clear E42. A blinking amber light warns that the coolant level is low; top it up before the next run. Firmware updates are installed by a service technician during the yearly visit.',
+  'vacation.txt':
+    'Employees get twenty five vacation days per year. Unused days carry over until the end of March.',
+  'parking.txt':
+    'The office parking garage opens at seven in the morning. Visitors park on level two.',
+};
+
+function withRAG(retrievalMode, run) {
+  return withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir, { retrievalMode });
+      await addTexts(rag, dir, DOCUMENTS);
+      await run(rag);
+    })
+  );
+}
+
+test('the similarity threshold defaults to the embedding provider value', () =>
+  withRAG('vector', async (rag) => {
+    assert.strictEqual(rag.minSimilarity, 0.15);
+    assert.strictEqual(rag.getStats().abstention.minSimilarity, 0.15);
+  }));
+
+test('vector mode answers a question one sentence of a chunk answers', () =>
+  withRAG('vector', async (rag) => {
+    const result = await rag.askQuestion('What does error code E42 mean?', 3);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.abstained, false);
+    assert.ok(result.topSimilarity < 0.25);
+    assert.match(result.answer, /flux capacitor/);
+  }));
+
+test('vector mode abstains on a question outside the documents', () =>
+  withRAG('vector', async (rag) => {
+    const result = await rag.askQuestion(
+      'How many moons does Jupiter have?',
+      3
+    );
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.abstained, true);
+    assert.strictEqual(result.citations.length, 0);
+    assert.ok(result.topSimilarity < rag.minSimilarity);
+  }));
+
+test('keyword mode answers a question about an identifier', () =>
+  withRAG('keyword', async (rag) => {
+    const result = await rag.askQuestion('What does E42 mean?', 3);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.abstained, false);
+    assert.ok(result.topKeywordMatch >= rag.minKeywordMatch);
+    assert.match(result.answer, /E42/);
+  }));
+
+test('hybrid mode answers when only the keyword match is close enough', () =>
+  withRAG('hybrid', async (rag) => {
+    const result = await rag.askQuestion('What does E42 mean?', 3, {
+      minSimilarity: 1,
+    });
+    assert.strictEqual(result.abstained, false);
+  }));
+
+test('keyword mode abstains when no chunk has the question terms', () =>
+  withRAG('keyword', async (rag) => {
+    const result = await rag.askQuestion('Who painted the Mona Lisa?', 3);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.abstained, true);
+    assert.strictEqual(result.topKeywordMatch, 0);
+  }));
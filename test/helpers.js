@@ -0,0 +1,213 @@
+// Shared fixtures for the tests: temporary directories, a RAG system with
+// the offline providers, and the API server in a child process.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+
+const APP_PATH = path.join(__dirname, '..', 'src', 'app.js');
+
+// Run fn with a fresh temporary directory, removed afterwards
+async function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-test-'));
+  try {
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Silence the pipeline's console.log while fn runs
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+// A RAG system in dataDir with the local embedder and the extractive
+// generator, so nothing touches the network
+function createRAG(dataDir, options = {}) {
+  const RAGSystem = require('../src/retrieval');
+  return new RAGSystem({
+    dataDir,
+    vectorStorePath: path.join(dataDir, 'vector-store.jsonl'),
+    embedding: { provider: 'local' },
+    generation: { provider: 'extractive' },
+    ...options,
+  });
+}
+
+// Index { name: text } as text files
+async function addTexts(rag, dir, documents) {
+  const results = [];
+  for (const [name, text] of Object.entries(documents)) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, text);
+    const result = await rag.addDocument(filePath, 'txt', {
+      originalName: name,
+    });
+    if (!result.success) {
+      throw new Error(`Could not index ${name}: ${result.error}`);
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+// Start the API server on a free port with its data, uploads and working
+// directory in dir. Resolves to { url, stop }.
+function startServer(dir, env = {}) {
+  return new Promise((resolve, reject) => {
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, [APP_PATH], {
+      cwd: dir,
+      env: {
+        PATH: process.env.PATH,
+        PORT: String(port),
+        DATA_DIR: path.join(dir, 'data'),
+        EMBEDDING_PROVIDER: 'local',
+        GENERATION_PROVIDER: 'extractive',
+        DOTENV_CONFIG_QUIET: 'true',
+        ...env,
+      },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output = '';
+    const onData = (data) => {
+      output += data;
+      if (output.includes('Ready to process')) {
+        child.stdout.off('data', onData);
+        child.stdout.resume();
+        resolve({
+          url: `http://localhost:${port}`,
+          stop: () =>
+            new Promise((done) => {
+              child.once('exit', done);
+              child.kill();
+            }),
+        });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', (data) => {
+      output += data;
+    });
+    child.once('exit', (code) =>
+      reject(new Error(`Server exited with code ${code}:\n${output}`))
+    );
+  });
+}
+
+// Send a JSON request and resolve to { status, body }
+async function request(url, method = 'GET', body, headers = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Upload { name: content } as multipart `document` fields plus any other
+// form fields, and resolve to { status, body }
+async function upload(url, files, fields = {}, headers = {}) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  for (const [name, content] of Object.entries(files)) {
+    form.append('document', new Blob([content]), name);
+  }
+  const response = await fetch(url, { method: 'POST', body: form, headers });
+  return { status: response.status, body: await response.json() };
+}
+
+// Poll a server's job until it has finished and resolve to the job
+async function waitForJob(serverUrl, jobId, headers = {}) {
+  for (;;) {
+    const { body } = await request(
+      `${serverUrl}/api/jobs/${jobId}`,
+      'GET',
+      undefined,
+      headers
+    );
+    if (['completed', 'failed', 'cancelled'].includes(body.data.status)) {
+      return body.data;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+// Build a ZIP archive in memory from { name: content }. A content may also
+// be { data, method: 'store' | 'deflate', declaredSize } to store an entry
+// uncompressed or to misstate its size in the headers.
+function createZip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, value] of Object.entries(files)) {
+    const {
+      data,
+      method = 'deflate',
+      declaredSize,
+    } = typeof value === 'string' || Buffer.isBuffer(value)
+      ? { data: value }
+      : value;
+    const content = Buffer.from(data);
+    const compressed =
+      method === 'store' ? content : zlib.deflateRawSync(content);
+    const nameBytes = Buffer.from(name);
+
+    // Fields shared by the local header and the central directory entry
+    const common = Buffer.alloc(26);
+    common.writeUInt16LE(20, 0); // version needed
+    common.writeUInt16LE(0x800, 2); // UTF-8 name
+    common.writeUInt16LE(method === 'store' ? 0 : 8, 4);
+    common.writeUInt32LE(zlib.crc32(content), 10);
+    common.writeUInt32LE(compressed.length, 14);
+    common.writeUInt32LE(declaredSize ?? content.length, 18);
+    common.writeUInt16LE(nameBytes.length, 22);
+
+    const local = Buffer.alloc(4);
+    local.writeUInt32LE(0x04034b50);
+    locals.push(local, common, nameBytes, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4); // version made by
+    common.copy(entry, 6);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBytes);
+
+    offset += 30 + nameBytes.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = {
+  withTempDir,
+  quietly,
+  createRAG,
+  addTexts,
+  startServer,
+  request,
+  upload,
+  waitForJob,
+  createZip,
+};
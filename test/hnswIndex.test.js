@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HNSWIndex = require('../src/hnswIndex');
+const SimpleVectorStore = require('../src/vectorStore');
+const { VectorMatrix, TopK, normalize, dot } = require('../src/vectorMatrix');
+const { quietly } = require('./helpers');
+
+// Seeded PRNG (mulberry32) so the vectors are the same on every run
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Normalized vectors scattered around a few cluster centres
+function vectors(count, dimension, seed = 1) {
+  const next = random(seed);
+  const centres = Array.from({ length: 20 }, () =>
+    Array.from({ length: dimension }, () => next() * 2 - 1)
+  );
+  return Array.from({ length: count }, (_, i) =>
+    normalize(centres[i % centres.length].map((v) => v + next() - 0.5))
+  );
+}
+
+// Ids of the k vectors closest to the query, by brute force
+function exactTop(data, query, k) {
+  return data
+    .map((vector, id) => ({ id, score: dot(query, vector) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(({ id }) => id);
+}
+
+test('TopK keeps the best items in order', () => {
+  const best = new TopK(3);
+  assert.strictEqual(best.threshold(), -Infinity);
+  [0.2, 0.9, 0.1, 0.5, 0.7].forEach((score, i) => best.push(i, score));
+  assert.deepStrictEqual(
+    best.toArray().map(({ item }) => item),
+    [1, 4, 3]
+  );
+  assert.strictEqual(best.threshold(), 0.5);
+  const none = new TopK(0);
+  none.push('a', 1);
+  assert.deepStrictEqual(none.toArray(), []);
+});
+
+test('VectorMatrix stores normalized rows', () => {
+  const matrix = new VectorMatrix();
+  matrix.add([3, 4]);
+  matrix.add([0, 2]);
+  matrix.add([1, 0]);
+  assert.deepStrictEqual(Array.from(matrix.row(0)), [
+    Math.fround(0.6),
+    Math.fround(0.8),
+  ]);
+  assert.ok(Math.abs(matrix.dot(normalize([0, 1]), 0) - 0.8) < 1e-6);
+
+  matrix.keepRows([2, 0]);
+  assert.strictEqual(matrix.size, 2);
+  assert.deepStrictEqual(Array.from(matrix.row(0)), [1, 0]);
+});
+
+test('HNSW search finds nearly all exact nearest neighbours', () => {
+  const data = vectors(1000, 32);
+  const index = new HNSWIndex({ vectorOf: (id) => data[id], m: 8 });
+  data.forEach((vector, id) => index.add(id));
+  assert.strictEqual(index.size, 1000);
+
+  const queries = vectors(50, 32, 2);
+  let found = 0;
+  for (const query of queries) {
+    const expected = new Set(exactTop(data, query, 10));
+    const results = index.search(query, 10);
+    assert.strictEqual(results.length, 10);
+    found += results.filter(({ id }) => expected.has(id)).length;
+  }
+  assert.ok(found / 500 >= 0.9, `recall@10 was ${found / 500}`);
+});
+
+test('tombstoned and rejected nodes are never returned', () => {
+  const data = vectors(300, 16);
+  const index = new HNSWIndex({ vectorOf: (id) => data[id] });
+  data.forEach((vector, id) => index.add(id));
+
+  const removed = new Set();
+  for (let id = 0; id < 300; id += 3) {
+    index.remove(id);
+    removed.add(id);
+  }
+  assert.strictEqual(index.size, 200);
+  assert.ok(Math.abs(index.deletedRatio() - 1 / 3) < 1e-9);
+
+  const query = data[0];
+  const results = index.search(query, 10);
+  assert.strictEqual(results.length, 10);
+  assert.ok(results.every(({ id }) => !removed.has(id)));
+
+  const even = index.search(query, 5, { accept: (id) => id % 2 === 0 });
+  assert.ok(even.every(({ id }) => id % 2 === 0 && !removed.has(id)));
+});
+
+test('the store switches to HNSW above annMinDocuments', () =>
+  quietly(() => {
+    const data = vectors(200, 16);
+    const store = new SimpleVectorStore({
+      indexType: 'hnsw',
+      annMinDocuments: 100,
+    });
+    data
+      .slice(0, 99)
+      .forEach((vector, i) =>
+        store.addDocument(`chunk ${i}`, Array.from(vector), { group: i % 10 })
+      );
+    assert.strictEqual(store.getStorageInfo().index.active, 'exact');
+    data.slice(99).forEach((vector, i) =>
+      store.addDocument(`chunk ${i + 99}`, Array.from(vector), {
+        group: (i + 99) % 10,
+      })
+    );
+    const [best] = store.search(Array.from(data[150]), 1);
+    assert.strictEqual(best.document, 'chunk 150');
+    assert.ok(store.getStorageInfo().index.built);
+
+    // A filter the graph can't satisfy falls back to an exact scan
+    const filtered = store.search(Array.from(data[150]), 20, { group: 3 });
+    assert.strictEqual(filtered.length, 20);
+    assert.ok(filtered.every((result) => result.metadata.group === 3));
+
+    store.deleteWhere((metadata) => metadata.group === 0);
+    const results = store.search(Array.from(data[150]), 10);
+    assert.ok(results.every((result) => result.metadata.group !== 0));
+    assert.ok(!results.some((result) => result.document === 'chunk 150'));
+
+    assert.throws(() => new SimpleVectorStore({ indexType: 'ivf' }), {
+      message: /Unknown vector index "ivf"/,
+    });
+  }));
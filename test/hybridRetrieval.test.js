@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KeywordIndex = require('../src/keywordIndex');
+const {
+  withTempDir,
+  quietly,
+  createRAG,
+  addTexts,
+  startServer,
+  request,
+} = require('./helpers');
+
+const DOCUMENTS = {
+  'pumps.txt':
+    'The XR-200 pump needs a new seal every six months. Check the pressure gauge weekly.',
+  'filters.txt':
+    'Water filters are replaced every three months. The filter housing is opened by hand.',
+  'valves.txt':
+    'Valves should be inspected for leaks. A leaking valve wastes water and raises the bill.',
+};
+
+test('tokenize keeps compound tokens and their parts', () => {
+  const index = new KeywordIndex();
+  assert.deepStrictEqual(index.tokenize('Replace the XR-200 now'), [
+    'replace',
+    'the',
+    'xr-200',
+    'xr',
+    '200',
+    'now',
+  ]);
+});
+
+test('BM25 ranks the document with the rare term first', () => {
+  const index = new KeywordIndex();
+  index.add('a', 'the pump and the seal');
+  index.add('b', 'the filter and the housing');
+  index.add('c', 'the valve and the leak and the pump');
+  const results = index.search('seal pump', 3);
+  assert.strictEqual(results[0].docId, 'a');
+  assert.deepStrictEqual(results.map((result) => result.docId).sort(), [
+    'a',
+    'c',
+  ]);
+  assert.strictEqual(index.search('unknown', 3).length, 0);
+});
+
+test('removing a document drops it from the index', () => {
+  const index = new KeywordIndex();
+  index.add('a', 'pump seal');
+  index.add('b', 'pump valve');
+  index.remove('a');
+  assert.strictEqual(index.size(), 1);
+  assert.deepStrictEqual(
+    index.search('seal pump', 3).map((result) => result.docId),
+    ['b']
+  );
+});
+
+test('keyword and hybrid retrieval find an exact part number', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      await addTexts(rag, dir, DOCUMENTS);
+      for (const mode of ['keyword', 'hybrid']) {
+        const results = await rag.retrieve('XR-200', 3, { mode });
+        assert.match(results[0].document, /XR-200/, mode);
+        assert.ok(results[0].keywordScore > 0, mode);
+        assert.strictEqual(typeof results[0].similarity, 'number', mode);
+      }
+    })
+  ));
+
+test('hybridWeight must be a number from 0 to 1', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir, { hybridWeight: 0.8 });
+      assert.strictEqual(rag.hybridWeight, 0.8);
+      assert.throws(() => createRAG(dir, { hybridWeight: 'abc' }), {
+        message: /hybridWeight/,
+      });
+      assert.throws(() => rag.setRetrievalMode('hybrid', 5), {
+        message: /hybridWeight/,
+      });
+      assert.strictEqual(rag.hybridWeight, 0.8);
+      await addTexts(rag, dir, DOCUMENTS);
+      await assert.rejects(
+        rag.retrieve('pump', 3, { mode: 'hybrid', hybridWeight: -1 }),
+        { message: /hybridWeight/ }
+      );
+      const results = await rag.retrieve('pump', 3, {
+        mode: 'hybrid',
+        hybridWeight: '0.3',
+      });
+      results.forEach((result) => assert.ok(Number.isFinite(result.score)));
+    })
+  ));
+
+test('the API rejects an invalid hybridWeight', () =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir);
+    try {
+      for (const hybridWeight of ['abc', 5]) {
+        const ask = await request(`${server.url}/api/ask`, 'POST', {
+          question: 'pump',
+          mode: 'hybrid',
+          hybridWeight,
+        });
+        assert.strictEqual(ask.status, 400);
+        assert.match(ask.body.error, /hybridWeight/);
+      }
+      const stream = await fetch(
+        `${server.url}/api/ask/stream?question=pump&hybridWeight=abc`
+      );
+      assert.strictEqual(stream.status, 400);
+      const config = await request(`${server.url}/api/config`, 'POST', {
+        retrievalMode: 'hybrid',
+        hybridWeight: 5,
+      });
+      assert.strictEqual(config.status, 400);
+      const stats = await request(`${server.url}/api/stats`);
+      assert.deepStrictEqual(stats.body.data.retrieval, {
+        mode: 'vector',
+        hybridWeight: 0.5,
+      });
+    } finally {
+      await server.stop();
+    }
+  }));
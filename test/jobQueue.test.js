@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const JobQueue = require('../src/jobQueue');
+const {
+  withTempDir,
+  quietly,
+  createRAG,
+  startServer,
+  request,
+  upload,
+  waitForJob,
+} = require('./helpers');
+
+// A task that runs until release() is called, or fails once cancelled
+function blockingTask() {
+  let release;
+  let markStarted;
+  const started = new Promise((resolve) => {
+    markStarted = resolve;
+  });
+  const task = ({ signal }) =>
+    new Promise((resolve, reject) => {
+      release = resolve;
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+      markStarted();
+    });
+  return { task, started, release: (value) => release(value) };
+}
+
+test('jobs run a few at a time, in order', async () => {
+  const queue = new JobQueue({ concurrency: 2 });
+  const tasks = [blockingTask(), blockingTask(), blockingTask()];
+  const jobs = tasks.map(({ task }, i) => queue.enqueue('test', { i }, task));
+
+  // Jobs start as soon as a slot is free
+  assert.deepStrictEqual(
+    jobs.map((job) => job.status),
+    ['running', 'running', 'queued']
+  );
+  await Promise.all([tasks[0].started, tasks[1].started]);
+  assert.deepStrictEqual(
+    jobs.map((job) => queue.get(job.id).status),
+    ['running', 'running', 'queued']
+  );
+
+  tasks[0].release('first');
+  await tasks[2].started;
+  const first = await queue.wait(jobs[0].id);
+  assert.strictEqual(first.status, 'completed');
+  assert.strictEqual(first.stage, 'done');
+  assert.strictEqual(first.result, 'first');
+  assert.ok(first.startedAt && first.finishedAt);
+  assert.strictEqual(queue.get(jobs[2].id).status, 'running');
+
+  tasks[1].release();
+  tasks[2].release();
+  await Promise.all(jobs.map((job) => queue.wait(job.id)));
+  assert.strictEqual(queue.running, 0);
+});
+
+test('progress updates are merged and emitted', async () => {
+  const queue = new JobQueue();
+  const updates = [];
+  queue.on('update', (job) => updates.push([job.status, job.stage]));
+  const job = queue.enqueue('test', {}, async ({ update }) => {
+    update({ stage: 'embedding', progress: { chunksTotal: 4 } });
+    update({ progress: { chunksEmbedded: 2 } });
+    return 'ok';
+  });
+  const done = await queue.wait(job.id);
+  assert.deepStrictEqual(done.progress, { chunksTotal: 4, chunksEmbedded: 2 });
+  assert.deepStrictEqual(updates, [
+    ['queued', 'queued'],
+    ['running', 'starting'],
+    ['running', 'embedding'],
+    ['running', 'embedding'],
+    ['completed', 'done'],
+  ]);
+});
+
+test('queued and running jobs can be cancelled', async () => {
+  const queue = new JobQueue({ concurrency: 1 });
+  const running = blockingTask();
+  const waiting = blockingTask();
+  const first = queue.enqueue('test', {}, running.task);
+  const second = queue.enqueue('test', {}, waiting.task);
+  await running.started;
+
+  const dropped = queue.cancel(second.id);
+  assert.strictEqual(dropped.status, 'cancelled');
+
+  assert.strictEqual(queue.cancel(first.id).stage, 'cancelling');
+  const cancelled = await queue.wait(first.id);
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.strictEqual(cancelled.error, 'Cancelled');
+  assert.strictEqual(queue.running, 0);
+  assert.strictEqual(queue.cancel('job_missing'), null);
+});
+
+test('failures, a full queue and old jobs', () =>
+  quietly(async () => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+      const queue = new JobQueue({
+        concurrency: 1,
+        maxQueued: 1,
+        maxFinished: 1,
+      });
+      const failing = queue.enqueue('test', {}, async () => {
+        throw new Error('extraction failed');
+      });
+      const failed = await queue.wait(failing.id);
+      assert.strictEqual(failed.status, 'failed');
+      assert.strictEqual(failed.error, 'extraction failed');
+
+      const blocker = blockingTask();
+      const running = queue.enqueue('test', {}, blocker.task);
+      await blocker.started;
+      queue.enqueue('test', {}, async () => null);
+      assert.throws(() => queue.enqueue('test', {}, async () => null), {
+        code: 'QUEUE_FULL',
+      });
+
+      blocker.release();
+      await queue.wait(running.id);
+      // Only the most recent finished job is remembered
+      assert.strictEqual(queue.get(failing.id), null);
+    } finally {
+      console.error = error;
+    }
+  }));
+
+test('ingestion reports its stages and stops when cancelled', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      const stages = [];
+      const filePath = path.join(dir, 'pump.txt');
+      fs.writeFileSync(filePath, 'The pump needs a new seal.');
+      const result = await rag.addDocument(filePath, 'txt', {
+        onProgress: ({ stage }) => {
+          if (stages[stages.length - 1] !== stage) {
+            stages.push(stage);
+          }
+        },
+      });
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(stages, [
+        'extracting',
+        'chunking',
+        'embedding',
+        'indexing',
+      ]);
+
+      const controller = new AbortController();
+      controller.abort();
+      const sealPath = path.join(dir, 'seal.txt');
+      fs.writeFileSync(sealPath, 'Seals are replaced twice a year.');
+      const error = console.error;
+      console.error = () => {};
+      let cancelled;
+      try {
+        cancelled = await rag.addDocument(sealPath, 'txt', {
+          signal: controller.signal,
+        });
+      } finally {
+        console.error = error;
+      }
+      assert.strictEqual(cancelled.success, false);
+      assert.strictEqual(cancelled.cancelled, true);
+      assert.strictEqual(rag.listDocuments().length, 1);
+    })
+  ));
+
+test('job routes', () =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir);
+    try {
+      const uploaded = await upload(`${server.url}/api/upload`, {
+        'pump.txt': 'The pump needs a new seal.',
+      });
+      assert.strictEqual(uploaded.status, 202);
+      const [file] = uploaded.body.data.files;
+      assert.strictEqual(file.job.id, file.jobId);
+
+      const job = await waitForJob(server.url, file.jobId);
+      assert.strictEqual(job.status, 'completed');
+      assert.strictEqual(job.details.filename, 'pump.txt');
+      assert.strictEqual(job.progress.chunksEmbedded, 1);
+
+      const list = await request(`${server.url}/api/jobs`);
+      assert.deepStrictEqual(
+        list.body.data.map(({ id }) => id),
+        [file.jobId]
+      );
+
+      const events = await fetch(`${server.url}/api/jobs/${file.jobId}/events`);
+      assert.match(await events.text(), /^event: job\ndata: .*"completed"/);
+
+      const cancel = await request(
+        `${server.url}/api/jobs/${file.jobId}`,
+        'DELETE'
+      );
+      assert.strictEqual(cancel.status, 409);
+      const missing = await request(`${server.url}/api/jobs/job_missing`);
+      assert.strictEqual(missing.status, 404);
+    } finally {
+      await server.stop();
+    }
+  }));
@@ -0,0 +1,264 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const PromptStore = require('../src/prompts');
+const { packContext, trimToTokens } = require('../src/contextPacking');
+const { estimateTokens } = require('../src/chunking');
+const {
+  withTempDir,
+  quietly,
+  createRAG,
+  addTexts,
+  startServer,
+  request,
+} = require('./helpers');
+
+const { renderTemplate, templateVariables, validateTemplate } = PromptStore;
+
+// Search results of the given texts, most relevant first
+function results(texts) {
+  return texts.map((document, i) => ({
+    document,
+    score: 1 - i / 10,
+    metadata: { id: `chunk_${i}`, filename: `doc${i}.txt`, chunkIndex: 0 },
+  }));
+}
+
+const SENTENCE = 'The pump seal is replaced every six months by the crew. ';
+
+test('templates are validated and rendered', () => {
+  const template =
+    '{{instructions}}\n{{#history}}Before:\n{{history}}\n{{/history}}Q: {{ question }}\n{{context}}';
+  assert.deepStrictEqual(templateVariables(template), [
+    'instructions',
+    'history',
+    'question',
+    'context',
+  ]);
+  assert.strictEqual(
+    renderTemplate(template, {
+      instructions: 'Be brief.',
+      question: 'Seal?',
+      context: '[1] Six months.',
+      history: '',
+    }),
+    'Be brief.\nQ: Seal?\n[1] Six months.'
+  );
+  assert.strictEqual(
+    renderTemplate(template, { question: 'Seal?', context: 'C', history: 'H' }),
+    '\nBefore:\nH\nQ: Seal?\nC'
+  );
+
+  for (const [text, message] of [
+    ['', /non-empty string/],
+    ['{{context}}', /must contain \{\{question\}\}/],
+    ['{{context}} {{question}} {{answer}}', /Unknown template variable/],
+    ['{{#history}}{{context}} {{question}}', /Unclosed section/],
+    ['{{context}}{{/history}} {{question}}', /Unbalanced section/],
+    [`{{context}}{{question}}${'x'.repeat(10000)}`, /at most 10000/],
+  ]) {
+    assert.throws(() => validateTemplate(text), { message }, text);
+  }
+});
+
+test('templates are stored, changed and deleted', () =>
+  withTempDir((dir) => {
+    const persistPath = path.join(dir, 'prompts.json');
+    const store = new PromptStore({ persistPath });
+    const created = store.create({
+      name: 'Brief',
+      description: 'One sentence',
+      template: 'Answer in one sentence.\n{{context}}\n{{question}}',
+    });
+    assert.strictEqual(created.name, 'brief');
+    assert.strictEqual(created.builtIn, false);
+    assert.throws(
+      () =>
+        store.create({ name: 'brief', template: '{{context}}{{question}}' }),
+      { code: 'TEMPLATE_EXISTS' }
+    );
+    assert.throws(
+      () => store.create({ name: 'default', template: '{{context}}' }),
+      { code: 'TEMPLATE_EXISTS' }
+    );
+    assert.throws(
+      () => store.create({ name: '../x', template: '{{context}}' }),
+      /Template name must be/
+    );
+
+    store.update('brief', { description: 'Short' });
+    assert.strictEqual(store.update('missing', {}), null);
+    assert.throws(() => store.update('default', {}), /cannot be changed/);
+    assert.throws(() => store.remove('default'), /cannot be deleted/);
+
+    const reloaded = new PromptStore({ persistPath });
+    assert.deepStrictEqual(
+      reloaded.list().map(({ name, builtIn }) => [name, builtIn]),
+      [
+        ['default', true],
+        ['brief', false],
+      ]
+    );
+    assert.strictEqual(reloaded.get('brief').description, 'Short');
+    assert.strictEqual(reloaded.remove('brief'), true);
+    assert.strictEqual(reloaded.remove('brief'), false);
+    assert.strictEqual(reloaded.get('brief'), null);
+  }));
+
+test('long chunks are trimmed at a sentence end', () => {
+  const text = SENTENCE.repeat(10).trim();
+  const trimmed = trimToTokens(text, 40);
+  assert.ok(trimmed.endsWith('crew. ...'), trimmed);
+  assert.ok(estimateTokens(trimmed) <= 40);
+  // Without a sentence end that fits, whole words are kept
+  const words = trimToTokens('word '.repeat(100), 10);
+  assert.match(words, /^(word )+\.\.\.$/);
+  assert.ok(estimateTokens(words) <= 10);
+});
+
+test('context is packed into the token budget', () => {
+  const chunks = results([
+    SENTENCE.repeat(3),
+    SENTENCE.repeat(3),
+    SENTENCE.repeat(6),
+    SENTENCE,
+  ]);
+  const everything = packContext(chunks);
+  assert.strictEqual(everything.report.budget, null);
+  assert.strictEqual(everything.report.included, 4);
+
+  // Room for the first two chunks and half of the third
+  const budget = 200;
+  const packed = packContext(chunks, { budget });
+  assert.ok(packed.report.tokens <= budget);
+  assert.deepStrictEqual(
+    packed.report.trimmed.map(({ marker }) => marker),
+    [3]
+  );
+  // Once a chunk is trimmed, the ones after it are dropped
+  assert.deepStrictEqual(
+    packed.report.dropped.map(({ chunkId }) => chunkId),
+    ['chunk_3']
+  );
+  assert.deepStrictEqual(
+    packed.results.map((result) => result.metadata.id),
+    ['chunk_0', 'chunk_1', 'chunk_2']
+  );
+
+  // The most relevant chunk is kept even when nothing fits
+  const tiny = packContext(chunks, { budget: 1 });
+  assert.strictEqual(tiny.report.budget, 32);
+  assert.strictEqual(tiny.report.included, 1);
+  assert.strictEqual(tiny.report.trimmed[0].marker, 1);
+
+  // edges order puts the least relevant chunks in the middle
+  const edges = packContext(results(['a', 'b', 'c', 'd', 'e']), {
+    order: 'edges',
+  });
+  assert.deepStrictEqual(edges.context.match(/\[\d\]/g), [
+    '[1]',
+    '[3]',
+    '[5]',
+    '[4]',
+    '[2]',
+  ]);
+  assert.throws(() => packContext(chunks, { order: 'random' }), {
+    message: /Invalid context order "random"/,
+  });
+});
+
+test('answers use the chosen template and report the packing', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir, { contextTokenBudget: 60 });
+      await addTexts(rag, dir, {
+        'seal.txt': SENTENCE.repeat(8),
+        'gauge.txt': 'The pump gauge is checked weekly by the crew.',
+      });
+      rag.prompts.create({
+        name: 'brief',
+        template: 'Answer briefly.\n{{context}}\nQ: {{question}}',
+      });
+      const result = await rag.askQuestion(
+        'When is the pump seal replaced?',
+        2,
+        {
+          template: 'brief',
+          contextOrder: 'relevance',
+        }
+      );
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.promptTemplate, 'brief');
+      assert.strictEqual(result.contextPacking.budget, 60);
+      assert.strictEqual(result.contextPacking.order, 'relevance');
+      assert.ok(result.contextPacking.tokens <= 60);
+      assert.strictEqual(result.contextPacking.trimmed.length, 1);
+
+      const error = console.error;
+      console.error = () => {};
+      let missing;
+      try {
+        missing = await rag.askQuestion('Seal?', 2, { template: 'none' });
+      } finally {
+        console.error = error;
+      }
+      assert.strictEqual(missing.success, false);
+      assert.match(missing.error, /Unknown prompt template "none"/);
+
+      assert.throws(() => rag.setContextPacking({ tokenBudget: 0 }), {
+        message: /contextTokenBudget must be a positive integer/,
+      });
+      assert.throws(() => rag.setPromptTemplate('none'), /Unknown prompt/);
+    })
+  ));
+
+test('prompt template routes', () =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir);
+    const api = `${server.url}/api`;
+    try {
+      const created = await request(`${api}/prompts`, 'POST', {
+        name: 'brief',
+        template: 'Answer briefly.\n{{context}}\nQ: {{question}}',
+      });
+      assert.strictEqual(created.status, 201);
+      assert.strictEqual(
+        (await request(`${api}/prompts`, 'POST', created.body.data)).status,
+        409
+      );
+      const invalid = await request(`${api}/prompts`, 'POST', {
+        name: 'bad',
+        template: '{{question}}',
+      });
+      assert.strictEqual(invalid.status, 400);
+
+      const updated = await request(`${api}/prompts/brief`, 'PUT', {
+        description: 'Short answers',
+      });
+      assert.strictEqual(updated.body.data.description, 'Short answers');
+      assert.strictEqual(
+        (await request(`${api}/prompts/default`, 'PUT', {})).status,
+        400
+      );
+      assert.strictEqual((await request(`${api}/prompts/none`)).status, 404);
+
+      // A template a collection answers with can't be deleted
+      await request(`${api}/collections`, 'POST', {
+        name: 'manuals',
+        template: 'brief',
+      });
+      const inUse = await request(`${api}/prompts/brief`, 'DELETE');
+      assert.strictEqual(inUse.status, 409);
+      assert.match(inUse.body.error, /used by: manuals/);
+      await request(`${api}/collections/manuals`, 'DELETE');
+      const deleted = await request(`${api}/prompts/brief`, 'DELETE');
+      assert.strictEqual(deleted.status, 200);
+      const list = await request(`${api}/prompts`);
+      assert.deepStrictEqual(
+        list.body.data.map(({ name }) => name),
+        ['default']
+      );
+    } finally {
+      await server.stop();
+    }
+  }));
@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TextGenerator = require('../src/generation');
+const {
+  withTempDir,
+  quietly,
+  createRAG,
+  addTexts,
+  startServer,
+  request,
+  upload,
+  waitForJob,
+} = require('./helpers');
+
+// A text generator whose model answers every prompt with `output`
+function generatorAnswering(output) {
+  const generator = new TextGenerator({ provider: 'extractive' });
+  generator.prompts = [];
+  generator.completePrompt = async (prompt) => {
+    generator.prompts.push(prompt);
+    return output;
+  };
+  return generator;
+}
+
+// Run fn with console.error silenced: the fallbacks log why they were used
+async function withoutErrors(fn) {
+  const error = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = error;
+  }
+}
+
+test('query lists drop numbering, duplicates and the question', () => {
+  const generator = new TextGenerator({ provider: 'extractive' });
+  assert.deepStrictEqual(
+    generator.parseQueryList(
+      `1. How often is the seal changed?
+2) how often is the seal changed?
+- When should the seal be replaced?
+* How often is the seal replaced?
+
+• ${'x'.repeat(301)}
+What is the seal interval?`,
+      'How often is the seal replaced?'
+    ),
+    [
+      'How often is the seal changed?',
+      'When should the seal be replaced?',
+      'What is the seal interval?',
+    ]
+  );
+});
+
+test('questions are expanded by the model', () =>
+  quietly(async () => {
+    const paraphraser = generatorAnswering('One?\nTwo?\nThree?\nFour?');
+    assert.deepStrictEqual(
+      await paraphraser.paraphraseQuestion('Original?', 2),
+      ['One?', 'Two?']
+    );
+    assert.match(paraphraser.prompts[0], /Write 2 different ways/);
+
+    const splitter = generatorAnswering('What is X?\nHow does Y work?');
+    assert.deepStrictEqual(
+      await splitter.decomposeQuestion('What is X and how does Y work?'),
+      ['What is X?', 'How does Y work?']
+    );
+    // A repeated question means there is nothing to split
+    const repeater = generatorAnswering('What is X?');
+    assert.deepStrictEqual(await repeater.decomposeQuestion('What is X?'), []);
+
+    const writer = generatorAnswering('The seal is replaced every six months.');
+    assert.strictEqual(
+      await writer.hypotheticalAnswer('How often is the seal replaced?'),
+      'The seal is replaced every six months.'
+    );
+  }));
+
+test('without a model the fallbacks expand the question', () =>
+  quietly(() =>
+    withoutErrors(async () => {
+      const generator = new TextGenerator({ provider: 'extractive' });
+      assert.deepStrictEqual(
+        await generator.paraphraseQuestion('How often is the seal replaced?'),
+        ['often seal replaced']
+      );
+      assert.deepStrictEqual(
+        await generator.decomposeQuestion(
+          'What is the pump, and how do I replace the seal?'
+        ),
+        ['What is the pump?', 'how do I replace the seal?']
+      );
+      assert.deepStrictEqual(
+        await generator.decomposeQuestion('Is the pump loud?'),
+        []
+      );
+      assert.strictEqual(
+        await generator.hypotheticalAnswer('What is X?'),
+        'What is X?'
+      );
+    })
+  ));
+
+test('expanded queries are searched and their rankings merged', () =>
+  withTempDir((dir) =>
+    quietly(() =>
+      withoutErrors(async () => {
+        const rag = createRAG(dir);
+        await addTexts(rag, dir, {
+          'pump.txt':
+            'The XR-200 pump moves water with a centrifugal impeller.',
+          'seal.txt': 'Replace the seal every six months.',
+          'office.txt': 'The office closes at five.',
+        });
+        const question =
+          'What is the XR-200 pump and when is the seal replaced?';
+
+        const { searchResults, queryInfo } = await rag.search(question, 2, {
+          queryMode: 'decompose',
+        });
+        assert.strictEqual(queryInfo.queryMode, 'decompose');
+        assert.deepStrictEqual(
+          queryInfo.queries.map(({ type }) => type),
+          ['original', 'subquestion', 'subquestion']
+        );
+        assert.deepStrictEqual(
+          searchResults.map((result) => result.metadata.filename).sort(),
+          ['pump.txt', 'seal.txt']
+        );
+        assert.ok(
+          searchResults.every((result) => result.matchedQueries.length > 0)
+        );
+
+        rag.textGenerator = generatorAnswering('Seals last six months.');
+        const hyde = await rag.search('seal life?', 1, { queryMode: 'hyde' });
+        assert.deepStrictEqual(hyde.queryInfo.queries, [
+          {
+            text: 'seal life?',
+            type: 'hypothetical',
+            hypotheticalAnswer: 'Seals last six months.',
+          },
+        ]);
+        assert.strictEqual(hyde.searchResults[0].metadata.filename, 'seal.txt');
+
+        // No expansion, no query info
+        const plain = await rag.search(question, 1);
+        assert.deepStrictEqual(plain.queryInfo, {});
+
+        await assert.rejects(rag.expandQuery(question, 'rewrite'), {
+          message: /Invalid query mode "rewrite"/,
+        });
+        assert.throws(() => createRAG(dir, { queryMode: 'rewrite' }), {
+          message: /Invalid query mode/,
+        });
+      })
+    )
+  ));
+
+test('the API accepts a query mode per question', () =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir);
+    const api = `${server.url}/api`;
+    try {
+      const uploaded = await upload(`${api}/upload`, {
+        'seal.txt': 'Replace the seal every six months.',
+      });
+      await waitForJob(server.url, uploaded.body.data.files[0].jobId);
+      const answer = await request(`${api}/ask`, 'POST', {
+        question: 'How often is the seal replaced?',
+        queryMode: 'multi',
+      });
+      assert.strictEqual(answer.status, 200);
+      assert.strictEqual(answer.body.queryMode, 'multi');
+      assert.deepStrictEqual(answer.body.queries, [
+        { text: 'How often is the seal replaced?', type: 'original' },
+        { text: 'often seal replaced', type: 'paraphrase' },
+      ]);
+
+      const invalid = await request(`${api}/ask`, 'POST', {
+        question: 'seal?',
+        queryMode: 'rewrite',
+      });
+      assert.strictEqual(invalid.status, 400);
+      assert.match(invalid.body.error, /queryMode must be one of/);
+      const config = await request(`${api}/config`, 'POST', {
+        queryMode: 'rewrite',
+      });
+      assert.strictEqual(config.status, 400);
+    } finally {
+      await server.stop();
+    }
+  }));
@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const {
+  RERANKERS,
+  createReranker,
+  selectMMR,
+  LexicalReranker,
+  CrossEncoderReranker,
+} = require('../src/reranking');
+const {
+  withTempDir,
+  quietly,
+  createRAG,
+  addTexts,
+  startServer,
+  request,
+} = require('./helpers');
+
+// A rerank endpoint answering every request with respond(body)
+async function rerankServer(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (data) => {
+      body += data;
+    });
+    req.on('end', () => {
+      const parsed = JSON.parse(body);
+      requests.push({ headers: req.headers, body: parsed });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(respond(parsed)));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  return {
+    endpoint: `http://localhost:${server.address().port}/rerank`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test('the lexical reranker scores query coverage and word pairs', async () => {
+  const reranker = new LexicalReranker();
+  const [phrase, scattered, stemmed, none] = await reranker.score(
+    'rotate passwords quarterly',
+    [
+      'Staff rotate passwords quarterly.',
+      'Passwords are long. Rotate them quarterly.',
+      'Passwords are rotated quarterly.',
+      'The pump needs a new seal.',
+    ]
+  );
+  assert.strictEqual(phrase, 1);
+  assert.ok(scattered < phrase && scattered > none);
+  // Every word matches once stemmed, but no query word pair does
+  assert.ok(Math.abs(stemmed - 0.7) < 1e-9);
+  assert.strictEqual(none, 0);
+  assert.deepStrictEqual(await reranker.score('the', ['the pump']), [0]);
+});
+
+test('rerankers are created by name', () => {
+  assert.deepStrictEqual(RERANKERS, ['none', 'lexical', 'cross-encoder']);
+  assert.strictEqual(createReranker('none'), null);
+  assert.strictEqual(createReranker(), null);
+  assert.strictEqual(createReranker('lexical').name, 'lexical');
+  assert.throws(() => createReranker('bm25'), {
+    message: 'Unknown reranker "bm25". Available: none, lexical, cross-encoder',
+  });
+  assert.throws(
+    () => new CrossEncoderReranker({ endpoint: '' }),
+    /needs RERANK_ENDPOINT/
+  );
+});
+
+test('the cross-encoder reads scores by index', async () => {
+  const server = await rerankServer(({ texts }) =>
+    texts
+      .map((text, index) => ({ index, score: text.length }))
+      .sort((a, b) => b.score - a.score)
+  );
+  const wrapped = await rerankServer(({ texts }) => ({
+    results: texts.map((text, index) => ({ index, relevance_score: index })),
+  }));
+  const partial = await rerankServer(() => [{ index: 0, score: 1 }]);
+  try {
+    const reranker = new CrossEncoderReranker({
+      endpoint: server.endpoint,
+      apiKey: 'secret',
+    });
+    assert.deepStrictEqual(
+      await reranker.score('q', ['aaa', 'a', 'aa']),
+      [3, 1, 2]
+    );
+    assert.deepStrictEqual(server.requests[0].body, {
+      query: 'q',
+      texts: ['aaa', 'a', 'aa'],
+    });
+    assert.strictEqual(
+      server.requests[0].headers.authorization,
+      'Bearer secret'
+    );
+
+    const other = new CrossEncoderReranker({ endpoint: wrapped.endpoint });
+    assert.deepStrictEqual(await other.score('q', ['x', 'y']), [0, 1]);
+
+    const incomplete = new CrossEncoderReranker({ endpoint: partial.endpoint });
+    await assert.rejects(
+      incomplete.score('q', ['x', 'y']),
+      /did not score every chunk/
+    );
+  } finally {
+    await Promise.all([server.close(), wrapped.close(), partial.close()]);
+  }
+});
+
+test('MMR trades relevance for diversity', () => {
+  const items = [
+    { id: 'a', relevance: 1, topic: 'pump' },
+    { id: 'b', relevance: 0.9, topic: 'pump' },
+    { id: 'c', relevance: 0.5, topic: 'gauge' },
+  ];
+  const pick = (lambda) =>
+    selectMMR(
+      items,
+      2,
+      lambda,
+      (item) => item.relevance,
+      (x, y) => (x.topic === y.topic ? 1 : 0)
+    );
+  assert.deepStrictEqual(
+    pick(1).map(({ id }) => id),
+    ['a', 'b']
+  );
+  const diverse = pick(0.5);
+  assert.deepStrictEqual(
+    diverse.map(({ id }) => id),
+    ['a', 'c']
+  );
+  assert.strictEqual(diverse[1].mmrScore, 0.25);
+  assert.deepStrictEqual(
+    selectMMR(
+      [],
+      3,
+      0.5,
+      () => 1,
+      () => 0
+    ),
+    []
+  );
+});
+
+const DOCUMENTS = {
+  'seal.txt': 'Replace the pump seal every six months.',
+  'seal-copy.txt': 'Replace the pump seal every six months!',
+  'gauge.txt': 'Check the pump gauge and the seal weekly.',
+  'office.txt': 'The office closes at five.',
+};
+
+test('retrieval reranks and diversifies its candidates', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      await addTexts(rag, dir, DOCUMENTS);
+      const question = 'How often is the pump seal replaced?';
+
+      const reranked = await rag.retrieve(question, 2, { rerank: 'lexical' });
+      assert.strictEqual(reranked.length, 2);
+      assert.ok(reranked.every((result) => result.reranker === 'lexical'));
+      assert.ok(reranked[0].score >= reranked[1].score);
+      assert.ok(reranked.every((result) => result.retrievalRank >= 1));
+
+      const diverse = await rag.retrieve(question, 2, { mmrLambda: 0.3 });
+      const names = diverse.map((result) => result.metadata.filename);
+      assert.ok(
+        !(names.includes('seal.txt') && names.includes('seal-copy.txt')),
+        names.join(', ')
+      );
+      assert.ok(diverse.every((result) => result.mmrScore !== undefined));
+
+      // An unreachable cross-encoder falls back to the lexical reranker
+      rag.rerankers.set(
+        'cross-encoder',
+        new CrossEncoderReranker({ endpoint: 'http://localhost:1/rerank' })
+      );
+      const error = console.error;
+      console.error = () => {};
+      let fallback;
+      try {
+        fallback = await rag.retrieve(question, 2, {
+          rerank: 'cross-encoder',
+        });
+      } finally {
+        console.error = error;
+      }
+      assert.ok(fallback.every((result) => result.reranker === 'lexical'));
+
+      assert.throws(() => createRAG(dir, { rerank: { mmrLambda: 2 } }), {
+        message: 'mmrLambda must be a number from 0 to 1',
+      });
+    })
+  ));
+
+test('reranking options of the API are validated', () =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir);
+    const api = `${server.url}/api`;
+    try {
+      for (const body of [
+        { question: 'seal?', rerank: 'bm25' },
+        { question: 'seal?', mmrLambda: 1.5 },
+      ]) {
+        const response = await request(`${api}/ask`, 'POST', body);
+        assert.strictEqual(response.status, 400, JSON.stringify(body));
+      }
+      const config = await request(`${api}/config`, 'POST', {
+        reranker: 'cross-encoder',
+      });
+      assert.strictEqual(config.status, 400);
+      assert.match(config.body.error, /RERANK_ENDPOINT/);
+    } finally {
+      await server.stop();
+    }
+  }));
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const SessionManager = require('../src/sessions');
+const TextGenerator = require('../src/generation');
+const {
+  withTempDir,
+  quietly,
+  createRAG,
+  addTexts,
+  startServer,
+  request,
+} = require('./helpers');
+
+test('sessions keep their history and survive a restart', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const persistPath = path.join(dir, 'sessions.json');
+      const sessions = new SessionManager({ persistPath });
+      const session = sessions.create();
+      for (let i = 1; i <= 4; i++) {
+        sessions.addMessages(session.id, [
+          { role: 'user', content: `question ${i}` },
+          { role: 'assistant', content: `answer ${i}` },
+        ]);
+      }
+      assert.deepStrictEqual(
+        sessions.getHistory(session.id, 2).map((message) => message.content),
+        ['question 3', 'answer 3', 'question 4', 'answer 4']
+      );
+
+      const reloaded = new SessionManager({ persistPath });
+      assert.strictEqual(reloaded.get(session.id).messages.length, 8);
+      assert.ok(reloaded.delete(session.id));
+      assert.strictEqual(reloaded.get(session.id), null);
+      assert.deepStrictEqual(reloaded.getHistory(session.id), []);
+    })
+  ));
+
+test('the least recently used sessions are evicted', () =>
+  quietly(() => {
+    const sessions = new SessionManager({ maxSessions: 2 });
+    const first = sessions.create();
+    const second = sessions.create();
+    sessions.addMessages(first.id, [{ role: 'user', content: 'hello' }]);
+    sessions.create();
+    assert.ok(sessions.get(first.id));
+    assert.strictEqual(sessions.get(second.id), null);
+  }));
+
+test('the rewrite fallback anchors follow-ups to the previous question', () => {
+  const generator = new TextGenerator({ provider: 'extractive' });
+  const history = [
+    {
+      role: 'user',
+      content: 'What does E42 mean?',
+      standaloneQuestion: 'What does E42 mean?',
+    },
+    { role: 'assistant', content: 'The flux capacitor lost calibration.' },
+  ];
+  assert.strictEqual(
+    generator.rewriteQuestionFallback('And refunds?', history),
+    'What does E42 mean? And refunds?'
+  );
+  assert.strictEqual(
+    generator.rewriteQuestionFallback(
+      'How many vacation days do employees get per year?',
+      history
+    ),
+    'How many vacation days do employees get per year?'
+  );
+  assert.strictEqual(
+    generator.rewriteQuestionFallback('And refunds?', []),
+    'And refunds?'
+  );
+});
+
+test('the rewrite fallback does not grow over a chain of follow-ups', () => {
+  const generator = new TextGenerator({ provider: 'extractive' });
+  const history = [];
+  let standaloneQuestion;
+  for (const question of [
+    'What does E42 mean?',
+    'and what about refunds?',
+    'shipping?',
+    'and returns?',
+  ]) {
+    standaloneQuestion = generator.rewriteQuestionFallback(question, history);
+    history.push(
+      { role: 'user', content: question, standaloneQuestion },
+      { role: 'assistant', content: 'An answer.' }
+    );
+  }
+  assert.strictEqual(standaloneQuestion, 'shipping? and returns?');
+
+  const long = `${'word '.repeat(200)}?`;
+  const anchored = generator.rewriteQuestionFallback('and that?', [
+    { role: 'user', content: long },
+  ]);
+  assert.ok(anchored.length <= 300 + ' and that?'.length);
+});
+
+test('session questions are rewritten, answered and recorded', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      await addTexts(rag, dir, {
+        'refunds.txt':
+          'Refunds are issued within 30 days of purchase to the original payment method.',
+        'shipping.txt':
+          'Orders ship within two business days. Return shipping is paid by the customer.',
+      });
+      const session = rag.createSession();
+      const first = await rag.askInSession(
+        session.id,
+        'How are refunds issued?',
+        2
+      );
+      assert.strictEqual(first.success, true);
+      assert.strictEqual(first.standaloneQuestion, 'How are refunds issued?');
+
+      const second = await rag.askInSession(session.id, 'And shipping?', 2);
+      assert.strictEqual(
+        second.standaloneQuestion,
+        'How are refunds issued? And shipping?'
+      );
+      const messages = rag.getSession(session.id).messages;
+      assert.strictEqual(messages.length, 4);
+      assert.strictEqual(
+        messages[2].standaloneQuestion,
+        'How are refunds issued? And shipping?'
+      );
+      assert.ok(messages[3].sources.length > 0);
+    })
+  ));
+
+test('the session routes answer and 404 on unknown sessions', () =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir);
+    try {
+      const created = await request(`${server.url}/api/sessions`, 'POST', {});
+      assert.strictEqual(created.status, 201);
+      const id = created.body.data.id;
+
+      const answer = await request(
+        `${server.url}/api/sessions/${id}/messages`,
+        'POST',
+        { question: 'What is indexed?' }
+      );
+      assert.strictEqual(answer.status, 200);
+      assert.strictEqual(answer.body.sessionId, id);
+
+      const missing = await request(
+        `${server.url}/api/sessions/sess_missing/messages`,
+        'POST',
+        { question: 'What is indexed?' }
+      );
+      assert.strictEqual(missing.status, 404);
+    } finally {
+      await server.stop();
+    }
+  }));
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  withTempDir,
+  quietly,
+  createRAG,
+  addTexts,
+  startServer,
+  request,
+  upload,
+  waitForJob,
+} = require('./helpers');
+
+const PUMP =
+  'The XR-200 pump needs a new seal every six months. Check the pressure gauge weekly.';
+const QUESTION = 'How often does the XR-200 pump need a new seal?';
+
+async function collect(events) {
+  const collected = [];
+  for await (const event of events) {
+    collected.push(event);
+  }
+  return collected;
+}
+
+// Split a Server-Sent Events body into { event, data } records
+function parseEvents(body) {
+  return body
+    .split('\n\n')
+    .filter((block) => block.trim() !== '')
+    .map((block) => {
+      const event = block.match(/^event: (.*)$/m)[1];
+      const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+      return { event, data };
+    });
+}
+
+test('streamed answers send sources, tokens and then the final answer', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      await addTexts(rag, dir, { 'pump.txt': PUMP });
+      const events = await collect(rag.askQuestionStream(QUESTION, 1));
+
+      assert.deepStrictEqual(
+        events.map(({ event }) => event),
+        ['sources', 'token', 'done']
+      );
+      const [sources, token, done] = events.map(({ data }) => data);
+      assert.strictEqual(
+        sources.relevantDocuments[0].metadata.filename,
+        'pump.txt'
+      );
+      assert.match(sources.context, /XR-200 pump/);
+      assert.strictEqual(
+        token.text,
+        'The XR-200 pump needs a new seal every six months.'
+      );
+      assert.match(done.answer, /^The XR-200 pump needs a new seal/);
+      assert.strictEqual(done.citations.length, 1);
+      for (const key of [
+        'retrievalMs',
+        'firstTokenMs',
+        'generationMs',
+        'totalMs',
+      ]) {
+        assert.strictEqual(typeof done.timing[key], 'number', key);
+      }
+    })
+  ));
+
+test('an empty store streams an error', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const events = await collect(
+        createRAG(dir).askQuestionStream(QUESTION, 1)
+      );
+      assert.deepStrictEqual(events, [
+        {
+          event: 'error',
+          data: {
+            error: 'No documents in the system. Please add documents first',
+          },
+        },
+      ]);
+    })
+  ));
+
+test('a cancelled stream ends without a final answer', () =>
+  withTempDir((dir) =>
+    quietly(async () => {
+      const rag = createRAG(dir);
+      await addTexts(rag, dir, { 'pump.txt': PUMP });
+      const controller = new AbortController();
+      const events = [];
+      for await (const event of rag.askQuestionStream(QUESTION, 1, {
+        signal: controller.signal,
+      })) {
+        events.push(event.event);
+        controller.abort();
+      }
+      assert.ok(!events.includes('done'));
+    })
+  ));
+
+test('/api/ask/stream', (t) =>
+  withTempDir(async (dir) => {
+    const server = await startServer(dir);
+    try {
+      const uploaded = await upload(`${server.url}/api/upload`, {
+        'pump.txt': PUMP,
+      });
+      await waitForJob(server.url, uploaded.body.data.files[0].jobId);
+
+      await t.test('streams events', async () => {
+        const response = await fetch(
+          `${server.url}/api/ask/stream?${new URLSearchParams({
+            question: QUESTION,
+            topK: 1,
+          })}`
+        );
+        assert.strictEqual(response.status, 200);
+        assert.match(
+          response.headers.get('content-type'),
+          /^text\/event-stream/
+        );
+        const events = parseEvents(await response.text());
+        assert.deepStrictEqual(
+          events.map(({ event }) => event),
+          ['sources', 'token', 'done']
+        );
+        assert.match(events[2].data.answer, /new seal every six months/);
+      });
+
+      await t.test('rejects invalid parameters as JSON', async () => {
+        const missing = await request(`${server.url}/api/ask/stream`);
+        assert.strictEqual(missing.status, 400);
+        assert.strictEqual(missing.body.error, 'Question is required');
+        const badFilter = await request(
+          `${server.url}/api/ask/stream?question=seal&filter=%7B`
+        );
+        assert.strictEqual(badFilter.status, 400);
+      });
+
+      await t.test('the blocking endpoint still answers', async () => {
+        const response = await request(`${server.url}/api/ask`, 'POST', {
+          question: QUESTION,
+          topK: 1,
+        });
+        assert.strictEqual(response.status, 200);
+        assert.match(response.body.answer, /new seal every six months/);
+      });
+    } finally {
+      await server.stop();
+    }
+  }));
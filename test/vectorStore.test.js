@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SimpleVectorStore = require('../src/vectorStore');
+const { withTempDir, quietly } = require('./helpers');
+
+function openStore(dir, options = {}) {
+  return new SimpleVectorStore({
+    persistPath: path.join(dir, 'vector-store.jsonl'),
+    model: 'test-model',
+    ...options,
+  });
+}
+
+function readLog(dir) {
+  return fs
+    .readFileSync(path.join(dir, 'vector-store.jsonl'), 'utf-8')
+    .split('\n')
+    .filter((line) => line !== '')
+    .map((line) => JSON.parse(line));
+}
+
+test('deleted chunks are compacted away on load', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const store = openStore(dir);
+      store.addDocument('first', [1, 0], { documentId: 'a' });
+      store.addDocument('second', [0, 1], { documentId: 'b' });
+      store.deleteWhere((metadata) => metadata.documentId === 'a');
+      assert.strictEqual(readLog(dir).length, 4);
+
+      const reloaded = openStore(dir);
+      assert.deepStrictEqual(
+        reloaded.getAllDocuments().map((doc) => doc.text),
+        ['second']
+      );
+      assert.deepStrictEqual(
+        readLog(dir).map((entry) => entry.type),
+        ['header', 'add']
+      );
+    })
+  ));
+
+test('chunk ids are not reused after deleting everything and restarting', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const store = openStore(dir);
+      store.addDocument('first', [1, 0], { documentId: 'a' });
+      store.addDocument('second', [0, 1], { documentId: 'a' });
+      store.deleteWhere((metadata) => metadata.documentId === 'a');
+
+      // Each load compacts the log; the empty store keeps its id counter
+      openStore(dir);
+      const [header] = readLog(dir);
+      assert.strictEqual(header.type, 'header');
+      assert.strictEqual(header.nextId, 2);
+
+      const reloaded = openStore(dir);
+      assert.strictEqual(reloaded.getDocumentCount(), 0);
+      assert.strictEqual(reloaded.addDocument('third', [1, 1]), 2);
+    })
+  ));
+
+test('clearing the store keeps the id counter', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const store = openStore(dir);
+      store.addDocument('first', [1, 0]);
+      store.clear();
+      const reloaded = openStore(dir, { model: 'other-model' });
+      assert.strictEqual(reloaded.getDocumentCount(), 0);
+      assert.strictEqual(reloaded.addDocument('second', [0, 1, 0]), 1);
+    })
+  ));
+
+test('the first chunk ties the store to the embedding model', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      openStore(dir).addDocument('first', [1, 0]);
+      assert.strictEqual(readLog(dir)[0].model, 'test-model');
+    })
+  ));
+
+test('chunks survive a restart', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const store = openStore(dir);
+      store.addDocument('first', [1, 0], { documentId: 'a' });
+      store.addDocument('second', [0, 1], { documentId: 'b' });
+
+      const reloaded = openStore(dir);
+      assert.strictEqual(reloaded.getDocumentCount(), 2);
+      assert.strictEqual(reloaded.dimension, 2);
+      const [hit] = reloaded.search([0, 1], 1);
+      assert.strictEqual(hit.document, 'second');
+      assert.strictEqual(hit.metadata.documentId, 'b');
+      assert.strictEqual(reloaded.addDocument('third', [1, 1]), 2);
+    })
+  ));
+
+test('a record cut short by a crash is dropped on load', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const store = openStore(dir);
+      store.addDocument('first', [1, 0]);
+      const persistPath = path.join(dir, 'vector-store.jsonl');
+      fs.appendFileSync(persistPath, '{"type":"add","text":"sec');
+
+      const warn = console.warn;
+      console.warn = () => {};
+      let recovered;
+      try {
+        recovered = openStore(dir);
+      } finally {
+        console.warn = warn;
+      }
+      assert.strictEqual(recovered.getDocumentCount(), 1);
+      recovered.addDocument('second', [0, 1]);
+
+      const reloaded = openStore(dir);
+      assert.deepStrictEqual(
+        reloaded.getAllDocuments().map((doc) => doc.text),
+        ['first', 'second']
+      );
+    })
+  ));
+
+test('a corrupted record before the end refuses to load', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      const store = openStore(dir);
+      store.addDocument('first', [1, 0]);
+      store.addDocument('second', [0, 1]);
+      const persistPath = path.join(dir, 'vector-store.jsonl');
+      const lines = fs.readFileSync(persistPath, 'utf-8').split('\n');
+      lines[1] = lines[1].slice(0, 20);
+      fs.writeFileSync(persistPath, lines.join('\n'));
+
+      assert.throws(() => openStore(dir), { message: /corrupted at line 2/ });
+    })
+  ));
+
+test('a store built with another embedding model is refused', () =>
+  withTempDir((dir) =>
+    quietly(() => {
+      openStore(dir).addDocument('first', [1, 0]);
+      assert.throws(() => openStore(dir, { model: 'other-model' }), {
+        message: /built with embedding model "test-model"/,
+      });
+      assert.throws(
+        () => openStore(dir).addDocument('second', [1, 0, 0]),
+        /3 dimensions but the store holds 2/
+      );
+    })
+  ));